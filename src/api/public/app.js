@@ -0,0 +1,491 @@
+// Coffee Monitor dashboard - talks to the REST API served by `coffee-monitor serve`
+
+const TOKEN_KEY = 'coffee-monitor-token';
+const CHART_COLORS = ['#8b5a2b', '#1565c0', '#6a1b9a', '#00838f', '#ef6c00', '#ad1457'];
+const DIMENSIONS = ['country', 'continent', 'process', 'roast', 'roastery', 'organic', 'decaf', 'fairtrade'];
+
+async function api(method, path, body) {
+    const headers = { 'Content-Type': 'application/json' };
+    const token = localStorage.getItem(TOKEN_KEY);
+    if (token) headers.Authorization = `Bearer ${token}`;
+
+    const response = await fetch(path, {
+        method,
+        headers,
+        body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+
+    if (response.status === 401) {
+        const newToken = prompt('API token');
+        if (newToken) {
+            localStorage.setItem(TOKEN_KEY, newToken);
+            return api(method, path, body);
+        }
+    }
+
+    const text = await response.text();
+    const data = text ? JSON.parse(text) : null;
+    if (!response.ok) {
+        throw new Error(data && data.error ? data.error : `HTTP ${response.status}`);
+    }
+    return data;
+}
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, c => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    }[c]));
+}
+
+function formatPrice(price) {
+    return price != null ? `${Math.round(price)} kr` : '–';
+}
+
+// SQLite CURRENT_TIMESTAMP values are UTC without a zone marker
+function formatIsoDate(value) {
+    return value.includes('T') ? value : value.replace(' ', 'T') + 'Z';
+}
+
+function formatDate(value) {
+    return value ? new Date(formatIsoDate(value)).toLocaleString() : '–';
+}
+
+function showError(container, error) {
+    container.innerHTML = `<p class="error">${escapeHtml(error.message)}</p>`;
+}
+
+function variantLabel(variant) {
+    return [variant.size, variant.grind ? variant.grind.replace('_', ' ') : null].filter(Boolean).join(' · ') || variant.name;
+}
+
+function renderVariants(variants) {
+    if (!variants || variants.length === 0) return '';
+    return `<ul class="variants">${variants.map(v => `
+        <li class="${v.available ? '' : 'unavailable'}">${escapeHtml(variantLabel(v))}: ${formatPrice(v.price)}</li>
+    `).join('')}</ul>`;
+}
+
+// --- Status ---
+
+async function loadStatus() {
+    const status = await api('GET', '/api/status');
+    document.getElementById('status').textContent =
+        `${status.availableProducts} available · ${status.totalFavorites} favorites · last check ${status.lastCheck ? new Date(status.lastCheck).toLocaleString() : 'never'}` +
+        (status.isRunning ? ' · check running…' : '');
+    return status;
+}
+
+async function runCheck() {
+    const button = document.getElementById('check-button');
+    button.disabled = true;
+    button.textContent = 'Checking…';
+    try {
+        await api('POST', '/api/check?wait=true', {});
+        await Promise.all([loadStatus(), loadStock()]);
+    } catch (error) {
+        alert(`Check failed: ${error.message}`);
+    } finally {
+        button.disabled = false;
+        button.textContent = 'Run check';
+    }
+}
+
+// --- Stock ---
+
+async function loadStock() {
+    const container = document.getElementById('stock-list');
+    const params = new URLSearchParams({ limit: 1000 });
+    const search = document.getElementById('stock-search').value.trim();
+    if (search) params.set('q', search);
+    if (document.getElementById('stock-available').checked) params.set('available', 'true');
+
+    try {
+        const products = await api('GET', `/api/products?${params}`);
+        const byRoastery = new Map();
+        for (const product of products) {
+            if (!byRoastery.has(product.roastery_name)) byRoastery.set(product.roastery_name, []);
+            byRoastery.get(product.roastery_name).push(product);
+        }
+
+        if (byRoastery.size === 0) {
+            container.innerHTML = '<p class="muted">No products found.</p>';
+            return;
+        }
+
+        container.innerHTML = Array.from(byRoastery.entries()).map(([roastery, items]) => `
+            <h2>${escapeHtml(roastery)} <span class="muted">(${items.length})</span></h2>
+            <table>
+                <thead><tr><th>Product</th><th>Status</th><th>Variants</th><th>Last checked</th></tr></thead>
+                <tbody>${items.map(p => `
+                    <tr class="clickable" data-product="${p.id}">
+                        <td>${escapeHtml(p.name)}${p.organic ? ' 🌱' : ''}</td>
+                        <td><span class="badge ${p.available ? 'ok' : 'bad'}">${p.available ? 'In stock' : 'Sold out'}</span></td>
+                        <td>${renderVariants(p.variants) || formatPrice(p.current_price)}</td>
+                        <td class="muted">${formatDate(p.checked_at)}</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>
+        `).join('');
+    } catch (error) {
+        showError(container, error);
+    }
+}
+
+// --- Product detail with history chart ---
+
+function renderChart(history, variants) {
+    const series = variants
+        .map((variant, index) => ({
+            label: variantLabel(variant),
+            color: CHART_COLORS[index % CHART_COLORS.length],
+            points: variant.history
+                .filter(h => h.price != null)
+                .map(h => ({ t: new Date(formatIsoDate(h.checked_at)).getTime(), price: h.price, available: !!h.available }))
+        }))
+        .filter(s => s.points.length > 0);
+
+    const rollup = history.map(h => ({ t: new Date(formatIsoDate(h.checked_at)).getTime(), available: !!h.available }));
+    const allPoints = series.flatMap(s => s.points);
+    if (allPoints.length === 0 && rollup.length === 0) {
+        return '<p class="muted">No history recorded yet.</p>';
+    }
+
+    const width = 800, height = 260, pad = { left: 50, right: 10, top: 10, bottom: 30 };
+    const times = [...allPoints.map(p => p.t), ...rollup.map(r => r.t)];
+    const minT = Math.min(...times), maxT = Math.max(...times, minT + 1);
+    const prices = allPoints.map(p => p.price);
+    const minP = prices.length ? Math.min(...prices) * 0.9 : 0;
+    const maxP = prices.length ? Math.max(...prices) * 1.1 : 1;
+
+    const x = t => pad.left + ((t - minT) / (maxT - minT)) * (width - pad.left - pad.right);
+    const y = p => height - pad.bottom - ((p - minP) / (maxP - minP || 1)) * (height - pad.top - pad.bottom);
+
+    // Shade periods where the product (any variant) was available
+    let bands = '';
+    rollup.forEach((point, index) => {
+        if (!point.available) return;
+        const end = index + 1 < rollup.length ? rollup[index + 1].t : maxT;
+        bands += `<rect class="available" x="${x(point.t)}" y="${pad.top}" width="${Math.max(x(end) - x(point.t), 2)}" height="${height - pad.top - pad.bottom}"></rect>`;
+    });
+
+    // Step lines: a price holds until the next observation
+    const lines = series.map(s => {
+        const path = s.points.map((p, i) =>
+            i === 0 ? `M${x(p.t)},${y(p.price)}` : `H${x(p.t)} V${y(p.price)}`
+        ).join(' ') + ` H${x(maxT)}`;
+        return `<path d="${path}" fill="none" stroke="${s.color}" stroke-width="2"></path>` +
+            s.points.filter(p => !p.available).map(p => `<circle cx="${x(p.t)}" cy="${y(p.price)}" r="3" fill="#fff" stroke="${s.color}"></circle>`).join('');
+    }).join('');
+
+    const yTicks = [minP, (minP + maxP) / 2, maxP].map(p =>
+        `<text x="${pad.left - 6}" y="${y(p) + 4}" text-anchor="end">${Math.round(p)}</text>`).join('');
+    const xTicks = [minT, (minT + maxT) / 2, maxT].map(t =>
+        `<text x="${x(t)}" y="${height - 8}" text-anchor="middle">${new Date(t).toLocaleDateString()}</text>`).join('');
+
+    return `
+        <svg class="chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Price and availability history">
+            ${bands}
+            <line class="axis" x1="${pad.left}" y1="${height - pad.bottom}" x2="${width - pad.right}" y2="${height - pad.bottom}"></line>
+            <line class="axis" x1="${pad.left}" y1="${pad.top}" x2="${pad.left}" y2="${height - pad.bottom}"></line>
+            ${lines}${yTicks}${xTicks}
+        </svg>
+        <div class="legend">
+            <span style="--swatch: rgba(46, 125, 50, 0.25)">Available</span>
+            ${series.map(s => `<span style="--swatch: ${s.color}">${escapeHtml(s.label)}</span>`).join('')}
+        </div>`;
+}
+
+async function showProduct(id) {
+    const dialog = document.getElementById('product-dialog');
+    const detail = document.getElementById('product-detail');
+    detail.innerHTML = '<p class="muted">Loading…</p>';
+    dialog.showModal();
+
+    try {
+        const [product, history] = await Promise.all([
+            api('GET', `/api/products/${id}`),
+            api('GET', `/api/products/${id}/history?days=90`)
+        ]);
+        const tags = product.ai_tags;
+
+        detail.innerHTML = `
+            <h2>${escapeHtml(product.name)}</h2>
+            <p class="muted">${escapeHtml(product.roastery_name)} · <a href="${escapeHtml(product.url)}" target="_blank" rel="noopener">shop page</a></p>
+            ${renderChart(history.history, history.variants)}
+            <h2>Variants</h2>
+            ${renderVariants(product.variants) || '<p class="muted">No variants.</p>'}
+            ${tags ? `
+                <h2>AI tags</h2>
+                <p>${escapeHtml([tags.country_of_origin, tags.region, tags.process_method, tags.roast_level, tags.variety].filter(Boolean).join(' · '))}</p>
+                ${tags.flavor_notes.length ? `<p class="muted">${escapeHtml(tags.flavor_notes.join(', '))}</p>` : ''}
+            ` : ''}
+        `;
+    } catch (error) {
+        showError(detail, error);
+    }
+}
+
+// --- Groups ---
+
+async function loadGroups() {
+    const container = document.getElementById('group-list');
+    try {
+        const groups = await api('GET', '/api/groups');
+        if (groups.length === 0) {
+            container.innerHTML = '<p class="muted">No product groups yet. Run <code>ai-tag</code> to group products.</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <table>
+                <thead><tr><th>Group</th><th>Roastery</th><th>Products</th></tr></thead>
+                <tbody>${groups.map(g => `
+                    <tr class="clickable" data-group="${escapeHtml(g.product_group_id)}">
+                        <td>${escapeHtml(g.product_names)}</td>
+                        <td>${escapeHtml(g.roastery_name)}</td>
+                        <td>${g.product_count}</td>
+                    </tr>
+                    <tr hidden data-group-detail="${escapeHtml(g.product_group_id)}"><td colspan="3"></td></tr>`).join('')}
+                </tbody>
+            </table>`;
+    } catch (error) {
+        showError(container, error);
+    }
+}
+
+async function toggleGroup(groupId) {
+    const row = document.querySelector(`[data-group-detail="${CSS.escape(groupId)}"]`);
+    if (!row) return;
+    row.hidden = !row.hidden;
+    if (row.hidden || row.dataset.loaded) return;
+
+    const cell = row.firstElementChild;
+    try {
+        const group = await api('GET', `/api/groups/${encodeURIComponent(groupId)}`);
+        cell.innerHTML = group.products.map(p => `
+            <div class="clickable" data-product="${p.id}">
+                <strong>${escapeHtml(p.name)}</strong>
+                <span class="badge ${p.available ? 'ok' : 'bad'}">${p.available ? 'In stock' : 'Sold out'}</span>
+                ${renderVariants(p.variants)}
+            </div>`).join('');
+        row.dataset.loaded = 'true';
+    } catch (error) {
+        showError(cell, error);
+    }
+}
+
+// --- Favorites ---
+
+async function loadFavorites() {
+    const container = document.getElementById('favorite-list');
+    try {
+        const favorites = await api('GET', '/api/favorites');
+        container.innerHTML = favorites.length === 0 ? '<p class="muted">No favorites yet.</p>' : `
+            <table>
+                <thead><tr><th>Name</th><th>Terms</th><th>Size</th><th>Organic</th><th>Target</th><th>Budget</th><th></th></tr></thead>
+                <tbody>${favorites.map(f => `
+                    <tr>
+                        <td>${escapeHtml(f.name)}<div class="muted">${escapeHtml(f.description)}</div></td>
+                        <td>${escapeHtml(f.terms.join(', '))}</td>
+                        <td>${escapeHtml(f.size_preference)}</td>
+                        <td>${f.organic_only ? '🌱' : ''}</td>
+                        <td>${f.target_price != null ? formatPrice(f.target_price) : ''}</td>
+                        <td>${escapeHtml([
+                            f.max_price != null ? `≤ ${formatPrice(f.max_price)}` : null,
+                            f.max_price_per_kg != null ? `≤ ${formatPrice(f.max_price_per_kg)}/kg` : null
+                        ].filter(Boolean).join(', '))}</td>
+                        <td class="actions">
+                            <button type="button" data-edit-favorite="${f.id}">Edit</button>
+                            <button type="button" data-delete-favorite="${f.id}">Delete</button>
+                        </td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>`;
+        container.favorites = favorites;
+    } catch (error) {
+        showError(container, error);
+    }
+}
+
+function editFavorite(id) {
+    const favorite = document.getElementById('favorite-list').favorites.find(f => f.id === id);
+    const form = document.getElementById('favorite-form');
+    form.elements.id.value = favorite.id;
+    form.elements.name.value = favorite.name;
+    form.elements.terms.value = favorite.terms.join(', ');
+    form.elements.description.value = favorite.description || '';
+    form.elements.sizePreference.value = favorite.size_preference || 'both';
+    form.elements.organicOnly.checked = !!favorite.organic_only;
+    form.elements.targetPrice.value = favorite.target_price ?? '';
+    form.elements.maxPrice.value = favorite.max_price ?? '';
+    form.elements.maxPricePerKg.value = favorite.max_price_per_kg ?? '';
+    form.scrollIntoView({ behavior: 'smooth' });
+}
+
+function optionalPrice(value) {
+    const price = parseFloat(value);
+    return price > 0 ? price : null;
+}
+
+async function saveFavorite(event) {
+    event.preventDefault();
+    const form = event.target;
+    const body = {
+        name: form.elements.name.value,
+        terms: form.elements.terms.value.split(',').map(t => t.trim()).filter(Boolean),
+        description: form.elements.description.value,
+        sizePreference: form.elements.sizePreference.value,
+        organicOnly: form.elements.organicOnly.checked,
+        targetPrice: optionalPrice(form.elements.targetPrice.value),
+        maxPrice: optionalPrice(form.elements.maxPrice.value),
+        maxPricePerKg: optionalPrice(form.elements.maxPricePerKg.value)
+    };
+
+    try {
+        const id = form.elements.id.value;
+        await api(id ? 'PUT' : 'POST', id ? `/api/favorites/${id}` : '/api/favorites', body);
+        form.reset();
+        await loadFavorites();
+    } catch (error) {
+        alert(error.message);
+    }
+}
+
+async function deleteFavorite(id) {
+    if (!confirm('Delete this favorite?')) return;
+    try {
+        await api('DELETE', `/api/favorites/${id}`);
+        await loadFavorites();
+    } catch (error) {
+        alert(error.message);
+    }
+}
+
+// --- Preferences ---
+
+function addDimensionRow(dimension = 'country', value = '', weight = 1) {
+    const row = document.createElement('div');
+    row.className = 'dimension-row';
+    row.innerHTML = `
+        <select name="dimension">${DIMENSIONS.map(d => `<option ${d === dimension ? 'selected' : ''}>${d}</option>`).join('')}</select>
+        <input name="value" placeholder="value (e.g. ethiopia, natural, true)" value="${escapeHtml(value)}">
+        <input name="weight" type="number" step="any" value="${weight}">
+        <button type="button" aria-label="Remove">✕</button>`;
+    row.querySelector('button').addEventListener('click', () => row.remove());
+    document.getElementById('dimension-editor').appendChild(row);
+}
+
+async function loadPreferences() {
+    const form = document.getElementById('preferences-form');
+    try {
+        const preferences = await api('GET', '/api/preferences');
+        form.elements.enabled.checked = !!preferences.enabled;
+        form.elements.min_score.value = preferences.min_score;
+        form.constraints = preferences.constraints;
+
+        document.getElementById('dimension-editor').innerHTML = '';
+        for (const [dimension, weights] of Object.entries(preferences.dimensions)) {
+            for (const [value, weight] of Object.entries(weights)) {
+                addDimensionRow(dimension, value, weight);
+            }
+        }
+        await loadScores();
+    } catch (error) {
+        showError(document.getElementById('score-list'), error);
+    }
+}
+
+async function savePreferences(event) {
+    event.preventDefault();
+    const form = event.target;
+    const dimensions = {};
+
+    for (const row of document.querySelectorAll('.dimension-row')) {
+        const dimension = row.querySelector('[name=dimension]').value;
+        const value = row.querySelector('[name=value]').value.trim();
+        const weight = parseFloat(row.querySelector('[name=weight]').value);
+        if (!value || !Number.isFinite(weight)) continue;
+        dimensions[dimension] = dimensions[dimension] || {};
+        dimensions[dimension][value] = weight;
+    }
+
+    try {
+        await api('PUT', '/api/preferences', {
+            enabled: form.elements.enabled.checked,
+            min_score: parseFloat(form.elements.min_score.value) || 0,
+            dimensions,
+            constraints: form.constraints || []
+        });
+        await loadPreferences();
+    } catch (error) {
+        alert(error.message);
+    }
+}
+
+async function loadScores() {
+    const container = document.getElementById('score-list');
+    try {
+        const scores = await api('GET', '/api/preferences/scores');
+        container.innerHTML = scores.length === 0 ? '<p class="muted">No available products.</p>' : `
+            <table>
+                <thead><tr><th>Score</th><th>Product</th><th>Roastery</th><th>Why</th></tr></thead>
+                <tbody>${scores.map(s => `
+                    <tr class="clickable" data-product="${s.product_id}">
+                        <td><span class="badge ${s.accepted ? 'ok' : 'bad'}">${s.score}</span></td>
+                        <td>${escapeHtml(s.name)}</td>
+                        <td>${escapeHtml(s.roastery_name)}</td>
+                        <td class="muted">${escapeHtml(s.reasons.join(', '))}</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>`;
+    } catch (error) {
+        showError(container, error);
+    }
+}
+
+// --- Wiring ---
+
+const TAB_LOADERS = {
+    stock: loadStock,
+    groups: loadGroups,
+    favorites: loadFavorites,
+    preferences: loadPreferences
+};
+
+function showTab(name) {
+    document.querySelectorAll('nav button').forEach(b => b.classList.toggle('active', b.dataset.tab === name));
+    document.querySelectorAll('.tab').forEach(t => t.classList.toggle('active', t.id === `tab-${name}`));
+    TAB_LOADERS[name]();
+}
+
+document.querySelectorAll('nav button').forEach(button => {
+    button.addEventListener('click', () => showTab(button.dataset.tab));
+});
+
+document.addEventListener('click', event => {
+    const product = event.target.closest('[data-product]');
+    const group = event.target.closest('[data-group]');
+    const edit = event.target.closest('[data-edit-favorite]');
+    const remove = event.target.closest('[data-delete-favorite]');
+
+    if (edit) editFavorite(Number(edit.dataset.editFavorite));
+    else if (remove) deleteFavorite(Number(remove.dataset.deleteFavorite));
+    else if (product) showProduct(product.dataset.product);
+    else if (group) toggleGroup(group.dataset.group);
+});
+
+let searchTimer = null;
+document.getElementById('stock-search').addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(loadStock, 250);
+});
+document.getElementById('stock-available').addEventListener('change', loadStock);
+document.getElementById('check-button').addEventListener('click', runCheck);
+document.getElementById('favorite-form').addEventListener('submit', saveFavorite);
+document.getElementById('preferences-form').addEventListener('submit', savePreferences);
+document.getElementById('add-weight').addEventListener('click', () => addDimensionRow());
+
+loadStatus().catch(error => {
+    document.getElementById('status').textContent = error.message;
+});
+loadStock();
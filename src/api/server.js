@@ -0,0 +1,597 @@
+const http = require('http');
+const path = require('path');
+const fs = require('fs');
+const { normalizeProductAttributes, scoreProduct } = require('../utils/preferences');
+
+const MAX_BODY_SIZE = 1024 * 1024;
+const SIZE_PREFERENCES = ['250g', '1kg', 'both'];
+const PUBLIC_DIR = path.join(__dirname, 'public');
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+class ApiError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * Small JSON REST API on top of a CoffeeMonitor instance.
+ * Exposes products, history, AI tags, product groups, favorites and preferences,
+ * lets clients trigger a product check, and serves the dashboard from ./public.
+ */
+class ApiServer {
+    constructor(monitor, options = {}) {
+        this.monitor = monitor;
+        this.database = monitor.database;
+        this.port = options.port ?? 3000;
+        this.host = options.host || '127.0.0.1';
+        this.token = options.token || null;
+        this.corsOrigin = options.corsOrigin || null;
+        this.server = null;
+        this.currentCheck = null;
+
+        this.routes = [];
+        this.registerRoutes();
+    }
+
+    registerRoutes() {
+        this.route('GET', '/api/status', this.getStatus);
+        this.route('GET', '/api/report', this.getReport);
+        this.route('GET', '/api/sources', this.getSources);
+        this.route('GET', '/api/products', this.listProducts);
+        this.route('GET', '/api/products/:id', this.getProduct);
+        this.route('GET', '/api/products/:id/history', this.getProductHistory);
+        this.route('GET', '/api/products/:id/tags', this.getProductTags);
+        this.route('GET', '/api/groups', this.listGroups);
+        this.route('GET', '/api/groups/:id', this.getGroup);
+        this.route('GET', '/api/favorites', this.listFavorites);
+        this.route('POST', '/api/favorites', this.createFavorite);
+        this.route('GET', '/api/favorites/:id', this.getFavorite);
+        this.route('PUT', '/api/favorites/:id', this.updateFavorite);
+        this.route('DELETE', '/api/favorites/:id', this.deleteFavorite);
+        this.route('GET', '/api/preferences', this.getPreferences);
+        this.route('PUT', '/api/preferences', this.updatePreferences);
+        this.route('GET', '/api/preferences/scores', this.getPreferenceScores);
+        this.route('POST', '/api/check', this.triggerCheck);
+    }
+
+    route(method, pattern, handler) {
+        const keys = [];
+        const regex = new RegExp('^' + pattern.replace(/:(\w+)/g, (match, key) => {
+            keys.push(key);
+            return '([^/]+)';
+        }) + '/?$');
+
+        this.routes.push({ method, regex, keys, handler: handler.bind(this) });
+    }
+
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server = http.createServer((req, res) => {
+                this.handleRequest(req, res).catch(error => {
+                    this.monitor.log('error', 'API request failed', { method: req.method, path: req.url, error: error.message });
+                    if (!res.headersSent) {
+                        this.sendJson(res, 500, { error: 'Internal server error' });
+                    } else {
+                        res.end();
+                    }
+                });
+            });
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                this.server.removeListener('error', reject);
+                this.port = this.server.address().port;
+                resolve(this.server);
+            });
+        });
+    }
+
+    stop() {
+        return new Promise((resolve) => {
+            if (!this.server) {
+                resolve();
+                return;
+            }
+            this.server.close(() => resolve());
+            this.server = null;
+        });
+    }
+
+    async handleRequest(req, res) {
+        const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+        if (this.corsOrigin) {
+            res.setHeader('Access-Control-Allow-Origin', this.corsOrigin);
+            res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+            res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+        }
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        if (!url.pathname.startsWith('/api/') && ['GET', 'HEAD'].includes(req.method)) {
+            this.serveStatic(url.pathname, res);
+            return;
+        }
+
+        try {
+            if (!this.isAuthorized(req)) {
+                throw new ApiError(401, 'Unauthorized');
+            }
+
+            const match = this.matchRoute(req.method, url.pathname);
+            const hasBody = ['POST', 'PUT'].includes(req.method);
+            // Browsers send cross-site text/plain and form posts without a CORS preflight;
+            // only JSON requests can change anything
+            if (hasBody && !this.isJsonRequest(req)) {
+                throw new ApiError(415, 'Content-Type must be application/json');
+            }
+            const body = hasBody ? await this.readBody(req) : null;
+            const result = await match.handler({ params: match.params, query: url.searchParams, body });
+
+            this.sendJson(res, result.status || 200, result.data);
+        } catch (error) {
+            const status = error.status || 500;
+            if (status >= 500) {
+                this.monitor.log('error', 'API request failed', { method: req.method, path: url.pathname, error: error.message });
+            }
+            this.sendJson(res, status, { error: error.message });
+        }
+    }
+
+    matchRoute(method, pathname) {
+        let pathMatched = false;
+
+        for (const route of this.routes) {
+            const match = pathname.match(route.regex);
+            if (!match) continue;
+
+            pathMatched = true;
+            if (route.method !== method) continue;
+
+            const params = {};
+            route.keys.forEach((key, index) => {
+                try {
+                    params[key] = decodeURIComponent(match[index + 1]);
+                } catch (error) {
+                    throw new ApiError(400, `Invalid ${key}: ${match[index + 1]}`);
+                }
+            });
+            return { handler: route.handler, params };
+        }
+
+        if (pathMatched) {
+            throw new ApiError(405, `Method ${method} not allowed`);
+        }
+        throw new ApiError(404, `Not found: ${pathname}`);
+    }
+
+    isAuthorized(req) {
+        if (!this.token) return true;
+        return req.headers.authorization === `Bearer ${this.token}`;
+    }
+
+    isJsonRequest(req) {
+        const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+        return contentType === 'application/json';
+    }
+
+    readBody(req) {
+        return new Promise((resolve, reject) => {
+            let data = '';
+            req.setEncoding('utf8');
+            req.on('data', chunk => {
+                data += chunk;
+                if (data.length > MAX_BODY_SIZE) {
+                    reject(new ApiError(413, 'Request body too large'));
+                    req.destroy();
+                }
+            });
+            req.on('end', () => {
+                if (!data) {
+                    resolve({});
+                    return;
+                }
+                let body;
+                try {
+                    body = JSON.parse(data);
+                } catch (error) {
+                    reject(new ApiError(400, 'Invalid JSON body'));
+                    return;
+                }
+                if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+                    reject(new ApiError(400, 'JSON body must be an object'));
+                    return;
+                }
+                resolve(body);
+            });
+            req.on('error', reject);
+        });
+    }
+
+    /**
+     * Serve dashboard assets. The dashboard itself holds no data, so it is not
+     * behind the token; it asks for the token and sends it with every API call.
+     */
+    serveStatic(pathname, res) {
+        let relativePath;
+        try {
+            relativePath = pathname === '/' ? 'index.html' : decodeURIComponent(pathname).replace(/^\/+/, '');
+        } catch (error) {
+            this.sendJson(res, 400, { error: `Invalid path: ${pathname}` });
+            return;
+        }
+        const filePath = path.resolve(PUBLIC_DIR, relativePath);
+
+        if (!filePath.startsWith(PUBLIC_DIR + path.sep) || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+            this.sendJson(res, 404, { error: `Not found: ${pathname}` });
+            return;
+        }
+
+        res.writeHead(200, {
+            'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream',
+            'Cache-Control': 'no-cache'
+        });
+        fs.createReadStream(filePath).pipe(res);
+    }
+
+    sendJson(res, status, data) {
+        const payload = data === undefined ? '' : JSON.stringify(data);
+        res.writeHead(status, {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Content-Length': Buffer.byteLength(payload)
+        });
+        res.end(payload);
+    }
+
+    parseId(value) {
+        const id = parseInt(value, 10);
+        if (!Number.isInteger(id) || id <= 0 || String(id) !== value) {
+            throw new ApiError(400, `Invalid id: ${value}`);
+        }
+        return id;
+    }
+
+    parseInteger(value, defaultValue, max = null) {
+        if (value === null || value === '') return defaultValue;
+        const number = parseInt(value, 10);
+        if (!Number.isInteger(number) || number < 0) {
+            throw new ApiError(400, `Invalid number: ${value}`);
+        }
+        return max !== null ? Math.min(number, max) : number;
+    }
+
+    async requireProduct(idParam) {
+        const [product] = await this.database.getProductsByIds([this.parseId(idParam)]);
+        if (!product) {
+            throw new ApiError(404, `Product ${idParam} not found`);
+        }
+        return product;
+    }
+
+    async requireFavorite(idParam) {
+        const favorite = await this.database.getFavoriteById(this.parseId(idParam));
+        if (!favorite) {
+            throw new ApiError(404, `Favorite ${idParam} not found`);
+        }
+        return favorite;
+    }
+
+    // --- Handlers ---
+
+    async getStatus() {
+        const status = await this.monitor.getStatus();
+        return { data: { ...status, isRunning: this.monitor.isRunning } };
+    }
+
+    async getReport() {
+        return { data: await this.monitor.getReport() };
+    }
+
+    async getSources({ query }) {
+        const sources = await this.monitor.getSourcesReport({
+            roastery: query.get('roastery'),
+            runs: this.parseInteger(query.get('runs'), 10, 100)
+        });
+        return { data: sources };
+    }
+
+    async listProducts({ query }) {
+        const available = query.get('available');
+        if (available !== null && !['true', 'false'].includes(available)) {
+            throw new ApiError(400, 'available must be true or false');
+        }
+
+        const products = await this.database.getProducts({
+            available: available === null ? null : available === 'true',
+            search: query.get('q'),
+            roastery: query.get('roastery'),
+            limit: this.parseInteger(query.get('limit'), 100, 1000),
+            offset: this.parseInteger(query.get('offset'), 0)
+        });
+        return { data: products };
+    }
+
+    async getProduct({ params }) {
+        const product = await this.requireProduct(params.id);
+        product.ai_tags = await this.database.getAITags(product.id);
+        return { data: product };
+    }
+
+    async getProductHistory({ params, query }) {
+        const product = await this.requireProduct(params.id);
+        const days = this.parseInteger(query.get('days'), 30, 3650);
+
+        const history = await this.database.getProductHistory(product.id, days);
+        const variants = [];
+        for (const variant of product.variants) {
+            variants.push({
+                ...variant,
+                history: await this.database.getVariantHistory(variant.id, days)
+            });
+        }
+
+        const priceEvents = await this.database.getPriceEvents(product.id, days);
+
+        return { data: { product_id: product.id, days, history, variants, price_events: priceEvents } };
+    }
+
+    async getProductTags({ params }) {
+        const product = await this.requireProduct(params.id);
+        const tags = await this.database.getAITags(product.id);
+        if (!tags) {
+            throw new ApiError(404, `Product ${product.id} has no AI tags`);
+        }
+        return { data: tags };
+    }
+
+    async listGroups() {
+        return { data: await this.database.getProductGroups() };
+    }
+
+    async getGroup({ params }) {
+        const products = await this.database.getProductsByGroup(params.id);
+        if (products.length === 0) {
+            throw new ApiError(404, `Product group ${params.id} not found`);
+        }
+        return { data: { product_group_id: params.id, products } };
+    }
+
+    async listFavorites() {
+        return { data: await this.database.getFavorites() };
+    }
+
+    async getFavorite({ params }) {
+        return { data: await this.requireFavorite(params.id) };
+    }
+
+    async createFavorite({ body }) {
+        const favorite = this.validateFavorite(body);
+
+        if (await this.database.getFavoriteByName(favorite.name)) {
+            throw new ApiError(409, `Favorite "${favorite.name}" already exists`);
+        }
+
+        const id = await this.database.addFavorite(
+            favorite.name,
+            favorite.description,
+            favorite.terms,
+            favorite.sizePreference,
+            favorite.organicOnly,
+            favorite.priceLimits
+        );
+        return { status: 201, data: await this.database.getFavoriteById(id) };
+    }
+
+    async updateFavorite({ params, body }) {
+        const existing = await this.requireFavorite(params.id);
+
+        // Fields left out of the body keep their current values
+        const favorite = this.validateFavorite({
+            name: existing.name,
+            description: existing.description,
+            terms: existing.terms,
+            sizePreference: existing.size_preference,
+            organicOnly: !!existing.organic_only,
+            targetPrice: existing.target_price,
+            maxPrice: existing.max_price,
+            maxPricePerKg: existing.max_price_per_kg,
+            ...body
+        });
+
+        const sameName = await this.database.getFavoriteByName(favorite.name);
+        if (sameName && sameName.id !== existing.id) {
+            throw new ApiError(409, `Favorite "${favorite.name}" already exists`);
+        }
+
+        await this.database.updateFavorite(
+            existing.id,
+            favorite.name,
+            favorite.description,
+            favorite.terms,
+            favorite.sizePreference,
+            favorite.organicOnly,
+            favorite.priceLimits
+        );
+        return { data: await this.database.getFavoriteById(existing.id) };
+    }
+
+    async deleteFavorite({ params }) {
+        const favorite = await this.requireFavorite(params.id);
+        await this.database.removeFavorite(favorite.id);
+        return { status: 204 };
+    }
+
+    validateFavorite(body) {
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            throw new ApiError(400, 'Expected a JSON object');
+        }
+
+        const name = typeof body.name === 'string' ? body.name.trim() : '';
+        if (!name) {
+            throw new ApiError(400, 'name is required');
+        }
+
+        let terms = body.terms ?? [];
+        if (typeof terms === 'string') {
+            terms = terms.split(',');
+        }
+        if (!Array.isArray(terms) || terms.some(term => typeof term !== 'string')) {
+            throw new ApiError(400, 'terms must be an array of strings');
+        }
+        terms = terms.map(term => term.trim()).filter(term => term.length > 0);
+
+        // Mirror the CLI: the name is always one of the search terms
+        if (!terms.some(term => term.toLowerCase() === name.toLowerCase())) {
+            terms.unshift(name);
+        }
+
+        const sizePreference = body.sizePreference || 'both';
+        if (!SIZE_PREFERENCES.includes(sizePreference)) {
+            throw new ApiError(400, `sizePreference must be one of ${SIZE_PREFERENCES.join(', ')}`);
+        }
+
+        const priceLimits = {};
+        for (const field of ['targetPrice', 'maxPrice', 'maxPricePerKg']) {
+            const value = body[field] ?? null;
+            if (value !== null && (typeof value !== 'number' || !(value > 0))) {
+                throw new ApiError(400, `${field} must be a positive number or null`);
+            }
+            priceLimits[field] = value;
+        }
+
+        return {
+            name,
+            description: typeof body.description === 'string' ? body.description : '',
+            terms,
+            sizePreference,
+            organicOnly: !!body.organicOnly,
+            priceLimits
+        };
+    }
+
+    async getPreferences() {
+        return { data: this.monitor.config.getPreferencesConfig() };
+    }
+
+    /**
+     * Replace the `preferences` section of config.json.
+     * Dimension weights are { dimension: { value: weight } } with numeric weights.
+     */
+    async updatePreferences({ body }) {
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            throw new ApiError(400, 'Expected a JSON object');
+        }
+
+        const current = this.monitor.config.getPreferencesConfig();
+        const preferences = { ...current, ...body };
+
+        if (typeof preferences.enabled !== 'boolean') {
+            throw new ApiError(400, 'enabled must be a boolean');
+        }
+        if (typeof preferences.min_score !== 'number' || !Number.isFinite(preferences.min_score)) {
+            throw new ApiError(400, 'min_score must be a number');
+        }
+        if (!preferences.dimensions || typeof preferences.dimensions !== 'object' || Array.isArray(preferences.dimensions)) {
+            throw new ApiError(400, 'dimensions must be an object');
+        }
+        const dimensions = {};
+        for (const [dimension, weights] of Object.entries(preferences.dimensions)) {
+            if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+                throw new ApiError(400, `dimensions.${dimension} must be an object of weights`);
+            }
+            dimensions[dimension] = {};
+            for (const [value, weight] of Object.entries(weights)) {
+                if (typeof weight !== 'number' || !Number.isFinite(weight)) {
+                    throw new ApiError(400, `dimensions.${dimension}.${value} must be a number`);
+                }
+                // scoreProduct looks values up in lower case
+                dimensions[dimension][value.trim().toLowerCase()] = weight;
+            }
+        }
+        preferences.dimensions = dimensions;
+        if (!Array.isArray(preferences.constraints)) {
+            throw new ApiError(400, 'constraints must be an array');
+        }
+
+        this.monitor.config.set('preferences', preferences);
+        this.monitor.config.save();
+        this.monitor.log('info', 'Preferences updated via API');
+
+        return { data: this.monitor.config.getPreferencesConfig() };
+    }
+
+    /**
+     * Score every available product against the current weights. Scores are
+     * computed even while preferences are disabled so weights can be tuned first.
+     */
+    async getPreferenceScores() {
+        const preferences = { ...this.monitor.config.getPreferencesConfig(), enabled: true };
+        const products = await this.database.getAvailableProducts();
+
+        const scores = products.map(product => {
+            const attrs = normalizeProductAttributes(product);
+            const { score, accepted, reasons } = scoreProduct(attrs, preferences);
+            return {
+                product_id: product.id,
+                name: product.name,
+                roastery_name: product.roastery_name,
+                score,
+                accepted,
+                reasons,
+                attrs
+            };
+        });
+
+        scores.sort((a, b) => b.score - a.score);
+        return { data: scores };
+    }
+
+    async triggerCheck({ query, body }) {
+        if (this.monitor.isRunning || this.currentCheck) {
+            throw new ApiError(409, 'A product check is already running');
+        }
+
+        const options = {
+            deepScan: !!body.deepScan,
+            forceAll: !!body.forceAll
+        };
+        const startedAt = new Date();
+
+        this.currentCheck = this.monitor.checkProducts(options)
+            .catch(error => {
+                this.monitor.log('error', 'API-triggered check failed', { error: error.message });
+            })
+            .finally(() => {
+                this.currentCheck = null;
+            });
+
+        if (query.get('wait') === 'true') {
+            const results = await this.currentCheck;
+            return {
+                data: {
+                    status: results ? 'completed' : 'failed',
+                    startedAt,
+                    lastCheck: this.monitor.lastCheck,
+                    newProducts: results ? results.newProducts.length : 0,
+                    newlyAvailableFavorites: results ? results.newlyAvailableFavorites.length : 0,
+                    newlyUnavailableFavorites: results ? results.newlyUnavailableFavorites.length : 0
+                }
+            };
+        }
+
+        return { status: 202, data: { status: 'started', startedAt } };
+    }
+}
+
+module.exports = ApiServer;
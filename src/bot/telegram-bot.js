@@ -0,0 +1,410 @@
+const { request } = require('../utils/http');
+const { getPriceLines } = require('../notifications/message');
+
+const API_URL = 'https://api.telegram.org';
+// Telegram's limit is 4096 characters per message
+const MAX_LENGTH = 4096;
+const MAX_PRODUCTS = 15;
+
+/**
+ * Split "/add Etiopia etiopia, ethiopia" style arguments into a name and search
+ * terms. Names with spaces are quoted: /add "Costa Rica" tarrazu, costa.
+ */
+function parseFavoriteArgs(args) {
+    const match = args.match(/^"([^"]+)"\s*(.*)$/) || args.match(/^(\S+)\s*(.*)$/);
+    if (!match) return null;
+
+    const name = match[1].trim();
+    const rest = match[2].trim();
+    const extraTerms = (rest.includes(',') ? rest.split(',') : rest.split(/\s+/))
+        .map(term => term.trim())
+        .filter(term => term.length > 0);
+
+    // The name is a search term too, unless it is already listed
+    const terms = extraTerms.some(term => term.toLowerCase() === name.toLowerCase())
+        ? extraTerms
+        : [name, ...extraTerms];
+
+    return { name, terms, hasTerms: extraTerms.length > 0 };
+}
+
+function formatProduct(product) {
+    const lines = [`• ${product.name}${product.roastery_name ? ` – ${product.roastery_name}` : ''}`];
+    for (const line of getPriceLines({ product })) {
+        lines.push(`   ${line.icon} ${line.text}`);
+    }
+    return lines.join('\n');
+}
+
+function formatDate(timestamp) {
+    return String(timestamp || '').slice(0, 16);
+}
+
+/**
+ * Long-polling Telegram bot on top of a CoffeeMonitor instance, so favorites can
+ * be managed and stock looked up from a phone (`bot` command). Only answers the
+ * whitelisted chats (notifications.telegram.allowedChatIds, default chatId).
+ */
+class TelegramBot {
+    constructor(monitor, options = {}) {
+        this.monitor = monitor;
+        this.token = options.botToken || null;
+        this.allowedChatIds = new Set((options.allowedChatIds || []).map(String));
+        this.pollTimeout = options.pollTimeout ?? 30;
+        this.retryDelay = options.retryDelay ?? 5000;
+        this.apiUrl = options.apiUrl || API_URL;
+        this.offset = 0;
+        this.running = false;
+        this.polling = null;
+        this.abortController = null;
+        this.currentCheck = null;
+
+        this.commands = new Map();
+        this.registerCommands();
+    }
+
+    registerCommands() {
+        this.command('help', 'Vis kommandoane', this.help);
+        this.command('stock', '[søk] – kaffi på lager', this.stock);
+        this.command('favorites', 'Favorittane dine', this.favorites);
+        this.command('add', '<namn> [søkeord, ...] – legg til eller oppdater ein favoritt', this.add);
+        this.command('remove', '<namn> – fjern ein favoritt', this.remove);
+        this.command('check', 'Sjekk butikkane no', this.check);
+        this.command('history', '<produkt> – pris- og lagerhistorikk', this.history);
+        this.commands.set('start', this.commands.get('help'));
+    }
+
+    command(name, description, handler) {
+        this.commands.set(name, { name, description, handler: handler.bind(this) });
+    }
+
+    get database() {
+        return this.monitor.database;
+    }
+
+    /**
+     * Verify the bot token, publish the command list and start polling.
+     * Resolves to the bot's Telegram user.
+     */
+    async start() {
+        if (!this.token) {
+            throw new Error('Telegram bot needs notifications.telegram.botToken (or TELEGRAM_BOT_TOKEN)');
+        }
+        if (this.allowedChatIds.size === 0) {
+            throw new Error('Telegram bot needs notifications.telegram.allowedChatIds or chatId (or TELEGRAM_ALLOWED_CHAT_IDS)');
+        }
+
+        const me = await this.callApi('getMe');
+        const commands = [...new Set(this.commands.values())].map(command => ({
+            command: command.name,
+            description: command.description
+        }));
+        await this.callApi('setMyCommands', { commands }).catch(error => {
+            this.monitor.log('warn', 'Failed to publish Telegram bot commands', { error: error.message });
+        });
+
+        this.running = true;
+        this.abortController = new AbortController();
+        this.polling = this.poll();
+        return me;
+    }
+
+    async stop() {
+        this.running = false;
+        if (this.abortController) {
+            this.abortController.abort();
+        }
+        await this.polling;
+        await this.currentCheck;
+        this.polling = null;
+    }
+
+    async poll() {
+        while (this.running) {
+            let updates;
+            try {
+                updates = await this.callApi('getUpdates', {
+                    offset: this.offset,
+                    timeout: this.pollTimeout,
+                    allowed_updates: ['message']
+                }, { timeout: (this.pollTimeout + 10) * 1000, signal: this.abortController.signal });
+            } catch (error) {
+                if (!this.running) break;
+                this.monitor.log('warn', 'Telegram getUpdates failed, retrying', { error: error.message });
+                await this.sleep(this.retryDelay);
+                continue;
+            }
+
+            for (const update of updates) {
+                this.offset = update.update_id + 1;
+                if (update.message) {
+                    await this.handleMessage(update.message);
+                }
+            }
+        }
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => {
+            const timer = setTimeout(resolve, ms);
+            this.abortController.signal.addEventListener('abort', () => {
+                clearTimeout(timer);
+                resolve();
+            }, { once: true });
+        });
+    }
+
+    async callApi(method, params = {}, options = {}) {
+        let response;
+        try {
+            response = await request(`${this.apiUrl}/bot${this.token}/${method}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(params),
+                timeout: options.timeout || 10000,
+                signal: options.signal || null
+            });
+        } catch (error) {
+            // Error messages carry the URL, and with it the bot token
+            let description = error.message.split(this.token).join('***');
+            try {
+                description = JSON.parse(error.body).description || description;
+            } catch (parseError) {
+                // Not a Telegram error response
+            }
+            throw new Error(`Telegram ${method} failed: ${description}`);
+        }
+
+        const data = JSON.parse(response.body);
+        if (!data.ok) {
+            throw new Error(`Telegram ${method} failed: ${data.description}`);
+        }
+        return data.result;
+    }
+
+    async reply(chatId, text) {
+        const message = text.length > MAX_LENGTH ? `${text.substring(0, 4000)}...` : text;
+        try {
+            await this.callApi('sendMessage', { chat_id: chatId, text: message });
+        } catch (error) {
+            this.monitor.log('error', 'Failed to send Telegram bot reply', { chatId, error: error.message });
+        }
+    }
+
+    async handleMessage(message) {
+        const chatId = String(message.chat.id);
+        const match = (message.text || '').trim().match(/^\/(\w+)(?:@\w+)?\s*([\s\S]*)$/);
+        if (!match) return;
+
+        if (!this.allowedChatIds.has(chatId)) {
+            this.monitor.log('warn', 'Ignored Telegram command from chat that is not allowed', { chatId, command: match[1] });
+            await this.reply(chatId, `⛔ Denne chatten har ikkje tilgang. Be eigaren leggje til chat-ID ${chatId} i notifications.telegram.allowedChatIds.`);
+            return;
+        }
+
+        const command = this.commands.get(match[1].toLowerCase());
+        let text;
+        try {
+            text = command
+                ? await command.handler(match[2].trim(), chatId)
+                : `Ukjend kommando /${match[1]}. Skriv /help for å sjå kommandoane.`;
+        } catch (error) {
+            this.monitor.log('error', 'Telegram bot command failed', { command: match[1], error: error.message });
+            text = `⚠️ Noko gjekk gale: ${error.message}`;
+        }
+
+        if (text) {
+            await this.reply(chatId, text);
+        }
+    }
+
+    async help() {
+        const lines = [...new Set(this.commands.values())].map(command => `/${command.name} ${command.description}`);
+        return `☕ Coffee Monitor\n\n${lines.join('\n')}`;
+    }
+
+    async stock(query) {
+        if (!query) {
+            const report = await this.monitor.getReport();
+            const lines = [`☕ ${report.totalAvailableProducts} kaffiar på lager`];
+
+            if (report.favorites.length > 0) {
+                lines.push('', `⭐ Favorittar på lager (${report.favorites.length}):`);
+                lines.push(...report.favorites.slice(0, MAX_PRODUCTS).map(formatProduct));
+            } else {
+                lines.push('', 'Ingen av favorittane dine er på lager no.');
+            }
+
+            lines.push('', 'Skriv /stock <søk> for å søkje i alle.');
+            return lines.join('\n');
+        }
+
+        const needle = query.toLowerCase();
+        const products = (await this.database.getAvailableProducts()).filter(product =>
+            product.name.toLowerCase().includes(needle) ||
+            (product.roastery_name || '').toLowerCase().includes(needle));
+
+        if (products.length === 0) {
+            return `Ingen kaffi på lager passar «${query}».`;
+        }
+
+        const lines = [`☕ ${products.length} på lager som passar «${query}»:`, ...products.slice(0, MAX_PRODUCTS).map(formatProduct)];
+        if (products.length > MAX_PRODUCTS) {
+            lines.push(`... og ${products.length - MAX_PRODUCTS} fleire`);
+        }
+        return lines.join('\n');
+    }
+
+    async favorites() {
+        const favorites = await this.database.getFavorites();
+        if (favorites.length === 0) {
+            return 'Du har ingen favorittar enno. Legg til ein med /add <namn> [søkeord, ...]';
+        }
+
+        const lines = [`⭐ Favorittane dine (${favorites.length}):`];
+        favorites.forEach((favorite, index) => {
+            lines.push(`${index + 1}. ${favorite.name} – søkeord: ${favorite.terms.join(', ')}`);
+
+            const limits = [
+                favorite.target_price != null ? `målpris ${favorite.target_price} kr` : null,
+                favorite.max_price != null ? `maks ${favorite.max_price} kr` : null,
+                favorite.max_price_per_kg != null ? `maks ${favorite.max_price_per_kg} kr/kg` : null
+            ].filter(Boolean);
+            if (limits.length > 0) {
+                lines.push(`   🎯 ${limits.join(', ')}`);
+            }
+        });
+        return lines.join('\n');
+    }
+
+    async add(args) {
+        const favorite = parseFavoriteArgs(args);
+        if (!favorite) {
+            return 'Bruk: /add <namn> [søkeord, ...]\nTil dømes: /add Etiopia etiopia, ethiopia, yirgacheffe';
+        }
+
+        const existing = await this.findFavorite(favorite.name);
+        if (existing) {
+            if (!favorite.hasTerms) {
+                return `⚠️ «${existing.name}» er allereie ein favoritt (søkeord: ${existing.terms.join(', ')}).`;
+            }
+
+            await this.database.updateFavorite(existing.id, existing.name, existing.description, favorite.terms,
+                existing.size_preference, existing.organic_only, {
+                    targetPrice: existing.target_price,
+                    maxPrice: existing.max_price,
+                    maxPricePerKg: existing.max_price_per_kg
+                });
+            return `✅ Oppdaterte «${existing.name}»\nSøkeord: ${favorite.terms.join(', ')}`;
+        }
+
+        await this.database.addFavorite(favorite.name, '', favorite.terms);
+        return `✅ La til «${favorite.name}»\nSøkeord: ${favorite.terms.join(', ')}`;
+    }
+
+    async remove(name) {
+        if (!name) {
+            return 'Bruk: /remove <namn>';
+        }
+
+        const favorite = await this.findFavorite(name.replace(/^"|"$/g, ''));
+        if (!favorite) {
+            return `⚠️ Fann ingen favoritt som heiter «${name}». Sjå /favorites.`;
+        }
+
+        await this.database.removeFavorite(favorite.id);
+        return `✅ Fjerna «${favorite.name}»`;
+    }
+
+    async findFavorite(name) {
+        const favorites = await this.database.getFavorites();
+        return favorites.find(favorite => favorite.name.toLowerCase() === name.toLowerCase()) || null;
+    }
+
+    /**
+     * Start a product check and answer when it is done; the usual notifications
+     * are sent as well.
+     */
+    async check(args, chatId) {
+        if (this.monitor.isRunning || this.currentCheck) {
+            return '⏳ Ein sjekk køyrer allereie.';
+        }
+
+        this.currentCheck = this.monitor.checkProducts()
+            .then(results => this.reply(chatId, this.formatCheckResults(results)))
+            .catch(error => this.reply(chatId, `⚠️ Sjekken feila: ${error.message}`))
+            .finally(() => {
+                this.currentCheck = null;
+            });
+
+        return '🔍 Sjekkar butikkane no – eg svarar når eg er ferdig.';
+    }
+
+    formatCheckResults(results) {
+        if (!results) {
+            return '⚠️ Sjekken feila. Sjå loggen for detaljar.';
+        }
+
+        const names = (entries) => entries.map(entry => entry.product.name).join(', ');
+        const lines = [
+            results.newProducts.length > 0 ? `🆕 Nye produkt: ${results.newProducts.length}` : null,
+            results.newlyAvailableFavorites.length > 0 ? `⭐ Favorittar tilbake på lager: ${names(results.newlyAvailableFavorites)}` : null,
+            results.newlyUnavailableFavorites.length > 0 ? `📉 Favorittar utselde: ${names(results.newlyUnavailableFavorites)}` : null,
+            results.priceDrops.length > 0 ? `💸 Prisfall: ${results.priceDrops.map(drop => drop.variant.name).join(', ')}` : null
+        ].filter(Boolean);
+
+        return [
+            `✅ Sjekk ferdig – ${results.totalChecked} produkt sjekka`,
+            ...(lines.length > 0 ? lines : ['Ingen endringar.'])
+        ].join('\n');
+    }
+
+    async history(query) {
+        if (!query) {
+            return 'Bruk: /history <produkt>';
+        }
+
+        const products = await this.database.getProductsByNamePattern(query);
+        if (products.length === 0) {
+            return `Fann ingen produkt som passar «${query}».`;
+        }
+
+        const product = products.find(p => p.name.toLowerCase() === query.toLowerCase()) || products[0];
+        const priceEvents = await this.database.getPriceEvents(product.id, 90);
+        const history = await this.database.getProductHistory(product.id, 30);
+
+        const lines = [
+            `📈 ${product.name}${product.roastery_name ? ` – ${product.roastery_name}` : ''}`,
+            `No: ${product.available ? '✅ på lager' : '❌ utselt'}`,
+            ...getPriceLines({ product }).map(line => `${line.icon} ${line.text}`)
+        ];
+
+        if (priceEvents.length > 0) {
+            lines.push('', 'Prisendringar siste 90 dagar:');
+            for (const event of priceEvents.slice(0, 10)) {
+                const label = event.size || (event.variant_name !== product.name ? event.variant_name : null);
+                lines.push(`• ${formatDate(event.detected_at)}: ${label ? `${label} ` : ''}${event.old_price} → ${event.new_price} kr (${event.change_percent > 0 ? '+' : ''}${event.change_percent}%)`);
+            }
+        }
+
+        // Only the checks where availability changed, newest first
+        const changes = [...history].reverse()
+            .filter((entry, index, entries) => index === 0 || !!entry.available !== !!entries[index - 1].available)
+            .reverse();
+        if (changes.length > 0) {
+            lines.push('', 'Lagerstatus siste 30 dagar:');
+            for (const entry of changes.slice(0, 10)) {
+                lines.push(`• ${formatDate(entry.checked_at)}: ${entry.available ? '✅ på lager' : '❌ utselt'}`);
+            }
+        }
+
+        const others = [...new Set(products.filter(p => p !== product).map(p => p.name))];
+        if (others.length > 0) {
+            lines.push('', `Andre treff: ${others.slice(0, 5).join(', ')}`);
+        }
+
+        return lines.join('\n');
+    }
+}
+
+module.exports = TelegramBot;
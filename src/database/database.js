@@ -2,6 +2,17 @@ const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
 
+// PRAGMA user_version from which legacy one-row-per-size products are folded into variants
+const VARIANTS_SCHEMA_VERSION = 1;
+
+// Columns written together by one deep scan or one AI tagging run
+const DEEP_SCAN_COLUMNS = ['deep_scanned', 'full_description', 'processing_method', 'sustainability_info'];
+const AI_TAG_COLUMNS = [
+    'ai_country_of_origin', 'ai_region', 'ai_process_method', 'ai_roast_level', 'ai_variety',
+    'ai_is_organic', 'ai_is_fair_trade', 'ai_is_decaf', 'ai_flavor_notes', 'ai_certifications',
+    'ai_confidence', 'ai_tagged_at'
+];
+
 class Database {
     constructor(dbPath = path.join(__dirname, '../../data/coffee.db')) {
         // Ensure data directory exists
@@ -57,9 +68,30 @@ class Database {
                 id INTEGER PRIMARY KEY AUTOINCREMENT,
                 product_id INTEGER,
                 available BOOLEAN,
+                variant_id INTEGER,
                 price REAL,
                 stock_info TEXT,
                 checked_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY(product_id) REFERENCES products(id),
+                FOREIGN KEY(variant_id) REFERENCES product_variants(id)
+            )`,
+            `CREATE TABLE IF NOT EXISTS product_variants (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                product_id INTEGER NOT NULL,
+                variant_key TEXT NOT NULL,
+                name TEXT NOT NULL,
+                size TEXT,
+                size_grams INTEGER,
+                grind TEXT,
+                sku TEXT,
+                url TEXT,
+                price REAL,
+                available BOOLEAN DEFAULT 0,
+                size_category TEXT,
+                source_url TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(product_id, variant_key),
                 FOREIGN KEY(product_id) REFERENCES products(id)
             )`,
             `CREATE TABLE IF NOT EXISTS user_favorites (
@@ -78,6 +110,73 @@ class Database {
                 created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
                 FOREIGN KEY(favorite_id) REFERENCES user_favorites(id) ON DELETE CASCADE
             )`,
+            `CREATE TABLE IF NOT EXISTS price_events (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                product_id INTEGER NOT NULL,
+                variant_id INTEGER,
+                direction TEXT NOT NULL,
+                old_price REAL NOT NULL,
+                new_price REAL NOT NULL,
+                change_amount REAL NOT NULL,
+                change_percent REAL NOT NULL,
+                old_price_per_kg REAL,
+                new_price_per_kg REAL,
+                detected_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY(product_id) REFERENCES products(id),
+                FOREIGN KEY(variant_id) REFERENCES product_variants(id)
+            )`,
+            `CREATE TABLE IF NOT EXISTS source_health (
+                source_url TEXT PRIMARY KEY,
+                roastery_name TEXT,
+                status TEXT NOT NULL,
+                product_count INTEGER,
+                baseline_count INTEGER,
+                consecutive_failures INTEGER DEFAULT 0,
+                last_error TEXT,
+                last_checked_at DATETIME,
+                last_success_at DATETIME
+            )`,
+            `CREATE TABLE IF NOT EXISTS scrape_runs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                status TEXT NOT NULL DEFAULT 'running',
+                total_sources INTEGER,
+                failed_sources INTEGER DEFAULT 0,
+                product_count INTEGER,
+                error TEXT,
+                started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                finished_at DATETIME
+            )`,
+            `CREATE TABLE IF NOT EXISTS source_runs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                run_id INTEGER,
+                source_url TEXT NOT NULL,
+                roastery_name TEXT,
+                description TEXT,
+                status TEXT NOT NULL,
+                product_count INTEGER,
+                http_status INTEGER,
+                adapter TEXT,
+                attempts INTEGER,
+                duration_ms INTEGER,
+                error TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY(run_id) REFERENCES scrape_runs(id)
+            )`,
+            `CREATE TABLE IF NOT EXISTS digest_queue (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                channel TEXT NOT NULL,
+                event_type TEXT NOT NULL,
+                payload TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`,
+            `CREATE TABLE IF NOT EXISTS notification_outbox (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                channel TEXT NOT NULL,
+                event_type TEXT NOT NULL,
+                payload TEXT NOT NULL,
+                release_at TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`,
             `CREATE TABLE IF NOT EXISTS notifications_sent (
                 id INTEGER PRIMARY KEY AUTOINCREMENT,
                 product_id INTEGER,
@@ -133,6 +232,184 @@ class Database {
         } catch (err) {
             // Index might already exist, ignore
         }
+
+        // availability_history rows are per variant; rows without variant_id are product-level rollups
+        const historyInfo = await this.all("PRAGMA table_info(availability_history)");
+        if (!historyInfo.some(col => col.name === 'variant_id')) {
+            console.log('Adding missing column: availability_history.variant_id');
+            await this.run('ALTER TABLE availability_history ADD COLUMN variant_id INTEGER REFERENCES product_variants(id)');
+        }
+        await this.run('CREATE INDEX IF NOT EXISTS idx_history_product ON availability_history(product_id, variant_id)');
+        await this.run('CREATE INDEX IF NOT EXISTS idx_history_variant ON availability_history(variant_id)');
+
+        // Favorites can carry a target price for price-drop alerts and budget limits
+        const favoriteInfo = await this.all("PRAGMA table_info(user_favorites)");
+        const favoriteColumns = new Set(favoriteInfo.map(col => col.name));
+        for (const columnName of ['target_price', 'max_price', 'max_price_per_kg']) {
+            if (!favoriteColumns.has(columnName)) {
+                console.log(`Adding missing column: user_favorites.${columnName}`);
+                await this.run(`ALTER TABLE user_favorites ADD COLUMN ${columnName} REAL`);
+            }
+        }
+        await this.run('CREATE INDEX IF NOT EXISTS idx_price_events_product ON price_events(product_id, detected_at)');
+        await this.run('CREATE INDEX IF NOT EXISTS idx_source_runs_source ON source_runs(source_url, id)');
+        await this.run('CREATE INDEX IF NOT EXISTS idx_digest_queue_channel ON digest_queue(channel, id)');
+
+        // Cooldowns apply per product group, so notifications record the group they were sent for
+        const notificationInfo = await this.all("PRAGMA table_info(notifications_sent)");
+        if (!notificationInfo.some(col => col.name === 'group_key')) {
+            console.log('Adding missing column: notifications_sent.group_key');
+            await this.run('ALTER TABLE notifications_sent ADD COLUMN group_key TEXT');
+        }
+        await this.run('CREATE INDEX IF NOT EXISTS idx_notifications_sent_group ON notifications_sent(group_key, notification_type, sent_at)');
+
+        // The variant migration runs once per database, not on every start
+        const { user_version: schemaVersion } = await this.get('PRAGMA user_version');
+        if (schemaVersion < VARIANTS_SCHEMA_VERSION) {
+            await this.migrateToVariants();
+            await this.run(`PRAGMA user_version = ${VARIANTS_SCHEMA_VERSION}`);
+        }
+
+        // Backfill group keys once legacy products are merged, so they name the product
+        // (or group) the rows now point to. Also repairs keys of products merged away
+        // by earlier versions, which backfilled before merging.
+        await this.run(`
+            UPDATE notifications_sent
+            SET group_key = COALESCE(
+                (SELECT 'group:' || product_group_id FROM products WHERE id = notifications_sent.product_id AND product_group_id IS NOT NULL),
+                'product:' || product_id
+            )
+            WHERE group_key IS NULL
+               OR (group_key LIKE 'product:%' AND group_key != 'product:' || product_id)
+        `);
+    }
+
+    /**
+     * Fold legacy one-row-per-size products into products with variants.
+     *
+     * Rows from the same roastery that share a base name ("Ethiopia Guji 250g",
+     * "Ethiopia Guji 1kg") become one product with a variant per size/grind. Their
+     * history is re-pointed to the new variants, and a product-level rollup row
+     * is written so the next check sees a continuous availability state. Deep scan
+     * results, AI tags and the group id of merged rows are kept on the merged product.
+     */
+    async migrateToVariants() {
+        const { parseVariantName, getVariantKey } = require('../utils/product-grouping');
+
+        const legacyProducts = await this.all(`
+            SELECT * FROM products p
+            WHERE NOT EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = p.id)
+            ORDER BY p.id
+        `);
+
+        if (legacyProducts.length === 0) {
+            return;
+        }
+
+        console.log(`Migrating ${legacyProducts.length} products to the variant model...`);
+
+        // Group legacy rows by roastery + base name
+        const groups = new Map();
+        for (const product of legacyProducts) {
+            const parsed = parseVariantName(product.name);
+            const key = `${product.roastery_name}|||${parsed.baseName.toLowerCase()}`;
+            if (!groups.has(key)) {
+                groups.set(key, { baseName: parsed.baseName, members: [] });
+            }
+            groups.get(key).members.push({ product, parsed });
+        }
+
+        await this.run('BEGIN TRANSACTION');
+        try {
+            for (const { baseName, members } of groups.values()) {
+                const canonical = members[0].product;
+                const variantIds = new Map();
+
+                for (const { product, parsed } of members) {
+                    const variantKey = getVariantKey(parsed);
+                    const latest = await this.get(
+                        'SELECT available, price FROM availability_history WHERE product_id = ? ORDER BY id DESC LIMIT 1',
+                        [product.id]
+                    );
+
+                    let variantId = variantIds.get(variantKey);
+                    if (!variantId) {
+                        const result = await this.run(`
+                            INSERT INTO product_variants (product_id, variant_key, name, size, size_grams, grind, url, price, available, size_category, source_url, created_at)
+                            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                        `, [
+                            canonical.id, variantKey, product.name, parsed.size, parsed.sizeGrams, parsed.grind,
+                            product.url, latest ? latest.price : product.price, latest ? latest.available : 0,
+                            product.size_category, product.source_url, product.created_at
+                        ]);
+                        variantId = result.id;
+                        variantIds.set(variantKey, variantId);
+                    }
+
+                    await this.run(
+                        'UPDATE availability_history SET product_id = ?, variant_id = ? WHERE product_id = ? AND variant_id IS NULL',
+                        [canonical.id, variantId, product.id]
+                    );
+                    await this.run('UPDATE notifications_sent SET product_id = ? WHERE product_id = ?', [canonical.id, product.id]);
+                    await this.run('UPDATE price_events SET product_id = ? WHERE product_id = ?', [canonical.id, product.id]);
+
+                    if (product.id !== canonical.id) {
+                        await this.copyLegacyProductData(canonical.id, product);
+                        await this.run('DELETE FROM products WHERE id = ?', [product.id]);
+                    }
+                }
+
+                if (canonical.name !== baseName) {
+                    await this.run('UPDATE products SET name = ? WHERE id = ?', [baseName, canonical.id]);
+                }
+
+                // Product-level rollup reflecting the variants' latest state
+                const lastChecked = await this.get(
+                    'SELECT MAX(checked_at) as checked_at FROM availability_history WHERE product_id = ?',
+                    [canonical.id]
+                );
+                const rollup = await this.computeProductAvailability(canonical.id);
+                await this.run(
+                    'INSERT INTO availability_history (product_id, available, price, checked_at) VALUES (?, ?, ?, ?)',
+                    [canonical.id, rollup.available ? 1 : 0, rollup.price, lastChecked?.checked_at || new Date().toISOString()]
+                );
+            }
+
+            await this.run('COMMIT');
+            console.log(`Variant migration complete: ${groups.size} products`);
+        } catch (error) {
+            await this.run('ROLLBACK');
+            throw error;
+        }
+    }
+
+    /**
+     * Copy product-level data from a legacy row that is merged away onto the row it
+     * is merged into, where that row lacks it. Deep scan and AI tag columns are
+     * copied as a set so the result describes one scan or tagging run.
+     */
+    async copyLegacyProductData(targetId, source) {
+        const target = await this.get('SELECT * FROM products WHERE id = ?', [targetId]);
+        const updates = {};
+
+        if (!target.deep_scanned && source.deep_scanned) {
+            for (const column of DEEP_SCAN_COLUMNS) updates[column] = source[column];
+        }
+        if (!target.ai_tagged_at && source.ai_tagged_at) {
+            for (const column of AI_TAG_COLUMNS) updates[column] = source[column];
+        }
+        for (const column of ['description', 'product_group_id']) {
+            if (target[column] == null && source[column] != null) updates[column] = source[column];
+        }
+
+        const columns = Object.keys(updates);
+        if (columns.length === 0) {
+            return;
+        }
+        await this.run(
+            `UPDATE products SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+            [...columns.map(column => updates[column]), targetId]
+        );
     }
 
     async run(query, params = []) {
@@ -194,6 +471,9 @@ class Database {
         }
     }
 
+    /**
+     * Record a product-level availability rollup (variant_id NULL).
+     */
     async recordAvailability(productId, available, price, stockInfo = null) {
         await this.run(
             'INSERT INTO availability_history (product_id, available, price, stock_info) VALUES (?, ?, ?, ?)',
@@ -201,6 +481,99 @@ class Database {
         );
     }
 
+    async saveVariant(productId, variantData) {
+        const { getVariantKey } = require('../utils/product-grouping');
+        const { name, size = null, size_grams = null, grind = null, sku = null, url = null, price = null, available = false, size_category = null, source_url = null } = variantData;
+        const variantKey = variantData.variant_key || getVariantKey(variantData);
+
+        const existing = await this.get(
+            'SELECT id FROM product_variants WHERE product_id = ? AND variant_key = ?',
+            [productId, variantKey]
+        );
+
+        if (existing) {
+            await this.run(
+                'UPDATE product_variants SET name = ?, size = ?, size_grams = ?, grind = ?, sku = ?, url = ?, price = ?, available = ?, size_category = ?, source_url = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [name, size, size_grams, grind, sku, url, price, available ? 1 : 0, size_category, source_url, existing.id]
+            );
+            return existing.id;
+        }
+
+        const result = await this.run(
+            'INSERT INTO product_variants (product_id, variant_key, name, size, size_grams, grind, sku, url, price, available, size_category, source_url) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+            [productId, variantKey, name, size, size_grams, grind, sku, url, price, available ? 1 : 0, size_category, source_url]
+        );
+        return result.id;
+    }
+
+    /**
+     * Record availability for a single variant and keep its current state on the variant row.
+     */
+    async recordVariantAvailability(productId, variantId, available, price, stockInfo = null) {
+        await this.run(
+            'INSERT INTO availability_history (product_id, variant_id, available, price, stock_info) VALUES (?, ?, ?, ?, ?)',
+            [productId, variantId, available ? 1 : 0, price, stockInfo]
+        );
+        await this.run(
+            'UPDATE product_variants SET available = ?, price = COALESCE(?, price), updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [available ? 1 : 0, price, variantId]
+        );
+    }
+
+    /**
+     * Derive product availability from its variants: available if any variant is,
+     * priced at the cheapest available variant (or cheapest overall when sold out).
+     */
+    async computeProductAvailability(productId) {
+        const variants = await this.getVariants(productId);
+        const available = variants.filter(v => v.available);
+        const priced = (available.length > 0 ? available : variants).filter(v => v.price != null);
+
+        return {
+            available: available.length > 0,
+            price: priced.length > 0 ? Math.min(...priced.map(v => v.price)) : null
+        };
+    }
+
+    async recordProductAvailability(productId) {
+        const rollup = await this.computeProductAvailability(productId);
+        await this.recordAvailability(productId, rollup.available ? 1 : 0, rollup.price);
+        return rollup;
+    }
+
+    async getVariants(productId) {
+        return await this.all(
+            'SELECT * FROM product_variants WHERE product_id = ? ORDER BY size_grams IS NULL, size_grams, grind, id',
+            [productId]
+        );
+    }
+
+    /**
+     * Attach `variants` arrays to product rows in a single query.
+     */
+    async attachVariants(products) {
+        if (!products || products.length === 0) return products;
+
+        const ids = products.map(p => p.id);
+        const placeholders = ids.map(() => '?').join(',');
+        const variants = await this.all(
+            `SELECT * FROM product_variants WHERE product_id IN (${placeholders}) ORDER BY size_grams IS NULL, size_grams, grind, id`,
+            ids
+        );
+
+        const byProduct = new Map();
+        for (const variant of variants) {
+            if (!byProduct.has(variant.product_id)) byProduct.set(variant.product_id, []);
+            byProduct.get(variant.product_id).push(variant);
+        }
+
+        for (const product of products) {
+            product.variants = byProduct.get(product.id) || [];
+        }
+
+        return products;
+    }
+
     async getFavorites() {
         const favorites = await this.all('SELECT * FROM user_favorites WHERE notification_enabled = 1');
         
@@ -216,11 +589,16 @@ class Database {
         return favorites;
     }
 
-    async addFavorite(name, description = '', terms = [], sizePreference = 'both', organicOnly = false) {
+    /**
+     * @param {Object} priceLimits - { targetPrice, maxPrice, maxPricePerKg }, each optional (null = no limit)
+     */
+    async addFavorite(name, description = '', terms = [], sizePreference = 'both', organicOnly = false, priceLimits = {}) {
+        const { targetPrice = null, maxPrice = null, maxPricePerKg = null } = priceLimits;
+
         // Insert favorite
         const result = await this.run(
-            'INSERT INTO user_favorites (name, description, size_preference, organic_only) VALUES (?, ?, ?, ?)',
-            [name, description, sizePreference, organicOnly ? 1 : 0]
+            'INSERT INTO user_favorites (name, description, size_preference, organic_only, target_price, max_price, max_price_per_kg) VALUES (?, ?, ?, ?, ?, ?, ?)',
+            [name, description, sizePreference, organicOnly ? 1 : 0, targetPrice, maxPrice, maxPricePerKg]
         );
         
         const favoriteId = result.id;
@@ -244,11 +622,13 @@ class Database {
         return favoriteId;
     }
 
-    async updateFavorite(id, name, description = '', terms = [], sizePreference = 'both', organicOnly = false) {
+    async updateFavorite(id, name, description = '', terms = [], sizePreference = 'both', organicOnly = false, priceLimits = {}) {
+        const { targetPrice = null, maxPrice = null, maxPricePerKg = null } = priceLimits;
+
         // Update the favorite
         await this.run(
-            'UPDATE user_favorites SET name = ?, description = ?, size_preference = ?, organic_only = ? WHERE id = ?',
-            [name, description, sizePreference, organicOnly ? 1 : 0, id]
+            'UPDATE user_favorites SET name = ?, description = ?, size_preference = ?, organic_only = ?, target_price = ?, max_price = ?, max_price_per_kg = ? WHERE id = ?',
+            [name, description, sizePreference, organicOnly ? 1 : 0, targetPrice, maxPrice, maxPricePerKg, id]
         );
         
         // Delete existing terms
@@ -292,6 +672,20 @@ class Database {
         );
     }
 
+    async getFavoriteById(id) {
+        const favorite = await this.get('SELECT * FROM user_favorites WHERE id = ?', [id]);
+
+        if (favorite) {
+            const terms = await this.all(
+                'SELECT term FROM favorite_terms WHERE favorite_id = ?',
+                [favorite.id]
+            );
+            favorite.terms = terms.map(t => t.term);
+        }
+
+        return favorite;
+    }
+
     async getFavoriteByName(name) {
         const favorite = await this.get(
             'SELECT * FROM user_favorites WHERE name = ?',
@@ -316,22 +710,141 @@ class Database {
             JOIN availability_history ah ON p.id = ah.product_id
             WHERE ah.id IN (
                 SELECT MAX(id) FROM availability_history 
+                WHERE variant_id IS NULL
                 GROUP BY product_id
             ) AND ah.available = 1
             ORDER BY ah.checked_at DESC
         `;
-        return await this.all(query);
+        return await this.attachVariants(await this.all(query));
+    }
+
+    /**
+     * Latest state of the given products, with variants attached.
+     */
+    async getProductsByIds(ids) {
+        if (!ids || ids.length === 0) return [];
+
+        const placeholders = ids.map(() => '?').join(',');
+        const query = `
+            SELECT p.*, ah.available, ah.price as current_price, ah.checked_at
+            FROM products p
+            LEFT JOIN availability_history ah ON p.id = ah.product_id
+            WHERE p.id IN (${placeholders})
+            AND ah.id IN (
+                SELECT MAX(id) FROM availability_history 
+                WHERE product_id = p.id AND variant_id IS NULL
+            )
+        `;
+        return await this.attachVariants(await this.all(query, ids));
+    }
+
+    /**
+     * List products with their latest product-level state and variants.
+     *
+     * @param {Object} filters - { available, search, roastery, limit, offset }
+     */
+    async getProducts(filters = {}) {
+        const { available = null, search = null, roastery = null, limit = 100, offset = 0 } = filters;
+        const conditions = [];
+        const params = [];
+
+        if (available !== null) {
+            conditions.push('ah.available = ?');
+            params.push(available ? 1 : 0);
+        }
+        if (search) {
+            conditions.push('p.name LIKE ?');
+            params.push(`%${search}%`);
+        }
+        if (roastery) {
+            conditions.push('p.roastery_name = ?');
+            params.push(roastery);
+        }
+
+        const query = `
+            SELECT p.*, ah.available, ah.price as current_price, ah.checked_at
+            FROM products p
+            JOIN availability_history ah ON p.id = ah.product_id
+            WHERE ah.id IN (
+                SELECT MAX(id) FROM availability_history 
+                WHERE variant_id IS NULL
+                GROUP BY product_id
+            )${conditions.length > 0 ? ` AND ${conditions.join(' AND ')}` : ''}
+            ORDER BY p.roastery_name, p.name
+            LIMIT ? OFFSET ?
+        `;
+        return await this.attachVariants(await this.all(query, [...params, limit, offset]));
+    }
+
+    /**
+     * AI-extracted attributes of a product with JSON columns parsed, or null if untagged.
+     */
+    async getAITags(productId) {
+        const row = await this.get('SELECT * FROM products WHERE id = ?', [productId]);
+        if (!row || !row.ai_tagged_at) {
+            return null;
+        }
+
+        const parseList = (value) => {
+            try {
+                return value ? JSON.parse(value) : [];
+            } catch (error) {
+                return [];
+            }
+        };
+
+        return {
+            country_of_origin: row.ai_country_of_origin,
+            region: row.ai_region,
+            process_method: row.ai_process_method,
+            roast_level: row.ai_roast_level,
+            variety: row.ai_variety,
+            is_organic: !!row.ai_is_organic,
+            is_fair_trade: !!row.ai_is_fair_trade,
+            is_decaf: !!row.ai_is_decaf,
+            flavor_notes: parseList(row.ai_flavor_notes),
+            certifications: parseList(row.ai_certifications),
+            confidence: row.ai_confidence,
+            tagged_at: row.ai_tagged_at,
+            product_group_id: row.product_group_id
+        };
+    }
+
+    async getProductGroups() {
+        return await this.all(`
+            SELECT product_group_id, roastery_name, COUNT(*) as product_count,
+                   GROUP_CONCAT(name, ' | ') as product_names
+            FROM products
+            WHERE product_group_id IS NOT NULL
+            GROUP BY product_group_id, roastery_name
+            ORDER BY roastery_name, product_names
+        `);
+    }
+
+    async getProductsByGroup(productGroupId) {
+        const rows = await this.all('SELECT id FROM products WHERE product_group_id = ?', [productGroupId]);
+        return await this.getProductsByIds(rows.map(r => r.id));
     }
 
     async getProductHistory(productId, days = 30) {
         const query = `
             SELECT * FROM availability_history 
-            WHERE product_id = ? AND checked_at >= datetime('now', '-' || ? || ' days')
+            WHERE product_id = ? AND variant_id IS NULL
+            AND checked_at >= datetime('now', '-' || ? || ' days')
             ORDER BY checked_at DESC
         `;
         return await this.all(query, [productId, days]);
     }
 
+    async getVariantHistory(variantId, days = 30) {
+        const query = `
+            SELECT * FROM availability_history 
+            WHERE variant_id = ? AND checked_at >= datetime('now', '-' || ? || ' days')
+            ORDER BY checked_at DESC
+        `;
+        return await this.all(query, [variantId, days]);
+    }
+
     async getProductsByNamePattern(pattern) {
         const query = `
             SELECT p.*, ah.available, ah.price as current_price, ah.checked_at
@@ -339,17 +852,237 @@ class Database {
             LEFT JOIN availability_history ah ON p.id = ah.product_id
             WHERE p.name LIKE ? AND ah.id IN (
                 SELECT MAX(id) FROM availability_history 
-                WHERE product_id = p.id
+                WHERE product_id = p.id AND variant_id IS NULL
             )
             ORDER BY ah.checked_at DESC
         `;
-        return await this.all(query, [`%${pattern}%`]);
+        return await this.attachVariants(await this.all(query, [`%${pattern}%`]));
+    }
+
+    /**
+     * Compare the latest observation of a variant with the priced one before it.
+     * Returns { oldPrice, newPrice } when the price changed, otherwise null.
+     * Nothing is reported while the latest price is unknown, so a change is only
+     * reported once even when the price fails to scrape on later checks.
+     */
+    async getVariantPriceChange(variantId) {
+        const current = await this.get(
+            'SELECT id, price FROM availability_history WHERE variant_id = ? ORDER BY id DESC LIMIT 1',
+            [variantId]
+        );
+        if (!current || current.price === null) return null;
+
+        const previous = await this.get(`
+            SELECT price FROM availability_history 
+            WHERE variant_id = ? AND id < ? AND price IS NOT NULL
+            ORDER BY id DESC 
+            LIMIT 1
+        `, [variantId, current.id]);
+        if (!previous || previous.price === current.price) return null;
+
+        return { oldPrice: previous.price, newPrice: current.price };
+    }
+
+    async recordPriceEvent(event) {
+        const result = await this.run(
+            `INSERT INTO price_events (product_id, variant_id, direction, old_price, new_price, change_amount, change_percent, old_price_per_kg, new_price_per_kg)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                event.product_id,
+                event.variant_id,
+                event.direction,
+                event.old_price,
+                event.new_price,
+                event.change_amount,
+                event.change_percent,
+                event.old_price_per_kg,
+                event.new_price_per_kg
+            ]
+        );
+        return result.id;
+    }
+
+    async getPriceEvents(productId, days = 30) {
+        return await this.all(`
+            SELECT pe.*, pv.name as variant_name, pv.size, pv.grind
+            FROM price_events pe
+            LEFT JOIN product_variants pv ON pe.variant_id = pv.id
+            WHERE pe.product_id = ? AND pe.detected_at >= datetime('now', '-' || ? || ' days')
+            ORDER BY pe.detected_at DESC, pe.id DESC
+        `, [productId, days]);
+    }
+
+    /**
+     * Whether any variant listed on a source has ever been seen with a price.
+     */
+    async hasPricedHistory(sourceUrl) {
+        const result = await this.get(`
+            SELECT 1 AS found FROM availability_history h
+            JOIN product_variants v ON v.id = h.variant_id
+            WHERE v.source_url = ? AND h.price IS NOT NULL
+            LIMIT 1
+        `, [sourceUrl]);
+        return !!result;
     }
 
-    async recordNotificationSent(productId, notificationType) {
+    async getSourceHealth(sourceUrl) {
+        return await this.get('SELECT * FROM source_health WHERE source_url = ?', [sourceUrl]);
+    }
+
+    async getAllSourceHealth() {
+        return await this.all('SELECT * FROM source_health ORDER BY roastery_name, source_url');
+    }
+
+    /**
+     * Record the outcome of scraping one source. `baseline_count` is only moved
+     * forward by healthy scrapes, so a broken page never becomes the new normal.
+     */
+    async recordSourceHealth(health) {
         await this.run(
-            'INSERT INTO notifications_sent (product_id, notification_type) VALUES (?, ?)',
-            [productId, notificationType]
+            `INSERT INTO source_health (source_url, roastery_name, status, product_count, baseline_count, consecutive_failures, last_error, last_checked_at, last_success_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CASE WHEN ? = 'healthy' THEN CURRENT_TIMESTAMP END)
+             ON CONFLICT(source_url) DO UPDATE SET
+                roastery_name = excluded.roastery_name,
+                status = excluded.status,
+                product_count = excluded.product_count,
+                baseline_count = excluded.baseline_count,
+                consecutive_failures = excluded.consecutive_failures,
+                last_error = excluded.last_error,
+                last_checked_at = excluded.last_checked_at,
+                last_success_at = COALESCE(excluded.last_success_at, source_health.last_success_at)`,
+            [
+                health.source_url,
+                health.roastery_name,
+                health.status,
+                health.product_count,
+                health.baseline_count,
+                health.consecutive_failures,
+                health.last_error,
+                health.status
+            ]
+        );
+    }
+
+    async startScrapeRun(totalSources) {
+        const result = await this.run('INSERT INTO scrape_runs (total_sources) VALUES (?)', [totalSources]);
+        return result.id;
+    }
+
+    async finishScrapeRun(runId, summary) {
+        await this.run(
+            `UPDATE scrape_runs SET status = ?, product_count = ?, failed_sources = ?, error = ?, finished_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [summary.status, summary.product_count, summary.failed_sources, summary.error, runId]
+        );
+    }
+
+    async recordSourceRun(sourceRun) {
+        await this.run(
+            `INSERT INTO source_runs (run_id, source_url, roastery_name, description, status, product_count, http_status, adapter, attempts, duration_ms, error)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                sourceRun.run_id,
+                sourceRun.source_url,
+                sourceRun.roastery_name,
+                sourceRun.description,
+                sourceRun.status,
+                sourceRun.product_count ?? null,
+                sourceRun.http_status ?? null,
+                sourceRun.adapter ?? null,
+                sourceRun.attempts ?? null,
+                sourceRun.duration_ms ?? null,
+                sourceRun.error ?? null
+            ]
+        );
+    }
+
+    async getRecentScrapeRuns(limit = 10) {
+        return await this.all('SELECT * FROM scrape_runs ORDER BY id DESC LIMIT ?', [limit]);
+    }
+
+    /**
+     * Most recent runs of one source, newest first.
+     */
+    async getSourceRuns(sourceUrl, limit = 10) {
+        return await this.all(
+            'SELECT * FROM source_runs WHERE source_url = ? ORDER BY id DESC LIMIT ?',
+            [sourceUrl, limit]
+        );
+    }
+
+    /**
+     * Last success and the current failure streak (runs since the last success) of one source.
+     */
+    async getSourceRunSummary(sourceUrl) {
+        return await this.get(`
+            SELECT
+                COUNT(*) as total_runs,
+                (SELECT MAX(created_at) FROM source_runs WHERE source_url = ? AND status = 'success') as last_success_at,
+                SUM(CASE WHEN id > COALESCE(
+                    (SELECT MAX(id) FROM source_runs WHERE source_url = ? AND status = 'success'), 0
+                ) THEN 1 ELSE 0 END) as failure_streak
+            FROM source_runs
+            WHERE source_url = ?
+        `, [sourceUrl, sourceUrl, sourceUrl]);
+    }
+
+    /**
+     * Queue a notification for a channel in digest mode. `payload` is the notification data as JSON.
+     */
+    async queueDigestEvent(channel, eventType, payload) {
+        const result = await this.run(
+            'INSERT INTO digest_queue (channel, event_type, payload) VALUES (?, ?, ?)',
+            [channel, eventType, payload]
+        );
+        return result.id;
+    }
+
+    /**
+     * Queued notifications of one channel, oldest first.
+     */
+    async getDigestEvents(channel) {
+        return await this.all('SELECT * FROM digest_queue WHERE channel = ? ORDER BY id', [channel]);
+    }
+
+    async deleteDigestEvents(ids) {
+        if (ids.length === 0) return;
+        await this.run(`DELETE FROM digest_queue WHERE id IN (${ids.map(() => '?').join(', ')})`, ids);
+    }
+
+    /**
+     * Hold a notification for a channel in quiet hours until `releaseAt` (ISO timestamp).
+     */
+    async holdNotification(channel, eventType, payload, releaseAt) {
+        const result = await this.run(
+            'INSERT INTO notification_outbox (channel, event_type, payload, release_at) VALUES (?, ?, ?, ?)',
+            [channel, eventType, payload, releaseAt]
+        );
+        return result.id;
+    }
+
+    /**
+     * Held notifications whose release time has passed, oldest first.
+     */
+    async getDueNotifications(now) {
+        return await this.all('SELECT * FROM notification_outbox WHERE release_at <= ? ORDER BY id', [now]);
+    }
+
+    async deleteHeldNotification(id) {
+        await this.run('DELETE FROM notification_outbox WHERE id = ?', [id]);
+    }
+
+    async getHeldNotificationCount() {
+        const result = await this.get('SELECT COUNT(*) as count FROM notification_outbox');
+        return result.count;
+    }
+
+    /**
+     * Record a sent notification for a product and its group (default `product:<id>`).
+     */
+    async recordNotificationSent(productId, notificationType, groupKey = null) {
+        await this.run(
+            'INSERT INTO notifications_sent (product_id, notification_type, group_key) VALUES (?, ?, ?)',
+            [productId, notificationType, groupKey || `product:${productId}`]
         );
     }
 
@@ -363,25 +1096,111 @@ class Database {
         return result.count > 0;
     }
 
-    async getProductAvailabilityChange(productId) {
-        // Get the last two availability records to detect state changes
+    async wasGroupNotifiedRecently(groupKey, notificationType, hoursAgo) {
+        const result = await this.get(`
+            SELECT COUNT(*) as count FROM notifications_sent
+            WHERE group_key = ? AND notification_type = ?
+            AND sent_at >= datetime('now', '-' || ? || ' hours')
+        `, [groupKey, notificationType, hoursAgo]);
+
+        return result.count > 0;
+    }
+
+    /**
+     * Most recent notification of the given types sent for a product group, or undefined.
+     */
+    async getLastGroupNotification(groupKey, notificationTypes) {
+        return await this.get(`
+            SELECT * FROM notifications_sent
+            WHERE group_key = ? AND notification_type IN (${notificationTypes.map(() => '?').join(', ')})
+            ORDER BY id DESC
+            LIMIT 1
+        `, [groupKey, ...notificationTypes]);
+    }
+
+    /**
+     * Availability transition of a product. With `confirmChecks` above 1 a change
+     * only counts once the product has been in its new state for that many
+     * consecutive checks, and is measured against the last state that was held
+     * for that long.
+     */
+    async getProductAvailabilityChange(productId, confirmChecks = 1) {
+        // Enough history to look past a few unconfirmed flaps for the previous state
         const recentHistory = await this.all(`
             SELECT available, checked_at FROM availability_history 
-            WHERE product_id = ? 
-            ORDER BY checked_at DESC 
-            LIMIT 2
-        `, [productId]);
+            WHERE product_id = ? AND variant_id IS NULL
+            ORDER BY id DESC 
+            LIMIT ?
+        `, [productId, confirmChecks * 10]);
         
-        if (recentHistory.length < 2) {
-            // If this is the first or second record, treat current state as "new"
+        return this._describeAvailabilityChange(recentHistory, confirmChecks);
+    }
+
+    /**
+     * Unavailable products that were available within their last `confirmChecks`
+     * product-level records: sold out, but not for long enough to announce it.
+     */
+    async getProductsAwaitingConfirmation(confirmChecks) {
+        const products = await this.all(`
+            SELECT p.* FROM products p
+            WHERE (
+                SELECT available FROM availability_history
+                WHERE product_id = p.id AND variant_id IS NULL
+                ORDER BY id DESC LIMIT 1
+            ) = 0
+            AND EXISTS (
+                SELECT 1 FROM (
+                    SELECT available FROM availability_history
+                    WHERE product_id = p.id AND variant_id IS NULL
+                    ORDER BY id DESC LIMIT ?
+                ) WHERE available = 1
+            )
+        `, [confirmChecks]);
+        return await this.attachVariants(products);
+    }
+
+    async getVariantAvailabilityChange(variantId) {
+        const recentHistory = await this.all(`
+            SELECT available, checked_at FROM availability_history 
+            WHERE variant_id = ?
+            ORDER BY id DESC 
+            LIMIT 2
+        `, [variantId]);
+
+        return this._describeAvailabilityChange(recentHistory);
+    }
+
+    _describeAvailabilityChange(recentHistory, confirmChecks = 1) {
+        // The newest `confirmChecks` records must agree before a change counts
+        const confirmed = recentHistory.slice(0, confirmChecks);
+        if (confirmed.length < confirmChecks || confirmed.some(record => record.available !== confirmed[0].available)) {
             return {
-                isNewlyAvailable: recentHistory.length > 0 && recentHistory[0].available === 1,
-                isNewlyUnavailable: recentHistory.length > 0 && recentHistory[0].available === 0,
-                isStateChange: recentHistory.length === 1 // First time seeing this product
+                isNewlyAvailable: false,
+                isNewlyUnavailable: false,
+                isStateChange: false
+            };
+        }
+
+        if (recentHistory.length === confirmChecks) {
+            // No earlier record: this is the first time seeing this product, treat current state as "new"
+            return {
+                isNewlyAvailable: recentHistory[0].available === 1,
+                isNewlyUnavailable: recentHistory[0].available === 0,
+                isStateChange: true
             };
         }
         
-        const [current, previous] = recentHistory;
+        // The previous state is the newest earlier run of `confirmChecks` agreeing
+        // records; shorter runs in between were flaps that never counted
+        const current = recentHistory[0];
+        let previous = recentHistory[recentHistory.length - 1];
+        for (let i = confirmChecks, run = 0; i < recentHistory.length; i++) {
+            run = i > confirmChecks && recentHistory[i].available === recentHistory[i - 1].available ? run + 1 : 1;
+            if (run === confirmChecks) {
+                previous = recentHistory[i];
+                break;
+            }
+        }
         const isNewlyAvailable = current.available === 1 && previous.available === 0;
         const isNewlyUnavailable = current.available === 0 && previous.available === 1;
         const isStateChange = current.available !== previous.available;
@@ -479,6 +1298,13 @@ class Database {
         return null;
     }
 
+    /**
+     * Write a consistent copy of the database to a new file.
+     */
+    async snapshotTo(filePath) {
+        await this.run('VACUUM INTO ?', [filePath]);
+    }
+
     async close() {
         if (this.db) {
             return new Promise((resolve, reject) => {
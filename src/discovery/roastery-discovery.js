@@ -1,11 +1,15 @@
 const puppeteer = require('puppeteer');
 const cheerio = require('cheerio');
 const { URL } = require('url');
+const { fetchJson } = require('../utils/http');
 
 class RoasteryDiscovery {
-    constructor() {
+    /**
+     * @param {Object} options - { page } to reuse an existing Puppeteer page instead of launching a browser
+     */
+    constructor(options = {}) {
         this.browser = null;
-        this.page = null;
+        this.page = options.page || null;
     }
 
     async init() {
@@ -29,6 +33,7 @@ class RoasteryDiscovery {
             shopUrls: [],
             selectors: {},
             platforms: [],
+            platform: 'selectors',
             confidence: 'low'
         };
 
@@ -49,6 +54,9 @@ class RoasteryDiscovery {
             // 2. Detect platform
             results.platforms = this.detectPlatforms($, content);
 
+            // 2b. Prefer a JSON product feed adapter when the platform exposes one
+            results.platform = await this.detectFeedPlatform(baseUrl, results.platforms);
+
             // 3. Find potential shop URLs
             results.shopUrls = await this.findShopUrls($, baseUrl);
 
@@ -129,6 +137,32 @@ class RoasteryDiscovery {
         return platforms;
     }
 
+    /**
+     * Probe the public product feeds of detected platforms. Returns the adapter
+     * name to configure ("shopify", "woocommerce") or "selectors" if no feed answers.
+     */
+    async detectFeedPlatform(baseUrl, platforms) {
+        const origin = new URL(baseUrl).origin;
+        const probes = [
+            { platform: 'shopify', url: `${origin}/products.json?limit=1`, check: data => Array.isArray(data?.products) },
+            { platform: 'woocommerce', url: `${origin}/wp-json/wc/store/v1/products?per_page=1`, check: data => Array.isArray(data) }
+        ].filter(probe => platforms.includes(probe.platform));
+
+        for (const probe of probes) {
+            try {
+                const { data } = await fetchJson(probe.url, { timeout: 10000 });
+                if (probe.check(data)) {
+                    console.log(`   ✅ ${probe.platform} product feed available`);
+                    return probe.platform;
+                }
+            } catch (error) {
+                console.log(`   ⚠️  ${probe.platform} product feed not available: ${error.message}`);
+            }
+        }
+
+        return 'selectors';
+    }
+
     async findShopUrls($, baseUrl) {
         const potentialUrls = new Set();
         const baseUrlObj = new URL(baseUrl);
@@ -295,58 +329,78 @@ class RoasteryDiscovery {
         };
     }
 
-    async testSelectors(shopUrl, selectors) {
-        try {
-            console.log(`🧪 Testing selectors on ${shopUrl}...`);
-            await this.page.goto(shopUrl, { 
-                waitUntil: 'networkidle2',
-                timeout: 30000 
-            });
-
-            await new Promise(resolve => setTimeout(resolve, 2000));
-            const content = await this.page.content();
-            const $ = cheerio.load(content);
-
-            const products = [];
-            const $products = $(selectors.productContainer);
-
-            console.log(`   Found ${$products.length} potential product elements`);
-
-            let successCount = 0;
-            $products.slice(0, 5).each((i, el) => {
-                const $el = $(el);
-                
-                const name = this.extractText($, $el, selectors.name.split(', '));
-                const price = this.extractPrice($, $el, selectors.price.split(', '));
-                const url = this.extractUrl($, $el, selectors.link.split(', '), shopUrl);
-
-                if (name) {
-                    products.push({ name, price, url });
-                    successCount++;
-                }
-            });
-
-            const confidence = successCount >= 3 ? 'high' : 
-                            successCount >= 1 ? 'medium' : 'low';
+    /**
+     * Load a page in the discovery browser and return its parsed HTML.
+     */
+    async loadPage(url) {
+        if (!this.page) {
+            await this.init();
+        }
 
-            console.log(`   ✅ Successfully parsed ${successCount} products (confidence: ${confidence})`);
+        await this.page.goto(url, { 
+            waitUntil: 'networkidle2',
+            timeout: 30000 
+        });
 
-            return {
-                confidence,
-                selectors,
-                products: products.slice(0, 3) // Return sample products
-            };
+        await new Promise(resolve => setTimeout(resolve, 2000));
+        const content = await this.page.content();
+        return { $: cheerio.load(content), content };
+    }
 
+    async testSelectors(shopUrl, selectors) {
+        try {
+            console.log(`🧪 Testing selectors on ${shopUrl}...`);
+            const { $ } = await this.loadPage(shopUrl);
+            return this.evaluateSelectors($, shopUrl, selectors);
         } catch (error) {
             console.log(`   ❌ Testing failed: ${error.message}`);
             return {
                 confidence: 'low',
                 selectors,
+                containerCount: 0,
+                successCount: 0,
                 products: []
             };
         }
     }
 
+    /**
+     * Parse the first few product elements of an already loaded page with the given selectors.
+     */
+    evaluateSelectors($, shopUrl, selectors) {
+        const products = [];
+        const $products = $(selectors.productContainer);
+
+        console.log(`   Found ${$products.length} potential product elements`);
+
+        let successCount = 0;
+        $products.slice(0, 5).each((i, el) => {
+            const $el = $(el);
+            
+            const name = this.extractText($, $el, (selectors.name || '').split(', '));
+            const price = this.extractPrice($, $el, (selectors.price || '').split(', '));
+            const url = this.extractUrl($, $el, (selectors.link || 'a').split(', '), shopUrl);
+
+            if (name) {
+                products.push({ name, price, url });
+                successCount++;
+            }
+        });
+
+        const confidence = successCount >= 3 ? 'high' : 
+                        successCount >= 1 ? 'medium' : 'low';
+
+        console.log(`   ✅ Successfully parsed ${successCount} products (confidence: ${confidence})`);
+
+        return {
+            confidence,
+            selectors,
+            containerCount: $products.length,
+            successCount,
+            products: products.slice(0, 3) // Return sample products
+        };
+    }
+
     extractText($, $el, selectors) {
         for (const selector of selectors) {
             if (!selector) continue;
@@ -0,0 +1,103 @@
+const RoasteryDiscovery = require('./roastery-discovery');
+
+const SELECTOR_KEYS = ['productContainer', 'name', 'price', 'link', 'availability'];
+
+/**
+ * Look at the selector stats of one listing page scrape for signs that the shop's
+ * markup changed. `previousCount` is the product count of the last healthy scrape:
+ * an empty page is only drift when the source used to list products. Likewise,
+ * missing prices are only drift when the source has had prices (`hadPrices`).
+ *
+ * @param {{ containers: number, named: number, priced: number }} stats - from SelectorAdapter
+ * @returns {string[]} Reasons, empty when the selectors look fine
+ */
+function detectSelectorDrift(stats, previousCount = 0, hadPrices = false) {
+    if (!stats) return [];
+
+    if (stats.containers === 0) {
+        return previousCount > 0 ? ['Product container selector matched nothing'] : [];
+    }
+    if (stats.named === 0) {
+        return previousCount > 0 ? [`Found ${stats.containers} product elements, but no names matched`] : [];
+    }
+    if (stats.priced === 0) {
+        return hadPrices ? [`All ${stats.named} products are missing a price`] : [];
+    }
+
+    return [];
+}
+
+/**
+ * Selector keys whose proposed value differs from the configured one.
+ */
+function diffSelectors(current = {}, proposed = {}) {
+    return SELECTOR_KEYS
+        .filter(key => (proposed[key] || '') !== (current[key] || ''))
+        .map(key => ({ key, from: current[key] || '', to: proposed[key] || '' }));
+}
+
+/**
+ * Render selector changes as a unified-diff style snippet of config.json.
+ */
+function formatSelectorDiff(roasteryName, changes) {
+    const lines = [`roasteries["${roasteryName}"].selectors`];
+    for (const change of changes) {
+        lines.push(`- "${change.key}": ${JSON.stringify(change.from)}`);
+        lines.push(`+ "${change.key}": ${JSON.stringify(change.to)}`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Proposes new selectors for a listing page that the configured ones no longer
+ * match, using the same platform detection and selector testing as `discover`.
+ */
+class SelectorRepair {
+    /**
+     * @param {Object} options - { page } to reuse an existing Puppeteer page
+     */
+    constructor(options = {}) {
+        this.discovery = new RoasteryDiscovery({ page: options.page });
+    }
+
+    /**
+     * @returns {Promise<Object|null>} { url, platforms, current, proposed, confidence, changes, sampleProducts },
+     *   or null when no better selectors were found
+     */
+    async propose(url, roasteryConfig) {
+        const { $, content } = await this.discovery.loadPage(url);
+        const platforms = this.discovery.detectPlatforms($, content);
+
+        const currentSelectors = roasteryConfig.selectors || {};
+        const current = this.discovery.evaluateSelectors($, url, {
+            link: 'a',
+            ...currentSelectors
+        });
+        const proposed = this.discovery.evaluateSelectors($, url, this.discovery.generateSelectors(platforms));
+
+        if (proposed.confidence === 'low' || proposed.successCount <= current.successCount) {
+            return null;
+        }
+
+        return {
+            url,
+            platforms,
+            current: { confidence: current.confidence, successCount: current.successCount },
+            proposed: proposed.selectors,
+            confidence: proposed.confidence,
+            changes: diffSelectors(currentSelectors, proposed.selectors),
+            sampleProducts: proposed.products
+        };
+    }
+
+    async close() {
+        await this.discovery.close();
+    }
+}
+
+module.exports = {
+    SelectorRepair,
+    detectSelectorDrift,
+    diffSelectors,
+    formatSelectorDiff
+};
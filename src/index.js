@@ -5,8 +5,11 @@ const { hideBin } = require('yargs/helpers');
 const CoffeeMonitor = require('./monitor');
 const Config = require('./utils/config');
 const RoasteryDiscovery = require('./discovery/roastery-discovery');
+const { SelectorRepair, formatSelectorDiff } = require('./discovery/selector-repair');
 const { tagProducts, showAITaggedProducts } = require('./commands/ai-tag');
 const { backfillProductGroups } = require('./commands/backfill-product-groups');
+const ApiServer = require('./api/server');
+const TelegramBot = require('./bot/telegram-bot');
 const path = require('path');
 const fs = require('fs');
 
@@ -17,10 +20,13 @@ const argv = yargs(hideBin(process.argv))
         type: 'string'
     })
     .example('node src/index.js discover -u "https://example-roastery.no"', 'Analyze roastery and ask to add to config')
+    .example('node src/index.js discover --repair "Example Roastery"', 'Propose and apply new selectors after a shop redesign')
     .example('node src/index.js check', 'Run a one-time product check across configured roasteries')
     .example('node src/index.js check --deep-scan', 'Check products and deep scan new ones for detailed info')
     .example('node src/index.js check --deep-scan --force-all', 'Deep scan all products (slower, more detailed)')
     .example('node src/index.js favorites --list', 'List all configured favorites')
+    .example('node src/index.js serve --port 3000 --schedule', 'Serve the REST API and run scheduled checks')
+    .example('node src/index.js bot --schedule', 'Answer Telegram commands and run scheduled checks')
     .command('check', 'Run a one-time product check', {
         'deep-scan': {
             description: 'Fetch detailed information from individual product pages',
@@ -31,19 +37,82 @@ const argv = yargs(hideBin(process.argv))
             description: 'Force deep scan all products (when used with --deep-scan)',
             type: 'boolean', 
             default: false
+        },
+        'record': {
+            description: 'Archive the fetched pages, parsed products and notifications of this run under data/runs/<run-id>',
+            type: 'boolean',
+            default: false
+        },
+        'replay': {
+            description: 'Re-run a recorded run from its archive, offline, and show what changed',
+            type: 'number'
         }
     }, async (argv) => {
+        if (argv.replay !== undefined) {
+            await replayCheck(argv);
+            return;
+        }
         await runCheck(argv);
     })
     .command('start', 'Start scheduled monitoring', {}, async (argv) => {
         await startMonitoring(argv);
     })
+    .command('serve', 'Start the local HTTP REST API', {
+        'port': {
+            alias: 'p',
+            description: 'Port to listen on (default from config, 3000)',
+            type: 'number'
+        },
+        'host': {
+            description: 'Interface to bind to (default from config, 127.0.0.1)',
+            type: 'string'
+        },
+        'schedule': {
+            description: 'Also run scheduled checks while serving',
+            type: 'boolean',
+            default: false
+        }
+    }, async (argv) => {
+        await startServer(argv);
+    })
+    .command('bot', 'Run the Telegram bot for managing favorites and querying stock', {
+        'schedule': {
+            description: 'Also run scheduled checks while the bot is running',
+            type: 'boolean',
+            default: false
+        }
+    }, async (argv) => {
+        await startBot(argv);
+    })
+    .command('digest', 'Send the queued notifications of channels in digest mode now', {
+        'channel': {
+            description: 'Only send the digest of this channel',
+            type: 'string'
+        }
+    }, async (argv) => {
+        await sendDigests(argv);
+    })
     .command('report', 'Show current product availability report', {}, async (argv) => {
         await showReport(argv);
     })
     .command('status', 'Show monitoring status', {}, async (argv) => {
         await showStatus(argv);
     })
+    .command('sources', 'Show scrape history per shop URL', {
+        'roastery': {
+            alias: 'r',
+            description: 'Only show sources for this roastery',
+            type: 'string'
+        },
+        'runs': {
+            alias: 'n',
+            description: 'Number of recent runs to show in the product-count trend',
+            type: 'number',
+            default: 10
+        }
+    }, async (argv) => {
+        await showSources(argv);
+    })
     .command('favorites', 'Manage favorite coffee categories with multiple search terms', {
         'list': {
             alias: 'l',
@@ -81,6 +150,19 @@ const argv = yargs(hideBin(process.argv))
             description: 'Only notify for organic products',
             type: 'boolean'
         },
+        'target-price': {
+            alias: 'p',
+            description: 'Alert when a matching coffee drops to or below this price in kr (0 clears it)',
+            type: 'number'
+        },
+        'max-price': {
+            description: 'Only notify when a matching size costs at most this many kr (0 clears it)',
+            type: 'number'
+        },
+        'max-price-per-kg': {
+            description: 'Only notify when a matching size costs at most this many kr per kg (0 clears it)',
+            type: 'number'
+        },
         'update': {
             alias: 'u',
             description: 'Update existing favorite if it exists (default behavior)',
@@ -96,9 +178,12 @@ const argv = yargs(hideBin(process.argv))
     .command('discover', 'Auto-discover roastery configuration from URL', {
         'url': {
             alias: 'u',
-            description: 'Base URL of the roastery website',
-            type: 'string',
-            demandOption: true
+            description: 'Base URL of the roastery website (with --repair: the shop URL to repair against)',
+            type: 'string'
+        },
+        'repair': {
+            description: 'Propose new selectors for a configured roastery whose selectors stopped matching',
+            type: 'string'
         },
         'test': {
             alias: 't',
@@ -107,7 +192,14 @@ const argv = yargs(hideBin(process.argv))
             default: true
         }
     }, async (argv) => {
-        await discoverRoastery(argv);
+        if (argv.repair) {
+            await repairRoastery(argv);
+        } else if (argv.url) {
+            await discoverRoastery(argv);
+        } else {
+            console.error('❌ Provide --url to discover a roastery or --repair <roastery> to repair one');
+            process.exit(1);
+        }
     })
     .command('ai-tag', 'Tag products with AI-extracted attributes', {
         'dry-run': {
@@ -164,11 +256,17 @@ async function runCheck(argv) {
         
         const options = {
             deepScan: argv['deep-scan'],
-            forceAll: argv['force-all']
+            forceAll: argv['force-all'],
+            record: argv.record
         };
         
         await monitor.checkProducts(options);
         console.log('✅ Check completed successfully');
+        if (argv.record) {
+            const [run] = await monitor.database.getRecentScrapeRuns(1);
+            console.log(`📼 Recorded as run ${run.id} in ${path.join(monitor.getRunsDir(), String(run.id))}`);
+            console.log(`   Replay it with: check --replay ${run.id}`);
+        }
     } catch (error) {
         console.error('❌ Check failed:', error.message);
         process.exit(1);
@@ -179,6 +277,53 @@ async function runCheck(argv) {
     }
 }
 
+async function replayCheck(argv) {
+    let monitor;
+    try {
+        monitor = new CoffeeMonitor(argv.config);
+        await monitor.initialize();
+
+        console.log(`📼 Replaying run ${argv.replay}...`);
+        const report = await monitor.replayRun(argv.replay);
+
+        console.log(`\n📼 Replay of run ${report.runId} (recorded ${new Date(report.recordedAt).toLocaleString()})`);
+        console.log('=' .repeat(30));
+
+        for (const source of report.sources) {
+            console.log(`\n🏪 ${source.roastery}: ${source.description}`);
+            console.log(`   ${source.url}`);
+
+            if (source.recordedError || source.replayedError) {
+                console.log(`   Error then: ${source.recordedError || 'none'}`);
+                console.log(`   Error now:  ${source.replayedError || 'none'}`);
+            }
+            console.log(`   Products: ${source.recordedCount ?? '✗'} recorded, ${source.replayedCount ?? '✗'} replayed`);
+
+            source.added.forEach(name => console.log(`   + ${name}`));
+            source.removed.forEach(name => console.log(`   - ${name}`));
+            source.changed.forEach(change => console.log(`   ~ ${change.name}: ${change.field} ${JSON.stringify(change.from)} → ${JSON.stringify(change.to)}`));
+            if (source.added.length + source.removed.length + source.changed.length === 0) {
+                console.log('   No differences');
+            }
+        }
+
+        const { notifications } = report;
+        console.log(`\n🔔 Notifications: ${notifications.recorded.length} recorded, ${notifications.replayed.length} replayed`);
+        notifications.added.forEach(line => console.log(`   + ${line}`));
+        notifications.removed.forEach(line => console.log(`   - ${line}`));
+        if (notifications.added.length + notifications.removed.length === 0) {
+            console.log('   No differences');
+        }
+    } catch (error) {
+        console.error('❌ Replay failed:', error.message);
+        process.exit(1);
+    } finally {
+        if (monitor) {
+            await monitor.close();
+        }
+    }
+}
+
 async function startMonitoring(argv) {
     let monitor;
     try {
@@ -221,6 +366,96 @@ async function startMonitoring(argv) {
     }
 }
 
+async function startServer(argv) {
+    let monitor;
+    let server;
+    try {
+        console.log('🌐 Starting Coffee Monitor API...');
+        monitor = new CoffeeMonitor(argv.config);
+        await monitor.initialize();
+        
+        const apiConfig = monitor.config.getApiConfig();
+        server = new ApiServer(monitor, {
+            ...apiConfig,
+            port: argv.port !== undefined ? argv.port : apiConfig.port,
+            host: argv.host || apiConfig.host
+        });
+        await server.start();
+        
+        console.log(`✅ Dashboard and API listening on http://${server.host}:${server.port}/`);
+        if (!apiConfig.token) {
+            console.log('⚠️  No api.token configured - the API is open to anyone who can reach it');
+        }
+        
+        if (argv.schedule) {
+            monitor.startScheduled();
+            console.log(`⏰ Scheduled checks: ${monitor.config.getMonitoringConfig().checkInterval}`);
+        }
+        
+        const gracefulShutdown = async () => {
+            console.log('\n🛑 Shutting down...');
+            await server.stop();
+            await monitor.close();
+            process.exit(0);
+        };
+        
+        process.on('SIGINT', gracefulShutdown);
+        process.on('SIGTERM', gracefulShutdown);
+        
+    } catch (error) {
+        console.error('❌ Failed to start API server:', error.message);
+        if (server) {
+            await server.stop();
+        }
+        if (monitor) {
+            await monitor.close();
+        }
+        process.exit(1);
+    }
+}
+
+async function startBot(argv) {
+    let monitor;
+    let bot;
+    try {
+        console.log('🤖 Starting Telegram bot...');
+        monitor = new CoffeeMonitor(argv.config);
+        await monitor.initialize();
+        
+        const botConfig = monitor.config.getTelegramBotConfig();
+        bot = new TelegramBot(monitor, botConfig);
+        const me = await bot.start();
+        
+        console.log(`✅ @${me.username} is answering chats: ${botConfig.allowedChatIds.join(', ')}`);
+        console.log('   Commands: /stock, /favorites, /add, /remove, /check, /history');
+        
+        if (argv.schedule) {
+            monitor.startScheduled();
+            console.log(`⏰ Scheduled checks: ${monitor.config.getMonitoringConfig().checkInterval}`);
+        }
+        
+        const gracefulShutdown = async () => {
+            console.log('\n🛑 Shutting down...');
+            await bot.stop();
+            await monitor.close();
+            process.exit(0);
+        };
+        
+        process.on('SIGINT', gracefulShutdown);
+        process.on('SIGTERM', gracefulShutdown);
+        
+    } catch (error) {
+        console.error('❌ Failed to start Telegram bot:', error.message);
+        if (bot) {
+            await bot.stop();
+        }
+        if (monitor) {
+            await monitor.close();
+        }
+        process.exit(1);
+    }
+}
+
 async function showReport(argv) {
     let monitor;
     try {
@@ -269,7 +504,7 @@ async function showReport(argv) {
             if (report.favorites.length > 0) {
                 console.log('\n☕ Available Favorite Products:');
                 report.favorites.forEach(product => {
-                    console.log(`   • ${product.name} (${product.current_price || 'N/A'} kr)`);
+                    console.log(`   • ${product.name} (${formatVariantPrices(product)})`);
                     console.log(`     Pattern: "${product.favoritePattern}"`);
                     if (product.url) console.log(`     URL: ${product.url}`);
                     console.log('');
@@ -282,7 +517,7 @@ async function showReport(argv) {
         if (report.products.length > 0) {
             console.log('\n🛍️  Recently Available Products (max 20):');
             report.products.slice(0, 10).forEach(product => {
-                console.log(`   • ${product.name} (${product.current_price || 'N/A'} kr)`);
+                console.log(`   • ${product.name} (${formatVariantPrices(product)})`);
             });
             
             if (report.products.length > 10) {
@@ -300,6 +535,51 @@ async function showReport(argv) {
     }
 }
 
+/**
+ * "250g: 189 kr, 1kg: 599 kr" for a product's available variants, or its current price.
+ */
+function formatVariantPrices(product) {
+    const variants = (product.variants || []).filter(v => v.available && v.price != null);
+    if (variants.length === 0) {
+        return `${product.current_price || 'N/A'} kr`;
+    }
+    return variants
+        .map(v => `${[v.size, v.grind].filter(Boolean).join(' ') || v.name}: ${v.price} kr`)
+        .join(', ');
+}
+
+async function sendDigests(argv) {
+    let monitor;
+    try {
+        monitor = new CoffeeMonitor(argv.config);
+        await monitor.initialize();
+
+        const results = await monitor.sendDigests(argv.channel || null);
+        if (results.length === 0) {
+            console.log('No notification channels have a digest schedule (set "digest" on a channel)');
+            return;
+        }
+
+        for (const result of results) {
+            if (result.success) {
+                console.log(`✅ ${result.type}: ${result.message} (${result.events} queued notifications)`);
+            } else {
+                console.log(`❌ ${result.type}: ${result.error} (${result.events} notifications kept in the queue)`);
+            }
+        }
+        if (results.some(result => !result.success)) {
+            process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error('❌ Failed to send digests:', error.message);
+        process.exit(1);
+    } finally {
+        if (monitor) {
+            await monitor.close();
+        }
+    }
+}
+
 async function showStatus(argv) {
     let monitor;
     try {
@@ -316,6 +596,21 @@ async function showStatus(argv) {
         console.log(`Last check: ${status.lastCheck ? status.lastCheck.toLocaleString() : 'Never'}`);
         console.log(`Available products: ${status.availableProducts}`);
         console.log(`Total favorites: ${status.totalFavorites}`);
+        if (status.heldNotifications > 0) {
+            console.log(`Held for quiet hours: ${status.heldNotifications} notifications`);
+        }
+
+        if (status.sources.length > 0) {
+            const icons = { healthy: '🟢', suspect: '🟡', failed: '🔴' };
+            console.log('\n🩺 Source health:');
+            status.sources.forEach(source => {
+                const count = source.product_count != null ? `${source.product_count} products` : 'no data';
+                console.log(`${icons[source.status] || '⚪'} ${source.roastery_name}: ${source.source_url} (${count})`);
+                if (source.last_error) {
+                    console.log(`   ${source.last_error}`);
+                }
+            });
+        }
         
     } catch (error) {
         console.error('❌ Failed to get status:', error.message);
@@ -327,6 +622,64 @@ async function showStatus(argv) {
     }
 }
 
+async function showSources(argv) {
+    let monitor;
+    try {
+        monitor = new CoffeeMonitor(argv.config);
+        await monitor.initialize();
+
+        const roasteries = await monitor.getSourcesReport({ roastery: argv.roastery, runs: argv.runs });
+        if (roasteries.length === 0) {
+            console.log(argv.roastery ? `No sources configured for ${argv.roastery}` : 'No sources configured');
+            return;
+        }
+
+        const icons = { success: '🟢', healthy: '🟢', suspect: '🟡', failed: '🔴' };
+
+        console.log('🩺 Source History');
+        console.log('=' .repeat(30));
+
+        for (const roastery of roasteries) {
+            console.log(`\n🏪 ${roastery.name} (${roastery.platform})`);
+
+            for (const source of roastery.sources) {
+                console.log(`\n  ${icons[source.status] || '⚪'} ${source.description}`);
+                console.log(`     ${source.url}`);
+
+                if (source.totalRuns === 0) {
+                    console.log('     No runs recorded yet');
+                    continue;
+                }
+
+                const lastSuccess = source.lastSuccessAt ? new Date(source.lastSuccessAt + 'Z').toLocaleString() : 'never';
+                console.log(`     Last success: ${lastSuccess}`);
+                if (source.failureStreak > 0) {
+                    console.log(`     Failure streak: ${source.failureStreak} run${source.failureStreak === 1 ? '' : 's'}`);
+                }
+
+                const trend = source.recentRuns
+                    .map(run => run.status === 'failed' ? '✗' : String(run.productCount))
+                    .join(' → ');
+                console.log(`     Products (last ${source.recentRuns.length}): ${trend}`);
+
+                if (source.lastError && source.status !== 'healthy') {
+                    console.log(`     Last error: ${source.lastError}`);
+                }
+                if (source.failureStreak >= 3 && roastery.platform === 'selectors') {
+                    console.log(`     ⚠️  Failing for ${source.failureStreak} runs - the selectors in config.json may be stale`);
+                }
+            }
+        }
+    } catch (error) {
+        console.error('❌ Failed to show sources:', error.message);
+        process.exit(1);
+    } finally {
+        if (monitor) {
+            await monitor.close();
+        }
+    }
+}
+
 async function manageFavorites(argv) {
     let monitor;
     try {
@@ -349,6 +702,15 @@ async function manageFavorites(argv) {
                     if (fav.organic_only) {
                         console.log(`     Organic only: Yes`);
                     }
+                    if (fav.target_price != null) {
+                        console.log(`     Target price: ${fav.target_price} kr`);
+                    }
+                    if (fav.max_price != null) {
+                        console.log(`     Max price: ${fav.max_price} kr`);
+                    }
+                    if (fav.max_price_per_kg != null) {
+                        console.log(`     Max price per kg: ${fav.max_price_per_kg} kr/kg`);
+                    }
                 });
             }
         } else if (argv.add) {
@@ -376,6 +738,9 @@ async function manageFavorites(argv) {
             const description = argv.description || '';
             const sizePreference = argv['size-preference'] || 'both';
             const organicOnly = argv['organic-only'] || false;
+            const targetPrice = argv['target-price'] > 0 ? argv['target-price'] : null;
+            const maxPrice = argv['max-price'] > 0 ? argv['max-price'] : null;
+            const maxPricePerKg = argv['max-price-per-kg'] > 0 ? argv['max-price-per-kg'] : null;
             
             // Check if favorite already exists
             const existing = await monitor.database.getFavoriteByName(name);
@@ -386,23 +751,34 @@ async function manageFavorites(argv) {
                     const updatedSizePreference = argv['size-preference'] !== undefined ? sizePreference : existing.size_preference;
                     const updatedOrganicOnly = argv['organic-only'] !== undefined ? organicOnly : existing.organic_only;
                     const updatedTerms = argv.terms !== undefined ? terms : existing.terms;
+                    const updatedPriceLimits = {
+                        targetPrice: argv['target-price'] !== undefined ? targetPrice : existing.target_price,
+                        maxPrice: argv['max-price'] !== undefined ? maxPrice : existing.max_price,
+                        maxPricePerKg: argv['max-price-per-kg'] !== undefined ? maxPricePerKg : existing.max_price_per_kg
+                    };
                     
-                    await monitor.database.updateFavorite(existing.id, name, updatedDescription, updatedTerms, updatedSizePreference, updatedOrganicOnly);
+                    await monitor.database.updateFavorite(existing.id, name, updatedDescription, updatedTerms, updatedSizePreference, updatedOrganicOnly, updatedPriceLimits);
                     console.log(`✅ Updated favorite: "${name}"`);
                     console.log(`   Search terms: ${updatedTerms.join(', ')}`);
                     if (updatedDescription) console.log(`   Description: ${updatedDescription}`);
                     if (updatedSizePreference !== 'both') console.log(`   Size preference: ${updatedSizePreference}`);
                     if (updatedOrganicOnly) console.log(`   Organic only: Yes`);
+                    if (updatedPriceLimits.targetPrice != null) console.log(`   Target price: ${updatedPriceLimits.targetPrice} kr`);
+                    if (updatedPriceLimits.maxPrice != null) console.log(`   Max price: ${updatedPriceLimits.maxPrice} kr`);
+                    if (updatedPriceLimits.maxPricePerKg != null) console.log(`   Max price per kg: ${updatedPriceLimits.maxPricePerKg} kr/kg`);
                 } else {
                     console.log(`⚠️  Favorite "${name}" already exists (use --update to modify)`);
                 }
             } else {
-                await monitor.database.addFavorite(name, description, terms, sizePreference, organicOnly);
+                await monitor.database.addFavorite(name, description, terms, sizePreference, organicOnly, { targetPrice, maxPrice, maxPricePerKg });
                 console.log(`✅ Added favorite: "${name}"`);
                 console.log(`   Search terms: ${terms.join(', ')}`);
                 if (description) console.log(`   Description: ${description}`);
                 if (sizePreference !== 'both') console.log(`   Size preference: ${sizePreference}`);
                 if (organicOnly) console.log(`   Organic only: Yes`);
+                if (targetPrice != null) console.log(`   Target price: ${targetPrice} kr`);
+                if (maxPrice != null) console.log(`   Max price: ${maxPrice} kr`);
+                if (maxPricePerKg != null) console.log(`   Max price per kg: ${maxPricePerKg} kr/kg`);
             }
         } else if (argv.remove) {
             const existing = await monitor.database.getFavoriteByName(argv.remove);
@@ -419,6 +795,8 @@ async function manageFavorites(argv) {
             console.log('  --add "Ethiopian" --terms "ethiopia,etiopia"        # With additional search terms');
             console.log('  -a "Decaf" -t "koffeinfri" -d "Decaf coffee"        # With description');
             console.log('  -a "Colombian" -s "1kg" -o                          # 1kg only, organic only');
+            console.log('  -a "Kenya" -p 150                                   # Alert when it drops to 150 kr or less');
+            console.log('  -a "Geisha" --max-price 400 --max-price-per-kg 1200 # Ignore it above this budget');
             console.log('  -a "Colombia" -s "both" -d "Updated description"     # Updates existing favorite');
             console.log('  --remove "Colombian"                                # Remove by name');
         }
@@ -484,6 +862,7 @@ async function discoverRoastery(argv) {
         console.log(`🏪 Name: ${results.name}`);
         console.log(`🌍 Base URL: ${results.baseUrl}`);
         console.log(`🛠️  Platform(s): ${results.platforms.join(', ')}`);
+        console.log(`🔌 Adapter: ${results.platform}`);
         console.log(`🎯 Confidence: ${results.confidence.toUpperCase()}`);
         console.log('');
         
@@ -515,6 +894,7 @@ async function discoverRoastery(argv) {
         const roasteryConfig = {
             name: results.name,
             baseUrl: results.baseUrl,
+            platform: results.platform,
             shopUrls: results.shopUrls,
             selectors: results.selectors
         };
@@ -550,6 +930,109 @@ async function discoverRoastery(argv) {
     }
 }
 
+async function repairRoastery(argv) {
+    let monitor;
+    const repair = new SelectorRepair();
+
+    try {
+        monitor = new CoffeeMonitor(argv.config);
+        await monitor.initialize();
+
+        const roastery = monitor.config.get('roasteries', [])
+            .find(r => r.name.toLowerCase() === argv.repair.toLowerCase());
+        if (!roastery) {
+            console.error(`❌ Roastery "${argv.repair}" not found in config`);
+            process.exit(1);
+        }
+
+        if (roastery.platform && roastery.platform !== 'selectors') {
+            console.log(`ℹ️  ${roastery.name} uses the ${roastery.platform} adapter; selectors are only used as its fallback`);
+        }
+
+        // Repair against the given URL, else the first source that is not healthy
+        let url = argv.url;
+        if (!url) {
+            for (const shopUrl of roastery.shopUrls || []) {
+                const health = await monitor.database.getSourceHealth(shopUrl.url);
+                if (health && health.status !== 'healthy') {
+                    url = shopUrl.url;
+                    break;
+                }
+            }
+            url = url || roastery.shopUrls?.[0]?.url;
+        }
+        if (!url) {
+            console.error(`❌ ${roastery.name} has no shop URLs to repair against`);
+            process.exit(1);
+        }
+
+        console.log(`🔧 Repairing selectors for ${roastery.name}`);
+        console.log(`🌐 Testing against: ${url}`);
+        console.log('');
+
+        const proposal = await repair.propose(url, roastery);
+        if (!proposal) {
+            console.log('✅ No better selectors found - the configured selectors parse at least as many products as the generated ones.');
+            console.log('💡 If the page really changed, inspect it and update the selectors in config.json manually.');
+            return;
+        }
+
+        console.log(`🛠️  Platform(s): ${proposal.platforms.join(', ') || 'unknown'}`);
+        console.log(`📉 Current selectors: ${proposal.current.successCount} of 5 sample products parsed`);
+        console.log('');
+
+        if (proposal.changes.length > 0) {
+            console.log('📄 Proposed change:');
+            console.log(formatSelectorDiff(roastery.name, proposal.changes));
+            console.log('');
+        }
+
+        if (proposal.sampleProducts.length > 0) {
+            console.log('✨ Sample Products Found:');
+            proposal.sampleProducts.forEach((product, index) => {
+                console.log(`   ${index + 1}. ${product.name} ${product.price ? `(${product.price} kr)` : ''}`);
+            });
+            console.log('');
+        }
+
+        const shouldWrite = await promptConfirmation(`Write the new selectors for "${roastery.name}" to config?`, proposal.confidence);
+        if (shouldWrite) {
+            await updateRoasterySelectors(roastery.name, proposal.proposed, argv.config);
+        } else {
+            console.log('🚫 Selectors not changed.');
+        }
+    } catch (error) {
+        console.error('❌ Repair failed:', error.message);
+        process.exit(1);
+    } finally {
+        await repair.close();
+        if (monitor) {
+            await monitor.close();
+        }
+    }
+}
+
+async function updateRoasterySelectors(roasteryName, selectors, configPath) {
+    try {
+        const actualConfigPath = configPath || path.join(__dirname, '../config/config.json');
+        const config = JSON.parse(fs.readFileSync(actualConfigPath, 'utf8'));
+
+        const roastery = (config.roasteries || []).find(r => r.name === roasteryName);
+        if (!roastery) {
+            console.error(`❌ Roastery "${roasteryName}" not found in ${actualConfigPath}`);
+            return;
+        }
+
+        roastery.selectors = selectors;
+        fs.writeFileSync(actualConfigPath, JSON.stringify(config, null, 2));
+        console.log('✅ Selectors updated!');
+        console.log('🧪 Run a test check:');
+        console.log('   node src/index.js check');
+    } catch (error) {
+        console.error('❌ Failed to update selectors:', error.message);
+    }
+}
+
 async function checkForExistingRoastery(roasteryConfig, configPath) {
     try {
         const actualConfigPath = configPath || path.join(__dirname, '../config/config.json');
@@ -1,21 +1,41 @@
 const cron = require('node-cron');
 const Database = require('./database/database');
 const CoffeeScraper = require('./scrapers/scraper');
+const ScrapeScheduler = require('./scrapers/scrape-scheduler');
+const { extractStructuredProducts } = require('./scrapers/structured-data');
 const Notifier = require('./notifications/notifier');
 const AITagger = require('./processors/ai-tagger');
-const { normalizeProductAttributes, scoreProduct } = require('./utils/preferences');
+const { SelectorRepair, detectSelectorDrift } = require('./discovery/selector-repair');
+const { normalizeProductAttributes, scoreProduct, inferSizeGrams, isWithinBudget } = require('./utils/preferences');
+const { parseVariantName, getVariantKey } = require('./utils/product-grouping');
 const Config = require('./utils/config');
+const { RunArchive } = require('./utils/run-archive');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
+
+// Type recorded in notifications_sent per notification type with a cooldown
+const SENT_TYPES = {
+    favorites_newly_available: 'favorite_newly_available',
+    favorites_newly_unavailable: 'favorite_newly_unavailable',
+    price_drop: 'price_drop'
+};
+
+// Product group a notification counts against for cooldowns
+function getNotificationGroupKey(product) {
+    return product.product_group_id ? `group:${product.product_group_id}` : `product:${product.id}`;
+}
 
 class CoffeeMonitor {
     constructor(configPath = null) {
         this.config = new Config(configPath);
         this.database = new Database(path.resolve(this.config.getDatabaseConfig().path));
         this.scraper = new CoffeeScraper(); // Initialize without roastery config
-        this.notifier = new Notifier(this.config.getNotificationConfig());
+        this.notifier = new Notifier(this.config.getNotificationConfig(), { digestQueue: this.database, outbox: this.database });
         this.aiTagger = new AITagger();
         this.scheduledJob = null;
+        this.digestJobs = [];
+        this.outboxJob = null;
         this.isRunning = false;
         this.lastCheck = null;
         
@@ -88,20 +108,123 @@ class CoffeeMonitor {
         const startTime = new Date();
         this.log('info', `Starting product check${options.deepScan ? ' with deep scanning' : ''}...`);
 
+        // Sources that still failed after retries, reported in the error notification
+        const failedSources = [];
+        let runId = null;
+        let runProductCount = 0;
+        let runError = null;
+        // Archive of the pages and notifications of this run (check --record / --replay)
+        let archive = options.replay || null;
+        const notifier = this.notifier;
+
         try {
-            const allShopUrls = this.config.getAllShopUrls();
+            const allShopUrls = archive
+                ? archive.getSources(this.config.getAllShopUrls())
+                : this.config.getAllShopUrls();
+            runId = await this.database.startScrapeRun(allShopUrls.length);
+
+            if (options.record) {
+                archive = RunArchive.create(this.getRunsDir(), runId);
+                await this.database.snapshotTo(archive.databasePath);
+                this.log('info', `Recording run ${runId} to ${archive.dir}`);
+            }
+            if (archive) {
+                this.notifier = archive.wrapNotifier(notifier);
+            }
             
-            // Initialize scraper
-            await this.scraper.init();
+            // The browser is launched on first use, only if a browser-mode source needs it
             
             let allScrapedProducts = [];
             
-            // Scrape each URL from all roasteries
-            for (const urlConfig of allShopUrls) {
+            // Scrape all URLs from all roasteries concurrently, each on its own page
+            const scrapingConfig = this.config.getScrapingConfig();
+            const scheduler = new ScrapeScheduler(this.scraper, {
+                ...scrapingConfig,
+                logger: this.log
+            });
+            this.log('info', `Scraping ${allShopUrls.length} sources (concurrency ${scrapingConfig.concurrency}, ${scrapingConfig.perHostConcurrency} per host)`);
+            
+            const monitoringConfig = this.config.getMonitoringConfig();
+            const snapshotDir = path.join(path.dirname(this.config.getLoggingConfig().file), 'errors');
+            
+            const sourceResults = await scheduler.run(allShopUrls, async (urlConfig, { getPage }) => {
                 this.log('info', `Scraping products from ${urlConfig.roastery.name}: ${urlConfig.url} (${urlConfig.metadata.description})`);
+                const sourceArchive = archive ? archive.forSource(urlConfig) : null;
+                const result = await this.scraper.scrapeSourceWithRetry(urlConfig.url, urlConfig.roastery, {
+                    getPage,
+                    timeout: monitoringConfig.requestTimeout,
+                    // Recorded pages give the same answer every time, so a replay never retries
+                    maxRetries: archive?.replaying ? 0 : monitoringConfig.maxRetries,
+                    retryDelay: monitoringConfig.retryDelay,
+                    screenshotOnError: monitoringConfig.screenshotOnError && !archive?.replaying,
+                    snapshotDir,
+                    // A shop URL's own pagination overrides the roastery's
+                    pagination: urlConfig.pagination || urlConfig.roastery.pagination,
+                    politenessDelay: scrapingConfig.politenessDelay,
+                    archive: sourceArchive
+                });
+                if (sourceArchive) {
+                    sourceArchive.setProducts(result.products);
+                }
+                return result;
+            });
+            
+            // Failed or suspect sources are left out of the missing-product sweep below
+            const unhealthySources = new Set();
+            const sourceHealthConfig = this.config.getSourceHealthConfig();
+            const driftedSources = [];
+            
+            for (const { source: urlConfig, result, error, durationMs } of sourceResults) {
+                const previousHealth = await this.database.getSourceHealth(urlConfig.url);
+                const sourceRun = {
+                    run_id: runId,
+                    source_url: urlConfig.url,
+                    roastery_name: urlConfig.roastery.name,
+                    description: urlConfig.metadata.description,
+                    duration_ms: durationMs
+                };
+
+                if (error) {
+                    if (archive) {
+                        archive.forSource(urlConfig).setError(error);
+                    }
+                    await this.database.recordSourceRun({
+                        ...sourceRun,
+                        status: 'failed',
+                        http_status: error.status || null,
+                        adapter: error.adapter || null,
+                        attempts: error.attempts || 1,
+                        error: error.message
+                    });
+
+                    this.log('error', `Failed to scrape ${urlConfig.roastery.name}: ${urlConfig.url}`, {
+                        error: error.message,
+                        attempts: error.attempts,
+                        snapshot: error.snapshot
+                    });
+                    unhealthySources.add(urlConfig.url);
+                    await this.database.recordSourceHealth({
+                        source_url: urlConfig.url,
+                        roastery_name: urlConfig.roastery.name,
+                        status: 'failed',
+                        product_count: null,
+                        baseline_count: previousHealth?.baseline_count ?? null,
+                        consecutive_failures: (previousHealth?.consecutive_failures || 0) + 1,
+                        last_error: error.message
+                    });
+                    failedSources.push({
+                        roastery: urlConfig.roastery.name,
+                        url: urlConfig.url,
+                        description: urlConfig.metadata.description,
+                        error: error.message,
+                        attempts: error.attempts || 1,
+                        snapshot: error.snapshot || null
+                    });
+                    continue;
+                }
                 
-                const scrapedProducts = await this.scraper.scrapeProducts(urlConfig.url, urlConfig.roastery);
-                
+                const scrapedProducts = result.products;
+
                 // Filter out non-coffee products and add metadata
                 const productsWithMetadata = scrapedProducts
                     .filter(product => this.isCoffeeProduct(product))
@@ -121,160 +244,158 @@ class CoffeeMonitor {
                 
                 allScrapedProducts = allScrapedProducts.concat(productsWithMetadata);
                 this.log('info', `Found ${scrapedProducts.length} products from ${urlConfig.roastery.name}: ${urlConfig.metadata.description}`);
+
+                // Products it did return are still processed, but a suspect source
+                // must not mark the rest of its catalogue as sold out
+                const health = this.evaluateSourceHealth(productsWithMetadata.length, previousHealth, sourceHealthConfig);
+                await this.database.recordSourceHealth({
+                    source_url: urlConfig.url,
+                    roastery_name: urlConfig.roastery.name,
+                    ...health
+                });
+                await this.database.recordSourceRun({
+                    ...sourceRun,
+                    status: health.status === 'healthy' ? 'success' : health.status,
+                    product_count: productsWithMetadata.length,
+                    http_status: result.httpStatus,
+                    adapter: result.adapter,
+                    attempts: result.attempts,
+                    error: health.last_error
+                });
+
+                const drift = result.selectorStats
+                    ? detectSelectorDrift(
+                        result.selectorStats,
+                        previousHealth?.baseline_count || 0,
+                        result.selectorStats.priced === 0 && await this.database.hasPricedHistory(urlConfig.url)
+                    )
+                    : [];
+                if (drift.length > 0) {
+                    this.log('warn', `Selector drift on ${urlConfig.roastery.name}: ${urlConfig.url}`, { reasons: drift });
+                    driftedSources.push({ urlConfig, reasons: drift });
+                }
+
+                if (health.status !== 'healthy') {
+                    this.log('warn', `Source looks broken, skipping sold-out detection for ${urlConfig.roastery.name}: ${urlConfig.url}`, {
+                        reason: health.last_error
+                    });
+                    unhealthySources.add(urlConfig.url);
+                    failedSources.push({
+                        roastery: urlConfig.roastery.name,
+                        url: urlConfig.url,
+                        description: urlConfig.metadata.description,
+                        error: health.last_error,
+                        attempts: 1,
+                        snapshot: null
+                    });
+                }
             }
             
             this.log('info', `Found ${allScrapedProducts.length} total products from ${allShopUrls.length} sources across multiple roasteries`);
+            runProductCount = allScrapedProducts.length;
+
+            if (driftedSources.length > 0) {
+                // Proposing repairs loads the live shop page, which a replay must not do
+                await this.reportSelectorDrift(driftedSources, failedSources, archive?.replaying
+                    ? { ...monitoringConfig, suggestSelectorRepairs: false }
+                    : monitoringConfig);
+            }
 
             if (allScrapedProducts.length === 0) {
+                if (failedSources.length > 0) {
+                    const roasteries = [...new Set(failedSources.map(source => source.roastery))];
+                    throw new Error(`All sources failed (${roasteries.join(', ')})`);
+                }
                 this.log('warn', 'No products found - might be a scraping issue');
                 return;
             }
 
+            // Fold per-size/per-grind listings into products with variants
+            const scrapedProducts = this.groupVariants(allScrapedProducts);
+
             const results = {
                 newProducts: [],
                 newlyAvailableFavorites: [],
                 newlyUnavailableFavorites: [],
+                // Favorites back in stock, but only above the favorite's price limits
+                overBudgetFavorites: [],
+                priceDrops: [],
+                // Price increases of favorites, for digests only
+                priceIncreases: [],
                 // Preference-based matches for new products (when preferences are enabled)
                 preferenceMatches: [],
-                totalChecked: allScrapedProducts.length
+                // State after this check of every product it saw or marked sold out
+                products: [],
+                totalChecked: scrapedProducts.length
             };
 
             const preferences = this.config.getPreferencesConfig();
             const preferencesEnabled = !!preferences.enabled;
+            const allFavorites = await this.database.getFavorites();
+            const favorites = preferencesEnabled ? [] : allFavorites;
+            const priceAlertConfig = this.config.getPriceAlertConfig();
+            const { confirmChecks } = this.config.getThrottleConfig();
 
             // Track which products were seen in this scrape (by name and roastery)
             const scrapedProductKeys = new Set(
-                allScrapedProducts.map(p => `${p.name}|||${p.roastery_name}`)
+                scrapedProducts.map(p => `${p.name}|||${p.roastery_name}`)
             );
 
             // Process each product
-            for (const productData of allScrapedProducts) {
+            for (const productData of scrapedProducts) {
                 try {
-                    // Save or update product
+                    // Save or update product and its variants
                     const productId = await this.database.saveProduct(productData);
-                    
-                    // Record availability
-                    await this.database.recordAvailability(
-                        productId, 
-                        productData.available, 
-                        productData.price
-                    );
+                    const seenVariantIds = new Set();
+                    const priceEvents = [];
+
+                    for (const variant of productData.variants) {
+                        variant.id = await this.database.saveVariant(productId, variant);
+                        seenVariantIds.add(variant.id);
+                        await this.database.recordVariantAvailability(productId, variant.id, variant.available, variant.price);
+
+                        const priceEvent = await this.detectPriceChange(productId, variant);
+                        if (priceEvent) {
+                            priceEvents.push({ event: priceEvent, variant });
+                        }
+                    }
+
+                    // Variants no longer listed for a listed product are sold out,
+                    // unless they were listed on a source that failed this time
+                    for (const variant of await this.database.getVariants(productId)) {
+                        if (!seenVariantIds.has(variant.id) && variant.available && !unhealthySources.has(variant.source_url)) {
+                            await this.database.recordVariantAvailability(productId, variant.id, false, variant.price);
+                        }
+                    }
+
+                    // Record product-level availability derived from the variants
+                    const rollup = await this.database.recordProductAvailability(productId);
+                    const product = {
+                        ...productData,
+                        id: productId,
+                        price: rollup.price,
+                        current_price: rollup.price,
+                        available: rollup.available,
+                        variants: await this.database.getVariants(productId)
+                    };
+                    results.products.push(product);
 
                     // Check if this is a new product (first time seen)
                     const history = await this.database.getProductHistory(productId, 1);
                     if (history.length === 1) {
-                        results.newProducts.push({
-                            ...productData,
-                            id: productId
-                        });
+                        results.newProducts.push(product);
                     }
 
                     // Check for availability state changes for favorites (legacy) when preferences are disabled
-                    const availabilityChange = await this.database.getProductAvailabilityChange(productId);
+                    const availabilityChange = await this.database.getProductAvailabilityChange(productId, confirmChecks);
 
-                    if (!preferencesEnabled) {
-                        const favorites = await this.database.getFavorites();
-                        
-                        for (const favorite of favorites) {
-                            let matches = false;
-                            
-                            // Check if any of the favorite's terms match the product name
-                            for (const term of favorite.terms) {
-                                if (productData.name.toLowerCase().includes(term.toLowerCase())) {
-                                    matches = true;
-                                    break;
-                                }
-                            }
-                            
-                            if (matches) {
-                                // Apply preferences filtering
-                                let shouldNotify = true;
-                                
-                                // Check organic preference
-                                if (favorite.organic_only && !productData.organic) {
-                                    shouldNotify = false;
-                                }
-                                
-                                // Check size preference
-                                if (favorite.size_preference && favorite.size_preference !== 'both') {
-                                    const productSize = this.extractSizeFromName(productData.name);
-                                    if (productSize && productSize !== favorite.size_preference) {
-                                        shouldNotify = false;
-                                    }
-                                }
-                                
-                                if (shouldNotify) {
-                                    // Notify about newly available favorites
-                                    if (availabilityChange.isNewlyAvailable) {
-                                        // Check for duplicates in the same check based on base product name
-                                        const baseName = this.getBaseProductName(productData.name);
-                                        const existingMatch = results.newlyAvailableFavorites.find(item => 
-                                            this.getBaseProductName(item.product.name) === baseName &&
-                                            item.favoriteName === favorite.name
-                                        );
-                                        
-                                        if (!existingMatch) {
-                                            const currentSize = this.extractSizeFromName(productData.name);
-                                            results.newlyAvailableFavorites.push({
-                                                product: {
-                                                    ...productData,
-                                                    id: productId,
-                                                    current_price: productData.price
-                                                },
-                                                favoriteName: favorite.name,
-                                                matchedTerms: favorite.terms.filter(term => 
-                                                    productData.name.toLowerCase().includes(term.toLowerCase())
-                                                ),
-                                                baseName: baseName,
-                                                availableSizes: [currentSize].filter(Boolean),
-                                                sizeData: currentSize ? { [currentSize]: { price: productData.price, product: productData } } : {},
-                                                stateChange: 'newly_available'
-                                            });
-                                            
-                                            this.log('info', `🆕 ${productData.name} is now available (matches: ${favorite.name})`);
-                                        } else {
-                                            // Add the new size to the existing match
-                                            const currentSize = this.extractSizeFromName(productData.name);
-                                            if (currentSize && !existingMatch.availableSizes.includes(currentSize)) {
-                                                existingMatch.availableSizes.push(currentSize);
-                                                existingMatch.availableSizes.sort((a, b) => {
-                                                    if (a === '250g' && b === '1kg') return -1;
-                                                    if (a === '1kg' && b === '250g') return 1;
-                                                    return 0;
-                                                });
-                                                
-                                                if (!existingMatch.sizeData) existingMatch.sizeData = {};
-                                                existingMatch.sizeData[currentSize] = {
-                                                    price: productData.price,
-                                                    product: productData
-                                                };
-                                            }
-                                        }
-                                    }
-                                    
-                                    // Notify about newly unavailable favorites
-                                    if (availabilityChange.isNewlyUnavailable) {
-                                        results.newlyUnavailableFavorites.push({
-                                            product: {
-                                                ...productData,
-                                                id: productId,
-                                                current_price: productData.price
-                                            },
-                                            favoriteName: favorite.name,
-                                            matchedTerms: favorite.terms.filter(term => 
-                                                productData.name.toLowerCase().includes(term.toLowerCase())
-                                            ),
-                                            stateChange: 'newly_unavailable'
-                                        });
-                                        
-                                        this.log('info', `📉 ${productData.name} is no longer available (matches: ${favorite.name})`);
-                                    }
-                                } else {
-                                    this.log('debug', `Product ${productData.name} matches favorite ${favorite.name} but doesn't meet preferences`);
-                                }
-                                break; // Don't match the same product multiple times
-                            }
-                        }
+                    if (!preferencesEnabled && (availabilityChange.isNewlyAvailable || availabilityChange.isNewlyUnavailable)) {
+                        this.matchFavoriteChange(product, availabilityChange, favorites, results);
+                    }
+
+                    for (const { event, variant } of priceEvents) {
+                        this.matchPriceDrop(product, variant, event, allFavorites, priceAlertConfig, results);
+                        this.matchPriceIncrease(product, variant, event, allFavorites, priceAlertConfig, results);
                     }
                 } catch (error) {
                     this.log('error', `Error processing product ${productData.name}`, { error: error.message });
@@ -284,85 +405,56 @@ class CoffeeMonitor {
             // Mark products that are missing from this scrape as unavailable
             // Get all products that were previously available
             const previouslyAvailableProducts = await this.database.getAvailableProducts();
+            // With confirmChecks, missing products stay unavailable for that many checks before it is announced
+            if (confirmChecks > 1) {
+                const pending = await this.database.getProductsAwaitingConfirmation(confirmChecks);
+                previouslyAvailableProducts.push(...pending.filter(product => !previouslyAvailableProducts.some(p => p.id === product.id)));
+            }
+            const configuredSources = new Set(allShopUrls.map(urlConfig => urlConfig.url));
+            const unhealthyRoasteries = new Set(
+                allShopUrls.filter(urlConfig => unhealthySources.has(urlConfig.url)).map(urlConfig => urlConfig.roastery.name)
+            );
             
             for (const product of previouslyAvailableProducts) {
                 const productKey = `${product.name}|||${product.roastery_name}`;
                 
                 // If this product was not seen in the current scrape, mark it as unavailable
-                if (!scrapedProductKeys.has(productKey)) {
+                if (!scrapedProductKeys.has(productKey) &&
+                    this.canMarkMissing(product, configuredSources, unhealthySources, unhealthyRoasteries)) {
                     this.log('info', `Product no longer on listing page: ${product.name} from ${product.roastery_name}`);
                     
-                    // Record as unavailable
+                    // Record all its variants and the product as unavailable
+                    for (const variant of product.variants.filter(v => v.available)) {
+                        await this.database.recordVariantAvailability(product.id, variant.id, false, variant.price);
+                    }
                     await this.database.recordAvailability(
                         product.id,
                         0, // available = false
                         product.current_price
                     );
                     
+                    const missingProduct = {
+                        ...product,
+                        available: false,
+                        variants: await this.database.getVariants(product.id)
+                    };
+                    results.products.push(missingProduct);
+
                     // Check if this affects any favorites (legacy behavior when preferences are disabled)
-                    const availabilityChange = await this.database.getProductAvailabilityChange(product.id);
-                    if (!preferencesEnabled) {
-                        const favorites = await this.database.getFavorites();
-                        
-                        for (const favorite of favorites) {
-                            let matches = false;
-                            
-                            // Check if any of the favorite's terms match the product name
-                            for (const term of favorite.terms) {
-                                if (product.name.toLowerCase().includes(term.toLowerCase())) {
-                                    matches = true;
-                                    break;
-                                }
-                            }
-                            
-                            if (matches && availabilityChange.isNewlyUnavailable) {
-                                // Apply preferences filtering
-                                let shouldNotify = true;
-                                
-                                // Check organic preference
-                                if (favorite.organic_only && !product.organic) {
-                                    shouldNotify = false;
-                                }
-                                
-                                // Check size preference
-                                if (favorite.size_preference && favorite.size_preference !== 'both') {
-                                    const productSize = this.extractSizeFromName(product.name);
-                                    if (productSize && productSize !== favorite.size_preference) {
-                                        shouldNotify = false;
-                                    }
-                                }
-                                
-                                if (shouldNotify) {
-                                    results.newlyUnavailableFavorites.push({
-                                        product: {
-                                            ...product,
-                                            id: product.id,
-                                            current_price: product.current_price
-                                        },
-                                        favoriteName: favorite.name,
-                                        matchedTerms: favorite.terms.filter(term => 
-                                            product.name.toLowerCase().includes(term.toLowerCase())
-                                        ),
-                                        stateChange: 'newly_unavailable'
-                                    });
-                                    
-                                    this.log('info', `📉 ${product.name} is no longer available (matches: ${favorite.name})`);
-                                }
-                                
-                                break; // Don't match the same product multiple times
-                            }
-                        }
+                    const availabilityChange = await this.database.getProductAvailabilityChange(product.id, confirmChecks);
+                    if (!preferencesEnabled && availabilityChange.isNewlyUnavailable) {
+                        this.matchFavoriteChange(missingProduct, availabilityChange, favorites, results);
                     }
                 }
             }
 
             // Deep scan products if requested
             if (options.deepScan) {
-                await this.performDeepScan(allScrapedProducts, options.forceAll);
+                await this.performDeepScan(scrapedProducts, options.forceAll);
             }
 
             // AI tag new products and detect product groups
-            if (this.aiTagger.isEnabled() && results.newProducts.length > 0) {
+            if (this.aiTagger.isEnabled() && !archive?.replaying && results.newProducts.length > 0) {
                 this.log('info', `AI tagging ${results.newProducts.length} new products...`);
                 try {
                     const tags = await this.aiTagger.tagProducts(results.newProducts);
@@ -423,19 +515,7 @@ class CoffeeMonitor {
                     // When preference-based scoring is enabled, compute matches for newly seen products
                     if (preferencesEnabled && results.newProducts.length > 0) {
                         try {
-                            const ids = results.newProducts.map(p => p.id);
-                            const placeholders = ids.map(() => '?').join(',');
-                            
-                            const scoredProducts = await this.database.all(`
-                                SELECT p.*, ah.available, ah.price as current_price, ah.checked_at
-                                FROM products p
-                                LEFT JOIN availability_history ah ON p.id = ah.product_id
-                                WHERE p.id IN (${placeholders})
-                                AND ah.id IN (
-                                    SELECT MAX(id) FROM availability_history 
-                                    WHERE product_id = p.id
-                                )
-                            `, ids);
+                            const scoredProducts = await this.database.getProductsByIds(results.newProducts.map(p => p.id));
                             
                             const matches = [];
                             for (const row of scoredProducts) {
@@ -467,6 +547,21 @@ class CoffeeMonitor {
             // Send notifications
             await this.sendNotifications(results);
 
+            // Channels that mirror the current state (MQTT retained topics) get every product and favorite
+            if (this.notifier.publishResults) {
+                results.favoriteStatus = await this.getFavoriteStatus(allFavorites);
+                const published = await this.notifier.publishResults(results);
+                if (published.length > 0) {
+                    this.log('info', 'Published check results', { published });
+                }
+            }
+
+            // The run succeeded overall, but report sources that could not be scraped
+            results.failedSources = failedSources;
+            if (failedSources.length > 0) {
+                await this.notifyFailedSources(failedSources, allShopUrls.length);
+            }
+
             const endTime = new Date();
             const duration = endTime - startTime;
             this.lastCheck = endTime;
@@ -476,22 +571,44 @@ class CoffeeMonitor {
                 totalProducts: results.totalChecked,
                 newProducts: results.newProducts.length,
                 newlyAvailableFavorites: results.newlyAvailableFavorites.length,
-                newlyUnavailableFavorites: results.newlyUnavailableFavorites.length
+                newlyUnavailableFavorites: results.newlyUnavailableFavorites.length,
+                overBudgetFavorites: results.overBudgetFavorites.length,
+                priceDrops: results.priceDrops.length,
+                failedSources: failedSources.length
             });
 
+            return results;
         } catch (error) {
             this.log('error', 'Product check failed', { error: error.message });
+            runError = error;
             
             // Send error notification
             try {
                 await this.notifier.notify('error', {
                     error: error,
-                    context: 'Product check failed'
+                    context: 'Product check failed',
+                    failedSources
                 });
             } catch (notifError) {
                 this.log('error', 'Failed to send error notification', { error: notifError.message });
             }
         } finally {
+            this.notifier = notifier;
+            if (archive) {
+                try {
+                    archive.save();
+                } catch (error) {
+                    this.log('warn', `Failed to save recording of run ${runId}`, { error: error.message });
+                }
+            }
+            if (runId) {
+                await this.database.finishScrapeRun(runId, {
+                    status: runError ? 'failed' : 'completed',
+                    product_count: runProductCount,
+                    failed_sources: failedSources.length,
+                    error: runError ? runError.message : null
+                }).catch(error => this.log('warn', 'Failed to record scrape run', { error: error.message }));
+            }
             if (this.scraper) {
                 await this.scraper.close();
             }
@@ -499,45 +616,520 @@ class CoffeeMonitor {
         }
     }
 
+    /**
+     * Compare a source's product count with its last healthy scrape.
+     * Returns the source_health fields to record for this scrape.
+     */
+    evaluateSourceHealth(productCount, previousHealth, healthConfig) {
+        const baseline = previousHealth?.baseline_count ?? null;
+        const suspectRuns = previousHealth?.status === 'suspect' ? previousHealth.consecutive_failures : 0;
+        let reason = null;
+
+        if (baseline > 0 && productCount === 0) {
+            reason = `Returned no products (last healthy scrape had ${baseline})`;
+        } else if (baseline >= healthConfig.minBaseline) {
+            const dropPercent = (baseline - productCount) / baseline * 100;
+            if (dropPercent > healthConfig.maxDropPercent) {
+                reason = `Product count dropped from ${baseline} to ${productCount} (-${Math.round(dropPercent)}%)`;
+            }
+        }
+
+        if (reason && suspectRuns + 1 >= healthConfig.acceptAfter) {
+            this.log('warn', `Accepting new product count after ${suspectRuns + 1} suspect scrapes: ${reason}`);
+            reason = null;
+        }
+
+        if (reason) {
+            return {
+                status: 'suspect',
+                product_count: productCount,
+                baseline_count: baseline,
+                consecutive_failures: suspectRuns + 1,
+                last_error: reason
+            };
+        }
+
+        return {
+            status: 'healthy',
+            product_count: productCount,
+            baseline_count: productCount,
+            consecutive_failures: 0,
+            last_error: null
+        };
+    }
+
+    /**
+     * A product missing from this scrape may only be marked unavailable when every
+     * configured source it was listed on scraped successfully. Products whose sources
+     * are no longer configured fall back to the health of their roastery's sources.
+     */
+    canMarkMissing(product, configuredSources, unhealthySources, unhealthyRoasteries) {
+        const productSources = new Set([product.source_url, ...(product.variants || []).map(v => v.source_url)]
+            .filter(url => url && configuredSources.has(url)));
+
+        if (productSources.size === 0) {
+            return !unhealthyRoasteries.has(product.roastery_name);
+        }
+
+        return Array.from(productSources).every(url => !unhealthySources.has(url));
+    }
+
+    /**
+     * Add drifted sources to the failed-source report, with proposed selectors
+     * from re-running discovery on the page (one proposal per roastery).
+     */
+    async reportSelectorDrift(driftedSources, failedSources, monitoringConfig) {
+        const proposals = new Map();
+        let repair = null;
+        if (monitoringConfig.suggestSelectorRepairs) {
+            try {
+                repair = new SelectorRepair({ page: await this.scraper.getPage() });
+            } catch (error) {
+                this.log('warn', 'Could not open a page to propose selector repairs', { error: error.message });
+            }
+        }
+
+        for (const { urlConfig, reasons } of driftedSources) {
+            const roasteryName = urlConfig.roastery.name;
+
+            if (repair && !proposals.has(roasteryName)) {
+                try {
+                    const proposal = await repair.propose(urlConfig.url, urlConfig.roastery);
+                    proposals.set(roasteryName, proposal);
+                    if (proposal) {
+                        this.log('info', `Proposed new selectors for ${roasteryName} (${proposal.confidence} confidence)`, {
+                            changes: proposal.changes
+                        });
+                    }
+                } catch (error) {
+                    proposals.set(roasteryName, null);
+                    this.log('warn', `Could not propose selectors for ${roasteryName}`, { error: error.message });
+                }
+            }
+
+            const proposal = proposals.get(roasteryName) || null;
+            const selectorRepair = proposal && {
+                confidence: proposal.confidence,
+                changes: proposal.changes,
+                command: `node src/index.js discover --repair "${roasteryName}"`
+            };
+
+            let entry = failedSources.find(source => source.url === urlConfig.url);
+            if (!entry) {
+                entry = {
+                    roastery: roasteryName,
+                    url: urlConfig.url,
+                    description: urlConfig.metadata.description,
+                    error: reasons.join('; '),
+                    attempts: 1,
+                    snapshot: null
+                };
+                failedSources.push(entry);
+            }
+            entry.drift = reasons;
+            entry.selectorRepair = selectorRepair;
+        }
+    }
+
+    async notifyFailedSources(failedSources, totalSources) {
+        try {
+            await this.notifier.notify('error', {
+                error: new Error(`${failedSources.length} of ${totalSources} sources failed`),
+                context: 'Some sources could not be scraped',
+                failedSources
+            });
+        } catch (notifError) {
+            this.log('error', 'Failed to send error notification', { error: notifError.message });
+        }
+    }
+
+    /**
+     * Group scraped listings (one per size/grind) into products with a `variants` array.
+     * The same variant listed on several shop URLs is merged: available if any listing is.
+     */
+    groupVariants(listings) {
+        const products = new Map();
+
+        for (const listing of listings) {
+            const parsed = parseVariantName(listing.name, listing.baseName);
+            const productKey = `${parsed.baseName.toLowerCase()}|||${listing.roastery_name}`;
+
+            if (!products.has(productKey)) {
+                products.set(productKey, {
+                    name: parsed.baseName,
+                    url: listing.url,
+                    description: listing.description,
+                    organic: listing.organic,
+                    size_category: listing.size_category,
+                    source_url: listing.source_url,
+                    source_description: listing.source_description,
+                    roastery_name: listing.roastery_name,
+                    variantsByKey: new Map()
+                });
+            }
+
+            const product = products.get(productKey);
+            product.organic = product.organic || listing.organic;
+
+            const variant = {
+                name: listing.name,
+                size: parsed.size,
+                size_grams: parsed.sizeGrams,
+                grind: parsed.grind,
+                title: listing.variant?.title || null,
+                sku: listing.sku || null,
+                url: listing.url,
+                price: listing.price,
+                available: !!listing.available,
+                size_category: listing.size_category,
+                source_url: listing.source_url
+            };
+            const variantKey = getVariantKey(variant);
+            const existing = product.variantsByKey.get(variantKey);
+
+            if (!existing) {
+                product.variantsByKey.set(variantKey, { ...variant, variant_key: variantKey });
+            } else if (variant.available && !existing.available) {
+                product.variantsByKey.set(variantKey, { ...variant, variant_key: variantKey });
+            }
+        }
+
+        return Array.from(products.values()).map(({ variantsByKey, ...product }) => {
+            const variants = Array.from(variantsByKey.values());
+            const available = variants.filter(v => v.available);
+            const priced = (available.length > 0 ? available : variants).filter(v => v.price != null);
+
+            return {
+                ...product,
+                price: priced.length > 0 ? Math.min(...priced.map(v => v.price)) : null,
+                available: available.length > 0,
+                variants
+            };
+        });
+    }
+
+    /**
+     * Favorite search terms found in the product name.
+     */
+    getMatchedTerms(product, favorite) {
+        return favorite.terms.filter(term =>
+            product.name.toLowerCase().includes(term.toLowerCase())
+        );
+    }
+
+    /**
+     * Per favorite, the available products matching it and their lowest price.
+     */
+    async getFavoriteStatus(favorites) {
+        const availableProducts = await this.database.getAvailableProducts();
+
+        return favorites.map(favorite => {
+            const products = availableProducts.filter(product =>
+                this.getMatchedTerms(product, favorite).length > 0 && (!favorite.organic_only || product.organic));
+            const prices = products.flatMap(product => {
+                const variantPrices = (product.variants || []).filter(v => v.available && v.price != null).map(v => v.price);
+                return variantPrices.length > 0 ? variantPrices : [product.current_price].filter(price => price != null);
+            });
+
+            return {
+                favorite,
+                available: products.length > 0,
+                lowestPrice: prices.length > 0 ? Math.min(...prices) : null,
+                products
+            };
+        });
+    }
+
+    /**
+     * Add a product's availability transition to the results for the first favorite it matches.
+     */
+    matchFavoriteChange(product, availabilityChange, favorites, results) {
+        for (const favorite of favorites) {
+            const matchedTerms = this.getMatchedTerms(product, favorite);
+
+            if (matchedTerms.length === 0) {
+                continue;
+            }
+
+            // Apply preferences filtering
+            let shouldNotify = true;
+
+            // Check organic preference
+            if (favorite.organic_only && !product.organic) {
+                shouldNotify = false;
+            }
+
+            // Check size preference against the product's variants
+            const variants = this.filterVariantsBySizePreference(product.variants || [], favorite.size_preference);
+            if (variants.length === 0 && (product.variants || []).length > 0) {
+                shouldNotify = false;
+            }
+
+            if (!shouldNotify) {
+                this.log('debug', `Product ${product.name} matches favorite ${favorite.name} but doesn't meet preferences`);
+                break;
+            }
+
+            const match = {
+                product: {
+                    ...product,
+                    current_price: product.current_price
+                },
+                favoriteName: favorite.name,
+                matchedTerms,
+                baseName: product.name
+            };
+
+            if (availabilityChange.isNewlyAvailable) {
+                const availableVariants = variants.filter(v => v.available);
+                const affordableVariants = availableVariants.filter(v => isWithinBudget(v, favorite));
+
+                // Back in stock, but only in sizes the favorite excludes
+                if (availableVariants.length === 0) {
+                    this.log('debug', `Product ${product.name} is available again, but not in the sizes favorite ${favorite.name} wants`);
+                } else if (affordableVariants.length === 0) {
+                    results.overBudgetFavorites.push({
+                        ...match,
+                        variants: availableVariants,
+                        maxPrice: favorite.max_price,
+                        maxPricePerKg: favorite.max_price_per_kg,
+                        stateChange: 'newly_available_over_budget'
+                    });
+                    this.log('info', `💸 ${product.name} is available again but over budget (matches: ${favorite.name})`);
+                } else {
+                    results.newlyAvailableFavorites.push({
+                        ...match,
+                        variants: affordableVariants,
+                        stateChange: 'newly_available'
+                    });
+                    this.log('info', `🆕 ${product.name} is now available (matches: ${favorite.name})`);
+                }
+            } else if (availabilityChange.isNewlyUnavailable) {
+                results.newlyUnavailableFavorites.push({
+                    ...match,
+                    variants,
+                    stateChange: 'newly_unavailable'
+                });
+                this.log('info', `📉 ${product.name} is no longer available (matches: ${favorite.name})`);
+            }
+
+            break; // Don't match the same product multiple times
+        }
+    }
+
+    /**
+     * Persist a price change of a variant as a price event.
+     * Prices per kg are included when the variant's size is known.
+     */
+    async detectPriceChange(productId, variant) {
+        const change = await this.database.getVariantPriceChange(variant.id);
+        if (!change) return null;
+
+        const { oldPrice, newPrice } = change;
+        const grams = variant.size_grams || inferSizeGrams(variant.size);
+        const perKg = price => grams ? Math.round((price * 1000 / grams) * 100) / 100 : null;
+
+        const event = {
+            product_id: productId,
+            variant_id: variant.id,
+            direction: newPrice < oldPrice ? 'down' : 'up',
+            old_price: oldPrice,
+            new_price: newPrice,
+            change_amount: Math.round((newPrice - oldPrice) * 100) / 100,
+            change_percent: Math.round(((newPrice - oldPrice) / oldPrice) * 1000) / 10,
+            old_price_per_kg: perKg(oldPrice),
+            new_price_per_kg: perKg(newPrice)
+        };
+        event.id = await this.database.recordPriceEvent(event);
+
+        this.log('info', `💲 Price ${event.direction === 'down' ? 'drop' : 'increase'}: ${variant.name} ${oldPrice} → ${newPrice} kr (${event.change_percent}%)`);
+        return event;
+    }
+
+    /**
+     * Queue a price-drop alert when a drop on an available variant passes the
+     * configured thresholds or crosses the target price of a matching favorite.
+     */
+    matchPriceDrop(product, variant, event, favorites, priceAlertConfig, results) {
+        if (!priceAlertConfig.enabled || event.direction !== 'down' || !variant.available) {
+            return;
+        }
+
+        const favorite = this.findPriceAlertFavorite(product, variant, favorites);
+
+        if (priceAlertConfig.favoritesOnly && !favorite) {
+            return;
+        }
+        if (favorite && !isWithinBudget(variant, favorite)) {
+            return;
+        }
+
+        const dropAmount = -event.change_amount;
+        const dropPercent = -event.change_percent;
+        const reasons = [];
+
+        if (priceAlertConfig.minDropAmount != null && dropAmount >= priceAlertConfig.minDropAmount) {
+            reasons.push('amount');
+        }
+        if (priceAlertConfig.minDropPercent != null && dropPercent >= priceAlertConfig.minDropPercent) {
+            reasons.push('percent');
+        }
+        if (favorite?.target_price != null && event.new_price <= favorite.target_price && event.old_price > favorite.target_price) {
+            reasons.push('target_price');
+        }
+
+        if (reasons.length === 0) {
+            return;
+        }
+
+        results.priceDrops.push({
+            product,
+            variant,
+            event,
+            favoriteName: favorite ? favorite.name : null,
+            targetPrice: favorite ? favorite.target_price : null,
+            reasons
+        });
+        this.log('info', `💸 Price drop alert for ${variant.name} (${reasons.join(', ')})`);
+    }
+
+    /**
+     * Note a price increase on an available variant of a matching favorite, for
+     * the price changes in digests. It uses the drop thresholds, but sends no alert.
+     */
+    matchPriceIncrease(product, variant, event, favorites, priceAlertConfig, results) {
+        if (!priceAlertConfig.enabled || event.direction !== 'up' || !variant.available) {
+            return;
+        }
+
+        const favorite = this.findPriceAlertFavorite(product, variant, favorites);
+        if (priceAlertConfig.favoritesOnly && !favorite) {
+            return;
+        }
+
+        const reasons = [];
+        if (priceAlertConfig.minDropAmount != null && event.change_amount >= priceAlertConfig.minDropAmount) {
+            reasons.push('amount');
+        }
+        if (priceAlertConfig.minDropPercent != null && event.change_percent >= priceAlertConfig.minDropPercent) {
+            reasons.push('percent');
+        }
+        if (reasons.length === 0) {
+            return;
+        }
+
+        results.priceIncreases.push({
+            product,
+            variant,
+            event,
+            favoriteName: favorite ? favorite.name : null,
+            targetPrice: favorite ? favorite.target_price : null,
+            reasons
+        });
+    }
+
+    /**
+     * First favorite whose terms, organic and size preferences fit this variant.
+     */
+    findPriceAlertFavorite(product, variant, favorites) {
+        return favorites.find(fav =>
+            this.getMatchedTerms(product, fav).length > 0 &&
+            !(fav.organic_only && !product.organic) &&
+            this.filterVariantsBySizePreference([variant], fav.size_preference).length > 0
+        );
+    }
+
+    /**
+     * Variants matching a favorite's size preference. Variants of unknown size always match.
+     */
+    filterVariantsBySizePreference(variants, sizePreference) {
+        if (!sizePreference || sizePreference === 'both') {
+            return variants;
+        }
+        return variants.filter(v => !v.size || v.size === sizePreference);
+    }
+
     async sendNotifications(results) {
         try {
+            // Notifications held over quiet hours go out before this check's news
+            await this.releaseHeldNotifications();
+
             const preferences = this.config.getPreferencesConfig();
             const preferencesEnabled = !!preferences.enabled;
 
+            // Notifications held back by cooldowns or as flapping, summarized in the next digest
+            const suppressed = [];
+
             // Send notifications for newly available favorites
-            if (!preferencesEnabled && results.newlyAvailableFavorites.length > 0) {
-                this.log('info', `Sending newly available favorites notification for ${results.newlyAvailableFavorites.length} products`);
+            // Favorites back only above budget are reported too, in their own section
+            const newlyAvailable = await this.filterThrottled('favorites_newly_available', results.newlyAvailableFavorites, suppressed);
+            const overBudget = await this.filterThrottled('favorites_newly_available', results.overBudgetFavorites, suppressed);
+            if (!preferencesEnabled && (newlyAvailable.length > 0 || overBudget.length > 0)) {
+                this.log('info', `Sending newly available favorites notification for ${newlyAvailable.length} products (${overBudget.length} over budget)`);
                 
                 const notifications = await this.notifier.notify('favorites_newly_available', {
-                    favorites: results.newlyAvailableFavorites,
+                    favorites: newlyAvailable,
+                    overBudget,
                     changeType: 'newly_available'
                 });
                 
                 // Record that we sent notifications for each product
-                for (const favoriteData of results.newlyAvailableFavorites) {
-                    await this.database.recordNotificationSent(favoriteData.product.id, 'favorite_newly_available');
+                for (const favoriteData of [...newlyAvailable, ...overBudget]) {
+                    await this.recordNotificationSent('favorites_newly_available', favoriteData.product);
                 }
                 
                 this.log('info', 'Newly available favorites notification sent', { notifications });
             }
 
             // Send notifications for newly unavailable favorites
-            if (!preferencesEnabled && results.newlyUnavailableFavorites.length > 0) {
-                this.log('info', `Sending newly unavailable favorites notification for ${results.newlyUnavailableFavorites.length} products`);
+            const newlyUnavailable = await this.filterThrottled('favorites_newly_unavailable', results.newlyUnavailableFavorites, suppressed);
+            if (!preferencesEnabled && newlyUnavailable.length > 0) {
+                this.log('info', `Sending newly unavailable favorites notification for ${newlyUnavailable.length} products`);
                 
                 const notifications = await this.notifier.notify('favorites_newly_unavailable', {
-                    favorites: results.newlyUnavailableFavorites,
+                    favorites: newlyUnavailable,
                     changeType: 'newly_unavailable'
                 });
                 
                 // Record that we sent notifications for each product
-                for (const favoriteData of results.newlyUnavailableFavorites) {
-                    await this.database.recordNotificationSent(favoriteData.product.id, 'favorite_newly_unavailable');
+                for (const favoriteData of newlyUnavailable) {
+                    await this.recordNotificationSent('favorites_newly_unavailable', favoriteData.product);
                 }
                 
                 this.log('info', 'Newly unavailable favorites notification sent', { notifications });
             }
 
+            // Send price-drop alerts
+            const priceDrops = await this.filterThrottled('price_drop', results.priceDrops || [], suppressed);
+            if (priceDrops.length > 0) {
+                this.log('info', `Sending price drop notification for ${priceDrops.length} variants`);
+                
+                const notifications = await this.notifier.notify('price_drop', {
+                    drops: priceDrops
+                });
+                
+                for (const drop of priceDrops) {
+                    await this.recordNotificationSent('price_drop', drop.product);
+                }
+                
+                this.log('info', 'Price drop notification sent', { notifications });
+            }
+
+            // Price increases only appear in digests, next to the drops
+            if (results.priceIncreases?.length > 0 && this.notifier.queuePriceIncreases) {
+                await this.notifier.queuePriceIncreases(results.priceIncreases);
+            }
+
+            results.suppressed = suppressed;
+            if (suppressed.length > 0) {
+                this.log('info', `Held back ${suppressed.length} notifications`, {
+                    suppressed: suppressed.map(entry => `${entry.type}: ${entry.product} (${entry.reason})`)
+                });
+                if (this.notifier.queueSuppressed) {
+                    await this.notifier.queueSuppressed(suppressed);
+                }
+            }
+
             // When preferences are enabled, notify about new products that match preferences
             if (preferencesEnabled && results.preferenceMatches && results.preferenceMatches.length > 0) {
                 const products = results.preferenceMatches.map(match => match.product);
@@ -551,12 +1143,12 @@ class CoffeeMonitor {
                 this.log('info', 'Preference-based new products notifications sent', { notifications });
             }
 
-            // Notify about new products (grouped by product_group_id to show all sizes)
-            if (!preferencesEnabled && results.newProducts.length > 0 && results.newProducts.length <= 5) {
+            // Notify about new products (grouped by product_group_id to show all sizes).
+            // More than five go to digest channels, or as a summary per roastery when there are none.
+            if (!preferencesEnabled && results.newProducts.length > 0) {
                 this.log('info', `Sending new products notification for ${results.newProducts.length} product groups`);
                 
                 // Group products by product_group_id and collect all variants
-                const { extractSize } = require('./utils/product-grouping');
                 const productGroups = new Map();
                 
                 for (const product of results.allNewProducts || results.newProducts) {
@@ -565,30 +1157,40 @@ class CoffeeMonitor {
                     if (!productGroups.has(groupId)) {
                         productGroups.set(groupId, {
                             ...product,
-                            variants: [],
-                            availableSizes: []
+                            variants: []
                         });
                     }
                     
                     const group = productGroups.get(groupId);
-                    group.variants.push(product);
-                    
-                    const size = extractSize(product.name);
-                    if (size && !group.availableSizes.includes(size)) {
-                        group.availableSizes.push(size);
-                    }
+                    group.variants.push(...(product.variants || []));
                 }
                 
                 // Convert to array and only send if we have truly new product groups
                 const groupedProducts = Array.from(productGroups.values())
                     .filter(group => results.newProducts.some(p => p.id === group.id));
                 
-                if (groupedProducts.length > 0) {
+                if (groupedProducts.length > 0 && results.newProducts.length <= 5) {
                     const notifications = await this.notifier.notify('new_products', {
                         products: groupedProducts
                     });
                     
                     this.log('info', 'New products notifications sent', { notifications });
+                } else if (groupedProducts.length > 0) {
+                    const queued = this.notifier.queue
+                        ? await this.notifier.queue('new_products', { products: groupedProducts })
+                        : [];
+
+                    if (queued.length > 0) {
+                        this.log('info', 'New products queued for digests', { notifications: queued });
+                    } else {
+                        // No digest channel takes them: send a summary rather than nothing
+                        const notifications = await this.notifier.notify('new_products', {
+                            products: groupedProducts,
+                            summarized: true
+                        });
+
+                        this.log('info', 'New products summary sent', { notifications });
+                    }
                 }
             }
 
@@ -597,6 +1199,49 @@ class CoffeeMonitor {
         }
     }
 
+    /**
+     * Entries of a notification that may be sent. Entries are held back (and added
+     * to `suppressed`) while their product group is in the cooldown for this type,
+     * or when an availability change repeats the last one announced for the group,
+     * i.e. the product flapped back without the opposite change being announced.
+     */
+    async filterThrottled(type, entries, suppressed) {
+        const cooldownHours = this.config.getThrottleConfig().cooldownHours[type] || 0;
+        const availabilityTypes = [SENT_TYPES.favorites_newly_available, SENT_TYPES.favorites_newly_unavailable];
+        const allowed = [];
+
+        for (const entry of entries) {
+            const groupKey = getNotificationGroupKey(entry.product);
+            let reason = null;
+
+            if (availabilityTypes.includes(SENT_TYPES[type])) {
+                const last = await this.database.getLastGroupNotification(groupKey, availabilityTypes);
+                if (last?.notification_type === SENT_TYPES[type]) {
+                    reason = 'flapping';
+                }
+            }
+            if (!reason && cooldownHours > 0 && await this.database.wasGroupNotifiedRecently(groupKey, SENT_TYPES[type], cooldownHours)) {
+                reason = 'cooldown';
+            }
+
+            if (reason) {
+                suppressed.push({
+                    type,
+                    reason,
+                    product: entry.variant?.name || entry.product.name,
+                    roastery: entry.product.roastery_name || null
+                });
+            } else {
+                allowed.push(entry);
+            }
+        }
+        return allowed;
+    }
+
+    async recordNotificationSent(type, product) {
+        await this.database.recordNotificationSent(product.id, SENT_TYPES[type], getNotificationGroupKey(product));
+    }
+
     startScheduled() {
         const monitoringConfig = this.config.getMonitoringConfig();
         
@@ -617,10 +1262,91 @@ class CoffeeMonitor {
         });
 
         this.scheduledJob.start();
+        this.startDigests();
+        this.startOutbox();
         this.log('info', 'Scheduled monitoring started');
     }
 
+    /**
+     * One cron job per channel in digest mode, sending its queued notifications.
+     */
+    startDigests() {
+        this.stopDigests();
+
+        for (const { name, schedule } of this.notifier.getDigestChannels?.() || []) {
+            this.log('info', `Setting up ${name} digest with pattern: ${schedule}`);
+            this.digestJobs.push(cron.schedule(schedule, () => {
+                this.sendDigests(name).catch(error => {
+                    this.log('error', `Scheduled ${name} digest failed`, { error: error.message });
+                });
+            }, {
+                timezone: 'Europe/Oslo'
+            }));
+        }
+    }
+
+    stopDigests() {
+        this.digestJobs.forEach(job => job.stop());
+        this.digestJobs = [];
+    }
+
+    /**
+     * Check the outbox every minute, so notifications held over quiet hours go
+     * out when they end rather than at the next product check.
+     */
+    startOutbox() {
+        this.stopOutbox();
+        this.outboxJob = cron.schedule('* * * * *', () => {
+            this.releaseHeldNotifications().catch(error => {
+                this.log('error', 'Releasing held notifications failed', { error: error.message });
+            });
+        }, {
+            timezone: 'Europe/Oslo'
+        });
+    }
+
+    stopOutbox() {
+        if (this.outboxJob) {
+            this.outboxJob.stop();
+            this.outboxJob = null;
+        }
+    }
+
+    /**
+     * Send the notifications held in the outbox whose quiet hours have ended.
+     */
+    async releaseHeldNotifications() {
+        const results = await this.notifier.releaseHeld?.() || [];
+        if (results.length > 0) {
+            const sent = results.filter(result => result.success).length;
+            this.log(sent === results.length ? 'info' : 'warn', `Released ${sent}/${results.length} held notifications`);
+        }
+        return results;
+    }
+
+    /**
+     * Send the queued notifications of every channel in digest mode (or of one
+     * channel) as one summary each. Resolves to the result per channel.
+     */
+    async sendDigests(channelName = null) {
+        const channels = (this.notifier.getDigestChannels?.() || [])
+            .filter(channel => !channelName || channel.name === channelName);
+        if (channelName && channels.length === 0) {
+            throw new Error(`${channelName} is not an enabled notification channel with a digest schedule`);
+        }
+
+        const results = [];
+        for (const { name } of channels) {
+            const result = await this.notifier.sendDigest(name);
+            this.log(result.success ? 'info' : 'error', `Digest for ${name}: ${result.message || result.error}`, { events: result.events });
+            results.push(result);
+        }
+        return results;
+    }
+
     stopScheduled() {
+        this.stopDigests();
+        this.stopOutbox();
         if (this.scheduledJob) {
             this.scheduledJob.stop();
             this.scheduledJob = null;
@@ -638,10 +1364,96 @@ class CoffeeMonitor {
             lastCheck: this.lastCheck,
             availableProducts: availableProducts.length,
             totalFavorites: favorites.length,
-            scheduledPattern: this.config.getMonitoringConfig().checkInterval
+            scheduledPattern: this.config.getMonitoringConfig().checkInterval,
+            heldNotifications: await this.database.getHeldNotificationCount(),
+            sources: await this.database.getAllSourceHealth()
         };
     }
 
+    /**
+     * Scrape history per configured source, grouped by roastery: health, last success,
+     * current failure streak and the product counts of the most recent runs.
+     */
+    async getSourcesReport(options = {}) {
+        const { roastery = null, runs = 10 } = options;
+        const roasteries = new Map();
+
+        for (const urlConfig of this.config.getAllShopUrls()) {
+            const roasteryName = urlConfig.roastery.name;
+            if (roastery && roasteryName.toLowerCase() !== roastery.toLowerCase()) continue;
+
+            const health = await this.database.getSourceHealth(urlConfig.url);
+            const summary = await this.database.getSourceRunSummary(urlConfig.url);
+            const recentRuns = await this.database.getSourceRuns(urlConfig.url, runs);
+
+            if (!roasteries.has(roasteryName)) {
+                roasteries.set(roasteryName, {
+                    name: roasteryName,
+                    platform: urlConfig.roastery.platform || 'selectors',
+                    sources: []
+                });
+            }
+
+            roasteries.get(roasteryName).sources.push({
+                url: urlConfig.url,
+                description: urlConfig.metadata.description,
+                status: health ? health.status : null,
+                baselineCount: health ? health.baseline_count : null,
+                totalRuns: summary.total_runs,
+                lastSuccessAt: summary.last_success_at,
+                failureStreak: summary.failure_streak || 0,
+                lastError: recentRuns[0]?.error || null,
+                // Oldest first, so the trend reads left to right
+                recentRuns: recentRuns.reverse().map(run => ({
+                    status: run.status,
+                    productCount: run.product_count,
+                    httpStatus: run.http_status,
+                    durationMs: run.duration_ms,
+                    createdAt: run.created_at
+                }))
+            });
+        }
+
+        return Array.from(roasteries.values());
+    }
+
+    /**
+     * Recorded runs (check --record) live next to the database, in data/runs/<run-id>.
+     */
+    getRunsDir() {
+        return path.join(path.dirname(path.resolve(this.config.getDatabaseConfig().path)), 'runs');
+    }
+
+    /**
+     * Re-run parsing, matching and notification generation of a recorded run from
+     * its archive, against a copy of the database as it was before that run.
+     * Nothing is fetched, written to the live database or sent.
+     *
+     * @returns {Promise<Object>} Differences between the recording and the replay (RunArchive.compare())
+     */
+    async replayRun(runId) {
+        const archive = RunArchive.open(this.getRunsDir(), runId);
+        const workDir = fs.mkdtempSync(path.join(os.tmpdir(), `coffee-monitor-replay-${runId}-`));
+        const liveDatabase = this.database;
+
+        this.log('info', `Replaying run ${runId} recorded at ${archive.manifest.recordedAt}`);
+        try {
+            const databasePath = path.join(workDir, 'coffee.db');
+            fs.copyFileSync(archive.databasePath, databasePath);
+            this.database = new Database(databasePath);
+            await this.database.initialize();
+
+            await this.checkProducts({ replay: archive });
+            return archive.compare();
+        } finally {
+            if (this.database !== liveDatabase) {
+                await this.database.close();
+                this.database = liveDatabase;
+            }
+            fs.rmSync(workDir, { recursive: true, force: true });
+        }
+    }
+
     async getReport() {
         try {
             const availableProducts = await this.database.getAvailableProducts();
@@ -714,17 +1526,6 @@ class CoffeeMonitor {
         }
     }
 
-    extractSizeFromName(productName) {
-        const name = productName.toLowerCase();
-        if (name.includes('250g') || name.includes('250 g')) {
-            return '250g';
-        }
-        if (name.includes('1kg') || name.includes('1 kg') || name.includes('1000g')) {
-            return '1kg';
-        }
-        return null; // Unknown size
-    }
-
     isOrganicByName(productName) {
         const name = productName.toLowerCase();
         const organicKeywords = [
@@ -921,18 +1722,19 @@ class CoffeeMonitor {
                 this.log('info', `Deep scanning: ${product.name}`);
                 
                 // Navigate to product page and extract details
-                await this.scraper.page.goto(product.url, { 
+                const page = await this.scraper.getPage();
+                await page.goto(product.url, { 
                     waitUntil: 'networkidle2',
                     timeout: 30000 
                 });
                 
                 await new Promise(resolve => setTimeout(resolve, 1000)); // Be respectful
                 
-                const content = await this.scraper.page.content();
+                const content = await page.content();
                 const $ = require('cheerio').load(content);
                 
-                // Extract detailed information
-                const fullDescription = this.extractFullDescription($);
+                // Extract detailed information, preferring schema.org structured data
+                const fullDescription = this.extractStructuredDescription($, product.url) || this.extractFullDescription($);
                 const processingMethod = this.extractProcessingMethod($, fullDescription);
                 const sustainabilityInfo = this.extractSustainabilityInfo($, fullDescription);
                 
@@ -958,6 +1760,15 @@ class CoffeeMonitor {
         this.log('info', `Deep scan completed: ${scannedCount} scanned, ${skippedCount} skipped`);
     }
     
+    extractStructuredDescription($, pageUrl) {
+        const descriptions = extractStructuredProducts($, pageUrl)
+            .map(structured => structured.description)
+            .filter(Boolean);
+        if (descriptions.length === 0) return null;
+
+        return descriptions.reduce((longest, description) => description.length > longest.length ? description : longest);
+    }
+
     extractFullDescription($) {
         // Try multiple selectors for full product description
         const selectors = [
@@ -1020,37 +1831,6 @@ class CoffeeMonitor {
         return foundKeywords.length > 0 ? foundKeywords.join(', ') : null;
     }
 
-    getBaseProductName(productName) {
-        // Remove size indicators and common suffixes to get the base product name
-        let baseName = productName
-            .replace(/\s*,\s*\d+kg.*$/i, '')  // Remove ", 1kg ..." and everything after
-            .replace(/\s*,\s*\d+g.*$/i, '')   // Remove ", 250g ..." and everything after
-            .replace(/\s+\d+kg\s+.*$/i, '')   // Remove " 1kg ..." and everything after
-            .replace(/\s+\d+g\s+.*$/i, '')    // Remove " 250g ..." and everything after
-            .replace(/\s*\d+kg$/i, '')        // Remove " 1kg" at end
-            .replace(/\s*\d+g$/i, '')         // Remove " 250g" at end
-            .trim();
-        
-        return baseName;
-    }
-
-    shouldReplaceProduct(existingProduct, newProduct, existingSize, newSize) {
-        // Prefer organic products
-        if (newProduct.organic && !existingProduct.organic) {
-            return true;
-        }
-        if (!newProduct.organic && existingProduct.organic) {
-            return false;
-        }
-        
-        // Prefer larger sizes if both are equally organic
-        if (newSize === '1kg' && existingSize === '250g') {
-            return true;
-        }
-        
-        return false;
-    }
-
     async close() {
         this.log('info', 'Shutting down Coffee Monitor...');
         
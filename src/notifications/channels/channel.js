@@ -0,0 +1,59 @@
+/**
+ * Base class for notification channels. A channel declares its config key
+ * (`channelName`), the shape of its config (`configSchema`) and renders the
+ * structured messages from ../message.js in its own format in `send()`.
+ *
+ * Channels are constructed with their section of `notifications` in the config,
+ * e.g. `notifications.email` for the email channel, and only when it is enabled.
+ *
+ * Channels that mirror current state instead of sending events can also implement
+ * `publishResults(results)`, which receives the results of every product check
+ * (`results.products` and `results.favoriteStatus`, see CoffeeMonitor.checkProducts).
+ */
+class NotificationChannel {
+    static channelName = null;
+
+    /**
+     * Config fields by dotted path, e.g. `'smtp.host': { type: 'string', required: true }`.
+     * `type` is a typeof name or 'array', or a list of them.
+     */
+    static configSchema = {};
+
+    // Notification types sent by default; null sends every type
+    static defaultTypes = null;
+
+    // Whether notifications.quietHours applies unless the channel config says otherwise
+    static quietHours = true;
+
+    /**
+     * Problems the schema can't express, as messages naming the config path.
+     */
+    static validateConfig(config) {
+        return [];
+    }
+
+    constructor(config = {}) {
+        this.config = config;
+        this.name = this.constructor.channelName;
+    }
+
+    /**
+     * Whether this channel sends the given notification type. `types` in the
+     * channel config overrides the channel's default.
+     */
+    accepts(type) {
+        const types = this.config.types || this.constructor.defaultTypes;
+        return !types || types.includes(type);
+    }
+
+    /**
+     * Deliver a message. Resolves when sent and throws when delivery failed.
+     */
+    async send(message) {
+        throw new Error(`${this.name} channel does not implement send()`);
+    }
+
+    async close() {}
+}
+
+module.exports = NotificationChannel;
@@ -0,0 +1,47 @@
+const { execFile } = require('child_process');
+const NotificationChannel = require('./channel');
+const { registerChannel } = require('./registry');
+
+/**
+ * Desktop notification through notify-send (Linux). Shows the title and the
+ * one-line summary of a message.
+ */
+class DesktopChannel extends NotificationChannel {
+    static channelName = 'desktop';
+
+    static configSchema = {
+        title: { type: 'string' },
+        sound: { type: 'boolean' }
+    };
+
+    // New products and errors are only worth a desktop popup when asked for
+    static defaultTypes = [
+        'favorite_available',
+        'favorites_available_grouped',
+        'favorites_newly_available',
+        'favorites_newly_unavailable',
+        'price_drop'
+    ];
+
+    render(message) {
+        return { title: message.title, body: message.summary };
+    }
+
+    send(message) {
+        const { title, body } = this.render(message);
+        const args = [title, body, '--icon=dialog-information', `--app-name=${this.config.title || 'Coffee Monitor'}`];
+
+        return new Promise((resolve, reject) => {
+            execFile('notify-send', args, (error) => {
+                if (error) {
+                    reject(new Error(`notify-send failed: ${error.message}`));
+                } else {
+                    console.log('Desktop notification sent');
+                    resolve();
+                }
+            });
+        });
+    }
+}
+
+module.exports = registerChannel(DesktopChannel);
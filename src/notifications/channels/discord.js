@@ -0,0 +1,119 @@
+const NotificationChannel = require('./channel');
+const { registerChannel } = require('./registry');
+const { request } = require('../../utils/http');
+
+// Discord limits for a message and its embeds
+const MAX_EMBEDS = 10;
+const MAX_EMBED_CHARS = 6000;
+const MAX_FIELDS = 25;
+
+const TONE_COLORS = {
+    good: 0x2e7d32,
+    bad: 0xc62828,
+    info: 0x8b4513
+};
+
+function escapeMarkdown(text) {
+    return String(text).replace(/[*_~`|>\\]/g, '\\$&');
+}
+
+function truncate(text, max) {
+    return text.length > max ? `${text.substring(0, max - 1)}…` : text;
+}
+
+function embedLength(embed) {
+    return [
+        embed.title,
+        embed.description,
+        embed.author?.name,
+        embed.footer?.text,
+        ...(embed.fields || []).flatMap(field => [field.name, field.value])
+    ].reduce((total, text) => total + (text ? text.length : 0), 0);
+}
+
+/**
+ * Discord incoming webhook: one embed per product with its roastery, prices per
+ * size and AI tags as fields, linking to the shop. Messages are split into
+ * several posts to stay within Discord's 10 embeds / 6000 characters.
+ */
+class DiscordChannel extends NotificationChannel {
+    static channelName = 'discord';
+
+    static configSchema = {
+        webhookUrl: { type: 'string', required: true },
+        username: { type: 'string' },
+        avatarUrl: { type: 'string' },
+        timeout: { type: 'number' }
+    };
+
+    itemEmbed(item, section, color) {
+        const embed = {
+            title: truncate(`${item.icon ? `${item.icon} ` : ''}${item.title}`, 256),
+            color
+        };
+        if (item.url) embed.url = item.url;
+        if (section.heading) embed.author = { name: truncate(section.heading, 256) };
+
+        const description = item.lines.map(line => {
+            if (line.code) return `\`${line.text.replace(/`/g, "'")}\``;
+            const text = `${line.icon ? `${line.icon} ` : ''}${escapeMarkdown(line.text)}`;
+            return line.muted ? `*${text}*` : text;
+        }).join('\n');
+        if (description) embed.description = truncate(description, 4096);
+
+        const fields = (item.fields || []).slice(0, MAX_FIELDS);
+        if (fields.length > 0) {
+            embed.fields = fields.map(field => ({
+                name: truncate(field.label, 256),
+                value: truncate(field.value, 1024),
+                inline: true
+            }));
+        }
+        return embed;
+    }
+
+    /**
+     * Webhook payloads for a message, usually one.
+     */
+    render(message) {
+        const color = TONE_COLORS[message.tone] || TONE_COLORS.info;
+        const embeds = message.sections.flatMap(section =>
+            section.items.map(item => this.itemEmbed(item, section, color)));
+        if (message.footer && embeds.length > 0) {
+            embeds[embeds.length - 1].footer = { text: truncate(message.footer, 2048) };
+        }
+
+        const chunks = [[]];
+        let chars = 0;
+        for (const embed of embeds) {
+            const length = embedLength(embed);
+            const current = chunks[chunks.length - 1];
+            if (current.length > 0 && (current.length >= MAX_EMBEDS || chars + length > MAX_EMBED_CHARS)) {
+                chunks.push([]);
+                chars = 0;
+            }
+            chunks[chunks.length - 1].push(embed);
+            chars += length;
+        }
+
+        return chunks.map((chunk, index) => ({
+            ...(index === 0 ? { content: truncate(`**${escapeMarkdown(message.title)}**\n${escapeMarkdown(message.intro)}`, 2000) } : {}),
+            embeds: chunk,
+            ...(this.config.username ? { username: this.config.username } : {}),
+            ...(this.config.avatarUrl ? { avatar_url: this.config.avatarUrl } : {})
+        }));
+    }
+
+    async send(message) {
+        for (const payload of this.render(message)) {
+            await request(this.config.webhookUrl, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(payload),
+                timeout: this.config.timeout || 10000
+            });
+        }
+    }
+}
+
+module.exports = registerChannel(DiscordChannel);
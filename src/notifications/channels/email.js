@@ -0,0 +1,141 @@
+const nodemailer = require('nodemailer');
+const NotificationChannel = require('./channel');
+const { registerChannel } = require('./registry');
+
+const TONE_BACKGROUNDS = {
+    good: '#f0f8f0',
+    bad: '#fff3f3',
+    info: '#f5f5f5'
+};
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function lineText(line) {
+    return `${line.icon ? `${line.icon} ` : ''}${line.text}`;
+}
+
+/**
+ * Email over SMTP (nodemailer), with an HTML and a plain text part.
+ */
+class EmailChannel extends NotificationChannel {
+    static channelName = 'email';
+
+    static configSchema = {
+        'smtp.host': { type: 'string', required: true },
+        'smtp.port': { type: ['number', 'string'] },
+        'smtp.secure': { type: 'boolean' },
+        'smtp.auth.user': { type: 'string', required: true },
+        'smtp.auth.pass': { type: 'string' },
+        from: { type: 'string', required: true },
+        to: { type: ['string', 'array'], required: true }
+    };
+
+    constructor(config) {
+        super(config);
+        this.transporter = null;
+        this.ready = null;
+    }
+
+    /**
+     * Create and verify the SMTP transport on first use.
+     */
+    getTransporter() {
+        if (!this.ready) {
+            this.transporter = nodemailer.createTransport(this.config.smtp);
+            this.ready = this.transporter.verify()
+                .then(() => this.transporter)
+                .catch(error => {
+                    throw new Error(`SMTP connection failed: ${error.message}`);
+                });
+        }
+        return this.ready;
+    }
+
+    render(message) {
+        let html = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #8B4513;">${escapeHtml(message.title)}</h2>
+            <p>${escapeHtml(message.intro)}</p>
+        `;
+        let text = `${message.title}\n\n${message.intro}\n\n`;
+
+        for (const section of message.sections) {
+            if (section.heading) {
+                html += `<h3>${escapeHtml(section.heading)}</h3>`;
+                text += `${section.heading}\n\n`;
+            }
+
+            html += `<div style="background: ${TONE_BACKGROUNDS[message.tone] || TONE_BACKGROUNDS.info}; padding: 15px; border-radius: 5px; margin: 20px 0;">`;
+            for (const item of section.items) {
+                const title = `${item.icon ? `${item.icon} ` : ''}${item.title}`;
+                html += `<div style="margin-bottom: 15px;"><h4 style="margin: 0 0 5px 0;">${escapeHtml(title)}</h4>`;
+                text += `${title}\n`;
+
+                for (const line of item.lines) {
+                    if (line.code) {
+                        html += `<p style="margin: 3px 0;"><code>${escapeHtml(line.text)}</code></p>`;
+                    } else {
+                        const style = line.muted ? 'margin: 3px 0; color: #666; font-size: 12px;' : 'margin: 3px 0;';
+                        html += `<p style="${style}">${escapeHtml(lineText(line))}</p>`;
+                    }
+                    text += `  ${lineText(line)}\n`;
+                }
+
+                for (const field of item.fields || []) {
+                    html += `<p style="margin: 3px 0;"><strong>${escapeHtml(field.label)}:</strong> ${escapeHtml(field.value)}</p>`;
+                    text += `  ${field.label}: ${field.value}\n`;
+                }
+
+                if (item.url) {
+                    html += `<p style="margin: 3px 0;"><a href="${escapeHtml(item.url)}" style="color: #8B4513;">Sjå produktet</a></p>`;
+                    text += `  ${item.url}\n`;
+                }
+                html += `</div>`;
+                text += `\n`;
+            }
+            html += `</div>`;
+        }
+
+        if (message.footer) {
+            html += `<p>${escapeHtml(message.footer)}</p>`;
+            text += `${message.footer}\n`;
+        }
+
+        html += `
+            <p style="color: #666; font-size: 12px; margin-top: 30px;">
+                Sendt frå Coffee Monitor
+            </p>
+        </div>
+        `;
+
+        return { subject: message.title, html, text };
+    }
+
+    async send(message) {
+        const transporter = await this.getTransporter();
+        const content = this.render(message);
+
+        const result = await transporter.sendMail({
+            from: this.config.from,
+            to: this.config.to,
+            subject: content.subject,
+            html: content.html,
+            text: content.text
+        });
+        console.log('Email sent successfully:', result.messageId);
+    }
+
+    async close() {
+        if (this.transporter) {
+            this.transporter.close();
+        }
+    }
+}
+
+module.exports = registerChannel(EmailChannel);
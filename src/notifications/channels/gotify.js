@@ -0,0 +1,61 @@
+const NotificationChannel = require('./channel');
+const { registerChannel } = require('./registry');
+const { request } = require('../../utils/http');
+const { getPriority, validatePriorities, renderText, getClickUrl, getTags } = require('./push');
+
+// Gotify priorities: 0 (no notification) to 10; the Android app alerts from 8
+const GOTIFY_PRIORITIES = { min: 0, low: 2, default: 5, high: 8, max: 10 };
+
+/**
+ * Push through a self-hosted Gotify server, using an application token.
+ * Gotify has no tags, so the AI tags end the message body.
+ */
+class GotifyChannel extends NotificationChannel {
+    static channelName = 'gotify';
+
+    static configSchema = {
+        url: { type: 'string', required: true },
+        token: { type: 'string', required: true },
+        priorities: { type: 'object' },
+        timeout: { type: 'number' }
+    };
+
+    static validateConfig(config) {
+        return validatePriorities(config.priorities, 'gotify');
+    }
+
+    render(message) {
+        const tags = getTags(message);
+        const text = renderText(message);
+
+        const payload = {
+            title: message.title,
+            message: tags.length > 0 ? `${text}\n\n🏷️ ${tags.join(', ')}` : text,
+            priority: GOTIFY_PRIORITIES[getPriority(message.type, this.config.priorities)],
+            extras: {
+                'client::display': { contentType: 'text/plain' }
+            }
+        };
+
+        const click = getClickUrl(message);
+        if (click) {
+            payload.extras['client::notification'] = { click: { url: click } };
+        }
+
+        return payload;
+    }
+
+    async send(message) {
+        await request(`${this.config.url.replace(/\/+$/, '')}/message`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Gotify-Key': this.config.token
+            },
+            body: JSON.stringify(this.render(message)),
+            timeout: this.config.timeout || 10000
+        });
+    }
+}
+
+module.exports = registerChannel(GotifyChannel);
@@ -0,0 +1,25 @@
+const registry = require('./registry');
+
+/**
+ * Built-in notification channels. Each module registers its channel class with
+ * the registry when loaded; the config key under `notifications` is the
+ * channel's `channelName`.
+ *
+ * To add a channel, extend ./channel.js, declare `channelName` and
+ * `configSchema`, implement `send(message)`, call `registerChannel()` and
+ * require the module here.
+ */
+require('./email');
+require('./desktop');
+require('./telegram');
+require('./webhook');
+require('./slack');
+require('./discord');
+require('./mqtt');
+require('./ntfy');
+require('./gotify');
+
+module.exports = {
+    NotificationChannel: require('./channel'),
+    ...registry
+};
@@ -0,0 +1,214 @@
+const mqtt = require('mqtt');
+const NotificationChannel = require('./channel');
+const { registerChannel } = require('./registry');
+const { productData } = require('../message');
+
+/**
+ * Topic-safe slug: "Kaffebrenneriet Ø" -> "kaffebrenneriet-o".
+ */
+function slugify(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/æ/g, 'ae').replace(/ø/g, 'o').replace(/å/g, 'a')
+        .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '') || 'unknown';
+}
+
+/**
+ * MQTT for home automation. Every check publishes retained state topics:
+ *
+ *   <prefix>/<roastery>/<product>/available   "true" | "false"
+ *   <prefix>/<roastery>/<product>/price       lowest available price in kr
+ *   <prefix>/<roastery>/<product>/state       JSON with variants, url, ...
+ *   <prefix>/favorites/<favorite>/available|price|state
+ *
+ * and every notification is published (not retained) to <prefix>/events/<type>.
+ * <prefix>/status is "online" while connected ("offline" as last will). With
+ * `homeAssistant` enabled, discovery configs create a binary sensor and a price
+ * sensor per product and favorite.
+ */
+class MqttChannel extends NotificationChannel {
+    static channelName = 'mqtt';
+
+    // Mirrors state for other systems, so it isn't held back at night
+    static quietHours = false;
+
+    static configSchema = {
+        url: { type: 'string', required: true },
+        username: { type: 'string' },
+        password: { type: 'string' },
+        clientId: { type: 'string' },
+        topicPrefix: { type: 'string' },
+        qos: { type: 'number' },
+        homeAssistant: { type: 'boolean' },
+        discoveryPrefix: { type: 'string' }
+    };
+
+    constructor(config) {
+        super(config);
+        this.prefix = (config.topicPrefix || 'coffee').replace(/\/+$/, '');
+        this.qos = config.qos ?? 1;
+        this.client = null;
+        this.connecting = null;
+        // Discovery configs already published by this process
+        this.discovered = new Set();
+    }
+
+    get statusTopic() {
+        return `${this.prefix}/status`;
+    }
+
+    /**
+     * Connect on first use and announce the monitor as online.
+     */
+    async getClient() {
+        if (this.client) return this.client;
+
+        if (!this.connecting) {
+            this.connecting = mqtt.connectAsync(this.config.url, {
+                username: this.config.username,
+                password: this.config.password,
+                clientId: this.config.clientId || `coffee-monitor-${process.pid}`,
+                will: { topic: this.statusTopic, payload: 'offline', retain: true, qos: this.qos }
+            }).then(async (client) => {
+                this.client = client;
+                await client.publishAsync(this.statusTopic, 'online', { retain: true, qos: this.qos });
+                return client;
+            }).catch(error => {
+                this.connecting = null;
+                throw new Error(`MQTT connection to ${this.config.url} failed: ${error.message}`);
+            });
+        }
+        return this.connecting;
+    }
+
+    async publish(topic, payload, retain = true) {
+        const client = await this.getClient();
+        const body = typeof payload === 'string' ? payload : JSON.stringify(payload);
+        await client.publishAsync(topic, body, { retain, qos: this.qos });
+    }
+
+    productTopic(product) {
+        return `${this.prefix}/${slugify(product.roastery_name)}/${slugify(product.name)}`;
+    }
+
+    favoriteTopic(favorite) {
+        return `${this.prefix}/favorites/${slugify(favorite.name)}`;
+    }
+
+    async send(message) {
+        await this.publish(`${this.prefix}/events/${message.type}`, {
+            event: message.type,
+            timestamp: new Date().toISOString(),
+            title: message.title,
+            summary: message.summary,
+            data: message.data || {}
+        }, false);
+    }
+
+    async publishResults(results) {
+        const updatedAt = new Date().toISOString();
+
+        for (const product of results.products || []) {
+            const state = productData(product);
+            const prices = state.variants.filter(v => v.available && v.price != null).map(v => v.price);
+            const price = prices.length > 0 ? Math.min(...prices) : state.price;
+
+            await this.publishState(this.productTopic(product), state.available, price, { ...state, updatedAt }, {
+                id: `${slugify(product.roastery_name)}_${slugify(product.name)}`,
+                name: product.name,
+                device: { identifiers: [`coffee_monitor_${slugify(product.roastery_name)}`], name: product.roastery_name }
+            });
+        }
+
+        for (const status of results.favoriteStatus || []) {
+            const { favorite } = status;
+            await this.publishState(this.favoriteTopic(favorite), status.available, status.lowestPrice, {
+                name: favorite.name,
+                terms: favorite.terms,
+                available: status.available,
+                lowestPrice: status.lowestPrice,
+                products: status.products.map(product => productData(product)),
+                updatedAt
+            }, {
+                id: `favorite_${slugify(favorite.name)}`,
+                name: `Favoritt ${favorite.name}`,
+                device: { identifiers: ['coffee_monitor_favorites'], name: 'Coffee Monitor favorittar' }
+            });
+        }
+    }
+
+    async publishState(base, available, price, state, entity) {
+        if (this.config.homeAssistant) {
+            await this.publishDiscovery(base, entity);
+        }
+
+        await this.publish(`${base}/available`, available ? 'true' : 'false');
+        if (price != null) {
+            await this.publish(`${base}/price`, String(price));
+        }
+        await this.publish(`${base}/state`, state);
+    }
+
+    /**
+     * Home Assistant MQTT discovery configs for one product or favorite:
+     * a binary sensor for availability and a sensor for the price.
+     */
+    getDiscoveryConfigs(base, entity) {
+        const discoveryPrefix = this.config.discoveryPrefix || 'homeassistant';
+        const uniqueId = `coffee_monitor_${entity.id}`;
+        const device = { ...entity.device, manufacturer: 'Coffee Monitor' };
+        const common = {
+            availability_topic: this.statusTopic,
+            json_attributes_topic: `${base}/state`,
+            device
+        };
+
+        return [
+            {
+                topic: `${discoveryPrefix}/binary_sensor/${uniqueId}/available/config`,
+                payload: {
+                    name: `${entity.name} tilgjengeleg`,
+                    unique_id: `${uniqueId}_available`,
+                    state_topic: `${base}/available`,
+                    payload_on: 'true',
+                    payload_off: 'false',
+                    icon: 'mdi:coffee',
+                    ...common
+                }
+            },
+            {
+                topic: `${discoveryPrefix}/sensor/${uniqueId}/price/config`,
+                payload: {
+                    name: `${entity.name} pris`,
+                    unique_id: `${uniqueId}_price`,
+                    state_topic: `${base}/price`,
+                    unit_of_measurement: 'kr',
+                    icon: 'mdi:cash',
+                    ...common
+                }
+            }
+        ];
+    }
+
+    async publishDiscovery(base, entity) {
+        if (this.discovered.has(entity.id)) return;
+
+        for (const { topic, payload } of this.getDiscoveryConfigs(base, entity)) {
+            await this.publish(topic, payload);
+        }
+        this.discovered.add(entity.id);
+    }
+
+    async close() {
+        if (this.client) {
+            await this.client.publishAsync(this.statusTopic, 'offline', { retain: true, qos: this.qos }).catch(() => {});
+            await this.client.endAsync();
+            this.client = null;
+            this.connecting = null;
+        }
+    }
+}
+
+module.exports = registerChannel(MqttChannel);
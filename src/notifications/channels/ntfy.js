@@ -0,0 +1,72 @@
+const NotificationChannel = require('./channel');
+const { registerChannel } = require('./registry');
+const { request } = require('../../utils/http');
+const { getPriority, validatePriorities, renderText, getClickUrl, getTags } = require('./push');
+
+// ntfy priorities: 1 (min) to 5 (max)
+const NTFY_PRIORITIES = { min: 1, low: 2, default: 3, high: 4, max: 5 };
+
+/**
+ * Push through an ntfy server (https://ntfy.sh or self-hosted), published as
+ * JSON to the server root. Clicking the notification opens the product page.
+ */
+class NtfyChannel extends NotificationChannel {
+    static channelName = 'ntfy';
+
+    static configSchema = {
+        url: { type: 'string' },
+        topic: { type: 'string', required: true },
+        token: { type: 'string' },
+        username: { type: 'string' },
+        password: { type: 'string' },
+        priorities: { type: 'object' },
+        timeout: { type: 'number' }
+    };
+
+    static validateConfig(config) {
+        return validatePriorities(config.priorities, 'ntfy');
+    }
+
+    get serverUrl() {
+        return (this.config.url || 'https://ntfy.sh').replace(/\/+$/, '');
+    }
+
+    getHeaders() {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.config.token) {
+            headers.Authorization = `Bearer ${this.config.token}`;
+        } else if (this.config.username) {
+            const credentials = Buffer.from(`${this.config.username}:${this.config.password || ''}`).toString('base64');
+            headers.Authorization = `Basic ${credentials}`;
+        }
+        return headers;
+    }
+
+    render(message) {
+        const payload = {
+            topic: this.config.topic,
+            title: message.title,
+            message: renderText(message),
+            priority: NTFY_PRIORITIES[getPriority(message.type, this.config.priorities)]
+        };
+
+        const tags = getTags(message);
+        if (tags.length > 0) payload.tags = tags;
+
+        const click = getClickUrl(message);
+        if (click) payload.click = click;
+
+        return payload;
+    }
+
+    async send(message) {
+        await request(`${this.serverUrl}/`, {
+            method: 'POST',
+            headers: this.getHeaders(),
+            body: JSON.stringify(this.render(message)),
+            timeout: this.config.timeout || 10000
+        });
+    }
+}
+
+module.exports = registerChannel(NtfyChannel);
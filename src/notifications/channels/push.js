@@ -0,0 +1,104 @@
+/**
+ * Shared rendering for self-hosted push services (ntfy, Gotify): a short
+ * plain-text body, a priority per notification type, the product URL to open
+ * on click and tags from the products' AI attributes.
+ */
+
+const { getMessageTypes } = require('../message');
+
+// Items shown per section before the rest are summarized
+const MAX_ITEMS = 5;
+
+// Default priority per notification type, overridable with `priorities` in the channel config
+const DEFAULT_PRIORITIES = {
+    favorite_available: 'high',
+    favorites_available_grouped: 'high',
+    favorites_newly_available: 'high',
+    favorites_newly_unavailable: 'default',
+    new_products: 'default',
+    price_drop: 'default',
+    error: 'low'
+};
+
+const PRIORITY_LEVELS = ['min', 'low', 'default', 'high', 'max'];
+
+/**
+ * Priority level ('min' | 'low' | 'default' | 'high' | 'max') for a notification type.
+ */
+function getPriority(type, overrides = {}) {
+    const level = overrides[type] || DEFAULT_PRIORITIES[type] || 'default';
+    return PRIORITY_LEVELS.includes(level) ? level : 'default';
+}
+
+/**
+ * Problems with a `priorities` config: unknown notification types and levels.
+ */
+function validatePriorities(priorities, channelName) {
+    if (!priorities || typeof priorities !== 'object') return [];
+
+    return Object.entries(priorities).flatMap(([type, level]) => {
+        const path = `notifications.${channelName}.priorities.${type}`;
+        if (!getMessageTypes().includes(type)) return [`${path} is not a notification type`];
+        if (!PRIORITY_LEVELS.includes(level)) return [`${path} must be one of: ${PRIORITY_LEVELS.join(', ')}`];
+        return [];
+    });
+}
+
+function renderText(message) {
+    const parts = [message.intro];
+
+    for (const section of message.sections) {
+        const lines = section.heading ? [section.heading] : [];
+        for (const item of section.items.slice(0, MAX_ITEMS)) {
+            lines.push(`${item.icon ? `${item.icon} ` : ''}${item.title}`);
+            for (const line of item.lines) {
+                lines.push(`   ${line.icon ? `${line.icon} ` : ''}${line.text}`);
+            }
+        }
+        if (section.items.length > MAX_ITEMS) {
+            lines.push(`... og ${section.items.length - MAX_ITEMS} fleire!`);
+        }
+        parts.push(lines.join('\n'));
+    }
+
+    if (message.footer) {
+        parts.push(message.footer);
+    }
+    return parts.filter(Boolean).join('\n\n');
+}
+
+/**
+ * URL to open when the notification is clicked: the first product's page.
+ */
+function getClickUrl(message) {
+    for (const section of message.sections) {
+        const item = section.items.find(entry => entry.url);
+        if (item) return item.url;
+    }
+    return null;
+}
+
+/**
+ * Distinct AI tags of the products in a message, in order of appearance.
+ */
+function getTags(message, max = 5) {
+    const tags = new Set();
+    for (const section of message.sections) {
+        for (const item of section.items) {
+            for (const tag of item.tags || []) {
+                tags.add(String(tag).toLowerCase());
+            }
+        }
+    }
+    return [...tags].slice(0, max);
+}
+
+module.exports = {
+    DEFAULT_PRIORITIES,
+    PRIORITY_LEVELS,
+    getPriority,
+    validatePriorities,
+    renderText,
+    getClickUrl,
+    getTags
+};
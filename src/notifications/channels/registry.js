@@ -0,0 +1,117 @@
+const { getMessageTypes } = require('../message');
+const { validateDigestSchedule } = require('../digest');
+const { validateQuietHours } = require('../quiet-hours');
+
+// Channel classes keyed by their config key under `notifications`
+const CHANNELS = new Map();
+
+// Fields every channel accepts
+const COMMON_SCHEMA = {
+    enabled: { type: 'boolean' },
+    types: { type: 'array' },
+    // "daily", "weekly" or a cron expression: queue notifications and send one summary per schedule
+    digest: { type: 'string' },
+    // Overrides notifications.quietHours for this channel; false sends at any time
+    quietHours: { type: ['object', 'boolean'] }
+};
+
+function registerChannel(ChannelClass) {
+    const name = ChannelClass.channelName;
+    if (!name) {
+        throw new Error('Notification channels must declare a static channelName');
+    }
+    if (CHANNELS.has(name) && CHANNELS.get(name) !== ChannelClass) {
+        throw new Error(`Notification channel "${name}" is already registered`);
+    }
+
+    CHANNELS.set(name, ChannelClass);
+    return ChannelClass;
+}
+
+function getChannelNames() {
+    return [...CHANNELS.keys()];
+}
+
+function getChannel(name) {
+    return CHANNELS.get(name) || null;
+}
+
+function getPath(object, dottedPath) {
+    return dottedPath.split('.').reduce((current, key) =>
+        current && typeof current === 'object' ? current[key] : undefined, object);
+}
+
+function typeOf(value) {
+    return Array.isArray(value) ? 'array' : typeof value;
+}
+
+/**
+ * Problems with one channel's config, as messages naming the config path,
+ * e.g. "notifications.email.smtp.host is required". Empty when valid.
+ */
+function validateChannelConfig(name, config = {}) {
+    const ChannelClass = CHANNELS.get(name);
+    if (!ChannelClass) {
+        return [`notifications.${name} is not a known notification channel (known: ${getChannelNames().join(', ')})`];
+    }
+
+    const problems = [];
+    const schema = { ...COMMON_SCHEMA, ...ChannelClass.configSchema };
+
+    for (const [field, rule] of Object.entries(schema)) {
+        const value = getPath(config, field);
+        const fieldPath = `notifications.${name}.${field}`;
+
+        if (value === undefined || value === null || value === '') {
+            if (rule.required) problems.push(`${fieldPath} is required`);
+            continue;
+        }
+
+        const types = [].concat(rule.type || []);
+        if (types.length > 0 && !types.includes(typeOf(value))) {
+            problems.push(`${fieldPath} must be ${types.join(' or ')}`);
+        }
+    }
+
+    problems.push(...validateDigestSchedule(config.digest, name));
+    if (typeOf(config.quietHours) === 'object') {
+        problems.push(...validateQuietHours(config.quietHours, `notifications.${name}.quietHours`));
+    }
+    problems.push(...ChannelClass.validateConfig(config));
+
+    const unknownTypes = Array.isArray(config.types)
+        ? config.types.filter(type => !getMessageTypes().includes(type))
+        : [];
+    if (unknownTypes.length > 0) {
+        problems.push(`notifications.${name}.types has unknown notification types: ${unknownTypes.join(', ')}`);
+    }
+
+    return problems;
+}
+
+/**
+ * Problems with every enabled channel in the `notifications` config.
+ */
+function validateChannelConfigs(notificationsConfig = {}) {
+    return getChannelNames()
+        .filter(name => notificationsConfig[name]?.enabled)
+        .flatMap(name => validateChannelConfig(name, notificationsConfig[name]));
+}
+
+/**
+ * Instances of the enabled channels in the `notifications` config.
+ */
+function createChannels(notificationsConfig = {}) {
+    return getChannelNames()
+        .filter(name => notificationsConfig[name]?.enabled)
+        .map(name => new (CHANNELS.get(name))(notificationsConfig[name]));
+}
+
+module.exports = {
+    registerChannel,
+    getChannel,
+    getChannelNames,
+    validateChannelConfig,
+    validateChannelConfigs,
+    createChannels
+};
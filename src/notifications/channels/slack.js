@@ -0,0 +1,108 @@
+const NotificationChannel = require('./channel');
+const { registerChannel } = require('./registry');
+const { request } = require('../../utils/http');
+
+// Slack limits for a message and its blocks
+const MAX_BLOCKS = 50;
+const MAX_SECTION_TEXT = 3000;
+const MAX_FIELDS = 10;
+
+function escapeMrkdwn(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function truncate(text, max) {
+    return text.length > max ? `${text.substring(0, max - 1)}…` : text;
+}
+
+function mrkdwn(text) {
+    return { type: 'mrkdwn', text };
+}
+
+/**
+ * Slack incoming webhook with Block Kit: one section per product with its
+ * roastery, prices per size and AI tags as fields, and a button to the shop.
+ * Messages over Slack's 50-block limit are split into several posts.
+ */
+class SlackChannel extends NotificationChannel {
+    static channelName = 'slack';
+
+    static configSchema = {
+        webhookUrl: { type: 'string', required: true },
+        username: { type: 'string' },
+        iconEmoji: { type: 'string' },
+        timeout: { type: 'number' }
+    };
+
+    itemBlock(item) {
+        const title = item.url
+            ? `<${item.url}|${escapeMrkdwn(item.title)}>`
+            : escapeMrkdwn(item.title);
+        const lines = item.lines.map(line => {
+            if (line.code) return `\`${line.text.replace(/`/g, "'")}\``;
+            const text = `${line.icon ? `${line.icon} ` : ''}${escapeMrkdwn(line.text)}`;
+            return line.muted ? `_${text}_` : text;
+        });
+
+        const block = {
+            type: 'section',
+            text: mrkdwn(truncate([`${item.icon ? `${item.icon} ` : ''}*${title}*`, ...lines].join('\n'), MAX_SECTION_TEXT))
+        };
+        const fields = (item.fields || []).slice(0, MAX_FIELDS);
+        if (fields.length > 0) {
+            block.fields = fields.map(field => mrkdwn(`*${escapeMrkdwn(field.label)}*\n${escapeMrkdwn(field.value)}`));
+        }
+        if (item.url) {
+            block.accessory = {
+                type: 'button',
+                text: { type: 'plain_text', text: 'Sjå produktet', emoji: true },
+                url: item.url
+            };
+        }
+        return block;
+    }
+
+    /**
+     * Webhook payloads for a message, usually one.
+     */
+    render(message) {
+        const blocks = [];
+        message.sections.forEach((section, index) => {
+            if (index > 0) blocks.push({ type: 'divider' });
+            if (section.heading) blocks.push({ type: 'section', text: mrkdwn(`*${escapeMrkdwn(section.heading)}*`) });
+            blocks.push(...section.items.map(item => this.itemBlock(item)));
+        });
+        if (message.footer) {
+            blocks.push({ type: 'context', elements: [mrkdwn(escapeMrkdwn(message.footer))] });
+        }
+
+        const chunks = [[
+            { type: 'header', text: { type: 'plain_text', text: truncate(message.title, 150), emoji: true } },
+            { type: 'section', text: mrkdwn(escapeMrkdwn(message.intro)) }
+        ]];
+        for (const block of blocks) {
+            if (chunks[chunks.length - 1].length >= MAX_BLOCKS) chunks.push([]);
+            chunks[chunks.length - 1].push(block);
+        }
+
+        return chunks.map(chunk => ({
+            text: message.summary,
+            blocks: chunk,
+            ...(this.config.username ? { username: this.config.username } : {}),
+            ...(this.config.iconEmoji ? { icon_emoji: this.config.iconEmoji } : {})
+        }));
+    }
+
+    async send(message) {
+        for (const payload of this.render(message)) {
+            await request(this.config.webhookUrl, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(payload),
+                timeout: this.config.timeout || 10000
+            });
+        }
+    }
+}
+
+module.exports = registerChannel(SlackChannel);
@@ -0,0 +1,115 @@
+const https = require('https');
+const NotificationChannel = require('./channel');
+const { registerChannel } = require('./registry');
+
+// Telegram's limit is 4096 characters per message
+const MAX_LENGTH = 4096;
+// Items shown per section before the rest are summarized
+const MAX_ITEMS = 10;
+
+/**
+ * Telegram message through the Bot API, as plain text.
+ */
+class TelegramChannel extends NotificationChannel {
+    static channelName = 'telegram';
+
+    static configSchema = {
+        botToken: { type: 'string', required: true },
+        chatId: { type: ['string', 'number'], required: true },
+        allowedChatIds: { type: 'array' },
+        pollTimeout: { type: 'number' },
+        title: { type: 'string' },
+        sound: { type: 'boolean' }
+    };
+
+    render(message) {
+        let text = `${message.title}\n\n${message.intro}\n\n`;
+
+        for (const section of message.sections) {
+            if (section.heading) {
+                text += `${section.heading}\n\n`;
+            }
+
+            const numbered = section.items.length > 1;
+            section.items.slice(0, MAX_ITEMS).forEach((item, index) => {
+                text += `${numbered ? `${index + 1}. ` : ''}${item.icon ? `${item.icon} ` : ''}${item.title}\n`;
+                for (const line of item.lines) {
+                    text += `   ${line.code ? '   ' : ''}${line.icon ? `${line.icon} ` : ''}${line.text}\n`;
+                }
+                for (const field of item.fields || []) {
+                    text += `   🏷️ ${field.label}: ${field.value}\n`;
+                }
+                if (item.url) {
+                    text += `   🔗 ${item.url}\n`;
+                }
+                text += `\n`;
+            });
+
+            if (section.items.length > MAX_ITEMS) {
+                text += `... og ${section.items.length - MAX_ITEMS} fleire!\n\n`;
+            }
+        }
+
+        if (message.footer) {
+            text += `${message.footer}\n`;
+        }
+
+        text = text.trim();
+        if (text.length > MAX_LENGTH) {
+            console.warn(`Telegram message too long (${text.length} chars), truncating to 4000 chars`);
+            text = text.substring(0, 4000) + '...';
+        }
+        return text;
+    }
+
+    send(message) {
+        const data = JSON.stringify({
+            chat_id: this.config.chatId,
+            text: this.render(message),
+            disable_notification: this.config.sound === false
+        });
+
+        const options = {
+            hostname: 'api.telegram.org',
+            port: 443,
+            path: `/bot${this.config.botToken}/sendMessage`,
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json; charset=utf-8',
+                'Content-Length': Buffer.byteLength(data, 'utf8')
+            }
+        };
+
+        return new Promise((resolve, reject) => {
+            const req = https.request(options, (res) => {
+                let responseData = '';
+                res.on('data', (chunk) => {
+                    responseData += chunk;
+                });
+
+                res.on('end', () => {
+                    let response;
+                    try {
+                        response = JSON.parse(responseData);
+                    } catch (error) {
+                        reject(new Error(`Invalid Telegram response: ${error.message}`));
+                        return;
+                    }
+
+                    if (response.ok) {
+                        console.log('Telegram notification sent successfully');
+                        resolve();
+                    } else {
+                        reject(new Error(`Telegram API error: ${response.description}`));
+                    }
+                });
+            });
+
+            req.on('error', (error) => reject(new Error(`Telegram request failed: ${error.message}`)));
+            req.write(data);
+            req.end();
+        });
+    }
+}
+
+module.exports = registerChannel(TelegramChannel);
@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const NotificationChannel = require('./channel');
+const { registerChannel } = require('./registry');
+const { request } = require('../../utils/http');
+
+const SIGNATURE_HEADER = 'X-Coffee-Monitor-Signature';
+
+/**
+ * POSTs every notification as JSON to one or more URLs, for Home Assistant,
+ * n8n and other tools:
+ *
+ *   { id, event, timestamp, title, summary, data }
+ *
+ * `data` is the message's machine-readable event data (see ../message.js).
+ * With a `secret` the body is signed with HMAC-SHA256 in the
+ * X-Coffee-Monitor-Signature header as "sha256=<hex>". Failed deliveries are
+ * retried with exponential backoff, then appended to the dead-letter file.
+ */
+class WebhookChannel extends NotificationChannel {
+    static channelName = 'webhook';
+
+    static configSchema = {
+        urls: { type: 'array', required: true },
+        secret: { type: 'string' },
+        headers: { type: 'object' },
+        timeout: { type: 'number' },
+        maxRetries: { type: 'number' },
+        retryDelay: { type: 'number' },
+        deadLetterFile: { type: 'string' }
+    };
+
+    static validateConfig(config) {
+        return (Array.isArray(config.urls) ? config.urls : []).flatMap((endpoint, index) => {
+            const url = typeof endpoint === 'string' ? endpoint : endpoint?.url;
+            return /^https?:\/\//.test(url || '')
+                ? []
+                : [`notifications.webhook.urls[${index}] must be an http(s) URL or { url, secret, headers }`];
+        });
+    }
+
+    /**
+     * Configured endpoints as { url, secret, headers }; per-URL settings
+     * override the channel-wide secret and add to its headers.
+     */
+    getEndpoints() {
+        return (this.config.urls || []).map(endpoint => {
+            const entry = typeof endpoint === 'string' ? { url: endpoint } : endpoint;
+            return {
+                url: entry.url,
+                secret: entry.secret ?? this.config.secret ?? null,
+                headers: { ...(this.config.headers || {}), ...(entry.headers || {}) }
+            };
+        });
+    }
+
+    render(message) {
+        return {
+            id: crypto.randomUUID(),
+            event: message.type,
+            timestamp: new Date().toISOString(),
+            title: message.title,
+            summary: message.summary,
+            data: message.data || {}
+        };
+    }
+
+    sign(body, secret) {
+        return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+    }
+
+    async send(message) {
+        const payload = this.render(message);
+        const body = JSON.stringify(payload);
+        const endpoints = this.getEndpoints();
+
+        const failures = (await Promise.all(endpoints.map(endpoint => this.deliver(endpoint, payload, body))))
+            .filter(Boolean);
+
+        if (failures.length > 0) {
+            throw new Error(`${failures.length} of ${endpoints.length} webhook deliveries failed: ` +
+                failures.map(failure => `${failure.url} (${failure.error})`).join(', '));
+        }
+    }
+
+    /**
+     * POST to one endpoint with retries. Resolves to null when delivered, else to
+     * the dead-letter entry that was written.
+     */
+    async deliver(endpoint, payload, body) {
+        const { maxRetries = 3, retryDelay = 1000, timeout = 10000 } = this.config;
+        const headers = {
+            'Content-Type': 'application/json',
+            'User-Agent': 'coffee-monitor-webhook',
+            'X-Coffee-Monitor-Event': payload.event,
+            'X-Coffee-Monitor-Delivery': payload.id,
+            ...endpoint.headers
+        };
+        if (endpoint.secret) {
+            headers[SIGNATURE_HEADER] = this.sign(body, endpoint.secret);
+        }
+
+        let attempt = 0;
+        let lastError = null;
+
+        while (attempt <= maxRetries) {
+            attempt++;
+            try {
+                await request(endpoint.url, { method: 'POST', headers, body, timeout });
+                return null;
+            } catch (error) {
+                lastError = error;
+
+                const retryable = !error.status || error.status === 429 || error.status >= 500;
+                if (!retryable || attempt > maxRetries) {
+                    break;
+                }
+
+                const delay = retryDelay * Math.pow(2, attempt - 1);
+                console.warn(`Webhook attempt ${attempt} failed for ${endpoint.url} (${error.message}), retrying in ${delay}ms...`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+
+        const deadLetter = {
+            failedAt: new Date().toISOString(),
+            url: endpoint.url,
+            attempts: attempt,
+            error: lastError.message,
+            payload
+        };
+        this.writeDeadLetter(deadLetter);
+        return deadLetter;
+    }
+
+    writeDeadLetter(entry) {
+        const file = this.config.deadLetterFile || './data/webhook-dead-letters.jsonl';
+        try {
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.appendFileSync(file, `${JSON.stringify(entry)}\n`);
+        } catch (error) {
+            console.error(`Failed to write webhook dead letter to ${file}:`, error.message);
+        }
+    }
+}
+
+module.exports = registerChannel(WebhookChannel);
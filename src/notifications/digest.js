@@ -0,0 +1,150 @@
+const cron = require('node-cron');
+
+/**
+ * Digest mode: a channel with `digest` in its config gets its notifications
+ * queued (the `digest_queue` table) and receives one summary per schedule
+ * instead of a message per check.
+ */
+
+// Shorthands for the `digest` setting; anything else is a cron expression
+const DIGEST_SCHEDULES = {
+    daily: '0 8 * * *',
+    weekly: '0 8 * * 1'
+};
+
+/**
+ * Cron expression for a channel's `digest` setting, or null when the channel sends immediately.
+ */
+function getDigestSchedule(digest) {
+    if (!digest) return null;
+    return DIGEST_SCHEDULES[digest] || digest;
+}
+
+function validateDigestSchedule(digest, channelName) {
+    if (typeof digest !== 'string' || !digest) return [];
+
+    return cron.validate(getDigestSchedule(digest))
+        ? []
+        : [`notifications.${channelName}.digest must be "daily", "weekly" or a cron expression`];
+}
+
+/**
+ * Notification data as JSON for the queue. Errors keep their message.
+ */
+function serializeEvent(data) {
+    return JSON.stringify(data, (key, value) =>
+        value instanceof Error ? { message: value.message } : value);
+}
+
+function dropKey(drop) {
+    return `${drop.product.id}:${drop.variant.id ?? drop.variant.name}`;
+}
+
+/**
+ * Fold queued events (`{ event_type, payload, created_at }`, oldest first) into
+ * the sections of a digest. A favorite that changed several times is listed
+ * once, by its latest state; repeated price changes (drops and increases) of a
+ * variant are merged from the first old price to the latest new price, and left
+ * out when the price is back where it started. Notifications held back by the
+ * throttle (`suppressed` events) are collected as they are.
+ */
+function summarizeDigest(events) {
+    const favorites = new Map();
+    const newProducts = new Map();
+    const priceChanges = new Map();
+    const failures = new Map();
+    const suppressed = [];
+
+    const addFailure = (key, failure) => {
+        const existing = failures.get(key);
+        failures.set(key, { ...failure, count: (existing?.count || 0) + 1 });
+    };
+
+    for (const event of events) {
+        const data = typeof event.payload === 'string' ? JSON.parse(event.payload) : event.payload;
+
+        switch (event.event_type) {
+            case 'favorite_available':
+                favorites.set(data.product.id, { available: true, entry: { product: data.product } });
+                break;
+            case 'favorites_available_grouped':
+            case 'favorites_newly_available':
+            case 'favorites_newly_unavailable':
+                for (const entry of data.favorites) {
+                    favorites.set(entry.product.id, { available: event.event_type !== 'favorites_newly_unavailable', entry });
+                }
+                break;
+            case 'new_products':
+                for (const product of data.products) {
+                    newProducts.set(product.id, product);
+                }
+                break;
+            case 'price_drop':
+            case 'price_increase':
+                for (const change of data.drops || data.increases) {
+                    const first = priceChanges.get(dropKey(change));
+                    const oldPrice = first ? first.event.old_price : change.event.old_price;
+                    const newPrice = change.event.new_price;
+                    priceChanges.set(dropKey(change), {
+                        ...change,
+                        event: {
+                            ...change.event,
+                            direction: newPrice < oldPrice ? 'down' : 'up',
+                            old_price: oldPrice,
+                            change_percent: Math.round(((newPrice - oldPrice) / oldPrice) * 1000) / 10
+                        }
+                    });
+                }
+                break;
+            case 'suppressed':
+                suppressed.push(...data.events);
+                break;
+            case 'error':
+                if (data.failedSources?.length > 0) {
+                    for (const source of data.failedSources) {
+                        addFailure(source.url, {
+                            roastery: source.roastery,
+                            url: source.url,
+                            description: source.description || null,
+                            error: source.error
+                        });
+                    }
+                } else {
+                    addFailure(`${data.context}:${data.error?.message}`, {
+                        roastery: null,
+                        url: null,
+                        description: data.context || null,
+                        error: data.error?.message || 'Ukjend feil'
+                    });
+                }
+                break;
+        }
+    }
+
+    const favoriteStates = [...favorites.values()];
+    const byRoastery = new Map();
+    for (const product of newProducts.values()) {
+        const roastery = product.roastery_name || 'Ukjend kaffibrenneri';
+        if (!byRoastery.has(roastery)) byRoastery.set(roastery, []);
+        byRoastery.get(roastery).push(product);
+    }
+
+    return {
+        since: events.length > 0 ? events[0].created_at : null,
+        eventCount: events.length,
+        backInStock: favoriteStates.filter(state => state.available).map(state => state.entry),
+        soldOut: favoriteStates.filter(state => !state.available).map(state => state.entry),
+        newProducts: [...byRoastery.entries()].map(([roastery, products]) => ({ roastery, products })),
+        priceChanges: [...priceChanges.values()].filter(change => change.event.old_price !== change.event.new_price),
+        failures: [...failures.values()],
+        suppressed
+    };
+}
+
+module.exports = {
+    DIGEST_SCHEDULES,
+    getDigestSchedule,
+    validateDigestSchedule,
+    serializeEvent,
+    summarizeDigest
+};
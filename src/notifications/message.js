@@ -0,0 +1,601 @@
+const { extractSize, parseVariantName, sizeToGrams } = require('../utils/product-grouping');
+
+/**
+ * Channel-neutral notification messages. Every notification type is turned into
+ * the same structure, which each channel renders in its own format:
+ *
+ *   {
+ *     type, title, summary,       // summary: one sentence for short channels (desktop)
+ *     intro, footer, tone,        // tone: 'good' | 'bad' | 'info'
+ *     sections: [{
+ *       heading,
+ *       items: [{ icon, title, url, lines: [{ icon, text, muted, code }], fields: [{ label, value }], tags }]
+ *     }],
+ *     data                        // the event as plain JSON, for machine consumers (webhooks)
+ *   }
+ *
+ * All text is final (Norwegian, with prices formatted); channels only lay it out.
+ */
+
+// Norwegian (nynorsk) labels for normalized grind keys
+const GRIND_LABELS = {
+    whole_bean: 'heile bønner',
+    espresso: 'espressomalt',
+    filter: 'filtermalt',
+    french_press: 'presskannemalt',
+    ground: 'malt'
+};
+
+function calculatePricePer250g(price, size) {
+    const grams = sizeToGrams(size);
+    if (!price || !grams) return null;
+
+    return Math.round((price / grams) * 250); // Round to nearest kr
+}
+
+/**
+ * Variants to show for a notification entry: the entry's own selection
+ * (e.g. sizes matching the favorite), else all of the product's variants.
+ */
+function getDisplayVariants(entry) {
+    const variants = entry.variants || entry.product?.variants || [];
+    const available = variants.filter(v => v.available);
+    return available.length > 0 ? available : variants;
+}
+
+function formatVariantLabel(variant) {
+    const parts = [variant.size, GRIND_LABELS[variant.grind]].filter(Boolean);
+    return parts.length > 0 ? parts.join(', ') : (variant.title || variant.name);
+}
+
+/**
+ * Price lines for an entry, one per variant, falling back to the product price.
+ */
+function getPriceLines(entry) {
+    const variants = getDisplayVariants(entry).filter(v => v.price != null);
+    const line = (label, price, pricePer250g) => ({
+        icon: '💰',
+        text: `${label ? `${label}: ` : ''}${price} kr${pricePer250g ? ` (${pricePer250g} kr/250g)` : ''}`
+    });
+
+    if (variants.length > 0) {
+        const productName = entry.product?.name;
+        return variants.map(variant => line(
+            // Variants without size or grind are named like the product
+            formatVariantLabel(variant) === productName ? null : formatVariantLabel(variant),
+            variant.price,
+            calculatePricePer250g(variant.price, variant.size)
+        ));
+    }
+
+    const product = entry.product || {};
+    if (product.current_price) {
+        return [line(null, product.current_price, calculatePricePer250g(product.current_price, extractSize(product.name || '')))];
+    }
+
+    return [];
+}
+
+/**
+ * "frå 189 kr, maks 150 kr" style summary for an over-budget favorite entry.
+ */
+function formatBudgetSummary(entry) {
+    const prices = getDisplayVariants(entry).map(v => v.price).filter(p => p != null);
+    const parts = [];
+    if (prices.length > 0) parts.push(`frå ${Math.min(...prices)} kr`);
+    if (entry.maxPrice != null) parts.push(`maks ${entry.maxPrice} kr`);
+    if (entry.maxPricePerKg != null) parts.push(`maks ${entry.maxPricePerKg} kr/kg`);
+    return parts.join(', ');
+}
+
+function parseList(value) {
+    if (Array.isArray(value)) return value;
+    try {
+        return value ? JSON.parse(value) : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * AI tags of a product row (ai_* columns, see `ai-tag`), or null when untagged.
+ */
+function getAITags(product) {
+    if (!product.ai_tagged_at && !product.ai_country_of_origin && !product.ai_flavor_notes) {
+        return null;
+    }
+
+    return {
+        origin: product.ai_country_of_origin || null,
+        region: product.ai_region || null,
+        process: product.ai_process_method || null,
+        roastLevel: product.ai_roast_level || null,
+        variety: product.ai_variety || null,
+        flavorNotes: parseList(product.ai_flavor_notes)
+    };
+}
+
+/**
+ * Label/value fields for a product's AI tags: origin, process, roast, variety and flavor notes.
+ */
+function tagFields(product) {
+    const tags = getAITags(product);
+    if (!tags) return [];
+
+    return [
+        { label: 'Opphav', value: [tags.origin, tags.region].filter(Boolean).join(', ') },
+        { label: 'Prosess', value: tags.process },
+        { label: 'Brenning', value: tags.roastLevel },
+        { label: 'Sort', value: tags.variety },
+        { label: 'Smaksnotar', value: tags.flavorNotes.join(', ') }
+    ].filter(field => field.value);
+}
+
+/**
+ * Short keywords from a product's AI tags (origin, process, roast, variety, flavor notes), for channels with tag support.
+ */
+function tagList(product) {
+    const tags = getAITags(product);
+    if (!tags) return [];
+
+    return [tags.origin, tags.process, tags.roastLevel, tags.variety, ...tags.flavorNotes].filter(Boolean);
+}
+
+function variantData(variant) {
+    return {
+        name: variant.name || null,
+        size: variant.size || null,
+        grind: variant.grind || null,
+        price: variant.price ?? null,
+        available: variant.available == null ? null : Boolean(variant.available),
+        url: variant.url || null
+    };
+}
+
+function productData(product, variants = null) {
+    return {
+        id: product.id ?? null,
+        name: product.name,
+        roastery: product.roastery_name || null,
+        url: product.url || null,
+        price: product.current_price ?? product.price ?? null,
+        available: product.available == null ? null : Boolean(product.available),
+        organic: Boolean(product.organic),
+        variants: (variants || product.variants || []).map(variantData),
+        tags: getAITags(product)
+    };
+}
+
+function favoriteData(entry) {
+    return {
+        favorite: entry.favoriteName || null,
+        product: productData(entry.product, entry.variants)
+    };
+}
+
+function describeRoasteries(entries) {
+    const names = [...new Set(entries.map(entry => entry.roastery_name).filter(Boolean))];
+    return names.length > 0 ? names.join(', ') : 'ulike kaffibrenneri';
+}
+
+function roasteryLine(product) {
+    return product.roastery_name ? { icon: '🏪', text: product.roastery_name } : null;
+}
+
+/**
+ * Item for a favorite match: base name, roastery, prices of the matching sizes and the favorite.
+ */
+function favoriteItem(entry, icon, favoriteLabel = null) {
+    const product = entry.product;
+    const baseName = entry.baseName || parseVariantName(product.name).baseName;
+
+    return {
+        icon,
+        title: `${product.organic ? '🌱 ' : ''}${baseName}`,
+        url: product.url || null,
+        lines: [
+            roasteryLine(product),
+            ...(favoriteLabel ? [] : getPriceLines(entry)),
+            entry.favoriteName ? { icon: '⭐', text: `${favoriteLabel || 'Favoritt'}: ${entry.favoriteName}` } : null
+        ].filter(Boolean),
+        fields: favoriteLabel ? [] : tagFields(product),
+        tags: favoriteLabel ? [] : tagList(product)
+    };
+}
+
+function newProductItem(product) {
+    return {
+        icon: '☕',
+        title: product.name,
+        url: product.url || null,
+        lines: [roasteryLine(product), ...getPriceLines({ product })].filter(Boolean),
+        fields: tagFields(product),
+        tags: tagList(product)
+    };
+}
+
+function priceDropItem(drop) {
+    const label = formatVariantLabel(drop.variant);
+    return {
+        icon: drop.event.new_price > drop.event.old_price ? '📈' : '💸',
+        title: `${drop.product.name}${label ? ` (${label})` : ''}`,
+        url: drop.variant.url || drop.product.url || null,
+        lines: [
+            roasteryLine(drop.product),
+            { icon: '💰', text: `${drop.event.old_price} kr → ${drop.event.new_price} kr (${drop.event.change_percent}%)` },
+            drop.event.new_price_per_kg ? { icon: '⚖️', text: `${Math.round(drop.event.new_price_per_kg)} kr/kg` } : null,
+            drop.reasons.includes('target_price') ? { icon: '🎯', text: `Under målprisen din på ${drop.targetPrice} kr` } : null,
+            drop.favoriteName ? { icon: '⭐', text: `Favoritt: ${drop.favoriteName}` } : null
+        ].filter(Boolean),
+        fields: tagFields(drop.product),
+        tags: tagList(drop.product)
+    };
+}
+
+function priceDropData(drop) {
+    return {
+        product: productData(drop.product, []),
+        variant: variantData(drop.variant),
+        oldPrice: drop.event.old_price,
+        newPrice: drop.event.new_price,
+        changePercent: drop.event.change_percent,
+        newPricePerKg: drop.event.new_price_per_kg ?? null,
+        favorite: drop.favoriteName || null,
+        targetPrice: drop.targetPrice ?? null,
+        reasons: drop.reasons
+    };
+}
+
+// Why a notification was held back (see CoffeeMonitor.filterThrottled)
+const SUPPRESSION_REASONS = {
+    cooldown: 'nedkjøling',
+    flapping: 'ustabil lagerstatus'
+};
+
+const BUILDERS = {
+    favorite_available(data) {
+        const { product } = data;
+        return {
+            title: '☕ Favorittkaffi tilgjengeleg!',
+            summary: `${product.name} (${product.current_price} kr) er no tilgjengeleg hjå ${product.roastery_name || 'eit kaffibrenneri'}!`,
+            intro: 'Hei! Ein av dine favorittkaffiar er no tilgjengeleg:',
+            tone: 'good',
+            sections: [{
+                items: [{
+                    ...favoriteItem({ ...data, baseName: product.name }, '☕'),
+                    lines: [
+                        roasteryLine(product),
+                        ...getPriceLines({ product }),
+                        product.description ? { icon: '📝', text: product.description } : null
+                    ].filter(Boolean)
+                }]
+            }],
+            footer: '🚀 Bestill før det blir utsolgt!',
+            data: { favorite: data.favoritePattern || null, product: productData(product) }
+        };
+    },
+
+    favorites_available_grouped(data) {
+        const { favorites } = data;
+        if (favorites.length === 0) return null;
+
+        return {
+            title: `☕ ${favorites.length} Favorittkaffiar tilgjengelege!`,
+            summary: `${favorites.length} av dine favorittkaffiar er no tilgjengelege hjå ${describeRoasteries(favorites.map(f => f.product))}!`,
+            intro: `Hei! 🎉 ${favorites.length} av dine favorittkaffiar er no tilgjengelege:`,
+            tone: 'good',
+            sections: [{ items: favorites.map(entry => favoriteItem(entry, '☕')) }],
+            footer: '🚀 Køyr og bestill før dei blir utsolgt!',
+            data: { favorites: favorites.map(favoriteData) }
+        };
+    },
+
+    favorites_newly_available(data) {
+        const { favorites, overBudget = [] } = data;
+        if (favorites.length === 0 && overBudget.length === 0) return null;
+
+        const overBudgetSection = {
+            heading: '💸 Tilbake på lager, men over budsjettet ditt',
+            items: overBudget.map(entry => ({
+                title: entry.baseName || entry.product.name,
+                url: entry.product.url || null,
+                lines: [{ text: formatBudgetSummary(entry), muted: true }]
+            }))
+        };
+        const messageData = {
+            favorites: favorites.map(favoriteData),
+            overBudget: overBudget.map(entry => ({
+                ...favoriteData(entry),
+                maxPrice: entry.maxPrice ?? null,
+                maxPricePerKg: entry.maxPricePerKg ?? null
+            }))
+        };
+
+        // Only over-budget matches: say so instead of announcing them as available
+        if (favorites.length === 0) {
+            return {
+                title: `💸 ${overBudget.length} Favorittkaffiar tilbake over budsjettet`,
+                summary: `${overBudget.length} av dine favorittkaffiar er tilbake på lager hjå ${describeRoasteries(overBudget.map(f => f.product))}, men over budsjettet ditt.`,
+                intro: `Hei! ${overBudget.length} av dine favorittkaffiar er tilbake på lager, men over budsjettet ditt:`,
+                tone: 'info',
+                sections: [overBudgetSection],
+                footer: '💡 Juster budsjettet med favorites --max-price om du vil ha dei likevel.',
+                data: messageData
+            };
+        }
+
+        const sections = [{ items: favorites.map(entry => favoriteItem(entry, '🆕')) }];
+        if (overBudget.length > 0) {
+            sections.push(overBudgetSection);
+        }
+
+        return {
+            title: `🆕 ${favorites.length} Favorittkaffiar no tilgjengelege!`,
+            summary: `${favorites.length} av dine favorittkaffiar er no tilgjengelege for første gong hjå ${describeRoasteries(favorites.map(f => f.product))}!`,
+            intro: `Hei! 🎉 Gode nyheiter! ${favorites.length} av dine favorittkaffiar er no tilgjengelege for første gong:`,
+            tone: 'good',
+            sections,
+            footer: '🚀 Køyr og bestill no før dei blir utsolgt! Dette er første gong desse er tilgjengelege.',
+            data: messageData
+        };
+    },
+
+    favorites_newly_unavailable(data) {
+        const { favorites } = data;
+        if (favorites.length === 0) return null;
+
+        return {
+            title: `📉 ${favorites.length} Favorittkaffiar blei utsolgt`,
+            summary: `${favorites.length} av dine favorittkaffiar er no utsolgt hjå ${describeRoasteries(favorites.map(f => f.product))}.`,
+            intro: `Hei! ${favorites.length} av dine favorittkaffiar er no utsolgt:`,
+            tone: 'bad',
+            sections: [{ items: favorites.map(entry => favoriteItem(entry, '📉', 'Var')) }],
+            footer: '📊 Vi held auge med når dei blir tilgjengelege igjen!',
+            data: { favorites: favorites.map(favoriteData) }
+        };
+    },
+
+    new_products(data) {
+        const { products, summarized = false } = data;
+        if (products.length === 0) return null;
+
+        // Large batches: one line per roastery instead of every product
+        if (summarized) {
+            const byRoastery = new Map();
+            for (const product of products) {
+                const roastery = product.roastery_name || 'Ukjend kaffibrenneri';
+                if (!byRoastery.has(roastery)) byRoastery.set(roastery, []);
+                byRoastery.get(roastery).push(product);
+            }
+
+            return {
+                title: `☕ ${products.length} nye produkt tilgjengelege!`,
+                summary: `${products.length} nye kaffiprodukt er tilgjengelege hjå ${describeRoasteries(products)}`,
+                intro: `Hei! ${products.length} nye kaffiprodukt er oppdaga, her er ei oppsummering:`,
+                tone: 'info',
+                sections: [{
+                    items: [...byRoastery.entries()].map(([roastery, list]) => ({
+                        icon: '🏪',
+                        title: `${roastery}: ${list.length} nye produkt`,
+                        url: null,
+                        lines: [{
+                            text: list.slice(0, 3).map(product => product.name).join(', ') +
+                                (list.length > 3 ? ` og ${list.length - 3} fleire` : ''),
+                            muted: true
+                        }]
+                    }))
+                }],
+                footer: '📋 Køyr report for heile lista.',
+                data: { products: products.map(product => productData(product)) }
+            };
+        }
+
+        return {
+            title: '☕ Nye produkt tilgjengelege!',
+            summary: `${products.length} nye kaffiprodukt er tilgjengelege hjå ${describeRoasteries(products)}`,
+            intro: `Hei! ${products.length} nye kaffiprodukt er oppdaga:`,
+            tone: 'info',
+            sections: [{
+                items: products.map(newProductItem)
+            }],
+            footer: null,
+            data: { products: products.map(product => productData(product)) }
+        };
+    },
+
+    price_drop(data) {
+        const { drops } = data;
+        if (drops.length === 0) return null;
+
+        return {
+            title: `💸 Prisfall på ${drops.length} kaffi${drops.length === 1 ? '' : 'ar'}!`,
+            summary: `${drops.length} kaffiar har fått lågare pris hjå ${describeRoasteries(drops.map(d => d.product))}`,
+            intro: 'Hei! 💸 Desse kaffiane har fått lågare pris:',
+            tone: 'good',
+            sections: [{
+                items: drops.map(priceDropItem)
+            }],
+            footer: null,
+            data: {
+                drops: drops.map(priceDropData)
+            }
+        };
+    },
+
+    error(data) {
+        const { error, context, failedSources = [] } = data;
+        const sections = [{
+            items: [{
+                icon: '🔴',
+                title: `Feil: ${error.message}`,
+                lines: context ? [{ icon: '📋', text: `Kontekst: ${context}` }] : []
+            }]
+        }];
+
+        if (failedSources.length > 0) {
+            sections.push({
+                heading: `🚫 Kjelder som feila (${failedSources.length})`,
+                items: failedSources.map(source => ({
+                    title: `${source.roastery}: ${source.description || source.url}`,
+                    lines: [
+                        { text: source.url, muted: true },
+                        { text: `${source.error} (${source.attempts} forsøk)` },
+                        source.snapshot?.screenshot ? { icon: '🖼️', text: `Skjermbilete: ${source.snapshot.screenshot}`, muted: true } : null,
+                        source.snapshot?.text ? { icon: '📄', text: `Feilmelding: ${source.snapshot.text}`, muted: true } : null,
+                        ...(source.selectorRepair ? [
+                            { icon: '🔧', text: `Forslag til nye selektorar (sikkerheit: ${source.selectorRepair.confidence}):` },
+                            ...source.selectorRepair.changes.map(change => ({
+                                text: `${change.key}: ${change.from || '(tom)'} → ${change.to}`,
+                                code: true
+                            })),
+                            { text: `Ta i bruk med: ${source.selectorRepair.command}`, muted: true }
+                        ] : [])
+                    ].filter(Boolean)
+                }))
+            });
+        }
+
+        return {
+            title: '⚠️ Coffee Monitor Error',
+            summary: `Feil i coffee monitor: ${error.message}`,
+            intro: 'Det oppstod ein feil i coffee monitor:',
+            tone: 'bad',
+            sections,
+            footer: null,
+            data: {
+                error: error.message,
+                context: context || null,
+                failedSources: failedSources.map(source => ({
+                    roastery: source.roastery,
+                    url: source.url,
+                    description: source.description || null,
+                    error: source.error,
+                    attempts: source.attempts
+                }))
+            }
+        };
+    },
+
+    // Summary of queued notifications for channels in digest mode, see ../digest.js
+    digest(data) {
+        const { backInStock = [], soldOut = [], newProducts = [], priceChanges = [], failures = [], suppressed = [] } = data;
+        const newProductCount = newProducts.reduce((count, group) => count + group.products.length, 0);
+
+        const sections = [];
+        if (backInStock.length > 0) {
+            sections.push({
+                heading: `🆕 Favorittar tilbake på lager (${backInStock.length})`,
+                items: backInStock.map(entry => favoriteItem(entry, '🆕'))
+            });
+        }
+        if (soldOut.length > 0) {
+            sections.push({
+                heading: `📉 Favorittar utsolgt (${soldOut.length})`,
+                items: soldOut.map(entry => favoriteItem(entry, '📉', 'Var'))
+            });
+        }
+        for (const group of newProducts) {
+            sections.push({
+                heading: `☕ Nye produkt hjå ${group.roastery} (${group.products.length})`,
+                items: group.products.map(newProductItem)
+            });
+        }
+        if (priceChanges.length > 0) {
+            sections.push({
+                heading: `💸 Prisendringar (${priceChanges.length})`,
+                items: priceChanges.map(priceDropItem)
+            });
+        }
+        if (failures.length > 0) {
+            sections.push({
+                heading: `🚫 Feil ved henting (${failures.length})`,
+                items: failures.map(failure => ({
+                    title: failure.roastery ? `${failure.roastery}: ${failure.description || failure.url}` : failure.description || 'Produktsjekk',
+                    lines: [
+                        failure.url ? { text: failure.url, muted: true } : null,
+                        { text: failure.error },
+                        failure.count > 1 ? { text: `Feila ${failure.count} gonger`, muted: true } : null
+                    ].filter(Boolean)
+                }))
+            });
+        }
+        if (suppressed.length > 0) {
+            const reasons = Object.entries(suppressed.reduce((counts, entry) => {
+                counts[entry.reason] = (counts[entry.reason] || 0) + 1;
+                return counts;
+            }, {})).map(([reason, count]) => `${SUPPRESSION_REASONS[reason] || reason}: ${count}`);
+            const products = [...new Set(suppressed.map(entry => entry.product))];
+
+            sections.push({
+                heading: '🔕 Haldne tilbake',
+                items: [{
+                    title: `${suppressed.length} varsel vart haldne tilbake (${reasons.join(', ')})`,
+                    lines: [{
+                        text: `${products.slice(0, 5).join(', ')}${products.length > 5 ? ` og ${products.length - 5} fleire` : ''}`,
+                        muted: true
+                    }]
+                }]
+            });
+        }
+        if (sections.length === 0) return null;
+
+        const counts = [
+            backInStock.length > 0 ? `${backInStock.length} favorittar tilbake` : null,
+            soldOut.length > 0 ? `${soldOut.length} utsolgt` : null,
+            newProductCount > 0 ? `${newProductCount} nye produkt` : null,
+            priceChanges.length > 0 ? `${priceChanges.length} prisendringar` : null,
+            failures.length > 0 ? `${failures.length} feil` : null,
+            suppressed.length > 0 ? `${suppressed.length} haldne tilbake` : null
+        ].filter(Boolean);
+
+        return {
+            title: '📬 Kaffioversikt',
+            summary: `Kaffioversikt: ${counts.join(', ')}`,
+            intro: data.since
+                ? `Hei! Her er det som har skjedd sidan ${String(data.since).slice(0, 16)}:`
+                : 'Hei! Her er det som har skjedd sidan førre oversikt:',
+            tone: backInStock.length > 0 || priceChanges.some(change => change.event.direction === 'down') ? 'good' : (failures.length > 0 && sections.length === 1 ? 'bad' : 'info'),
+            sections,
+            footer: null,
+            data: {
+                since: data.since || null,
+                backInStock: backInStock.map(favoriteData),
+                soldOut: soldOut.map(favoriteData),
+                newProducts: newProducts.map(group => ({
+                    roastery: group.roastery,
+                    products: group.products.map(product => productData(product))
+                })),
+                priceChanges: priceChanges.map(priceDropData),
+                failures,
+                suppressed
+            }
+        };
+    }
+};
+
+function getMessageTypes() {
+    return Object.keys(BUILDERS);
+}
+
+/**
+ * Build the message for a notification, or null when there is nothing to send.
+ * Throws for unknown notification types.
+ */
+function buildMessage(type, data = {}) {
+    const builder = BUILDERS[type];
+    if (!builder) {
+        throw new Error(`Unknown notification type: ${type}`);
+    }
+
+    const message = builder(data);
+    return message ? { type, ...message } : null;
+}
+
+module.exports = {
+    buildMessage,
+    getMessageTypes,
+    formatVariantLabel,
+    getPriceLines,
+    productData,
+    calculatePricePer250g
+};
@@ -1,908 +1,238 @@
-const nodemailer = require('nodemailer');
-const { exec } = require('child_process');
-const fs = require('fs');
-const path = require('path');
-const https = require('https');
-
+const { buildMessage, getMessageTypes } = require('./message');
+const { createChannels } = require('./channels');
+const { getDigestSchedule, serializeEvent, summarizeDigest } = require('./digest');
+const { resolveQuietHours, getQuietUntil, bypassesQuietHours } = require('./quiet-hours');
+
+/**
+ * Sends notifications to the enabled channels (see ./channels). Each
+ * notification is built once as a structured message (see ./message.js)
+ * and every channel renders it in its own format.
+ *
+ * Channels with a `digest` schedule get their notifications queued in
+ * `options.digestQueue` (the database) and sent as one summary by `sendDigest()`.
+ *
+ * Notifications for other channels during their quiet hours (see ./quiet-hours.js)
+ * are held in `options.outbox` (the database) and sent by `releaseHeld()`.
+ */
 class Notifier {
-    constructor(config) {
+    constructor(config = {}, options = {}) {
         this.config = config;
-        this.emailTransporter = null;
-        this.initializeEmail();
+        this.channels = createChannels(config);
+        this.digestQueue = options.digestQueue || null;
+        this.outbox = options.outbox || null;
     }
 
-    async initializeEmail() {
-        if (this.config.email?.enabled && this.config.email.smtp) {
-            try {
-                this.emailTransporter = nodemailer.createTransport(this.config.email.smtp);
-                // Test the connection
-                await this.emailTransporter.verify();
-                console.log('Email transporter initialized successfully');
-            } catch (error) {
-                // Silently disable email notifications if initialization fails
-                this.emailTransporter = null;
-                this.config.email.enabled = false;
-            }
-        } else {
-            // Email is disabled or not configured
-            this.emailTransporter = null;
-        }
+    isDigestChannel(channel) {
+        return !!this.digestQueue && !!getDigestSchedule(channel.config.digest);
     }
 
-    async notify(type, data) {
-        const notifications = [];
-
-        switch (type) {
-            case 'favorite_available':
-                notifications.push(...await this.notifyFavoriteAvailable(data));
-                break;
-            case 'favorites_available_grouped':
-                notifications.push(...await this.notifyFavoritesAvailableGrouped(data));
-                break;
-            case 'favorites_newly_available':
-                notifications.push(...await this.notifyFavoritesNewlyAvailable(data));
-                break;
-            case 'favorites_newly_unavailable':
-                notifications.push(...await this.notifyFavoritesNewlyUnavailable(data));
-                break;
-            case 'new_products':
-                notifications.push(...await this.notifyNewProducts(data));
-                break;
-            case 'error':
-                notifications.push(...await this.notifyError(data));
-                break;
-            default:
-                console.warn(`Unknown notification type: ${type}`);
-        }
-
-        return notifications;
+    /**
+     * Channels in digest mode, with their cron schedule.
+     */
+    getDigestChannels() {
+        return this.channels
+            .filter(channel => this.isDigestChannel(channel))
+            .map(channel => ({ name: channel.name, schedule: getDigestSchedule(channel.config.digest) }));
     }
 
-    async notifyFavoriteAvailable(data) {
-        const { product, favoritePattern } = data;
-        const notifications = [];
+    /**
+     * When a notification for a channel has to wait for its quiet hours to end,
+     * the Date it can be sent; null to send it now.
+     */
+    getHoldUntil(channel, type, data, now = new Date()) {
+        if (!this.outbox) return null;
 
-        const message = {
-            title: `☕ Favorittkaffi tilgjengeleg!`,
-            body: `${product.name} (${product.current_price} kr) er no tilgjengeleg hjå ${product.roastery_name || 'eit kaffibrenneri'}!`,
-            product: product,
-            favoriteName: data.favoriteName,
-            matchedTerms: data.matchedTerms
-        };
+        const channelQuietHours = channel.config.quietHours ?? (channel.constructor.quietHours ? undefined : false);
+        const quietHours = resolveQuietHours(this.config.quietHours, channelQuietHours);
+        if (!quietHours || bypassesQuietHours(quietHours, type, data)) return null;
+        return getQuietUntil(quietHours, now);
+    }
 
-        // Email notification
-        if (this.config.email?.enabled) {
-            try {
-                const emailSent = await this.sendEmailNotification(message, 'favorite');
-                if (emailSent) {
-                    notifications.push({ type: 'email', success: true, message: 'Email sent' });
-                }
-            } catch (error) {
-                notifications.push({ type: 'email', success: false, error: error.message });
-            }
+    /**
+     * Send a notification to every enabled channel that accepts its type.
+     * Channels in digest mode queue it instead, and channels in their quiet
+     * hours hold it until they end. Resolves to one
+     * `{ type, success, message | error }` result per channel, where `type`
+     * is the channel name.
+     */
+    async notify(type, data) {
+        if (!getMessageTypes().includes(type)) {
+            console.warn(`Unknown notification type: ${type}`);
+            return [];
         }
 
-        // Desktop notification
-        if (this.config.desktop?.enabled) {
-            try {
-                const desktopSent = await this.sendDesktopNotification(message);
-                if (desktopSent) {
-                    notifications.push({ type: 'desktop', success: true, message: 'Desktop notification sent' });
-                }
-            } catch (error) {
-                notifications.push({ type: 'desktop', success: false, error: error.message });
-            }
+        const message = buildMessage(type, data);
+        if (!message) {
+            return [];
         }
 
-        // Telegram notification
-        if (this.config.telegram?.enabled) {
-            try {
-                const telegramSent = await this.sendTelegramNotification(message, 'favorite');
-                if (telegramSent) {
-                    notifications.push({ type: 'telegram', success: true, message: 'Telegram notification sent' });
-                }
-            } catch (error) {
-                notifications.push({ type: 'telegram', success: false, error: error.message });
+        const channels = this.channels.filter(channel => channel.accepts(type));
+        const queued = await this.queueFor(channels.filter(channel => this.isDigestChannel(channel)), type, data);
+        const sent = await Promise.all(channels.filter(channel => !this.isDigestChannel(channel)).map(async (channel) => {
+            const holdUntil = this.getHoldUntil(channel, type, data);
+            if (holdUntil) {
+                return this.hold(channel, type, data, holdUntil);
             }
-        }
-
-        return notifications;
-    }
-
-    async notifyFavoritesAvailableGrouped(data) {
-        const { favorites } = data;
-        const notifications = [];
-
-        if (favorites.length === 0) return notifications;
-
-        // Get unique roastery names
-        const roasteryNames = [...new Set(favorites.map(f => f.product.roastery_name).filter(Boolean))];
-        const roasteryText = roasteryNames.length > 0 ? roasteryNames.join(', ') : 'ulike kaffibrenneri';
-        
-        const message = {
-            title: `☕ ${favorites.length} Favorittkaffiar tilgjengelege!`,
-            body: `${favorites.length} av dine favorittkaffiar er no tilgjengelege hjå ${roasteryText}!`,
-            favorites: favorites
-        };
-
-        // Email notification
-        if (this.config.email?.enabled) {
             try {
-                const emailSent = await this.sendEmailNotification(message, 'favorites_grouped');
-                if (emailSent) {
-                    notifications.push({ type: 'email', success: true, message: 'Email sent' });
-                }
+                await channel.send(message);
+                return { type: channel.name, success: true, message: `${type} sent` };
             } catch (error) {
-                notifications.push({ type: 'email', success: false, error: error.message });
+                console.error(`Failed to send ${type} notification via ${channel.name}:`, error.message);
+                return { type: channel.name, success: false, error: error.message };
             }
-        }
+        }));
+        return [...sent, ...queued];
+    }
 
-        // Desktop notification
-        if (this.config.desktop?.enabled) {
-            try {
-                const desktopSent = await this.sendDesktopNotification(message);
-                if (desktopSent) {
-                    notifications.push({ type: 'desktop', success: true, message: 'Desktop notification sent' });
-                }
-            } catch (error) {
-                notifications.push({ type: 'desktop', success: false, error: error.message });
-            }
+    /**
+     * Queue a notification for the channels in digest mode only, for events too
+     * large to send right away (e.g. many new products at once).
+     */
+    async queue(type, data) {
+        if (!buildMessage(type, data)) {
+            return [];
         }
+        const channels = this.channels.filter(channel => this.isDigestChannel(channel) && channel.accepts(type));
+        return this.queueFor(channels, type, data);
+    }
 
-        // Telegram notification
-        if (this.config.telegram?.enabled) {
-            try {
-                const telegramSent = await this.sendTelegramNotification(message, 'favorites_grouped');
-                if (telegramSent) {
-                    notifications.push({ type: 'telegram', success: true, message: 'Telegram notification sent' });
-                }
-            } catch (error) {
-                notifications.push({ type: 'telegram', success: false, error: error.message });
-            }
+    /**
+     * Note notifications held back by cooldowns or flapping suppression, so the
+     * next digest of every digest channel can summarize them.
+     */
+    async queueSuppressed(events) {
+        if (events.length === 0) {
+            return [];
         }
-
-        return notifications;
+        return this.queueFor(this.channels.filter(channel => this.isDigestChannel(channel)), 'suppressed', { events });
     }
 
-    async notifyFavoritesNewlyAvailable(data) {
-        const { favorites } = data;
-        const notifications = [];
-
-        if (favorites.length === 0) return notifications;
-
-        // Get unique roastery names
-        const roasteryNames = [...new Set(favorites.map(f => f.product.roastery_name).filter(Boolean))];
-        const roasteryText = roasteryNames.length > 0 ? roasteryNames.join(', ') : 'ulike kaffibrenneri';
-        
-        const message = {
-            title: `🆕 ${favorites.length} Favorittkaffiar no tilgjengelege!`,
-            body: `${favorites.length} av dine favorittkaffiar er no tilgjengelege for første gong hjå ${roasteryText}!`,
-            favorites: favorites
-        };
-
-        // Email notification
-        if (this.config.email?.enabled) {
-            try {
-                const emailSent = await this.sendEmailNotification(message, 'favorites_newly_available');
-                if (emailSent) {
-                    notifications.push({ type: 'email', success: true, message: 'Email sent' });
-                }
-            } catch (error) {
-                notifications.push({ type: 'email', success: false, error: error.message });
-            }
+    /**
+     * Note price increases for the price changes in the next digest of every
+     * digest channel that takes price drops. They are never sent on their own.
+     */
+    async queuePriceIncreases(increases) {
+        if (increases.length === 0) {
+            return [];
         }
+        const channels = this.channels.filter(channel => this.isDigestChannel(channel) && channel.accepts('price_drop'));
+        return this.queueFor(channels, 'price_increase', { increases });
+    }
 
-        // Desktop notification
-        if (this.config.desktop?.enabled) {
+    async queueFor(channels, type, data) {
+        const results = [];
+        for (const channel of channels) {
             try {
-                const desktopSent = await this.sendDesktopNotification(message);
-                if (desktopSent) {
-                    notifications.push({ type: 'desktop', success: true, message: 'Desktop notification sent' });
-                }
+                await this.digestQueue.queueDigestEvent(channel.name, type, serializeEvent(data));
+                results.push({ type: channel.name, success: true, message: `${type} queued for digest` });
             } catch (error) {
-                notifications.push({ type: 'desktop', success: false, error: error.message });
+                console.error(`Failed to queue ${type} notification for ${channel.name}:`, error.message);
+                results.push({ type: channel.name, success: false, error: error.message });
             }
         }
+        return results;
+    }
 
-        // Telegram notification
-        if (this.config.telegram?.enabled) {
-            try {
-                const telegramSent = await this.sendTelegramNotification(message, 'favorites_newly_available');
-                if (telegramSent) {
-                    notifications.push({ type: 'telegram', success: true, message: 'Telegram notification sent' });
-                }
-            } catch (error) {
-                notifications.push({ type: 'telegram', success: false, error: error.message });
-            }
+    async hold(channel, type, data, until) {
+        try {
+            await this.outbox.holdNotification(channel.name, type, serializeEvent(data), until.toISOString());
+            return { type: channel.name, success: true, message: `${type} held until ${until.toISOString()}` };
+        } catch (error) {
+            console.error(`Failed to hold ${type} notification for ${channel.name}:`, error.message);
+            return { type: channel.name, success: false, error: error.message };
         }
-
-        return notifications;
     }
 
-    async notifyFavoritesNewlyUnavailable(data) {
-        const { favorites } = data;
-        const notifications = [];
-
-        if (favorites.length === 0) return notifications;
-
-        // Get unique roastery names
-        const roasteryNames = [...new Set(favorites.map(f => f.product.roastery_name).filter(Boolean))];
-        const roasteryText = roasteryNames.length > 0 ? roasteryNames.join(', ') : 'ulike kaffibrenneri';
-        
-        const message = {
-            title: `📉 ${favorites.length} Favorittkaffiar blei utsolgt`,
-            body: `${favorites.length} av dine favorittkaffiar er no utsolgt hjå ${roasteryText}.`,
-            favorites: favorites
-        };
-
-        // Email notification
-        if (this.config.email?.enabled) {
-            try {
-                const emailSent = await this.sendEmailNotification(message, 'favorites_newly_unavailable');
-                if (emailSent) {
-                    notifications.push({ type: 'email', success: true, message: 'Email sent' });
-                }
-            } catch (error) {
-                notifications.push({ type: 'email', success: false, error: error.message });
-            }
+    /**
+     * Send the held notifications whose quiet hours have ended, oldest first,
+     * and remove them from the outbox. A channel that fails keeps the rest of
+     * its notifications for the next release; notifications for channels that
+     * are no longer enabled are dropped.
+     */
+    async releaseHeld(now = new Date()) {
+        if (!this.outbox) {
+            return [];
         }
 
-        // Desktop notification
-        if (this.config.desktop?.enabled) {
-            try {
-                const desktopSent = await this.sendDesktopNotification(message);
-                if (desktopSent) {
-                    notifications.push({ type: 'desktop', success: true, message: 'Desktop notification sent' });
-                }
-            } catch (error) {
-                notifications.push({ type: 'desktop', success: false, error: error.message });
+        const results = [];
+        const failed = new Set();
+        for (const held of await this.outbox.getDueNotifications(now.toISOString())) {
+            if (failed.has(held.channel)) continue;
+
+            const channel = this.channels.find(entry => entry.name === held.channel);
+            if (!channel) {
+                console.warn(`Dropping held ${held.event_type} notification: ${held.channel} is not enabled`);
+                await this.outbox.deleteHeldNotification(held.id);
+                continue;
             }
-        }
 
-        // Telegram notification
-        if (this.config.telegram?.enabled) {
             try {
-                const telegramSent = await this.sendTelegramNotification(message, 'favorites_newly_unavailable');
-                if (telegramSent) {
-                    notifications.push({ type: 'telegram', success: true, message: 'Telegram notification sent' });
+                const message = buildMessage(held.event_type, JSON.parse(held.payload));
+                if (message) {
+                    await channel.send(message);
                 }
+                await this.outbox.deleteHeldNotification(held.id);
+                results.push({ type: channel.name, success: true, message: `Held ${held.event_type} sent` });
             } catch (error) {
-                notifications.push({ type: 'telegram', success: false, error: error.message });
+                console.error(`Failed to send held ${held.event_type} notification via ${channel.name}:`, error.message);
+                failed.add(held.channel);
+                results.push({ type: channel.name, success: false, error: error.message });
             }
         }
-
-        return notifications;
+        return results;
     }
 
-    async notifyNewProducts(data) {
-        const { products } = data;
-        const notifications = [];
-
-        if (products.length === 0) return notifications;
-
-        // Get unique roastery names 
-        const roasteryNames = [...new Set(products.map(p => p.roastery_name).filter(Boolean))];
-        const roasteryText = roasteryNames.length > 0 ? roasteryNames.join(', ') : 'ulike kaffibrenneri';
-        
-        const message = {
-            title: `☕ Nye produkt tilgjengelege!`,
-            body: `${products.length} nye kaffiprodukt er tilgjengelege hjå ${roasteryText}`,
-            products: products
-        };
-
-        if (this.config.email?.enabled) {
-            try {
-                const emailSent = await this.sendEmailNotification(message, 'new_products');
-                if (emailSent) {
-                    notifications.push({ type: 'email', success: true, message: 'Email sent' });
-                }
-            } catch (error) {
-                notifications.push({ type: 'email', success: false, error: error.message });
-            }
+    /**
+     * Send the queued notifications of a digest channel as one summary and clear
+     * them from the queue. The queue is kept when sending fails, so the next
+     * digest includes them.
+     */
+    async sendDigest(channelName) {
+        const channel = this.channels.find(entry => entry.name === channelName && this.isDigestChannel(entry));
+        if (!channel) {
+            throw new Error(`${channelName} is not an enabled channel in digest mode`);
         }
 
-        // Telegram notification
-        if (this.config.telegram?.enabled) {
+        const events = await this.digestQueue.getDigestEvents(channelName);
+        const message = events.length > 0 ? buildMessage('digest', summarizeDigest(events)) : null;
+
+        if (message) {
             try {
-                const telegramSent = await this.sendTelegramNotification(message, 'new_products');
-                if (telegramSent) {
-                    notifications.push({ type: 'telegram', success: true, message: 'Telegram notification sent' });
-                }
+                await channel.send(message);
             } catch (error) {
-                notifications.push({ type: 'telegram', success: false, error: error.message });
+                console.error(`Failed to send digest via ${channel.name}:`, error.message);
+                return { type: channel.name, success: false, error: error.message, events: events.length };
             }
         }
 
-        return notifications;
-    }
-
-    async notifyError(data) {
-        const { error, context } = data;
-        const notifications = [];
-
-        const message = {
-            title: `⚠️ Coffee Monitor Error`,
-            body: `Feil i coffee monitor: ${error.message}`,
-            error: error,
-            context: context
+        await this.digestQueue.deleteDigestEvents(events.map(event => event.id));
+        return {
+            type: channel.name,
+            success: true,
+            message: message ? 'Digest sent' : 'Nothing to send',
+            events: events.length
         };
+    }
 
-        // Send error notifications via email and telegram
-        if (this.config.email?.enabled) {
-            try {
-                const emailSent = await this.sendEmailNotification(message, 'error');
-                if (emailSent) {
-                    notifications.push({ type: 'email', success: true, message: 'Error email sent' });
-                }
-            } catch (error) {
-                notifications.push({ type: 'email', success: false, error: error.message });
-            }
-        }
-
-        // Telegram error notification
-        if (this.config.telegram?.enabled) {
+    /**
+     * Hand the results of a check to channels that publish current state rather
+     * than events (they implement `publishResults(results)`, e.g. MQTT).
+     */
+    async publishResults(results) {
+        const channels = this.channels.filter(channel => typeof channel.publishResults === 'function');
+        return Promise.all(channels.map(async (channel) => {
             try {
-                const telegramSent = await this.sendTelegramNotification(message, 'error');
-                if (telegramSent) {
-                    notifications.push({ type: 'telegram', success: true, message: 'Error Telegram notification sent' });
-                }
+                await channel.publishResults(results);
+                return { type: channel.name, success: true, message: 'Check results published' };
             } catch (error) {
-                notifications.push({ type: 'telegram', success: false, error: error.message });
+                console.error(`Failed to publish check results via ${channel.name}:`, error.message);
+                return { type: channel.name, success: false, error: error.message };
             }
-        }
-
-        return notifications;
-    }
-
-    async sendEmailNotification(message, templateType) {
-        if (!this.emailTransporter) {
-            console.warn('Email transporter not available');
-            return false;
-        }
-
-        try {
-            const emailContent = this.generateEmailContent(message, templateType);
-            
-            const mailOptions = {
-                from: this.config.email.from,
-                to: this.config.email.to,
-                subject: message.title,
-                html: emailContent.html,
-                text: emailContent.text
-            };
-
-            const result = await this.emailTransporter.sendMail(mailOptions);
-            console.log('Email sent successfully:', result.messageId);
-            return true;
-        } catch (error) {
-            console.error('Failed to send email:', error);
-            return false;
-        }
-    }
-
-    generateEmailContent(message, templateType) {
-        let html = `
-        <div style=\"font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;\">
-            <h2 style=\"color: #8B4513;\">${message.title}</h2>
-        `;
-
-        let text = `${message.title}\n\n`;
-
-        switch (templateType) {
-            case 'favorite':
-                const product = message.product;
-                html += `
-                    <p>Hei!</p>
-                    <p>Ein av dine favorittkaffiar er no tilgjengeleg:</p>
-                    <div style=\"background-color: #f9f9f9; padding: 15px; border-radius: 5px; margin: 20px 0;\">
-                        <h3 style=\"color: #8B4513; margin-top: 0;\">${product.name}</h3>
-                        ${product.current_price ? `<p><strong>Pris:</strong> ${product.current_price} kr</p>` : ''}
-                        ${product.description ? `<p><strong>Beskrivelse:</strong> ${product.description}</p>` : ''}
-                        ${product.url ? `<p><a href=\"${product.url}\" style=\"color: #8B4513;\">Vis produkt</a></p>` : ''}
-                    </div>
-                    <p>Køyr og bestill før det blir utsolgt! ☕</p>
-                `;
-                
-                text += `Hei!\n\nEin av dine favorittkaffiar er no tilgjengeleg:\n\n`;
-                text += `${product.name}\n`;
-                if (product.current_price) text += `Pris: ${product.current_price} kr\n`;
-                if (product.description) text += `Beskrivelse: ${product.description}\n`;
-                if (product.url) text += `URL: ${product.url}\n`;
-                text += `\nBestill før det blir utsolgt! ☕`;
-                break;
-
-            case 'favorites_grouped':
-                html += `
-                    <p>Hei! 🎉</p>
-                    <p>${message.favorites.length} av dine favorittkaffiar er no tilgjengelege:</p>
-                    <div style=\"background-color: #f9f9f9; padding: 15px; border-radius: 5px; margin: 20px 0;\">
-                `;
-                
-                text += `Hei! 🎉\n\n${message.favorites.length} av dine favorittkaffiar er no tilgjengelege:\n\n`;
-                
-                message.favorites.forEach((favoriteData, index) => {
-                    const product = favoriteData.product;
-                    html += `
-                        <div style=\"margin-bottom: 15px; ${index > 0 ? 'border-top: 1px solid #ddd; padding-top: 15px;' : ''}\">
-                            <h4 style=\"color: #8B4513; margin: 0;\">${product.name}</h4>
-                            ${product.current_price ? `<p style=\"margin: 5px 0;\"><strong>Pris:</strong> ${product.current_price} kr</p>` : ''}
-                            <p style=\"margin: 5px 0; font-style: italic; color: #666;\">Matches: ${favoriteData.favoriteName}</p>
-                            ${product.url ? `<p style=\"margin: 5px 0;\"><a href=\"${product.url}\" style=\"color: #8B4513;\">Vis produkt</a></p>` : ''}
-                        </div>
-                    `;
-                    
-                    text += `${product.name}\n`;
-                    if (product.current_price) text += `Pris: ${product.current_price} kr\n`;
-                    text += `Matches: ${favoriteData.favoriteName}\n`;
-                    if (product.url) text += `URL: ${product.url}\n`;
-                    text += `\n`;
-                });
-                
-                html += `</div><p>Køyr og bestill før dei blir utsolgt! ☕</p>`;
-                text += `Køyr og bestill før dei blir utsolgt! ☕`;
-                break;
-
-            case 'favorites_newly_available':
-                html += `
-                    <p>Hei! 🎉</p>
-                    <p>Gode nyheiter! ${message.favorites.length} av dine favorittkaffiar er no tilgjengelege for første gong:</p>
-                    <div style="background-color: #e8f5e8; padding: 15px; border-radius: 5px; margin: 20px 0;">
-                `;
-                
-                text += `Hei! 🎉\n\nGode nyheiter! ${message.favorites.length} av dine favorittkaffiar er no tilgjengelege for første gong:\n\n`;
-                
-                message.favorites.forEach((favoriteData, index) => {
-                    const product = favoriteData.product;
-                    html += `
-                        <div style="margin-bottom: 15px; ${index > 0 ? 'border-top: 1px solid #ddd; padding-top: 15px;' : ''}">
-                            <h4 style="color: #8B4513; margin: 0;">🆕 ${product.name}</h4>
-                            ${product.current_price ? `<p style="margin: 5px 0;"><strong>Pris:</strong> ${product.current_price} kr</p>` : ''}
-                            <p style="margin: 5px 0; font-style: italic; color: #666;">Matches: ${favoriteData.favoriteName}</p>
-                            ${product.url ? `<p style="margin: 5px 0;"><a href="${product.url}" style="color: #8B4513;">Vis produkt</a></p>` : ''}
-                        </div>
-                    `;
-                    
-                    text += `🆕 ${product.name}\n`;
-                    if (product.current_price) text += `Pris: ${product.current_price} kr\n`;
-                    text += `Matches: ${favoriteData.favoriteName}\n`;
-                    if (product.url) text += `URL: ${product.url}\n`;
-                    text += `\n`;
-                });
-                
-                html += `</div><p>🚀 Køyr og bestill no før dei blir utsolgt! Dette er første gong desse er tilgjengelege.</p>`;
-                text += `🚀 Køyr og bestill no før dei blir utsolgt! Dette er første gong desse er tilgjengelege.`;
-                break;
-
-            case 'favorites_newly_unavailable':
-                html += `
-                    <p>Hei!</p>
-                    <p>${message.favorites.length} av dine favorittkaffiar er no utsolgt:</p>
-                    <div style="background-color: #ffe6e6; padding: 15px; border-radius: 5px; margin: 20px 0;">
-                `;
-                
-                text += `Hei!\n\n${message.favorites.length} av dine favorittkaffiar er no utsolgt:\n\n`;
-                
-                message.favorites.forEach((favoriteData, index) => {
-                    const product = favoriteData.product;
-                    html += `
-                        <div style="margin-bottom: 15px; ${index > 0 ? 'border-top: 1px solid #ddd; padding-top: 15px;' : ''}">
-                            <h4 style="color: #8B4513; margin: 0;">📉 ${product.name}</h4>
-                            <p style="margin: 5px 0; font-style: italic; color: #666;">Var tilgjengeleg som: ${favoriteData.favoriteName}</p>
-                        </div>
-                    `;
-                    
-                    text += `📉 ${product.name}\n`;
-                    text += `Var tilgjengeleg som: ${favoriteData.favoriteName}\n\n`;
-                });
-                
-                html += `</div><p>📊 Vi held auge med når dei blir tilgjengelege igjen!</p>`;
-                text += `📊 Vi held auge med når dei blir tilgjengelege igjen!`;
-                break;
-
-            case 'new_products':
-                html += `
-                    <p>Hei!</p>
-                    <p>${message.products.length} nye kaffiprodukt er oppdaga:</p>
-                    <div style=\"background-color: #f9f9f9; padding: 15px; border-radius: 5px; margin: 20px 0;\">
-                `;
-                
-                text += `Hei!\n\n${message.products.length} nye kaffiprodukt er oppdaga:\n\n`;
-                
-                message.products.forEach((product, index) => {
-                    html += `
-                        <div style=\"margin-bottom: 15px; ${index > 0 ? 'border-top: 1px solid #ddd; padding-top: 15px;' : ''}\">
-                            <h4 style=\"color: #8B4513; margin: 0;\">${product.name}</h4>
-                            ${product.current_price ? `<p style=\"margin: 5px 0;\"><strong>Pris:</strong> ${product.current_price} kr</p>` : ''}
-                            ${product.url ? `<p style=\"margin: 5px 0;\"><a href=\"${product.url}\" style=\"color: #8B4513;\">Vis produkt</a></p>` : ''}
-                        </div>
-                    `;
-                    
-                    text += `${product.name}\n`;
-                    if (product.current_price) text += `Pris: ${product.current_price} kr\n`;
-                    if (product.url) text += `URL: ${product.url}\n`;
-                    text += `\n`;
-                });
-                
-                html += `</div>`;
-                break;
-
-            case 'error':
-                html += `
-                    <p>Det oppstod ein feil i coffee monitor:</p>
-                    <div style=\"background-color: #ffe6e6; padding: 15px; border-radius: 5px; margin: 20px 0;\">
-                        <p><strong>Feil:</strong> ${message.error.message}</p>
-                        ${message.context ? `<p><strong>Kontekst:</strong> ${message.context}</p>` : ''}
-                    </div>
-                `;
-                
-                text += `Det oppstod ein feil i coffee monitor:\n\n`;
-                text += `Feil: ${message.error.message}\n`;
-                if (message.context) text += `Kontekst: ${message.context}\n`;
-                break;
-        }
-
-        html += `
-            <p style=\"color: #666; font-size: 12px; margin-top: 30px;\">
-                Sendt frå Coffee Monitor
-            </p>
-        </div>
-        `;
-
-        return { html, text };
-    }
-
-    async sendDesktopNotification(message) {
-        try {
-            // Use notify-send on Linux
-            const title = message.title.replace(/"/g, '\\"');
-            const body = message.body.replace(/"/g, '\\"');
-            
-            const command = `notify-send "${title}" "${body}" --icon=dialog-information --app-name="Coffee Monitor"`;
-            
-            return new Promise((resolve) => {
-                exec(command, (error) => {
-                    if (error) {
-                        console.error('Desktop notification failed:', error.message);
-                        resolve(false);
-                    } else {
-                        console.log('Desktop notification sent');
-                        resolve(true);
-                    }
-                });
-            });
-        } catch (error) {
-            console.error('Failed to send desktop notification:', error);
-            return false;
-        }
-    }
-
-    async sendTelegramNotification(message, templateType = 'basic') {
-        if (!this.config.telegram?.enabled || !this.config.telegram.botToken || !this.config.telegram.chatId) {
-            return false;
-        }
-
-        try {
-            const text = this.generateTelegramMessage(message, templateType);
-            const success = await this.sendTelegramMessage(text);
-            if (success) {
-                console.log('Telegram notification sent successfully');
-                return true;
-            }
-        } catch (error) {
-            console.error('Failed to send Telegram notification:', error.message);
-        }
-        return false;
-    }
-
-    generateTelegramMessage(message, templateType) {
-        // Start with empty text - don't duplicate the title
-        let text = '';
-        
-        // Debug logging removed
-
-        switch (templateType) {
-            case 'favorite':
-                const product = message.product;
-                text += `Hei! 🎉\n\n`;
-                text += `Ein av dine favorittkaffiar er no tilgjengeleg:\n\n`;
-                text += `☕ *${product.name}*\n`;
-                if (product.roastery_name) text += `🏪 ${product.roastery_name}\n`;
-                if (product.current_price) text += `💰 Pris: ${product.current_price} kr\n`;
-                if (product.description) text += `📝 ${product.description}\n`;
-                if (product.url) text += `🔗 [Vis produkt](${product.url})\n`;
-                text += `\n🚀 Bestill før det blir utsolgt!`;
-                break;
-
-            case 'favorites_grouped':
-                // Validate that we have favorites array
-                if (!message.favorites || !Array.isArray(message.favorites) || message.favorites.length === 0) {
-                    text = `Favorittkaffiar tilgjengelege!`;
-                    break;
-                }
-                
-                text = `☕ ${message.favorites.length} favorittkaffiar tilgjengelege!\n\n`;
-                
-                message.favorites.forEach((favoriteData, index) => {
-                    if (!favoriteData || !favoriteData.product) {
-                        return;
-                    }
-                    
-                    const product = favoriteData.product;
-                    const baseName = favoriteData.baseName || this.getBaseProductName(product.name);
-                    
-                    // Add organic indicator
-                    const organicIndicator = product.organic ? '🌱 ' : '';
-                    
-                    text += `${index + 1}. ${organicIndicator}${baseName}\n`;
-                    if (product.roastery_name) text += `   🏪 ${product.roastery_name}\n`;
-                    
-                    // Show available sizes with prices
-                    if (favoriteData.availableSizes && favoriteData.availableSizes.length > 0) {
-                        favoriteData.availableSizes.forEach(size => {
-                            const pricePerSize = this.getPriceForSize(favoriteData, size);
-                            if (pricePerSize) {
-                                const pricePer250g = this.calculatePricePer250g(pricePerSize, size);
-                                text += `   💰 ${size}: ${pricePerSize} kr`;
-                                if (pricePer250g) {
-                                    text += ` (${pricePer250g} kr/250g)`;
-                                }
-                                text += `\n`;
-                            }
-                        });
-                    } else {
-                        // Fallback to showing the single product price
-                        if (product.current_price) {
-                            const size = this.extractSizeFromName(product.name);
-                            const pricePer250g = this.calculatePricePer250g(product.current_price, size);
-                            text += `   💰 ${product.current_price} kr`;
-                            if (pricePer250g) {
-                                text += ` (${pricePer250g} kr/250g)`;
-                            }
-                            text += `\n`;
-                        }
-                    }
-                    
-                    if (favoriteData.favoriteName) text += `⭐ ${favoriteData.favoriteName}\n`;
-                    text += `\n`;
-                });
-                
-                text += `🚀 Sjekk nettsida!`;
-                break;
-
-            case 'favorites_newly_available':
-                // Validate that we have favorites array
-                if (!message.favorites || !Array.isArray(message.favorites) || message.favorites.length === 0) {
-                    text = `🆕 Nye favorittkaffiar tilgjengelege!`;
-                    break;
-                }
-                
-                text = `🆕 ${message.favorites.length} nye favorittkaffiar tilgjengelege!\n\n`;
-                text += `🎉 Desse favorittkaffiane er no tilgjengelege for første gong:\n\n`;
-                
-                message.favorites.forEach((favoriteData, index) => {
-                    if (!favoriteData || !favoriteData.product) {
-                        return;
-                    }
-                    
-                    const product = favoriteData.product;
-                    const baseName = favoriteData.baseName || this.getBaseProductName(product.name);
-                    
-                    // Add organic indicator
-                    const organicIndicator = product.organic ? '🌱 ' : '';
-                    
-                    text += `${index + 1}. 🆕 ${organicIndicator}${baseName}\n`;
-                    if (product.roastery_name) text += `   🏪 ${product.roastery_name}\n`;
-                    if (product.current_price) {
-                        const size = this.extractSizeFromName(product.name);
-                        const pricePer250g = this.calculatePricePer250g(product.current_price, size);
-                        text += `   💰 ${product.current_price} kr`;
-                        if (pricePer250g) {
-                            text += ` (${pricePer250g} kr/250g)`;
-                        }
-                        text += `\n`;
-                    }
-                    if (favoriteData.favoriteName) text += `   ⭐ ${favoriteData.favoriteName}\n`;
-                    text += `\n`;
-                });
-                
-                text += `🚀 Dette er første gong desse er tilgjengelege - bestill no!`;
-                break;
-
-            case 'favorites_newly_unavailable':
-                // Validate that we have favorites array
-                if (!message.favorites || !Array.isArray(message.favorites) || message.favorites.length === 0) {
-                    text = `📉 Favorittkaffiar blei utsolgt`;
-                    break;
-                }
-                
-                text = `📉 ${message.favorites.length} favorittkaffiar blei utsolgt\n\n`;
-                text += `😔 Desse favorittkaffiane er no utsolgt:\n\n`;
-                
-                message.favorites.forEach((favoriteData, index) => {
-                    if (!favoriteData || !favoriteData.product) {
-                        return;
-                    }
-                    
-                    const product = favoriteData.product;
-                    const baseName = favoriteData.baseName || this.getBaseProductName(product.name);
-                    
-                    text += `${index + 1}. 📉 ${baseName}\n`;
-                    if (product.roastery_name) text += `   🏪 ${product.roastery_name}\n`;
-                    if (favoriteData.favoriteName) text += `   ⭐ Var: ${favoriteData.favoriteName}\n`;
-                    text += `\n`;
-                });
-                
-                text += `📊 Vi held auge med når dei blir tilgjengelege igjen!`;
-                break;
-
-            case 'new_products':
-                text += `Hei! 🆕\n\n`;
-                text += `${message.products.length} nye kaffiprodukt er oppdaga:\n\n`;
-                
-                message.products.slice(0, 10).forEach((product, index) => {
-                    text += `${index + 1}. *${product.name}*\n`;
-                    if (product.roastery_name) text += `   🏪 ${product.roastery_name}\n`;
-                    if (product.current_price) text += `   💰 ${product.current_price} kr\n`;
-                    if (product.url) text += `   🔗 [Vis produkt](${product.url})\n`;
-                    text += `\n`;
-                });
-                
-                if (message.products.length > 10) {
-                    text += `... og ${message.products.length - 10} fleire produkt!\n`;
-                }
-                break;
-
-            case 'error':
-                text += `⚠️ Det oppstod ein feil i coffee monitor:\n\n`;
-                text += `🔴 *Feil:* ${message.error.message}\n`;
-                if (message.context) text += `📋 *Kontekst:* ${message.context}\n`;
-                break;
-
-            default:
-                text += message.body || 'Coffee Monitor notification';
-        }
-
-        // Debug logging removed
-        
-        return text;
-    }
-
-    sendTelegramMessage(text) {
-        return new Promise((resolve) => {
-            // Validate text is not empty or just whitespace
-            if (!text || text.trim().length === 0) {
-                console.error('Telegram message text is empty, aborting send');
-                resolve(false);
-                return;
-            }
-            
-            // Send the message to Telegram
-            
-            // Check message length (Telegram limit is 4096 characters)
-            if (text.length > 4096) {
-                console.warn(`Telegram message too long (${text.length} chars), truncating to 4000 chars`);
-                text = text.substring(0, 4000) + '...';
-            }
-            
-            // Only remove markdown formatting, keep Norwegian characters and emojis
-            text = text.replace(/\*/g, ''); // Remove markdown asterisks
-            text = text.replace(/\[([^\]]+)\]\([^)]+\)/g, '$1'); // Convert markdown links to plain text
-            
-            const data = JSON.stringify({
-                chat_id: parseInt(this.config.telegram.chatId, 10),
-                text: text
-            });
-            
-            // JSON data prepared for Telegram API
-            
-            // Data prepared for Telegram API
-
-            const options = {
-                hostname: 'api.telegram.org',
-                port: 443,
-                path: `/bot${this.config.telegram.botToken}/sendMessage`,
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json; charset=utf-8',
-                    'Content-Length': Buffer.byteLength(data, 'utf8')
-                }
-            };
-
-            const req = https.request(options, (res) => {
-                let responseData = '';
-                res.on('data', (chunk) => {
-                    responseData += chunk;
-                });
-
-                res.on('end', () => {
-                    try {
-                        const response = JSON.parse(responseData);
-                        if (response.ok) {
-                            resolve(true);
-                        } else {
-                            console.error('Telegram API error:', response.description);
-                            resolve(false);
-                        }
-                    } catch (error) {
-                        console.error('Error parsing Telegram response:', error.message);
-                        resolve(false);
-                    }
-                });
-            });
-
-            req.on('error', (error) => {
-                console.error('Telegram request error:', error.message);
-                resolve(false);
-            });
-
-            req.write(data);
-            req.end();
-        });
-    }
-
-    getPriceForSize(favoriteData, targetSize) {
-        // Check if we have stored size data
-        if (favoriteData.sizeData && favoriteData.sizeData[targetSize]) {
-            return favoriteData.sizeData[targetSize].price;
-        }
-        
-        // Fallback: check if the main product matches the target size
-        const product = favoriteData.product;
-        const productSize = this.extractSizeFromName(product.name);
-        
-        if (productSize === targetSize) {
-            return product.current_price;
-        }
-        
-        return null;
-    }
-
-    extractSizeFromName(productName) {
-        if (!productName) return null;
-        const name = productName.toLowerCase();
-        if (name.includes('250g') || name.includes('250 g')) {
-            return '250g';
-        }
-        if (name.includes('1kg') || name.includes('1 kg') || name.includes('1000g')) {
-            return '1kg';
-        }
-        return null;
-    }
-
-    getBaseProductName(productName) {
-        // Remove size indicators and common suffixes to get the base product name
-        let baseName = productName
-            .replace(/\s*,\s*\d+kg.*$/i, '')  // Remove ", 1kg ..." and everything after
-            .replace(/\s*,\s*\d+g.*$/i, '')   // Remove ", 250g ..." and everything after
-            .replace(/\s+\d+kg\s+.*$/i, '')   // Remove " 1kg ..." and everything after
-            .replace(/\s+\d+g\s+.*$/i, '')    // Remove " 250g ..." and everything after
-            .replace(/\s*\d+kg$/i, '')        // Remove " 1kg" at end
-            .replace(/\s*\d+g$/i, '')         // Remove " 250g" at end
-            .trim();
-        
-        return baseName;
-    }
-
-    calculatePricePer250g(price, size) {
-        if (!price || !size) return null;
-        
-        let grams;
-        if (size === '250g') {
-            grams = 250;
-        } else if (size === '1kg') {
-            grams = 1000;
-        } else {
-            return null;
-        }
-        
-        const pricePer250g = (price / grams) * 250;
-        return Math.round(pricePer250g); // Round to nearest kr
+        }));
     }
 
     async close() {
-        if (this.emailTransporter) {
-            this.emailTransporter.close();
-        }
+        await Promise.all(this.channels.map(channel => channel.close()));
     }
 }
 
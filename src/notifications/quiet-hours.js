@@ -0,0 +1,145 @@
+const { getMessageTypes } = require('./message');
+
+/**
+ * Quiet hours: notifications a channel would send between `start` and `end`
+ * (local time in `timezone`) are held in the outbox and released when the
+ * quiet period ends. Configured in `notifications.quietHours`, and per channel
+ * in `notifications.<channel>.quietHours` (merged over the global one, or
+ * `false` to always send).
+ *
+ *   { "start": "22:00", "end": "07:00", "timezone": "Europe/Oslo",
+ *     "bypass": ["favorites_newly_available"], "bypassFavorites": ["Geisha"] }
+ */
+
+const DEFAULT_TIMEZONE = 'Europe/Oslo';
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+function parseTime(text) {
+    const match = TIME_PATTERN.exec(String(text || ''));
+    return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+/**
+ * Minutes since local midnight of `date` in `timezone`.
+ */
+function getLocalMinutes(date, timezone) {
+    const parts = new Intl.DateTimeFormat('en-GB', {
+        timeZone: timezone,
+        hour: 'numeric',
+        minute: 'numeric',
+        hourCycle: 'h23'
+    }).formatToParts(date);
+    const value = type => Number(parts.find(part => part.type === type).value);
+    return value('hour') * 60 + value('minute');
+}
+
+/**
+ * Minutes `timezone` is ahead of UTC at `date`, e.g. 60 for Oslo in winter.
+ */
+function getOffsetMinutes(date, timezone) {
+    const parts = new Intl.DateTimeFormat('en-GB', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        hourCycle: 'h23'
+    }).formatToParts(date);
+    const value = type => Number(parts.find(part => part.type === type).value);
+    const localAsUtc = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'));
+    return (localAsUtc - Math.floor(date.getTime() / 60000) * 60000) / 60000;
+}
+
+/**
+ * Effective quiet hours for a channel, or null when it always sends.
+ */
+function resolveQuietHours(globalConfig, channelConfig) {
+    if (channelConfig === false) return null;
+
+    const quietHours = { ...(globalConfig || {}), ...(channelConfig || {}) };
+    if (quietHours.enabled === false || !quietHours.start || !quietHours.end) return null;
+    return quietHours;
+}
+
+/**
+ * When quiet hours are active at `date`, the Date they end; otherwise null.
+ */
+function getQuietUntil(quietHours, date = new Date()) {
+    if (!quietHours) return null;
+
+    const start = parseTime(quietHours.start);
+    const end = parseTime(quietHours.end);
+    if (start === null || end === null || start === end) return null;
+
+    const timezone = quietHours.timezone || DEFAULT_TIMEZONE;
+    const now = getLocalMinutes(date, timezone);
+    const quiet = start < end
+        ? now >= start && now < end
+        : now >= start || now < end; // Spans midnight, e.g. 22:00-07:00
+    if (!quiet) return null;
+
+    // Wall-clock time left, moved by the hour the clocks change if DST starts or ends first
+    const minutesLeft = (end - now + 24 * 60) % (24 * 60);
+    const wallClock = new Date(date.getTime() + minutesLeft * 60 * 1000);
+    wallClock.setSeconds(0, 0);
+    const shift = getOffsetMinutes(wallClock, timezone) - getOffsetMinutes(date, timezone);
+    const until = new Date(wallClock.getTime() - shift * 60 * 1000);
+
+    // An `end` the clocks skip when they go forward (02:30 on a 02:00 -> 03:00 night) moves on by the jump
+    return getLocalMinutes(until, timezone) === end ? until : wallClock;
+}
+
+/**
+ * Whether a notification is urgent enough to send during quiet hours: its type
+ * is listed in `bypass`, or it concerns a favorite listed in `bypassFavorites`.
+ */
+function bypassesQuietHours(quietHours, type, data = {}) {
+    if ((quietHours.bypass || []).includes(type)) return true;
+
+    const favorites = (quietHours.bypassFavorites || []).map(name => name.toLowerCase());
+    if (favorites.length === 0) return false;
+
+    const entries = [...(data.favorites || []), ...(data.drops || []), data];
+    return entries.some(entry => {
+        const name = entry.favoriteName || entry.favoritePattern;
+        return name && favorites.includes(String(name).toLowerCase());
+    });
+}
+
+/**
+ * Problems with a quietHours config, as messages naming `configPath`.
+ */
+function validateQuietHours(quietHours, configPath) {
+    if (quietHours === undefined || quietHours === null || quietHours === false) return [];
+    if (typeof quietHours !== 'object' || Array.isArray(quietHours)) {
+        return [`${configPath} must be an object or false`];
+    }
+
+    const problems = [];
+    for (const field of ['start', 'end']) {
+        if (quietHours[field] !== undefined && parseTime(quietHours[field]) === null) {
+            problems.push(`${configPath}.${field} must be a time like "22:00"`);
+        }
+    }
+    if (quietHours.timezone !== undefined) {
+        try {
+            new Intl.DateTimeFormat('en-GB', { timeZone: quietHours.timezone });
+        } catch (error) {
+            problems.push(`${configPath}.timezone is not a known time zone: ${quietHours.timezone}`);
+        }
+    }
+    const unknownTypes = (Array.isArray(quietHours.bypass) ? quietHours.bypass : [])
+        .filter(type => !getMessageTypes().includes(type));
+    if (unknownTypes.length > 0) {
+        problems.push(`${configPath}.bypass has unknown notification types: ${unknownTypes.join(', ')}`);
+    }
+    return problems;
+}
+
+module.exports = {
+    resolveQuietHours,
+    getQuietUntil,
+    bypassesQuietHours,
+    validateQuietHours
+};
@@ -1,4 +1,5 @@
 const cheerio = require('cheerio');
+const { extractStructuredProducts } = require('../scrapers/structured-data');
 
 class DeepScanner {
     constructor(scraper, database, logger) {
@@ -36,18 +37,19 @@ class DeepScanner {
                 this.log('info', `Deep scanning: ${product.name}`);
                 
                 // Navigate to product page and extract details
-                await this.scraper.page.goto(product.url, { 
+                const page = await this.scraper.getPage();
+                await page.goto(product.url, { 
                     waitUntil: 'networkidle2',
                     timeout: 30000 
                 });
                 
                 await new Promise(resolve => setTimeout(resolve, 1000)); // Be respectful
                 
-                const content = await this.scraper.page.content();
+                const content = await page.content();
                 const $ = cheerio.load(content);
                 
-                // Extract detailed information
-                const fullDescription = this.extractFullDescription($);
+                // Extract detailed information, preferring schema.org structured data
+                const fullDescription = this.extractStructuredDescription($, product.url) || this.extractFullDescription($);
                 const processingMethod = this.extractProcessingMethod($, fullDescription);
                 const sustainabilityInfo = this.extractSustainabilityInfo($, fullDescription);
                 
@@ -73,6 +75,15 @@ class DeepScanner {
         this.log('info', `Deep scan completed: ${scannedCount} scanned, ${skippedCount} skipped`);
     }
     
+    extractStructuredDescription($, pageUrl) {
+        const descriptions = extractStructuredProducts($, pageUrl)
+            .map(structured => structured.description)
+            .filter(Boolean);
+        if (descriptions.length === 0) return null;
+
+        return descriptions.reduce((longest, description) => description.length > longest.length ? description : longest);
+    }
+
     extractFullDescription($) {
         // Try multiple selectors for full product description
         const selectors = [
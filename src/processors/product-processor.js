@@ -1,28 +1,36 @@
+const { isWithinBudget } = require('../utils/preferences');
+
 class ProductProcessor {
     constructor(database, logger) {
         this.database = database;
         this.log = logger;
     }
 
+    /**
+     * Persist grouped products (see CoffeeMonitor.groupVariants) with their variants
+     * and collect favorite matches among the available ones.
+     */
     async processProducts(products) {
         const results = {
             newProducts: [],
             availableFavorites: [],
+            overBudgetFavorites: [],
             totalChecked: products.length
         };
 
         // Process each product
         for (const productData of products) {
             try {
-                // Save or update product
+                // Save or update product and its variants
                 const productId = await this.database.saveProduct(productData);
-                
-                // Record availability
-                await this.database.recordAvailability(
-                    productId, 
-                    productData.available, 
-                    productData.price
-                );
+
+                for (const variant of productData.variants || []) {
+                    variant.id = await this.database.saveVariant(productId, variant);
+                    await this.database.recordVariantAvailability(productId, variant.id, variant.available, variant.price);
+                }
+
+                // Record product-level availability derived from the variants
+                const rollup = await this.database.recordProductAvailability(productId);
 
                 // Check if this is a new product (first time seen)
                 const history = await this.database.getProductHistory(productId, 1);
@@ -34,8 +42,12 @@ class ProductProcessor {
                 }
 
                 // Check if this matches any favorites and is available
-                if (productData.available) {
-                    await this.processFavoriteMatches(productData, productId, results);
+                if (rollup.available) {
+                    await this.processFavoriteMatches({
+                        ...productData,
+                        current_price: rollup.price,
+                        variants: await this.database.getVariants(productId)
+                    }, productId, results);
                 }
             } catch (error) {
                 this.log('error', `Error processing product ${productData.name}`, { error: error.message });
@@ -49,17 +61,11 @@ class ProductProcessor {
         const favorites = await this.database.getFavorites();
         
         for (const favorite of favorites) {
-            let matches = false;
+            const matchedTerms = favorite.terms.filter(term =>
+                productData.name.toLowerCase().includes(term.toLowerCase())
+            );
             
-            // Check if any of the favorite's terms match the product name
-            for (const term of favorite.terms) {
-                if (productData.name.toLowerCase().includes(term.toLowerCase())) {
-                    matches = true;
-                    break;
-                }
-            }
-            
-            if (matches) {
+            if (matchedTerms.length > 0) {
                 // Apply preferences filtering
                 let shouldNotify = true;
                 
@@ -68,12 +74,31 @@ class ProductProcessor {
                     shouldNotify = false;
                 }
                 
-                // Check size preference
-                if (favorite.size_preference && favorite.size_preference !== 'both') {
-                    const productSize = this.extractSizeFromName(productData.name);
-                    if (productSize && productSize !== favorite.size_preference) {
-                        shouldNotify = false;
-                    }
+                // Check size preference: only variants of the preferred size count
+                const variants = this.filterVariantsBySizePreference(
+                    (productData.variants || []).filter(v => v.available),
+                    favorite.size_preference
+                );
+                if (variants.length === 0 && (productData.variants || []).length > 0) {
+                    shouldNotify = false;
+                }
+                
+                // Check price limits: only variants within budget count
+                const affordableVariants = variants.filter(v => isWithinBudget(v, favorite));
+                if (shouldNotify && variants.length > 0 && affordableVariants.length === 0) {
+                    shouldNotify = false;
+                    results.overBudgetFavorites.push({
+                        product: {
+                            ...productData,
+                            id: productId
+                        },
+                        favoriteName: favorite.name,
+                        matchedTerms,
+                        baseName: productData.name,
+                        variants,
+                        maxPrice: favorite.max_price,
+                        maxPricePerKg: favorite.max_price_per_kg
+                    });
                 }
                 
                 if (shouldNotify) {
@@ -83,7 +108,16 @@ class ProductProcessor {
                     );
 
                     if (!recentlyNotified) {
-                        await this.addToFavoriteResults(productData, productId, favorite, results);
+                        results.availableFavorites.push({
+                            product: {
+                                ...productData,
+                                id: productId
+                            },
+                            favoriteName: favorite.name,
+                            matchedTerms,
+                            baseName: productData.name,
+                            variants: affordableVariants
+                        });
                     } else {
                         this.log('debug', `Skipping notification for ${productData.name} - already notified recently`);
                     }
@@ -95,114 +129,15 @@ class ProductProcessor {
         }
     }
 
-    async addToFavoriteResults(productData, productId, favorite, results) {
-        // Check for duplicates in the same check based on base product name
-        const baseName = this.getBaseProductName(productData.name);
-        const existingMatch = results.availableFavorites.find(item => 
-            this.getBaseProductName(item.product.name) === baseName &&
-            item.favoriteName === favorite.name
-        );
-        
-        if (!existingMatch) {
-            const currentSize = this.extractSizeFromName(productData.name);
-            results.availableFavorites.push({
-                product: {
-                    ...productData,
-                    id: productId,
-                    current_price: productData.price
-                },
-                favoriteName: favorite.name,
-                matchedTerms: favorite.terms.filter(term => 
-                    productData.name.toLowerCase().includes(term.toLowerCase())
-                ),
-                baseName: baseName,
-                availableSizes: [currentSize].filter(Boolean), // Only add if size is detected
-                sizeData: currentSize ? { [currentSize]: { price: productData.price, product: productData } } : {}
-            });
-        } else {
-            // Add the new size to the existing match
-            const currentSize = this.extractSizeFromName(productData.name);
-            const existingSize = this.extractSizeFromName(existingMatch.product.name);
-            
-            // Add current size to available sizes if not already there
-            if (currentSize && !existingMatch.availableSizes.includes(currentSize)) {
-                existingMatch.availableSizes.push(currentSize);
-                existingMatch.availableSizes.sort((a, b) => {
-                    // Sort 250g first, then 1kg
-                    if (a === '250g' && b === '1kg') return -1;
-                    if (a === '1kg' && b === '250g') return 1;
-                    return 0;
-                });
-            }
-            
-            // Store price data for this size
-            if (currentSize) {
-                if (!existingMatch.sizeData) {
-                    existingMatch.sizeData = {};
-                }
-                existingMatch.sizeData[currentSize] = {
-                    price: productData.price,
-                    product: productData
-                };
-            }
-            
-            // Update to better product version if applicable (for the main display product)
-            if (this.shouldReplaceProduct(existingMatch.product, productData, existingSize, currentSize)) {
-                existingMatch.product = {
-                    ...productData,
-                    id: productId,
-                    current_price: productData.price
-                };
-                existingMatch.matchedTerms = favorite.terms.filter(term => 
-                    productData.name.toLowerCase().includes(term.toLowerCase())
-                );
-            }
-            
-            this.log('debug', `Added size ${currentSize} to existing coffee ${baseName}`);
-        }
-    }
-
-    extractSizeFromName(productName) {
-        const name = productName.toLowerCase();
-        if (name.includes('250g') || name.includes('250 g')) {
-            return '250g';
-        }
-        if (name.includes('1kg') || name.includes('1 kg') || name.includes('1000g')) {
-            return '1kg';
+    /**
+     * Variants matching a favorite's size preference. Variants of unknown size always match.
+     */
+    filterVariantsBySizePreference(variants, sizePreference) {
+        if (!sizePreference || sizePreference === 'both') {
+            return variants;
         }
-        return null; // Unknown size
-    }
-
-    getBaseProductName(productName) {
-        // Remove size indicators and common suffixes to get the base product name
-        let baseName = productName
-            .replace(/\s*,\s*\d+kg.*$/i, '')  // Remove ", 1kg ..." and everything after
-            .replace(/\s*,\s*\d+g.*$/i, '')   // Remove ", 250g ..." and everything after
-            .replace(/\s+\d+kg\s+.*$/i, '')   // Remove " 1kg ..." and everything after
-            .replace(/\s+\d+g\s+.*$/i, '')    // Remove " 250g ..." and everything after
-            .replace(/\s*\d+kg$/i, '')        // Remove " 1kg" at end
-            .replace(/\s*\d+g$/i, '')         // Remove " 250g" at end
-            .trim();
-        
-        return baseName;
-    }
-
-    shouldReplaceProduct(existingProduct, newProduct, existingSize, newSize) {
-        // Prefer organic products
-        if (newProduct.organic && !existingProduct.organic) {
-            return true;
-        }
-        if (!newProduct.organic && existingProduct.organic) {
-            return false;
-        }
-        
-        // Prefer larger sizes if both are equally organic
-        if (newSize === '1kg' && existingSize === '250g') {
-            return true;
-        }
-        
-        return false;
+        return variants.filter(v => !v.size || v.size === sizePreference);
     }
 }
 
-module.exports = ProductProcessor;
\ No newline at end of file
+module.exports = ProductProcessor;
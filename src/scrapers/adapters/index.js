@@ -0,0 +1,39 @@
+const SelectorAdapter = require('./selector-adapter');
+const ShopifyAdapter = require('./shopify-adapter');
+const WooCommerceAdapter = require('./woocommerce-adapter');
+
+/**
+ * Platform adapters keyed by the roastery `platform` config value.
+ * Every adapter implements `fetchProducts(url, config, options)` and resolves
+ * to `{ products, httpStatus }` where products share the scraper's product shape.
+ * The selector adapter also returns `selectorStats` for selector drift detection.
+ */
+const ADAPTERS = {
+    selectors: SelectorAdapter,
+    shopify: ShopifyAdapter,
+    woocommerce: WooCommerceAdapter
+};
+
+const DEFAULT_PLATFORM = 'selectors';
+
+function getAdapterNames() {
+    return Object.keys(ADAPTERS);
+}
+
+function createAdapter(platform, scraper) {
+    const key = (platform || DEFAULT_PLATFORM).toLowerCase();
+    const AdapterClass = ADAPTERS[key];
+
+    if (!AdapterClass) {
+        console.warn(`Unknown platform "${platform}", falling back to ${DEFAULT_PLATFORM}`);
+        return new ADAPTERS[DEFAULT_PLATFORM](scraper);
+    }
+
+    return new AdapterClass(scraper);
+}
+
+module.exports = {
+    DEFAULT_PLATFORM,
+    createAdapter,
+    getAdapterNames
+};
@@ -0,0 +1,152 @@
+const cheerio = require('cheerio');
+const { request } = require('../../utils/http');
+const { normalizePagination, isUrlPagination, getNextPageUrl, expandPage } = require('../pagination');
+
+/**
+ * Default adapter: renders the listing page in Puppeteer, or fetches it with plain
+ * HTTP for roasteries with `fetchMode: "http"`, and parses its schema.org structured
+ * data and product cards (configured CSS selectors).
+ * Also reports how many cards, names and prices matched (`selectorStats`).
+ *
+ * With `options.pagination`, every page of the category is read into one result.
+ * Replays of a recorded run (`options.archive`) always read the pages over the
+ * http loader, which serves them from the recording.
+ */
+class SelectorAdapter {
+    constructor(scraper) {
+        this.scraper = scraper;
+        this.name = 'selectors';
+    }
+
+    async fetchProducts(url, config, options = {}) {
+        const pagination = normalizePagination(options.pagination);
+        const load = config?.fetchMode === 'http' || options.archive?.replaying
+            ? this.createHttpLoader(options, pagination)
+            : await this.createBrowserLoader(config, options, pagination);
+
+        return await this.collectPages(url, config, pagination, load);
+    }
+
+    /**
+     * Load the first page and, for URL-based pagination, the following ones.
+     * Products seen on an earlier page are skipped, and pagination stops at a page
+     * without new products, a 404 past the first page or `maxPages`.
+     */
+    async collectPages(url, config, pagination, load) {
+        const products = [];
+        const seen = new Set();
+        let containers = 0;
+        let httpStatus = null;
+        let currentUrl = url;
+
+        for (let pageNumber = 1; currentUrl; pageNumber++) {
+            let loaded;
+            try {
+                loaded = await load(currentUrl);
+            } catch (error) {
+                if (pageNumber > 1 && error.status === 404) break;
+                throw error;
+            }
+
+            if (pageNumber === 1) {
+                httpStatus = loaded.status;
+            } else if (loaded.status === 404) {
+                break;
+            }
+
+            const result = this.scraper.extractProducts(loaded.$, config, loaded.pageUrl);
+            containers += result.selectorStats.containers;
+
+            let added = 0;
+            for (const product of result.products) {
+                const key = `${product.url || ''}|${product.name}`;
+                if (seen.has(key)) continue;
+
+                seen.add(key);
+                products.push(product);
+                added++;
+            }
+
+            if (!isUrlPagination(pagination) || (pageNumber > 1 && added === 0)) break;
+
+            const nextUrl = getNextPageUrl(loaded.$, pagination, loaded.pageUrl, pageNumber);
+            if (nextUrl && pageNumber >= pagination.maxPages) {
+                console.warn(`Stopped at maxPages (${pagination.maxPages}) for ${url}, more pages exist`);
+                break;
+            }
+            if (nextUrl) {
+                console.log(`Found ${added} new products on page ${pageNumber}, loading page ${pageNumber + 1}...`);
+                await new Promise(resolve => setTimeout(resolve, pagination.delay ?? 1000));
+            }
+            currentUrl = nextUrl;
+        }
+
+        const selectorStats = {
+            containers,
+            named: products.length,
+            priced: products.filter(product => product.price != null).length
+        };
+
+        console.log(`Found ${products.length} products`);
+        return { products, httpStatus, selectorStats };
+    }
+
+    async createBrowserLoader(config, options, pagination) {
+        const page = await this.scraper.getPage(options);
+        const containerSelector = this.scraper.getSelectors(config).productContainer;
+
+        return async (url) => {
+            console.log(`Navigating to ${url}...`);
+            const response = await page.goto(url, {
+                waitUntil: 'networkidle2',
+                timeout: options.timeout || 30000
+            });
+
+            // Wait for products to load - this might need customization per site
+            await new Promise(resolve => setTimeout(resolve, 2000));
+
+            if (pagination && !isUrlPagination(pagination)) {
+                const countProducts = () => page.$$eval(containerSelector, elements => elements.length).catch(() => 0);
+                const loads = await expandPage(page, pagination, countProducts);
+                if (loads > 0) {
+                    console.log(`Loaded ${loads} more batch(es) of products (${pagination.type})`);
+                }
+            }
+
+            const content = await page.content();
+            options.archive?.record(url, { status: response ? response.status() : null, body: content });
+            return {
+                $: cheerio.load(content),
+                status: response ? response.status() : null,
+                pageUrl: page.url()
+            };
+        };
+    }
+
+    /**
+     * Static shops: the server-rendered HTML already contains the products,
+     * so no browser and no render wait are needed.
+     */
+    createHttpLoader(options, pagination) {
+        if (pagination && !isUrlPagination(pagination) && !options.archive?.replaying) {
+            console.warn(`Pagination type "${pagination.type}" needs fetchMode "browser", reading the first page only`);
+        }
+
+        return async (url) => {
+            console.log(`Fetching ${url}...`);
+            const response = await request(url, {
+                headers: { 'Accept': 'text/html,application/xhtml+xml' },
+                timeout: options.timeout || 30000,
+                archive: options.archive
+            });
+
+            return {
+                $: cheerio.load(response.body),
+                status: response.status,
+                pageUrl: url
+            };
+        };
+    }
+}
+
+module.exports = SelectorAdapter;
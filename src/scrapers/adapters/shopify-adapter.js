@@ -0,0 +1,95 @@
+const cheerio = require('cheerio');
+const { fetchJson } = require('../../utils/http');
+
+const PAGE_SIZE = 250;
+const MAX_PAGES = 20;
+
+/**
+ * Reads products from a Shopify store's public JSON feed
+ * (/products.json or /collections/<handle>/products.json).
+ * Every variant becomes its own product entry with exact price, SKU and availability.
+ */
+class ShopifyAdapter {
+    constructor(scraper) {
+        this.scraper = scraper;
+        this.name = 'shopify';
+    }
+
+    async fetchProducts(url, config, options = {}) {
+        const feedUrl = this.getFeedUrl(url);
+        const origin = new URL(url).origin;
+        const products = [];
+        let httpStatus = null;
+
+        console.log(`Fetching Shopify feed ${feedUrl}...`);
+
+        for (let page = 1; page <= MAX_PAGES; page++) {
+            const pageUrl = `${feedUrl}?limit=${PAGE_SIZE}&page=${page}`;
+            const { status, data } = await fetchJson(pageUrl, { timeout: options.timeout, archive: options.archive });
+            httpStatus = status;
+
+            const pageProducts = Array.isArray(data?.products) ? data.products : [];
+            for (const product of pageProducts) {
+                products.push(...this.mapProduct(product, origin));
+            }
+
+            if (pageProducts.length < PAGE_SIZE) {
+                break;
+            }
+        }
+
+        console.log(`Found ${products.length} product variants`);
+        return { products, httpStatus };
+    }
+
+    /**
+     * Map a shop URL to its JSON feed. Collection pages keep their collection scope.
+     */
+    getFeedUrl(url) {
+        const parsed = new URL(url);
+        const collectionMatch = parsed.pathname.match(/\/collections\/([^/]+)/);
+
+        if (collectionMatch) {
+            return `${parsed.origin}/collections/${collectionMatch[1]}/products.json`;
+        }
+        return `${parsed.origin}/products.json`;
+    }
+
+    mapProduct(product, origin) {
+        const variants = Array.isArray(product.variants) && product.variants.length > 0
+            ? product.variants
+            : [{}];
+        const description = this.stripHtml(product.body_html);
+        const scrapedAt = new Date().toISOString();
+
+        return variants.map(variant => {
+            const hasVariantTitle = variant.title && variant.title !== 'Default Title';
+            const price = variant.price != null ? parseFloat(variant.price) : null;
+            const productUrl = product.handle ? `${origin}/products/${product.handle}` : null;
+
+            return {
+                name: hasVariantTitle ? `${product.title} - ${variant.title}` : product.title,
+                url: productUrl && variant.id ? `${productUrl}?variant=${variant.id}` : productUrl,
+                price: Number.isFinite(price) ? price : null,
+                description: description,
+                available: variant.available !== false,
+                sku: variant.sku || null,
+                baseName: product.title,
+                variant: {
+                    id: variant.id || null,
+                    title: hasVariantTitle ? variant.title : null,
+                    options: [variant.option1, variant.option2, variant.option3].filter(Boolean)
+                },
+                scrapedAt
+            };
+        });
+    }
+
+    stripHtml(html) {
+        if (!html) return null;
+        const text = cheerio.load(html).text().replace(/\s+/g, ' ').trim();
+        return text.length > 0 ? text : null;
+    }
+}
+
+module.exports = ShopifyAdapter;
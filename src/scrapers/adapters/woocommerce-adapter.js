@@ -0,0 +1,148 @@
+const cheerio = require('cheerio');
+const { fetchJson } = require('../../utils/http');
+
+const PAGE_SIZE = 100;
+const MAX_PAGES = 20;
+// Same default as monitoring.scraping.politenessDelay
+const DEFAULT_REQUEST_DELAY = 1000;
+
+/**
+ * Reads products from the WooCommerce Store API (/wp-json/wc/store/v1/products).
+ * Variable products are expanded into one entry per variation so sizes and
+ * grinds carry their own price and stock status.
+ */
+class WooCommerceAdapter {
+    constructor(scraper) {
+        this.scraper = scraper;
+        this.name = 'woocommerce';
+    }
+
+    async fetchProducts(url, config, options = {}) {
+        const apiBase = this.getApiBase(url, config);
+        const category = this.getCategorySlug(url);
+        const products = [];
+        let httpStatus = null;
+
+        console.log(`Fetching WooCommerce Store API ${apiBase}${category ? ` (category: ${category})` : ''}...`);
+
+        for (let page = 1; page <= MAX_PAGES; page++) {
+            const params = new URLSearchParams({ per_page: PAGE_SIZE, page });
+            if (category) params.set('category', category);
+
+            const { status, data } = await fetchJson(`${apiBase}?${params}`, { timeout: options.timeout, archive: options.archive });
+            httpStatus = status;
+
+            const pageProducts = Array.isArray(data) ? data : [];
+            for (const product of pageProducts) {
+                products.push(...await this.mapProduct(product, apiBase, options));
+            }
+
+            if (pageProducts.length < PAGE_SIZE) {
+                break;
+            }
+        }
+
+        console.log(`Found ${products.length} product variants`);
+        return { products, httpStatus };
+    }
+
+    getApiBase(url, config) {
+        const origin = new URL(config?.baseUrl || url).origin;
+        return `${origin}/wp-json/wc/store/v1/products`;
+    }
+
+    /**
+     * Extract the category slug from a /product-category/<slug>/ shop URL, if any.
+     */
+    getCategorySlug(url) {
+        const match = new URL(url).pathname.match(/\/product-category\/(?:[^/]+\/)*([^/]+)\/?$/);
+        return match ? match[1] : null;
+    }
+
+    async mapProduct(product, apiBase, options) {
+        const description = this.stripHtml(product.short_description || product.description);
+        const scrapedAt = new Date().toISOString();
+
+        if (product.type !== 'variable' || !Array.isArray(product.variations) || product.variations.length === 0) {
+            return [{
+                name: this.decodeEntities(product.name),
+                url: product.permalink || null,
+                price: this.parsePrice(product.prices),
+                description,
+                available: !!product.is_in_stock,
+                sku: product.sku || null,
+                baseName: this.decodeEntities(product.name),
+                variant: { id: product.id, title: null, options: [] },
+                scrapedAt
+            }];
+        }
+
+        const entries = [];
+        for (const variation of product.variations) {
+            const attributeValues = (variation.attributes || []).map(attr => attr.value).filter(Boolean);
+            const title = attributeValues.join(' / ');
+
+            // Use price and stock embedded in the listing when the store includes them,
+            // otherwise each variation costs one more request to the shop
+            let details = variation.prices ? variation : null;
+            if (!details) {
+                try {
+                    details = await this.fetchVariation(apiBase, variation.id, options);
+                } catch (error) {
+                    console.warn(`Could not load variation ${variation.id} of ${product.name}: ${error.message}`);
+                }
+            }
+
+            entries.push({
+                name: title ? `${this.decodeEntities(product.name)} - ${title}` : this.decodeEntities(product.name),
+                url: details?.permalink || product.permalink || null,
+                price: this.parsePrice(details?.prices || product.prices),
+                description,
+                available: details ? !!details.is_in_stock : !!product.is_in_stock,
+                sku: details?.sku || null,
+                baseName: this.decodeEntities(product.name),
+                variant: { id: variation.id, title: title || null, options: attributeValues },
+                scrapedAt
+            });
+        }
+
+        return entries;
+    }
+
+    /**
+     * Load one variation, waiting `politenessDelay` ms first so a product with many
+     * sizes and grinds does not send a burst of requests. Replays never wait.
+     */
+    async fetchVariation(apiBase, variationId, options) {
+        const delay = options.politenessDelay ?? DEFAULT_REQUEST_DELAY;
+        if (delay > 0 && !options.archive?.replaying) {
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+
+        const { data } = await fetchJson(`${apiBase}/${variationId}`, { timeout: options.timeout, archive: options.archive });
+        return data;
+    }
+
+    /**
+     * Store API prices are strings in minor units (e.g. "18900" with currency_minor_unit 2).
+     */
+    parsePrice(prices) {
+        if (!prices || prices.price == null || prices.price === '') return null;
+        const minorUnit = Number.isInteger(prices.currency_minor_unit) ? prices.currency_minor_unit : 2;
+        const value = parseInt(prices.price, 10);
+        return Number.isFinite(value) ? value / Math.pow(10, minorUnit) : null;
+    }
+
+    decodeEntities(text) {
+        if (!text) return text;
+        return cheerio.load(`<span>${text}</span>`)('span').text().trim();
+    }
+
+    stripHtml(html) {
+        if (!html) return null;
+        const text = cheerio.load(html).text().replace(/\s+/g, ' ').trim();
+        return text.length > 0 ? text : null;
+    }
+}
+
+module.exports = WooCommerceAdapter;
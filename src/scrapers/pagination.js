@@ -0,0 +1,98 @@
+/**
+ * Pagination strategies for category pages, configured per shop URL (or per roastery)
+ * as `pagination: { type, maxPages, ... }`:
+ *
+ * - `nextLink`:  follow the `selector` link (default `a[rel="next"]`) to the next page
+ * - `pageParam`: request `?<param>=2`, `?<param>=3`, ... (param defaults to `page`)
+ * - `loadMore`:  click the `selector` button until it disappears (browser only)
+ * - `scroll`:    scroll to the bottom until the product count stops growing (browser only)
+ *
+ * `maxPages` caps the number of pages, clicks or scrolls (default 10).
+ */
+
+const PAGINATION_TYPES = ['nextLink', 'pageParam', 'loadMore', 'scroll'];
+const DEFAULT_MAX_PAGES = 10;
+
+function normalizePagination(pagination) {
+    if (!pagination || !pagination.type) return null;
+
+    return {
+        ...pagination,
+        maxPages: Math.max(1, pagination.maxPages || DEFAULT_MAX_PAGES)
+    };
+}
+
+/**
+ * Strategies that load further pages by URL, as opposed to interacting with the page.
+ */
+function isUrlPagination(pagination) {
+    return pagination?.type === 'nextLink' || pagination?.type === 'pageParam';
+}
+
+/**
+ * URL of the page after `pageNumber` (1-based), or null when there is none.
+ */
+function getNextPageUrl($, pagination, currentUrl, pageNumber) {
+    if (pagination.type === 'nextLink') {
+        const href = $(pagination.selector || 'a[rel="next"]').first().attr('href');
+        if (!href) return null;
+
+        try {
+            return new URL(href, currentUrl).href;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    if (pagination.type === 'pageParam') {
+        const url = new URL(currentUrl);
+        url.searchParams.set(pagination.param || 'page', String(pageNumber + 1));
+        return url.href;
+    }
+
+    return null;
+}
+
+/**
+ * Expand a rendered page in place by clicking "load more" or scrolling, until no
+ * more products appear or `maxPages` is reached.
+ *
+ * @param {Object} page - Puppeteer page
+ * @param {Function} countProducts - async () => number of product elements on the page
+ * @returns {Promise<number>} Number of extra loads performed
+ */
+async function expandPage(page, pagination, countProducts, options = {}) {
+    const { waitTime = 1500 } = options;
+    let count = await countProducts();
+    let loads = 0;
+
+    while (loads < pagination.maxPages - 1) {
+        if (pagination.type === 'loadMore') {
+            const button = await page.$(pagination.selector || '.load-more, [class*="load-more"]');
+            if (!button) break;
+            await button.click();
+        } else if (pagination.type === 'scroll') {
+            await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+        } else {
+            break;
+        }
+
+        await new Promise(resolve => setTimeout(resolve, waitTime));
+
+        const newCount = await countProducts();
+        if (newCount <= count) break;
+
+        count = newCount;
+        loads++;
+    }
+
+    return loads;
+}
+
+module.exports = {
+    PAGINATION_TYPES,
+    normalizePagination,
+    isUrlPagination,
+    getNextPageUrl,
+    expandPage
+};
@@ -0,0 +1,198 @@
+/**
+ * Pool of browser pages, each in its own browser context so cookies and
+ * crashes on one roastery's page cannot leak into another's.
+ * Pages are created lazily and reused; crashed or closed pages are replaced.
+ */
+class PagePool {
+    constructor(scraper, size = 3) {
+        this.scraper = scraper;
+        this.size = Math.max(1, size);
+        this.idle = [];
+        this.created = 0;
+        this.waiting = [];
+        this.entries = new Map();
+    }
+
+    async acquire() {
+        while (this.idle.length > 0) {
+            const page = this.idle.pop();
+            if (!page.isClosed()) {
+                return page;
+            }
+            await this.destroy(page);
+        }
+
+        if (this.created < this.size) {
+            this.created++;
+            try {
+                await this.scraper.ensureBrowser();
+                const context = await this.scraper.browser.createBrowserContext();
+                const page = await this.scraper.createPage(context);
+                this.entries.set(page, context);
+                return page;
+            } catch (error) {
+                this.created--;
+                throw error;
+            }
+        }
+
+        // Wait for a page to be released
+        return new Promise(resolve => this.waiting.push(resolve)).then(() => this.acquire());
+    }
+
+    release(page, broken = false) {
+        if (broken || page.isClosed()) {
+            this.destroy(page).catch(() => {});
+        } else {
+            this.idle.push(page);
+        }
+
+        const next = this.waiting.shift();
+        if (next) next();
+    }
+
+    async destroy(page) {
+        const context = this.entries.get(page);
+        if (!context) return;
+
+        this.entries.delete(page);
+        this.created--;
+        await context.close().catch(() => {});
+    }
+
+    async close() {
+        const pages = Array.from(this.entries.keys());
+        for (const page of pages) {
+            await this.destroy(page);
+        }
+        this.idle = [];
+    }
+}
+
+/**
+ * Runs scrape tasks concurrently with a global concurrency limit, a per-host
+ * limit and a politeness delay between requests to the same host.
+ * Results are returned in the order of the input sources.
+ */
+class ScrapeScheduler {
+    constructor(scraper, options = {}) {
+        this.scraper = scraper;
+        this.concurrency = Math.max(1, options.concurrency || 3);
+        this.perHostConcurrency = Math.max(1, options.perHostConcurrency || 1);
+        this.politenessDelay = options.politenessDelay ?? 1000;
+        this.log = options.logger || (() => {});
+
+        this.activeByHost = new Map();
+        this.lastStartByHost = new Map();
+        this.pool = null;
+    }
+
+    /**
+     * @param {Object[]} sources - Items with a `url` (e.g. entries of Config.getAllShopUrls())
+     * @param {Function} task - async (source, { getPage }) => result. getPage() leases a pooled page on demand.
+     * @returns {Promise<Array<{ source, result?, error?, durationMs }>>}
+     */
+    async run(sources, task) {
+        this.pool = new PagePool(this.scraper, this.concurrency);
+        const pending = sources.map((source, index) => ({ source, index, host: this.getHost(source.url) }));
+        const results = new Array(sources.length);
+
+        try {
+            const workerCount = Math.min(this.concurrency, pending.length);
+            const workers = Array.from({ length: workerCount }, () => this.worker(pending, results, task));
+            await Promise.all(workers);
+        } finally {
+            await this.pool.close();
+            this.pool = null;
+        }
+
+        return results;
+    }
+
+    async worker(pending, results, task) {
+        while (pending.length > 0) {
+            const item = this.takeNext(pending);
+            if (!item) {
+                await this.sleep(this.getWaitTime(pending));
+                continue;
+            }
+
+            let page = null;
+            let pageBroken = false;
+            const getPage = async () => {
+                if (!page) {
+                    page = await this.pool.acquire();
+                }
+                return page;
+            };
+
+            const startTime = Date.now();
+            try {
+                const result = await task(item.source, { getPage });
+                results[item.index] = { source: item.source, result, durationMs: Date.now() - startTime };
+            } catch (error) {
+                // A crashed target or closed page must not be handed to the next source
+                pageBroken = /Target closed|Session closed|detached|crash/i.test(error.message);
+                if (pageBroken) {
+                    this.log('warn', `Page crashed while scraping ${item.source.url}, replacing it`);
+                }
+                results[item.index] = { source: item.source, error, durationMs: Date.now() - startTime };
+            } finally {
+                if (page) {
+                    this.pool.release(page, pageBroken);
+                }
+                this.activeByHost.set(item.host, this.activeByHost.get(item.host) - 1);
+            }
+        }
+    }
+
+    /**
+     * Take the first pending source whose host is below its concurrency limit
+     * and past its politeness delay. Returns null when every host is busy.
+     */
+    takeNext(pending) {
+        const now = Date.now();
+
+        for (let i = 0; i < pending.length; i++) {
+            const { host } = pending[i];
+            const active = this.activeByHost.get(host) || 0;
+            const lastStart = this.lastStartByHost.get(host) || 0;
+
+            if (active < this.perHostConcurrency && now - lastStart >= this.politenessDelay) {
+                this.activeByHost.set(host, active + 1);
+                this.lastStartByHost.set(host, now);
+                return pending.splice(i, 1)[0];
+            }
+        }
+
+        return null;
+    }
+
+    getWaitTime(pending) {
+        const now = Date.now();
+        let wait = this.politenessDelay || 100;
+
+        for (const { host } of pending) {
+            const remaining = (this.lastStartByHost.get(host) || 0) + this.politenessDelay - now;
+            if (remaining > 0) {
+                wait = Math.min(wait, remaining);
+            }
+        }
+
+        return Math.max(50, wait);
+    }
+
+    getHost(url) {
+        try {
+            return new URL(url).host;
+        } catch (error) {
+            return url;
+        }
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+module.exports = ScrapeScheduler;
@@ -1,11 +1,16 @@
 const puppeteer = require('puppeteer');
-const cheerio = require('cheerio');
+const fs = require('fs');
+const path = require('path');
+const { createAdapter, DEFAULT_PLATFORM } = require('./adapters');
+const { DEFAULT_USER_AGENT } = require('../utils/http');
+const { extractStructuredProducts } = require('./structured-data');
 
 class CoffeeScraper {
     constructor(roasteryConfig = null) {
         this.roasteryConfig = roasteryConfig;
         this.browser = null;
         this.page = null;
+        this.launching = null;
     }
 
     async init() {
@@ -13,55 +18,245 @@ class CoffeeScraper {
             headless: 'new',
             args: ['--no-sandbox', '--disable-setuid-sandbox']
         });
-        this.page = await this.browser.newPage();
+        this.page = await this.createPage();
+    }
+
+    /**
+     * Open a configured page, in the given browser context or the default one.
+     */
+    async createPage(context = null) {
+        const page = await (context || this.browser).newPage();
         
         // Set user agent to avoid being blocked
-        await this.page.setUserAgent('Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36');
+        await page.setUserAgent(DEFAULT_USER_AGENT);
         
         // Set viewport
-        await this.page.setViewport({ width: 1280, height: 800 });
+        await page.setViewport({ width: 1280, height: 800 });
+        return page;
     }
 
-    async scrapeProducts(url, roasteryConfig = null) {
-        if (!this.page) {
-            throw new Error('Scraper not initialized. Call init() first.');
+    /**
+     * Launch the browser on first use, so checks of http-only roasteries never
+     * start Chrome. Concurrent callers share one launch.
+     */
+    async ensureBrowser() {
+        if (this.browser) return;
+
+        if (!this.launching) {
+            this.launching = this.init().finally(() => {
+                this.launching = null;
+            });
         }
+        await this.launching;
+    }
 
+    /**
+     * Page to scrape with: a leased page from the scrape scheduler when given
+     * (options.getPage), otherwise the scraper's own page.
+     */
+    async getPage(options = {}) {
+        if (options.getPage) {
+            return await options.getPage();
+        }
+        await this.ensureBrowser();
+        return this.page;
+    }
+
+    async scrapeProducts(url, roasteryConfig = null, options = {}) {
+        const result = await this.scrapeSource(url, roasteryConfig, options);
+        return result.products;
+    }
+
+    /**
+     * Scrape a single shop URL through the platform adapter configured for the roastery.
+     * JSON feed adapters fall back to selector scraping when the feed cannot be read.
+     *
+     * @returns {Promise<{ products: Object[], httpStatus: number|null, adapter: string }>}
+     */
+    async scrapeSource(url, roasteryConfig = null, options = {}) {
         // Use provided roastery config or fallback to instance config
         const config = roasteryConfig || this.roasteryConfig;
-        
+        const adapter = createAdapter(config?.platform, this);
+
         try {
-            console.log(`Navigating to ${url}...`);
-            await this.page.goto(url, { 
-                waitUntil: 'networkidle2',
-                timeout: 30000 
-            });
+            const result = await adapter.fetchProducts(url, config, options);
+            return { ...result, adapter: adapter.name };
+        } catch (error) {
+            if (adapter.name === DEFAULT_PLATFORM) {
+                console.error('Error scraping products:', error.message);
+                error.adapter = adapter.name;
+                throw error;
+            }
 
-            // Wait for products to load - this might need customization per site
-            await new Promise(resolve => setTimeout(resolve, 2000));
+            console.warn(`${adapter.name} adapter failed for ${url} (${error.message}), falling back to selector scraping`);
+            const fallback = createAdapter(DEFAULT_PLATFORM, this);
+            try {
+                const result = await fallback.fetchProducts(url, config, options);
+                return { ...result, adapter: fallback.name };
+            } catch (fallbackError) {
+                fallbackError.adapter = fallback.name;
+                throw fallbackError;
+            }
+        }
+    }
 
-            const content = await this.page.content();
-            const $ = cheerio.load(content);
+    /**
+     * scrapeSource with retries and exponential backoff (retryDelay, 2x, 4x, ...).
+     * Client errors other than 429 are not retried. When every attempt fails,
+     * a screenshot/HTML snapshot is saved (if enabled) and the last error is thrown
+     * with `attempts` and `snapshot` attached.
+     *
+     * @param {Object} options - { maxRetries, retryDelay, screenshotOnError, snapshotDir, timeout, getPage, politenessDelay }
+     */
+    async scrapeSourceWithRetry(url, roasteryConfig = null, options = {}) {
+        const { maxRetries = 3, retryDelay = 2000 } = options;
+        let lastError = null;
+        let attempt = 0;
+
+        while (attempt <= maxRetries) {
+            attempt++;
+            try {
+                const result = await this.scrapeSource(url, roasteryConfig, options);
+                return { ...result, attempts: attempt };
+            } catch (error) {
+                lastError = error;
+
+                const retryable = !error.status || error.status === 429 || error.status >= 500;
+                if (!retryable || attempt > maxRetries) {
+                    break;
+                }
 
-            const products = [];
+                const delay = retryDelay * Math.pow(2, attempt - 1);
+                console.warn(`Attempt ${attempt} failed for ${url} (${error.message}), retrying in ${delay}ms...`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
 
-            // Use roastery-specific selectors for parsing
-            const productElements = this.getProductElements($, config);
+        lastError.attempts = attempt;
+        if (options.screenshotOnError && options.snapshotDir) {
+            lastError.snapshot = await this.saveErrorSnapshot(url, lastError, options, roasteryConfig);
+        }
+        throw lastError;
+    }
 
-            productElements.each((index, element) => {
-                const product = this.parseProductElement($, element, config);
-                if (product && product.name) {
-                    products.push(product);
-                }
-            });
+    /**
+     * Save what the scraper saw when a source failed: the response body when there
+     * is one, a screenshot and the rendered HTML for browser-rendered pages, and
+     * otherwise the error itself. Sources that are not rendered in a browser (http
+     * fetch mode, feed adapters, replays) never launch one for the snapshot.
+     *
+     * @returns {Promise<{ screenshot: string|null, html: string|null, text: string|null }|null>}
+     */
+    async saveErrorSnapshot(url, error, options = {}, roasteryConfig = null) {
+        try {
+            fs.mkdirSync(options.snapshotDir, { recursive: true });
 
-            console.log(`Found ${products.length} products`);
-            return products;
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            const slug = url.replace(/^https?:\/\//, '').replace(/[^a-z0-9]+/gi, '_').slice(0, 80);
+            const basePath = path.join(options.snapshotDir, `${timestamp}-${slug}`);
+            const snapshot = { screenshot: null, html: null, text: null };
 
-        } catch (error) {
-            console.error('Error scraping products:', error);
-            throw error;
+            if (error.body != null) {
+                snapshot.html = `${basePath}.html`;
+                fs.writeFileSync(snapshot.html, error.body);
+                return snapshot;
+            }
+
+            const rendered = roasteryConfig?.fetchMode !== 'http' &&
+                (roasteryConfig?.platform || DEFAULT_PLATFORM) === DEFAULT_PLATFORM &&
+                !options.archive?.replaying;
+            if (!rendered) {
+                snapshot.text = `${basePath}.txt`;
+                fs.writeFileSync(snapshot.text, [
+                    `URL: ${url}`,
+                    error.status ? `HTTP status: ${error.status}` : null,
+                    '',
+                    error.stack || error.message
+                ].filter(line => line !== null).join('\n') + '\n');
+                return snapshot;
+            }
+
+            const page = await this.getPage(options);
+            snapshot.screenshot = `${basePath}.png`;
+            await this.takeScreenshot(snapshot.screenshot, page);
+            snapshot.html = `${basePath}.html`;
+            fs.writeFileSync(snapshot.html, await page.content());
+            return snapshot;
+        } catch (snapshotError) {
+            console.warn(`Could not save error snapshot for ${url}: ${snapshotError.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Parse the products on a rendered listing page. Unless the roastery sets
+     * `extraction: "selectors"`, schema.org JSON-LD/microdata is read first and
+     * CSS selectors fill in what it lacks (or take over when the page has none).
+     *
+     * @returns {{ products: Object[], selectorStats: { containers, named, priced } }}
+     */
+    extractProducts($, config, pageUrl = null) {
+        const cssProducts = [];
+        const productElements = this.getProductElements($, config);
+
+        productElements.each((index, element) => {
+            const product = this.parseProductElement($, element, config, pageUrl);
+            if (product && product.name) {
+                cssProducts.push(product);
+            }
+        });
+
+        const structuredProducts = config?.extraction === 'selectors'
+            ? []
+            : extractStructuredProducts($, pageUrl);
+
+        let products = cssProducts;
+        if (structuredProducts.length > 0) {
+            console.log(`Found ${structuredProducts.length} products in structured data`);
+            products = structuredProducts.length >= cssProducts.length
+                ? this.mergeProducts(structuredProducts, cssProducts)
+                : this.mergeProducts(cssProducts, structuredProducts);
         }
+
+        // How well the page matched, used to detect selector drift
+        const selectorStats = {
+            containers: Math.max(productElements.length, structuredProducts.length),
+            named: products.length,
+            priced: products.filter(product => product.price != null).length
+        };
+
+        return { products, selectorStats };
+    }
+
+    /**
+     * Fill gaps in `primary` products with the matching `secondary` product (same URL
+     * or name). Structured values win over CSS values; `available` stays on the
+     * keyword heuristic only when neither source states it explicitly.
+     */
+    mergeProducts(primary, secondary) {
+        const normalizeUrl = (url) => url ? url.split('#')[0].split('?')[0].replace(/\/$/, '') : null;
+        const normalizeName = (name) => name ? name.toLowerCase().replace(/\s+/g, ' ').trim() : null;
+
+        return primary.map(product => {
+            const match = secondary.find(other =>
+                (product.url && normalizeUrl(other.url) === normalizeUrl(product.url)) ||
+                normalizeName(other.name) === normalizeName(product.name)
+            );
+            if (!match) {
+                return { ...product, available: product.available ?? true };
+            }
+
+            const [structured, css] = product.structured ? [product, match] : [match, product];
+            return {
+                ...css,
+                ...product,
+                url: product.url || match.url,
+                price: structured.price ?? css.price,
+                description: product.description || match.description,
+                available: structured.available ?? css.available ?? true,
+                sku: product.sku || match.sku || null
+            };
+        });
     }
 
     getProductElements($, config) {
@@ -85,7 +280,7 @@ class CoffeeScraper {
         };
     }
 
-    parseProductElement($, element, config) {
+    parseProductElement($, element, config, pageUrl = null) {
         const $el = $(element);
         const selectors = config?.selectors || {};
 
@@ -113,7 +308,7 @@ class CoffeeScraper {
                 selectors.link,
                 'a',
                 '[href]'
-            ].filter(Boolean), config);
+            ].filter(Boolean), config, pageUrl);
 
             const available = this.extractAvailability($, $el, selectors.availability);
 
@@ -161,7 +356,7 @@ class CoffeeScraper {
         return null;
     }
 
-    extractUrl($, $el, selectors, config) {
+    extractUrl($, $el, selectors, config, pageUrl = null) {
         for (const selector of selectors) {
             const element = $el.find(selector).first();
             if (element.length > 0) {
@@ -169,7 +364,7 @@ class CoffeeScraper {
                 if (href) {
                     // Convert relative URLs to absolute
                     if (href.startsWith('/')) {
-                        const baseUrl = new URL(config?.baseUrl || this.page.url());
+                        const baseUrl = new URL(config?.baseUrl || pageUrl || this.page.url());
                         return new URL(href, baseUrl).href;
                     }
                     return href;
@@ -205,9 +400,9 @@ class CoffeeScraper {
         return true;
     }
 
-    async takeScreenshot(filename) {
-        if (this.page) {
-            await this.page.screenshot({ 
+    async takeScreenshot(filename, page = this.page) {
+        if (page) {
+            await page.screenshot({ 
                 path: filename,
                 fullPage: true 
             });
@@ -0,0 +1,215 @@
+/**
+ * Reads schema.org Product data embedded in a page, as JSON-LD
+ * (`<script type="application/ld+json">`) or microdata (`itemtype=".../Product"`).
+ *
+ * Products are returned in the scraper's product shape. Offers carry exact prices
+ * and an explicit `availability`; `available` is null when the page does not say.
+ */
+
+const IN_STOCK = ['instock', 'instoreonly', 'onlineonly', 'limitedavailability', 'preorder', 'presale'];
+const OUT_OF_STOCK = ['outofstock', 'soldout', 'discontinued', 'backorder'];
+
+/**
+ * Map a schema.org ItemAvailability value ("https://schema.org/InStock", "InStock",
+ * "http://schema.org/OutOfStock") to true/false, or null when unknown.
+ */
+function parseAvailability(value) {
+    if (!value || typeof value !== 'string') return null;
+
+    const token = value.split('/').pop().toLowerCase();
+    if (IN_STOCK.includes(token)) return true;
+    if (OUT_OF_STOCK.includes(token)) return false;
+    return null;
+}
+
+function parsePrice(value) {
+    if (value == null || value === '') return null;
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+
+    // "249.00", "249,00", "1 249,00" or "1.249,00"
+    let normalized = String(value).replace(/\s/g, '');
+    if (/\.\d{3},\d{1,2}$/.test(normalized)) {
+        normalized = normalized.replace(/\./g, '');
+    }
+    normalized = normalized.replace(/,(\d{1,2})$/, '.$1').replace(/,/g, '');
+    const price = parseFloat(normalized);
+    return Number.isFinite(price) ? price : null;
+}
+
+function hasType(node, type) {
+    const types = Array.isArray(node?.['@type']) ? node['@type'] : [node?.['@type']];
+    return types.some(t => typeof t === 'string' && t.toLowerCase() === type.toLowerCase());
+}
+
+function toArray(value) {
+    if (value == null) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+function resolveUrl(url, pageUrl) {
+    if (!url || typeof url !== 'string') return null;
+    try {
+        return new URL(url, pageUrl || undefined).href;
+    } catch (error) {
+        return url;
+    }
+}
+
+function cleanText(value) {
+    if (!value || typeof value !== 'string') return null;
+    const text = value.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+    return text.length > 0 ? text : null;
+}
+
+/**
+ * Collect every Product node in a JSON-LD document, including those nested in
+ * @graph, ItemList elements and ProductGroup variants.
+ */
+function collectProductNodes(node, found = []) {
+    if (!node || typeof node !== 'object') return found;
+
+    if (Array.isArray(node)) {
+        node.forEach(item => collectProductNodes(item, found));
+        return found;
+    }
+
+    if (hasType(node, 'Product')) {
+        found.push(node);
+        return found;
+    }
+
+    if (hasType(node, 'ProductGroup')) {
+        const variants = toArray(node.hasVariant);
+        if (variants.length === 0) {
+            found.push(node);
+        }
+        variants.forEach(variant => found.push({
+            ...variant,
+            groupName: node.name,
+            description: variant.description || node.description,
+            url: variant.url || node.url
+        }));
+        return found;
+    }
+
+    collectProductNodes(node['@graph'], found);
+    toArray(node.itemListElement).forEach(element => collectProductNodes(element.item || element, found));
+    collectProductNodes(node.mainEntity, found);
+    return found;
+}
+
+/**
+ * Turn one Product node into listings. A product with several named offers
+ * (one per size or grind) becomes one listing per offer.
+ */
+function mapProductNode(node, pageUrl) {
+    const name = cleanText(node.name);
+    if (!name) return [];
+
+    const offers = toArray(node.offers).flatMap(offer =>
+        hasType(offer, 'AggregateOffer') && offer.offers ? toArray(offer.offers) : [offer]
+    );
+    const base = {
+        url: resolveUrl(node.url, pageUrl),
+        description: cleanText(node.description),
+        sku: node.sku ? String(node.sku) : null,
+        structured: true,
+        scrapedAt: new Date().toISOString()
+    };
+    const baseName = node.groupName ? cleanText(node.groupName) : name;
+
+    if (offers.length > 1 && offers.every(offer => cleanText(offer.name))) {
+        return offers.map(offer => ({
+            ...base,
+            name: `${name} - ${cleanText(offer.name)}`,
+            baseName: baseName,
+            url: resolveUrl(offer.url, pageUrl) || base.url,
+            price: parsePrice(offer.price ?? offer.lowPrice),
+            currency: offer.priceCurrency || null,
+            available: parseAvailability(offer.availability),
+            sku: offer.sku ? String(offer.sku) : base.sku,
+            variant: { title: cleanText(offer.name) }
+        }));
+    }
+
+    // One listing: lowest price, available if any offer is in stock
+    const prices = offers.map(offer => parsePrice(offer.price ?? offer.lowPrice)).filter(price => price !== null);
+    const availability = offers.map(offer => parseAvailability(offer.availability)).filter(value => value !== null);
+
+    return [{
+        ...base,
+        ...(node.groupName ? { baseName } : {}),
+        name,
+        price: prices.length > 0 ? Math.min(...prices) : null,
+        currency: offers.find(offer => offer.priceCurrency)?.priceCurrency || null,
+        available: availability.length > 0 ? availability.includes(true) : null
+    }];
+}
+
+function extractJsonLdProducts($, pageUrl = null) {
+    const products = [];
+
+    $('script[type="application/ld+json"]').each((index, element) => {
+        let data;
+        try {
+            data = JSON.parse($(element).contents().text());
+        } catch (error) {
+            return; // Malformed JSON-LD is common, skip the block
+        }
+
+        for (const node of collectProductNodes(data)) {
+            products.push(...mapProductNode(node, pageUrl));
+        }
+    });
+
+    return products;
+}
+
+function extractMicrodataProducts($, pageUrl = null) {
+    const products = [];
+
+    $('[itemtype*="schema.org/Product"]').each((index, element) => {
+        const $product = $(element);
+        // Only read properties that belong to this product, not to a nested one
+        const prop = (name) => $product.find(`[itemprop="${name}"]`).filter((i, el) =>
+            $(el).closest('[itemtype*="schema.org/Product"]')[0] === element
+        ).first();
+        const value = ($el) => $el.attr('content') || $el.attr('href') || $el.attr('src') || $el.text();
+
+        const name = cleanText(value(prop('name')));
+        if (!name) return;
+
+        const $offer = $product.find('[itemprop="offers"]').first();
+        const offerProp = (propName) => $offer.find(`[itemprop="${propName}"]`).first();
+
+        products.push({
+            name,
+            url: resolveUrl(value(prop('url')) || $product.find('a[href]').first().attr('href'), pageUrl),
+            price: parsePrice(value(offerProp('price')) || value(offerProp('lowPrice'))),
+            currency: cleanText(value(offerProp('priceCurrency'))),
+            description: cleanText(value(prop('description'))),
+            available: parseAvailability(value(offerProp('availability'))),
+            sku: cleanText(value(prop('sku'))),
+            structured: true,
+            scrapedAt: new Date().toISOString()
+        });
+    });
+
+    return products;
+}
+
+/**
+ * Structured products on the page: JSON-LD when present, otherwise microdata.
+ */
+function extractStructuredProducts($, pageUrl = null) {
+    const jsonLd = extractJsonLdProducts($, pageUrl);
+    return jsonLd.length > 0 ? jsonLd : extractMicrodataProducts($, pageUrl);
+}
+
+module.exports = {
+    extractStructuredProducts,
+    extractJsonLdProducts,
+    extractMicrodataProducts,
+    parseAvailability,
+    parsePrice
+};
@@ -86,7 +86,7 @@ class Analytics {
                 COUNT(ah.id) as total_checks,
                 COUNT(CASE WHEN ah.available = 1 THEN 1 END) as available_checks
             FROM products p
-            LEFT JOIN availability_history ah ON p.id = ah.product_id
+            LEFT JOIN availability_history ah ON p.id = ah.product_id AND ah.variant_id IS NULL
             WHERE ah.checked_at >= datetime('now', '-' || ? || ' days')
         `;
         
@@ -117,7 +117,7 @@ class Analytics {
                 MIN(ah.price) as min_price,
                 AVG(ah.price) as avg_price
             FROM products p
-            JOIN availability_history ah ON p.id = ah.product_id
+            JOIN availability_history ah ON p.id = ah.product_id AND ah.variant_id IS NULL
             WHERE ah.checked_at >= datetime('now', '-' || ? || ' days')
             GROUP BY p.id, p.name
             ORDER BY check_count DESC, availability_rate DESC
@@ -168,7 +168,7 @@ class Analytics {
                 checked_at,
                 available
             FROM availability_history
-            WHERE product_id = ? AND price IS NOT NULL
+            WHERE product_id = ? AND variant_id IS NULL AND price IS NOT NULL
             AND checked_at >= datetime('now', '-' || ? || ' days')
             ORDER BY checked_at DESC
         `;
@@ -1,7 +1,14 @@
 const fs = require('fs');
 const path = require('path');
+const { getAdapterNames } = require('../scrapers/adapters');
+const { PAGINATION_TYPES } = require('../scrapers/pagination');
+const { validateChannelConfigs } = require('../notifications/channels');
+const { validateQuietHours } = require('../notifications/quiet-hours');
 require('dotenv').config();
 
+// Notification types with a configurable cooldown (notifications.throttle.cooldownHours)
+const THROTTLED_TYPES = ['favorites_newly_available', 'favorites_newly_unavailable', 'price_drop'];
+
 class Config {
     constructor(configPath = null) {
         this.configPath = configPath || path.join(__dirname, '../../config/config.json');
@@ -65,14 +72,35 @@ class Config {
             if (!roastery.shopUrls || !Array.isArray(roastery.shopUrls) || roastery.shopUrls.length === 0) {
                 throw new Error(`roasteries[${index}].shopUrls must be a non-empty array`);
             }
+            if (roastery.platform && !getAdapterNames().includes(roastery.platform)) {
+                throw new Error(`roasteries[${index}].platform must be one of: ${getAdapterNames().join(', ')}`);
+            }
+            if (roastery.fetchMode && !['browser', 'http'].includes(roastery.fetchMode)) {
+                throw new Error(`roasteries[${index}].fetchMode must be "browser" or "http"`);
+            }
+            if (roastery.extraction && !['auto', 'selectors'].includes(roastery.extraction)) {
+                throw new Error(`roasteries[${index}].extraction must be "auto" or "selectors"`);
+            }
+            const paginations = [
+                [`roasteries[${index}].pagination`, roastery.pagination],
+                ...roastery.shopUrls.map((shopUrl, urlIndex) => [`roasteries[${index}].shopUrls[${urlIndex}].pagination`, shopUrl.pagination])
+            ];
+            for (const [field, pagination] of paginations) {
+                if (pagination && !PAGINATION_TYPES.includes(pagination.type)) {
+                    throw new Error(`${field}.type must be one of: ${PAGINATION_TYPES.join(', ')}`);
+                }
+            }
         }
 
-        // Validate email config if enabled
-        if (this.config.notifications?.email?.enabled) {
-            const emailConfig = this.config.notifications.email;
-            if (!emailConfig.smtp?.host || !emailConfig.smtp?.auth?.user) {
-                console.warn('Email notifications enabled but SMTP configuration is incomplete');
-            }
+        // Validate enabled notification channels against their config schema
+        for (const problem of validateChannelConfigs(this.config.notifications)) {
+            console.warn(`Notification config: ${problem}`);
+        }
+        for (const problem of [
+            ...this.validateThrottle(),
+            ...validateQuietHours(this.get('notifications.quietHours'), 'notifications.quietHours')
+        ]) {
+            console.warn(`Notification config: ${problem}`);
         }
 
         console.log('Configuration loaded and validated successfully');
@@ -141,11 +169,73 @@ class Config {
             this.config.notifications.telegram.chatId = process.env.TELEGRAM_CHAT_ID;
         }
         
+        if (process.env.TELEGRAM_ALLOWED_CHAT_IDS) {
+            if (!this.config.notifications) this.config.notifications = {};
+            if (!this.config.notifications.telegram) this.config.notifications.telegram = {};
+            // Handle comma-separated chat IDs
+            this.config.notifications.telegram.allowedChatIds = process.env.TELEGRAM_ALLOWED_CHAT_IDS.split(',').map(id => id.trim());
+        }
+        
         if (process.env.TELEGRAM_ENABLED !== undefined) {
             if (!this.config.notifications) this.config.notifications = {};
             if (!this.config.notifications.telegram) this.config.notifications.telegram = {};
             this.config.notifications.telegram.enabled = process.env.TELEGRAM_ENABLED === 'true';
         }
+        
+        // ntfy configuration overrides
+        if (process.env.NTFY_URL) {
+            if (!this.config.notifications) this.config.notifications = {};
+            if (!this.config.notifications.ntfy) this.config.notifications.ntfy = {};
+            this.config.notifications.ntfy.url = process.env.NTFY_URL;
+        }
+        
+        if (process.env.NTFY_TOPIC) {
+            if (!this.config.notifications) this.config.notifications = {};
+            if (!this.config.notifications.ntfy) this.config.notifications.ntfy = {};
+            this.config.notifications.ntfy.topic = process.env.NTFY_TOPIC;
+        }
+        
+        if (process.env.NTFY_TOKEN) {
+            if (!this.config.notifications) this.config.notifications = {};
+            if (!this.config.notifications.ntfy) this.config.notifications.ntfy = {};
+            this.config.notifications.ntfy.token = process.env.NTFY_TOKEN;
+        }
+        
+        if (process.env.NTFY_ENABLED !== undefined) {
+            if (!this.config.notifications) this.config.notifications = {};
+            if (!this.config.notifications.ntfy) this.config.notifications.ntfy = {};
+            this.config.notifications.ntfy.enabled = process.env.NTFY_ENABLED === 'true';
+        }
+        
+        // Gotify configuration overrides
+        if (process.env.GOTIFY_URL) {
+            if (!this.config.notifications) this.config.notifications = {};
+            if (!this.config.notifications.gotify) this.config.notifications.gotify = {};
+            this.config.notifications.gotify.url = process.env.GOTIFY_URL;
+        }
+        
+        if (process.env.GOTIFY_TOKEN) {
+            if (!this.config.notifications) this.config.notifications = {};
+            if (!this.config.notifications.gotify) this.config.notifications.gotify = {};
+            this.config.notifications.gotify.token = process.env.GOTIFY_TOKEN;
+        }
+        
+        if (process.env.GOTIFY_ENABLED !== undefined) {
+            if (!this.config.notifications) this.config.notifications = {};
+            if (!this.config.notifications.gotify) this.config.notifications.gotify = {};
+            this.config.notifications.gotify.enabled = process.env.GOTIFY_ENABLED === 'true';
+        }
+        
+        // REST API overrides
+        if (process.env.API_TOKEN) {
+            if (!this.config.api) this.config.api = {};
+            this.config.api.token = process.env.API_TOKEN;
+        }
+        
+        if (process.env.API_PORT) {
+            if (!this.config.api) this.config.api = {};
+            this.config.api.port = parseInt(process.env.API_PORT);
+        }
     }
 
     get(path, defaultValue = null) {
@@ -210,6 +300,10 @@ class Config {
                     roastery: {
                         name: roastery.name,
                         baseUrl: roastery.baseUrl,
+                        platform: roastery.platform || 'selectors',
+                        fetchMode: roastery.fetchMode || 'browser',
+                        extraction: roastery.extraction || 'auto',
+                        pagination: roastery.pagination || null,
                         selectors: roastery.selectors || {}
                     }
                 });
@@ -223,6 +317,51 @@ class Config {
         return this.config.notifications;
     }
 
+    /**
+     * Price-drop alert thresholds. A drop alerts when it reaches either threshold
+     * (a null threshold is ignored), or when it crosses a favorite's target price.
+     */
+    getPriceAlertConfig() {
+        return {
+            enabled: this.get('notifications.priceDrop.enabled', true),
+            minDropAmount: this.get('notifications.priceDrop.minDropAmount', null),
+            minDropPercent: this.get('notifications.priceDrop.minDropPercent', 5),
+            favoritesOnly: this.get('notifications.priceDrop.favoritesOnly', true)
+        };
+    }
+
+    /**
+     * Repeat and flapping suppression for notifications.
+     *
+     * `confirmChecks`: consecutive checks a favorite must stay in stock (or sold out)
+     * before the change is announced. `cooldownHours`: per notification type, how
+     * long after a notification for a product group the same notification is held back.
+     */
+    getThrottleConfig() {
+        return {
+            confirmChecks: this.get('notifications.throttle.confirmChecks', 1),
+            cooldownHours: this.get('notifications.throttle.cooldownHours', {})
+        };
+    }
+
+    validateThrottle() {
+        const throttle = this.get('notifications.throttle');
+        if (!throttle) return [];
+
+        const problems = [];
+        if (throttle.confirmChecks !== undefined && !(Number.isInteger(throttle.confirmChecks) && throttle.confirmChecks >= 1)) {
+            problems.push('notifications.throttle.confirmChecks must be a whole number of at least 1');
+        }
+        for (const [type, hours] of Object.entries(throttle.cooldownHours || {})) {
+            if (!THROTTLED_TYPES.includes(type)) {
+                problems.push(`notifications.throttle.cooldownHours.${type} must be one of: ${THROTTLED_TYPES.join(', ')}`);
+            } else if (typeof hours !== 'number' || hours < 0) {
+                problems.push(`notifications.throttle.cooldownHours.${type} must be a number of hours`);
+            }
+        }
+        return problems;
+    }
+
     /**
      * Get preference configuration for scoring products.
      *
@@ -291,8 +430,37 @@ class Config {
         return {
             checkInterval: this.get('monitoring.checkInterval', '0 9 * * *'),
             maxRetries: this.get('monitoring.maxRetries', 3),
+            retryDelay: this.get('monitoring.retryDelay', 2000),
             requestTimeout: this.get('monitoring.requestTimeout', 30000),
-            screenshotOnError: this.get('monitoring.screenshotOnError', true)
+            screenshotOnError: this.get('monitoring.screenshotOnError', true),
+            suggestSelectorRepairs: this.get('monitoring.suggestSelectorRepairs', true)
+        };
+    }
+
+    /**
+     * Concurrency for product checks: `concurrency` pages scrape at once, at most
+     * `perHostConcurrency` of them on the same host, and requests to one host
+     * start at least `politenessDelay` ms apart.
+     */
+    getScrapingConfig() {
+        return {
+            concurrency: this.get('monitoring.scraping.concurrency', 3),
+            perHostConcurrency: this.get('monitoring.scraping.perHostConcurrency', 1),
+            politenessDelay: this.get('monitoring.scraping.politenessDelay', 1000)
+        };
+    }
+
+    /**
+     * Sanity checks on each source's product count. A scrape returning no products,
+     * or more than `maxDropPercent` fewer than the last healthy scrape (when that had
+     * at least `minBaseline` products), is treated as failed. After `acceptAfter`
+     * suspect scrapes in a row the new count is accepted as the real catalogue size.
+     */
+    getSourceHealthConfig() {
+        return {
+            maxDropPercent: this.get('monitoring.sourceHealth.maxDropPercent', 50),
+            minBaseline: this.get('monitoring.sourceHealth.minBaseline', 5),
+            acceptAfter: this.get('monitoring.sourceHealth.acceptAfter', 3)
         };
     }
 
@@ -302,6 +470,30 @@ class Config {
         };
     }
 
+    getApiConfig() {
+        return {
+            port: this.get('api.port', 3000),
+            host: this.get('api.host', '127.0.0.1'),
+            token: this.get('api.token', null),
+            corsOrigin: this.get('api.corsOrigin', null)
+        };
+    }
+
+    /**
+     * Telegram bot settings. The bot uses the notification bot token and only
+     * answers the whitelisted chats, by default the notification chat.
+     */
+    getTelegramBotConfig() {
+        const telegram = this.get('notifications.telegram', {}) || {};
+        const allowedChatIds = telegram.allowedChatIds || (telegram.chatId ? [telegram.chatId] : []);
+
+        return {
+            botToken: telegram.botToken || null,
+            allowedChatIds: allowedChatIds.map(String),
+            pollTimeout: telegram.pollTimeout ?? 30
+        };
+    }
+
     getLoggingConfig() {
         return {
             level: this.get('logging.level', 'info'),
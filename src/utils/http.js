@@ -0,0 +1,82 @@
+const DEFAULT_USER_AGENT = 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+
+/**
+ * Perform an HTTP request and return the raw response body as text.
+ * Non-2xx responses are rejected with an Error carrying the HTTP status and body.
+ * With `options.archive` (see utils/run-archive) responses are recorded, or served
+ * from a recording instead of the network when the archive is replaying.
+ *
+ * @param {string} url
+ * @param {Object} options - { method, headers, body, timeout, signal, archive }
+ * @returns {Promise<{ status: number, headers: Object, body: string }>}
+ */
+async function request(url, options = {}) {
+    const {
+        method = 'GET',
+        headers = {},
+        body = undefined,
+        timeout = 30000,
+        signal = null,
+        archive = null
+    } = options;
+
+    if (archive?.replaying) {
+        return archive.replay(url);
+    }
+
+    const response = await fetch(url, {
+        method,
+        headers: {
+            'User-Agent': DEFAULT_USER_AGENT,
+            ...headers
+        },
+        body,
+        signal: signal ? AbortSignal.any([signal, AbortSignal.timeout(timeout)]) : AbortSignal.timeout(timeout)
+    });
+
+    const text = await response.text();
+    archive?.record(url, { status: response.status, body: text });
+
+    if (!response.ok) {
+        const error = new Error(`HTTP ${response.status} for ${url}`);
+        error.status = response.status;
+        error.body = text;
+        throw error;
+    }
+
+    return {
+        status: response.status,
+        headers: Object.fromEntries(response.headers.entries()),
+        body: text
+    };
+}
+
+/**
+ * Fetch a URL and parse the response as JSON.
+ *
+ * @returns {Promise<{ status: number, data: any }>}
+ */
+async function fetchJson(url, options = {}) {
+    const response = await request(url, {
+        ...options,
+        headers: {
+            'Accept': 'application/json',
+            ...(options.headers || {})
+        }
+    });
+
+    try {
+        return { status: response.status, data: JSON.parse(response.body) };
+    } catch (error) {
+        const parseError = new Error(`Invalid JSON from ${url}: ${error.message}`);
+        parseError.status = response.status;
+        parseError.body = response.body;
+        throw parseError;
+    }
+}
+
+module.exports = {
+    DEFAULT_USER_AGENT,
+    request,
+    fetchJson
+};
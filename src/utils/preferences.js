@@ -5,10 +5,11 @@ const { normalizeCountry, getContinentForCountry } = require('./country-continen
  * Normalize a product row (from DB) into a generic attribute object
  * used by the preference scoring engine.
  *
- * This intentionally works on a single product row (one concrete offer),
- * not on grouped variants. Grouping is handled at a higher level.
+ * Works on a single product row. When the row carries its variants (sizes/grinds),
+ * size and price per kg are taken from the best-value variant.
  *
- * @param {Object} product - Row from products table (optionally joined with availability_history).
+ * @param {Object} product - Row from products table (optionally joined with availability_history
+ *                           and with a `variants` array from product_variants).
  * @returns {Object} attrs - Normalized attributes for scoring.
  */
 function normalizeProductAttributes(product) {
@@ -33,17 +34,27 @@ function normalizeProductAttributes(product) {
     const fairtrade = !!product.ai_is_fair_trade;
 
     // Size and price normalization
-    const name = product.name || '';
-    const sizeExtracted = product.size_extracted || extractSize(name) || null;
-    const sizeGrams = inferSizeGrams(sizeExtracted);
-
-    // Prefer current_price if present (from joined availability_history)
-    const priceRaw = product.current_price != null ? product.current_price : product.price;
-    const price = typeof priceRaw === 'number' ? priceRaw : (priceRaw ? parseFloat(priceRaw) : null);
-
-    const pricePerKg = sizeGrams && price
-        ? (price * 1000) / sizeGrams
-        : null;
+    let sizeGrams;
+    let pricePerKg;
+
+    const bestVariant = getBestValueVariant(product.variants);
+    if (bestVariant) {
+        // Variant-aware products: use the best value (lowest price per kg) available variant
+        sizeGrams = bestVariant.sizeGrams;
+        pricePerKg = bestVariant.pricePerKg;
+    } else {
+        const name = product.name || '';
+        const sizeExtracted = product.size_extracted || extractSize(name) || null;
+        sizeGrams = inferSizeGrams(sizeExtracted);
+
+        // Prefer current_price if present (from joined availability_history)
+        const priceRaw = product.current_price != null ? product.current_price : product.price;
+        const price = typeof priceRaw === 'number' ? priceRaw : (priceRaw ? parseFloat(priceRaw) : null);
+
+        pricePerKg = sizeGrams && price
+            ? (price * 1000) / sizeGrams
+            : null;
+    }
 
     return {
         // identity-ish attributes
@@ -70,6 +81,56 @@ function normalizeProductAttributes(product) {
     };
 }
 
+/**
+ * Pick the variant with the lowest price per kg, preferring available variants.
+ * Returns null when no variant has both a known size and price.
+ */
+function getBestValueVariant(variants) {
+    if (!Array.isArray(variants) || variants.length === 0) return null;
+
+    const candidates = variants
+        .map(v => ({
+            available: !!v.available,
+            sizeGrams: v.size_grams || inferSizeGrams(v.size),
+            pricePerKg: getVariantPricePerKg(v)
+        }))
+        .filter(v => v.pricePerKg != null);
+
+    const pool = candidates.some(v => v.available) ? candidates.filter(v => v.available) : candidates;
+    if (pool.length === 0) return null;
+
+    return pool.reduce((best, v) => (v.pricePerKg < best.pricePerKg ? v : best));
+}
+
+/**
+ * Price per kg of a variant, or null when its size or price is unknown.
+ */
+function getVariantPricePerKg(variant) {
+    if (!variant) return null;
+    const sizeGrams = variant.size_grams || inferSizeGrams(variant.size);
+    const price = variant.price != null ? parseFloat(variant.price) : null;
+    return sizeGrams && price ? (price * 1000) / sizeGrams : null;
+}
+
+/**
+ * Whether a variant fits a favorite's optional max_price / max_price_per_kg.
+ * A limit that cannot be checked (unknown price or size) does not exclude the variant.
+ */
+function isWithinBudget(variant, favorite) {
+    if (!favorite) return true;
+
+    if (favorite.max_price != null && variant.price != null && variant.price > favorite.max_price) {
+        return false;
+    }
+
+    const pricePerKg = getVariantPricePerKg(variant);
+    if (favorite.max_price_per_kg != null && pricePerKg != null && pricePerKg > favorite.max_price_per_kg) {
+        return false;
+    }
+
+    return true;
+}
+
 /**
  * Try to infer size in grams from a normalized size string (e.g. "250g", "1kg").
  * Returns null if size cannot be determined.
@@ -172,6 +233,9 @@ function matchesAll(attrs, pattern) {
 
 module.exports = {
     normalizeProductAttributes,
+    inferSizeGrams,
+    getVariantPricePerKg,
+    isWithinBudget,
     scoreProduct
 };
 
@@ -87,9 +87,93 @@ function getBaseProductName(productName) {
         .trim();
 }
 
+// Grind descriptions used by Norwegian and English shops, most specific first
+const GRIND_PATTERNS = [
+    { grind: 'whole_bean', pattern: /\b(hele\s*bønner|hel\s*bønne|whole\s*beans?|bønner)\b/i },
+    { grind: 'espresso', pattern: /\b(espressomalt|espresso\s*grind|malt\s*for\s*espresso)\b/i },
+    { grind: 'filter', pattern: /\b(filtermalt|filter\s*grind|malt\s*for\s*filter)\b/i },
+    { grind: 'french_press', pattern: /\b(presskannemalt|grovmalt|french\s*press\s*grind)\b/i },
+    { grind: 'ground', pattern: /\b(malt|malte|ground)\b/i }
+];
+
+/**
+ * Extract grind from a product or variant name.
+ * Returns a normalized grind key (e.g. "whole_bean", "filter") or null.
+ */
+function extractGrind(productName) {
+    if (!productName) return null;
+
+    for (const { grind, pattern } of GRIND_PATTERNS) {
+        if (pattern.test(productName)) {
+            return grind;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Convert a normalized size string ("250g", "1kg") to grams.
+ */
+function sizeToGrams(size) {
+    if (!size) return null;
+    const match = String(size).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(kg|g)$/);
+    if (!match) return null;
+
+    const amount = parseFloat(match[1]);
+    return Math.round(match[2] === 'kg' ? amount * 1000 : amount);
+}
+
+/**
+ * Split a scraped listing name into the coffee it belongs to and its variant attributes.
+ * "Ethiopia Guji, 250g hele bønner" -> { baseName: "Ethiopia Guji", size: "250g", grind: "whole_bean" }
+ *
+ * @param {string} productName - Full listing name as scraped.
+ * @param {string|null} baseName - Explicit product name (e.g. from a JSON feed), if known.
+ */
+function parseVariantName(productName, baseName = null) {
+    const size = extractSize(productName || '');
+    const grind = extractGrind(productName);
+
+    let base = baseName;
+    if (!base) {
+        base = (productName || '')
+            .replace(/\s*[,\-–/]?\s*\d+\s*(g|kg|gram)\b.*$/i, '')   // Remove size and everything after
+            .trim();
+
+        // Strip a trailing grind description (e.g. "Ethiopia Guji - hele bønner")
+        for (const { pattern } of GRIND_PATTERNS) {
+            const trailing = new RegExp(`\\s*[,\\-–/]?\\s*${pattern.source}\\s*$`, 'i');
+            base = base.replace(trailing, '').trim();
+        }
+
+        base = base.replace(/[\s,\-–/]+$/, '').trim() || (productName || '').trim();
+    }
+
+    return {
+        baseName: base.trim(),
+        size,
+        sizeGrams: sizeToGrams(size),
+        grind
+    };
+}
+
+/**
+ * Stable key identifying a variant within a product (size + grind).
+ */
+function getVariantKey({ size = null, grind = null, title = null } = {}) {
+    const key = [size, grind].filter(Boolean).join('|');
+    if (key) return key;
+    return title ? String(title).trim().toLowerCase() : 'default';
+}
+
 module.exports = {
     generateProductGroupId,
     extractSize,
+    extractGrind,
+    sizeToGrams,
+    parseVariantName,
+    getVariantKey,
     isSameProductGroup,
     getBaseProductName
 };
@@ -0,0 +1,312 @@
+const fs = require('fs');
+const path = require('path');
+
+const MANIFEST = 'manifest.json';
+const DATABASE_SNAPSHOT = 'database.sqlite';
+
+/**
+ * One line per notified item, e.g. "price_drop: Etiopia Guji - 250g 189 → 159 kr".
+ * Used to compare the notifications of a recorded run with those of its replay.
+ */
+function summarizeNotification(type, data = {}) {
+    const price = (value) => value != null ? ` (${value} kr)` : '';
+
+    switch (type) {
+        case 'favorites_newly_available':
+            return [
+                ...(data.favorites || []).map(match => `${type}: ${match.product.name}${price(match.product.current_price)}`),
+                ...(data.overBudget || []).map(match => `${type}: ${match.product.name} (over budget)`)
+            ];
+        case 'favorites_newly_unavailable':
+            return (data.favorites || []).map(match => `${type}: ${match.product.name}`);
+        case 'price_drop':
+            return (data.drops || []).map(drop => `${type}: ${drop.variant.name} ${drop.event.old_price} → ${drop.event.new_price} kr`);
+        case 'new_products':
+            return (data.products || []).map(product => `${type}: ${product.name}${price(product.current_price ?? product.price)}`);
+        case 'error':
+            return [
+                `${type}: ${data.context || 'Error'}`,
+                ...(data.failedSources || []).map(source => `${type}: failed source ${source.url}`)
+            ];
+        default:
+            return [type];
+    }
+}
+
+function compareProducts(recorded = [], replayed = []) {
+    const byName = (products) => new Map(products.map(product => [product.name, product]));
+    const before = byName(recorded);
+    const after = byName(replayed);
+    const changed = [];
+
+    for (const [name, product] of after) {
+        const old = before.get(name);
+        if (!old) continue;
+
+        for (const field of ['price', 'available', 'url']) {
+            if ((old[field] ?? null) !== (product[field] ?? null)) {
+                changed.push({ name, field, from: old[field] ?? null, to: product[field] ?? null });
+            }
+        }
+    }
+
+    return {
+        added: [...after.keys()].filter(name => !before.has(name)),
+        removed: [...before.keys()].filter(name => !after.has(name)),
+        changed
+    };
+}
+
+function compareLines(recorded = [], replayed = []) {
+    return {
+        added: replayed.filter(line => !recorded.includes(line)),
+        removed: recorded.filter(line => !replayed.includes(line))
+    };
+}
+
+/**
+ * The pages one source returned during a run, and the products parsed from them.
+ * Passed to the scraper as `options.archive`: while recording, every fetched page
+ * is written to disk; while replaying, pages are served from disk instead of the network.
+ */
+class SourceArchive {
+    constructor(runArchive, entry) {
+        this.runArchive = runArchive;
+        this.entry = entry;
+        this.replaying = runArchive.replaying;
+        this.dir = path.join(runArchive.dir, entry.dir);
+        this.products = null;
+        this.error = null;
+    }
+
+    record(url, response) {
+        const pages = this.entry.pages;
+        const existing = pages.find(page => page.url === url);
+        const isJson = /^\s*[[{]/.test(response.body || '');
+        const file = existing?.file || `page-${pages.length + 1}.${isJson ? 'json' : 'html'}`;
+
+        fs.mkdirSync(this.dir, { recursive: true });
+        fs.writeFileSync(path.join(this.dir, file), response.body || '');
+
+        const page = { url, status: response.status, file };
+        if (existing) {
+            Object.assign(existing, page);
+        } else {
+            pages.push(page);
+        }
+    }
+
+    /**
+     * Recorded response for a URL, in the shape of utils/http request().
+     * Recorded error responses are thrown again, like the original request did.
+     */
+    replay(url) {
+        const page = this.entry.pages.find(recorded => recorded.url === url);
+        if (!page) {
+            const error = new Error(`${url} was not recorded in run ${this.runArchive.runId}`);
+            error.status = 404;
+            throw error;
+        }
+
+        const body = fs.readFileSync(path.join(this.dir, page.file), 'utf8');
+        if (page.status >= 400) {
+            const error = new Error(`HTTP ${page.status} for ${url}`);
+            error.status = page.status;
+            error.body = body;
+            throw error;
+        }
+
+        return { status: page.status, headers: {}, body };
+    }
+
+    setProducts(products) {
+        this.products = products;
+        if (!this.replaying) {
+            fs.mkdirSync(this.dir, { recursive: true });
+            fs.writeFileSync(path.join(this.dir, 'products.json'), JSON.stringify(products, null, 2));
+            this.entry.products = products.length;
+        }
+    }
+
+    setError(error) {
+        this.error = error.message;
+        if (!this.replaying) {
+            this.entry.error = error.message;
+        }
+    }
+
+    getRecordedProducts() {
+        const file = path.join(this.dir, 'products.json');
+        return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : [];
+    }
+}
+
+/**
+ * Archive of one check run under `<runsDir>/<runId>/`: the pages each source
+ * returned, the products parsed from them, the notifications that were sent
+ * and a snapshot of the database as it was before the run.
+ *
+ * `check --record` creates one; `check --replay <run-id>` opens it again to
+ * re-run the check from disk and compare the outcome with the recording.
+ */
+class RunArchive {
+    constructor(dir, manifest, replaying) {
+        this.dir = dir;
+        this.runId = manifest.runId;
+        this.manifest = manifest;
+        this.replaying = replaying;
+        this.sources = new Map();
+        this.notifications = [];
+    }
+
+    static create(runsDir, runId) {
+        const dir = path.join(runsDir, String(runId));
+        fs.mkdirSync(dir, { recursive: true });
+
+        return new RunArchive(dir, {
+            runId,
+            recordedAt: new Date().toISOString(),
+            sources: [],
+            notifications: []
+        }, false);
+    }
+
+    static open(runsDir, runId) {
+        const dir = path.join(runsDir, String(runId));
+        const manifestPath = path.join(dir, MANIFEST);
+
+        if (!fs.existsSync(manifestPath)) {
+            const recorded = RunArchive.list(runsDir);
+            throw new Error(`No recorded run ${runId} in ${runsDir}` +
+                (recorded.length > 0 ? ` (recorded runs: ${recorded.join(', ')})` : ' (record one with check --record)'));
+        }
+
+        return new RunArchive(dir, JSON.parse(fs.readFileSync(manifestPath, 'utf8')), true);
+    }
+
+    /**
+     * Ids of the recorded runs in `runsDir`, oldest first.
+     */
+    static list(runsDir) {
+        if (!fs.existsSync(runsDir)) return [];
+
+        return fs.readdirSync(runsDir)
+            .filter(name => fs.existsSync(path.join(runsDir, name, MANIFEST)))
+            .map(Number)
+            .filter(Number.isInteger)
+            .sort((a, b) => a - b);
+    }
+
+    get databasePath() {
+        return path.join(this.dir, DATABASE_SNAPSHOT);
+    }
+
+    /**
+     * Sources to check. While recording these are the configured sources; a replay
+     * re-checks the recorded ones, with their current config when still configured
+     * so that selector fixes can be tried against the recorded pages.
+     */
+    getSources(configuredSources) {
+        if (!this.replaying) {
+            return configuredSources;
+        }
+
+        return this.manifest.sources.map(entry =>
+            configuredSources.find(source => source.url === entry.url) || entry.source
+        );
+    }
+
+    forSource(source) {
+        if (!this.sources.has(source.url)) {
+            let entry = this.manifest.sources.find(recorded => recorded.url === source.url);
+            if (!entry) {
+                entry = {
+                    url: source.url,
+                    dir: `sources/${String(this.manifest.sources.length + 1).padStart(2, '0')}`,
+                    source,
+                    pages: [],
+                    products: null,
+                    error: null
+                };
+                this.manifest.sources.push(entry);
+            }
+            this.sources.set(source.url, new SourceArchive(this, entry));
+        }
+        return this.sources.get(source.url);
+    }
+
+    /**
+     * Notifier that notes every notification. While replaying nothing is delivered.
+     */
+    wrapNotifier(notifier) {
+        return {
+            notify: async (type, data) => {
+                this.notifications.push(...summarizeNotification(type, data));
+                return this.replaying ? [] : await notifier.notify(type, data);
+            },
+            queue: async (type, data) => {
+                this.notifications.push(...summarizeNotification(type, data));
+                return this.replaying || !notifier.queue ? [] : await notifier.queue(type, data);
+            },
+            queueSuppressed: async (events) => this.replaying || !notifier.queueSuppressed
+                ? []
+                : await notifier.queueSuppressed(events),
+            releaseHeld: async (now) => this.replaying || !notifier.releaseHeld
+                ? []
+                : await notifier.releaseHeld(now),
+            queuePriceIncreases: async (increases) => this.replaying || !notifier.queuePriceIncreases
+                ? []
+                : await notifier.queuePriceIncreases(increases),
+            // Replays leave published state (MQTT retained topics) alone
+            publishResults: async (results) => this.replaying || !notifier.publishResults
+                ? []
+                : await notifier.publishResults(results),
+            close: () => notifier.close()
+        };
+    }
+
+    save() {
+        if (this.replaying) return;
+
+        this.manifest.notifications = this.notifications;
+        fs.writeFileSync(path.join(this.dir, MANIFEST), JSON.stringify(this.manifest, null, 2));
+    }
+
+    /**
+     * Differences between the recording and its replay, per source and for the
+     * notifications.
+     */
+    compare() {
+        const sources = this.manifest.sources.map(entry => {
+            const source = this.sources.get(entry.url);
+            const replayed = source?.products || [];
+
+            return {
+                url: entry.url,
+                roastery: entry.source.roastery.name,
+                description: entry.source.metadata?.description || entry.url,
+                recordedCount: entry.products,
+                replayedCount: source?.products ? replayed.length : null,
+                recordedError: entry.error,
+                replayedError: source?.error || null,
+                ...compareProducts(source?.getRecordedProducts() || [], replayed)
+            };
+        });
+
+        return {
+            runId: this.runId,
+            recordedAt: this.manifest.recordedAt,
+            sources,
+            notifications: {
+                recorded: this.manifest.notifications,
+                replayed: this.notifications,
+                ...compareLines(this.manifest.notifications, this.notifications)
+            }
+        };
+    }
+}
+
+module.exports = {
+    RunArchive,
+    summarizeNotification
+};
@@ -0,0 +1,98 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const ApiServer = require('../src/api/server');
+const { createTestMonitor } = require('./helpers/test-monitor');
+
+const TOKEN = 'test-token';
+
+describe('ApiServer', () => {
+    let context;
+    let server;
+    let baseUrl;
+
+    const request = async (method, path, { token = TOKEN, body, contentType = 'application/json' } = {}) => {
+        const headers = {};
+        if (token) headers.Authorization = `Bearer ${token}`;
+        if (contentType) headers['Content-Type'] = contentType;
+
+        const response = await fetch(`${baseUrl}${path}`, { method, headers, body });
+        const text = await response.text();
+        return { status: response.status, data: text ? JSON.parse(text) : null };
+    };
+
+    before(async () => {
+        context = await createTestMonitor('http://127.0.0.1:1');
+        server = new ApiServer(context.monitor, { port: 0, token: TOKEN });
+        await server.start();
+        baseUrl = `http://127.0.0.1:${server.port}`;
+    });
+
+    after(async () => {
+        await server.stop();
+        await context.cleanup();
+    });
+
+    it('rejects posts that are not sent as JSON', async () => {
+        const textPlain = await request('POST', '/api/favorites', {
+            contentType: 'text/plain',
+            body: JSON.stringify({ name: 'Kenya' })
+        });
+        assert.equal(textPlain.status, 415);
+
+        const noBody = await request('POST', '/api/check', { contentType: null });
+        assert.equal(noBody.status, 415);
+        const { data: favorites } = await request('GET', '/api/favorites');
+        assert.ok(!favorites.some(favorite => favorite.name === 'Kenya'));
+    });
+
+    it('answers malformed path parameters with 400', async () => {
+        const response = await request('GET', '/api/products/%E0');
+        assert.equal(response.status, 400);
+        assert.equal(response.data.error, 'Invalid id: %E0');
+    });
+
+    it('requires the token for API routes but not for the dashboard', async () => {
+        assert.equal((await request('GET', '/api/status', { token: null })).status, 401);
+        assert.equal((await request('GET', '/api/status', { token: 'wrong' })).status, 401);
+        assert.equal((await request('GET', '/api/status')).status, 200);
+
+        const dashboard = await fetch(`${baseUrl}/`);
+        assert.equal(dashboard.status, 200);
+        assert.match(dashboard.headers.get('content-type'), /text\/html/);
+        await dashboard.text();
+    });
+
+    it('rejects invalid JSON and bodies that are not objects', async () => {
+        const invalid = await request('POST', '/api/favorites', { body: '{"name": ' });
+        assert.equal(invalid.status, 400);
+        assert.equal(invalid.data.error, 'Invalid JSON body');
+
+        const nullBody = await request('POST', '/api/check', { body: 'null' });
+        assert.equal(nullBody.status, 400);
+        assert.equal(nullBody.data.error, 'JSON body must be an object');
+    });
+
+    it('answers unknown routes with 404, wrong methods with 405 and bad static paths with 400', async () => {
+        assert.equal((await request('GET', '/api/roasteries')).status, 404);
+        assert.equal((await request('DELETE', '/api/status')).status, 405);
+        assert.equal((await fetch(`${baseUrl}/missing.js`)).status, 404);
+        assert.equal((await fetch(`${baseUrl}/%E0%A4%A`)).status, 400);
+    });
+
+    it('creates, reads and deletes a favorite', async () => {
+        const created = await request('POST', '/api/favorites', {
+            body: JSON.stringify({ name: 'Kenya', terms: ['Kiambu'], maxPrice: 250 })
+        });
+        assert.equal(created.status, 201);
+        assert.equal(created.data.name, 'Kenya');
+        assert.deepEqual(created.data.terms, ['Kenya', 'Kiambu']);
+        assert.equal(created.data.max_price, 250);
+
+        const duplicate = await request('POST', '/api/favorites', { body: JSON.stringify({ name: 'Kenya' }) });
+        assert.equal(duplicate.status, 409);
+
+        assert.equal((await request('GET', `/api/favorites/${created.data.id}`)).data.name, 'Kenya');
+        assert.equal((await request('DELETE', `/api/favorites/${created.data.id}`)).status, 204);
+        assert.equal((await request('GET', `/api/favorites/${created.data.id}`)).status, 404);
+    });
+});
@@ -0,0 +1,139 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const Notifier = require('../src/notifications/notifier');
+const { buildMessage } = require('../src/notifications/message');
+const { getChannel } = require('../src/notifications/channels');
+
+const guji = {
+    id: 1,
+    name: 'Etiopia Guji',
+    roastery_name: 'Testbrenneriet',
+    url: 'https://example.test/produkt/etiopia-guji',
+    ai_tagged_at: '2026-01-01 10:00:00',
+    ai_country_of_origin: 'Etiopia',
+    ai_region: 'Guji',
+    ai_process_method: 'Natural',
+    ai_flavor_notes: '["blåbær","jasmin"]'
+};
+
+const newlyAvailable = buildMessage('favorites_newly_available', {
+    favorites: [{
+        product: guji,
+        favoriteName: 'Etiopia',
+        variants: [
+            { size: '250g', grind: 'whole_bean', price: 189, available: true },
+            { size: '1kg', grind: 'whole_bean', price: 599, available: true }
+        ]
+    }],
+    overBudget: [{ product: { ...guji, name: 'Kenya <AA>' }, variants: [{ price: 260, available: true }], maxPrice: 200 }]
+});
+
+const manyProducts = buildMessage('new_products', {
+    products: Array.from({ length: 60 }, (_, index) => ({ ...guji, name: `Kaffi ${index + 1}`, current_price: 150 + index }))
+});
+
+describe('Slack channel', () => {
+    const slack = new (getChannel('slack'))({ webhookUrl: 'https://hooks.slack.test/x', username: 'Kaffibot' });
+
+    it('renders product cards with prices per size, AI tags and a shop link', () => {
+        const [payload] = slack.render(newlyAvailable);
+        const card = payload.blocks.find(block => block.accessory?.url === guji.url);
+
+        assert.equal(payload.text, newlyAvailable.summary);
+        assert.equal(payload.username, 'Kaffibot');
+        assert.deepEqual(payload.blocks[0], { type: 'header', text: { type: 'plain_text', text: newlyAvailable.title, emoji: true } });
+        assert.equal(card.text.text, [
+            `🆕 *<${guji.url}|Etiopia Guji>*`,
+            '🏪 Testbrenneriet',
+            '💰 250g, heile bønner: 189 kr (189 kr/250g)',
+            '💰 1kg, heile bønner: 599 kr (150 kr/250g)',
+            '⭐ Favoritt: Etiopia'
+        ].join('\n'));
+        assert.deepEqual(card.fields.map(field => field.text), [
+            '*Opphav*\nEtiopia, Guji',
+            '*Prosess*\nNatural',
+            '*Smaksnotar*\nblåbær, jasmin'
+        ]);
+        assert.ok(payload.blocks.some(block => block.text?.text === '*💸 Tilbake på lager, men over budsjettet ditt*'));
+        assert.ok(JSON.stringify(payload).includes('Kenya &lt;AA&gt;'));
+    });
+
+    it('splits many products over several messages within the block limit', () => {
+        const payloads = slack.render(manyProducts);
+
+        assert.equal(payloads.length, 2);
+        assert.ok(payloads.every(payload => payload.blocks.length <= 50));
+        assert.equal(payloads.flatMap(payload => payload.blocks).filter(block => block.accessory).length, 60);
+    });
+});
+
+describe('Discord channel', () => {
+    const discord = new (getChannel('discord'))({ webhookUrl: 'https://discord.test/api/webhooks/x' });
+
+    it('renders one embed per product with AI tags as fields', () => {
+        const [payload] = discord.render(newlyAvailable);
+        const [card, overBudget] = payload.embeds;
+
+        assert.equal(payload.content, `**${newlyAvailable.title}**\n${newlyAvailable.intro}`);
+        assert.equal(card.title, '🆕 Etiopia Guji');
+        assert.equal(card.url, guji.url);
+        assert.equal(card.color, 0x2e7d32);
+        assert.match(card.description, /💰 1kg, heile bønner: 599 kr \(150 kr\/250g\)/);
+        assert.deepEqual(card.fields, [
+            { name: 'Opphav', value: 'Etiopia, Guji', inline: true },
+            { name: 'Prosess', value: 'Natural', inline: true },
+            { name: 'Smaksnotar', value: 'blåbær, jasmin', inline: true }
+        ]);
+        assert.equal(overBudget.author.name, '💸 Tilbake på lager, men over budsjettet ditt');
+        assert.equal(overBudget.footer.text, newlyAvailable.footer);
+    });
+
+    it('groups many products into messages of at most 10 embeds', () => {
+        const payloads = discord.render(manyProducts);
+
+        assert.equal(payloads.length, 6);
+        assert.ok(payloads.every(payload => payload.embeds.length <= 10));
+        assert.ok(payloads[0].content);
+        assert.equal(payloads[1].content, undefined);
+    });
+});
+
+describe('chat channels delivery', () => {
+    let server;
+    let baseUrl;
+    const received = [];
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                received.push({ path: req.url, body: JSON.parse(body) });
+                res.statusCode = req.url === '/discord' ? 204 : 200;
+                res.end(req.url === '/discord' ? undefined : 'ok');
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    it('posts every payload to the incoming webhooks', async () => {
+        const notifier = new Notifier({
+            slack: { enabled: true, webhookUrl: `${baseUrl}/slack` },
+            discord: { enabled: true, webhookUrl: `${baseUrl}/discord` }
+        });
+
+        const results = await notifier.notify('new_products', {
+            products: Array.from({ length: 12 }, (_, index) => ({ ...guji, name: `Kaffi ${index + 1}` }))
+        });
+
+        assert.deepEqual(results.map(result => [result.type, result.success]), [['slack', true], ['discord', true]]);
+        assert.equal(received.filter(request => request.path === '/slack').length, 1);
+        assert.equal(received.filter(request => request.path === '/discord').length, 2);
+    });
+});
@@ -0,0 +1,273 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startFixtureServer } = require('./helpers/fixture-server');
+const { createTestMonitor } = require('./helpers/test-monitor');
+
+describe('CoffeeMonitor.checkProducts', () => {
+    let server;
+    let context;
+    let monitor;
+    let notifier;
+
+    const availableNames = async () =>
+        (await monitor.database.getAvailableProducts()).map(product => product.name).sort();
+
+    before(async () => {
+        server = await startFixtureServer({ '/kaffe': 'listing.html' });
+        context = await createTestMonitor(server.url);
+        ({ monitor, notifier } = context);
+    });
+
+    after(async () => {
+        await context.cleanup();
+        await server.close();
+    });
+
+    beforeEach(() => {
+        notifier.clear();
+    });
+
+    // The checks below run in order against the same database, each one
+    // changing the served listing page to simulate the shop changing.
+
+    it('stores coffee products on the first check and announces them', async () => {
+        const results = await monitor.checkProducts();
+
+        assert.equal(results.totalChecked, 3);
+        assert.deepEqual(results.newProducts.map(product => product.name).sort(),
+            ['Colombia Huila', 'Etiopia Guji', 'Kenya Kiambu']);
+        assert.deepEqual(await availableNames(), ['Colombia Huila', 'Etiopia Guji', 'Kenya Kiambu']);
+
+        assert.deepEqual(notifier.calls.map(call => call.type), ['favorites_newly_available', 'new_products']);
+        const [favorite] = notifier.ofType('favorites_newly_available')[0].data.favorites;
+        assert.equal(favorite.product.name, 'Etiopia Guji');
+        assert.equal(favorite.favoriteName, 'Etiopia');
+        assert.equal(favorite.stateChange, 'newly_available');
+        assert.equal(notifier.ofType('new_products')[0].data.products.length, 3);
+    });
+
+    it('sends nothing when nothing changed', async () => {
+        const results = await monitor.checkProducts();
+
+        assert.equal(results.newProducts.length, 0);
+        assert.deepEqual(notifier.calls, []);
+    });
+
+    it('notifies when a favorite sells out', async () => {
+        server.route('/kaffe', 'listing-sold-out.html');
+        const results = await monitor.checkProducts();
+
+        assert.equal(results.newlyUnavailableFavorites.length, 1);
+        assert.deepEqual(notifier.calls.map(call => call.type), ['favorites_newly_unavailable']);
+
+        const { data } = notifier.calls[0];
+        assert.equal(data.changeType, 'newly_unavailable');
+        assert.equal(data.favorites[0].product.name, 'Etiopia Guji');
+        assert.equal(data.favorites[0].product.available, false);
+        assert.deepEqual(await availableNames(), ['Colombia Huila', 'Kenya Kiambu']);
+    });
+
+    it('notifies when a favorite is back in stock', async () => {
+        server.route('/kaffe', 'listing.html');
+        await monitor.checkProducts();
+
+        assert.deepEqual(notifier.calls.map(call => call.type), ['favorites_newly_available']);
+        const { data } = notifier.calls[0];
+        assert.equal(data.changeType, 'newly_available');
+        assert.equal(data.favorites[0].product.name, 'Etiopia Guji');
+        assert.equal(data.favorites[0].variants[0].price, 189);
+        assert.deepEqual(data.overBudget, []);
+    });
+
+    it('alerts on a price drop of a favorite', async () => {
+        server.route('/kaffe', 'listing-price-drop.html');
+        await monitor.checkProducts();
+
+        assert.deepEqual(notifier.calls.map(call => call.type), ['price_drop']);
+        const [drop] = notifier.calls[0].data.drops;
+        assert.equal(drop.product.name, 'Etiopia Guji');
+        assert.equal(drop.favoriteName, 'Etiopia');
+        assert.equal(drop.event.old_price, 189);
+        assert.equal(drop.event.new_price, 159);
+        assert.equal(drop.event.change_percent, -15.9);
+        assert.deepEqual(drop.reasons, ['percent']);
+    });
+
+    it('reports a failing shop without marking its products sold out', async () => {
+        server.route('/kaffe', { status: 503, body: 'Service Unavailable' });
+        const results = await monitor.checkProducts();
+
+        assert.equal(results, undefined);
+        assert.deepEqual(notifier.calls.map(call => call.type), ['error']);
+        const { data } = notifier.calls[0];
+        assert.equal(data.context, 'Product check failed');
+        assert.match(data.error.message, /All sources failed \(Testbrenneriet\)/);
+        assert.equal(data.failedSources.length, 1);
+        assert.equal(data.failedSources[0].url, `${server.url}/kaffe`);
+        assert.deepEqual(await availableNames(), ['Colombia Huila', 'Etiopia Guji', 'Kenya Kiambu']);
+
+        const health = await monitor.database.getSourceHealth(`${server.url}/kaffe`);
+        assert.equal(health.status, 'failed');
+        assert.equal(health.consecutive_failures, 1);
+    });
+
+    it('treats an empty listing after a redesign as a broken source', async () => {
+        server.route('/kaffe', 'listing-redesigned.html');
+        await monitor.checkProducts();
+
+        assert.deepEqual(notifier.calls.map(call => call.type), ['error']);
+        assert.match(notifier.calls[0].data.failedSources[0].error, /Returned no products/);
+        assert.deepEqual(await availableNames(), ['Colombia Huila', 'Etiopia Guji', 'Kenya Kiambu']);
+        assert.equal((await monitor.database.getSourceHealth(`${server.url}/kaffe`)).status, 'suspect');
+    });
+
+    it('marks a product that left a healthy listing as unavailable', async () => {
+        server.route('/kaffe', 'listing-removed.html');
+        const results = await monitor.checkProducts();
+
+        assert.equal(results.totalChecked, 2);
+        assert.deepEqual(results.failedSources, []);
+        assert.deepEqual(await availableNames(), ['Colombia Huila', 'Etiopia Guji']);
+        // Kenya Kiambu is not a favorite, so there is nothing to send
+        assert.deepEqual(notifier.calls, []);
+    });
+
+    it('records every check as a scrape run', async () => {
+        const runs = await monitor.database.getRecentScrapeRuns(20);
+
+        assert.equal(runs.length, 8);
+        assert.deepEqual(runs.map(run => run.status).reverse(),
+            ['completed', 'completed', 'completed', 'completed', 'completed', 'failed', 'failed', 'completed']);
+    });
+});
+
+describe('price changes while a price fails to scrape', () => {
+    let server;
+    let context;
+
+    before(async () => {
+        server = await startFixtureServer({ '/kaffe': 'listing.html' });
+        context = await createTestMonitor(server.url);
+    });
+
+    after(async () => {
+        await context.cleanup();
+        await server.close();
+    });
+
+    it('reports a price drop once', async () => {
+        const { monitor, notifier } = context;
+        await monitor.checkProducts();
+        server.route('/kaffe', 'listing-price-drop.html');
+        await monitor.checkProducts();
+        assert.equal(notifier.ofType('price_drop').length, 1);
+
+        const listing = fs.readFileSync(path.join(__dirname, 'fixtures', 'listing-price-drop.html'), 'utf8');
+        server.route('/kaffe', { body: listing.replace('<span class="price">159 kr</span>', '') });
+        await monitor.checkProducts();
+        await monitor.checkProducts();
+        server.route('/kaffe', 'listing-price-drop.html');
+        await monitor.checkProducts();
+
+        assert.equal(notifier.ofType('price_drop').length, 1);
+        const events = await monitor.database.all("SELECT * FROM price_events WHERE direction = 'down'");
+        assert.equal(events.length, 1);
+    });
+});
+
+describe('favorites with a size preference', () => {
+    let server;
+    let context;
+
+    const listing = (small, large) => ({
+        body: `<html><body><main>
+            <div class="product">
+                <a href="/produkt/etiopia-guji-250g"><h2 class="title">Etiopia Guji 250g</h2></a>
+                <span class="price">189 kr</span>
+                <span class="stock">${small}</span>
+            </div>
+            <div class="product">
+                <a href="/produkt/etiopia-guji-1kg"><h2 class="title">Etiopia Guji 1kg</h2></a>
+                <span class="price">599 kr</span>
+                <span class="stock">${large}</span>
+            </div>
+        </main></body></html>`
+    });
+
+    before(async () => {
+        server = await startFixtureServer({ '/kaffe': listing('Sold out', 'Sold out') });
+        context = await createTestMonitor(server.url, { favorites: [] });
+        await context.monitor.database.addFavorite('Etiopia', '', ['Etiopia'], '1kg');
+    });
+
+    after(async () => {
+        await context.cleanup();
+        await server.close();
+    });
+
+    it('stays quiet when only an excluded size comes back in stock', async () => {
+        const { monitor, notifier } = context;
+        await monitor.checkProducts();
+
+        server.route('/kaffe', listing('In stock', 'Sold out'));
+        notifier.clear();
+        const results = await monitor.checkProducts();
+        assert.deepEqual(results.newlyAvailableFavorites, []);
+        assert.deepEqual(notifier.ofType('favorites_newly_available'), []);
+    });
+});
+
+describe('a shop that never shows prices', () => {
+    let server;
+    let context;
+
+    before(async () => {
+        const listing = fs.readFileSync(path.join(__dirname, 'fixtures', 'listing.html'), 'utf8')
+            .replace(/<span class="price">[^<]*<\/span>/g, '');
+        server = await startFixtureServer({ '/kaffe': { body: listing } });
+        context = await createTestMonitor(server.url);
+    });
+
+    after(async () => {
+        await context.cleanup();
+        await server.close();
+    });
+
+    it('is not reported as selector drift', async () => {
+        const { monitor, notifier } = context;
+        await monitor.checkProducts();
+        notifier.clear();
+        const results = await monitor.checkProducts();
+
+        assert.equal(results.totalChecked, 3);
+        assert.deepEqual(notifier.ofType('error'), []);
+        assert.equal((await monitor.database.getSourceHealth(`${server.url}/kaffe`)).status, 'healthy');
+    });
+});
+
+describe('overlapping checks', () => {
+    let server;
+    let context;
+
+    before(async () => {
+        server = await startFixtureServer({ '/kaffe': 'listing.html' });
+        context = await createTestMonitor(server.url);
+    });
+
+    after(async () => {
+        await context.cleanup();
+        await server.close();
+    });
+
+    it('skips a check started while another is running', async () => {
+        const { monitor } = context;
+        const [first, second] = await Promise.all([monitor.checkProducts(), monitor.checkProducts()]);
+
+        assert.equal(first.totalChecked, 3);
+        assert.equal(second, undefined);
+        assert.deepEqual(server.requests, ['/kaffe']);
+        assert.equal((await monitor.database.all('SELECT id FROM scrape_runs')).length, 1);
+    });
+});
@@ -0,0 +1,142 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const Database = require('../src/database/database');
+
+// Tables as they were before product variants: one product row per size
+const OLD_SCHEMA = [
+    `CREATE TABLE products (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        url TEXT,
+        price REAL,
+        description TEXT,
+        organic BOOLEAN,
+        size_category TEXT,
+        source_url TEXT,
+        source_description TEXT,
+        roastery_name TEXT,
+        deep_scanned BOOLEAN DEFAULT 0,
+        full_description TEXT,
+        processing_method TEXT,
+        sustainability_info TEXT,
+        ai_country_of_origin TEXT,
+        ai_process_method TEXT,
+        ai_flavor_notes TEXT,
+        ai_is_organic BOOLEAN DEFAULT 0,
+        ai_confidence INTEGER,
+        ai_tagged_at DATETIME,
+        product_group_id TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(name, roastery_name)
+    )`,
+    `CREATE TABLE availability_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        product_id INTEGER,
+        available BOOLEAN,
+        price REAL,
+        stock_info TEXT,
+        checked_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE TABLE notifications_sent (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        product_id INTEGER,
+        notification_type TEXT,
+        sent_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `INSERT INTO products (id, name, url, price, roastery_name) VALUES
+        (1, 'Etiopia Guji 250g', 'https://example.test/guji-250', 189, 'Testbrenneriet')`,
+    `INSERT INTO products (id, name, url, price, description, roastery_name, deep_scanned, full_description,
+        processing_method, ai_country_of_origin, ai_process_method, ai_flavor_notes, ai_is_organic, ai_confidence,
+        ai_tagged_at, product_group_id) VALUES
+        (2, 'Etiopia Guji 1kg', 'https://example.test/guji-1kg', 649, 'Blomstrete og lett', 'Testbrenneriet', 1,
+        'Lang omtale frå produktsida', 'Vaska', 'Etiopia', 'washed', '["bergamott","fersken"]', 1, 90,
+        '2025-06-01 10:00:00', 'etiopia-guji')`,
+    `INSERT INTO products (id, name, url, price, roastery_name) VALUES
+        (3, 'Kenya Kiambu', 'https://example.test/kiambu', 219, 'Testbrenneriet')`,
+    `INSERT INTO availability_history (product_id, available, price, checked_at) VALUES
+        (1, 1, 189, '2025-06-01 10:00:00'),
+        (2, 0, 649, '2025-06-01 10:00:00'),
+        (3, 1, 219, '2025-06-01 10:00:00')`,
+    `INSERT INTO notifications_sent (product_id, notification_type) VALUES (2, 'favorite_available')`
+];
+
+function createOldDatabase(dbPath) {
+    return new Promise((resolve, reject) => {
+        const db = new sqlite3.Database(dbPath, error => {
+            if (error) return reject(error);
+            db.exec(OLD_SCHEMA.join(';\n'), execError => {
+                db.close(closeError => (execError || closeError ? reject(execError || closeError) : resolve()));
+            });
+        });
+    });
+}
+
+describe('variant migration of an old database', () => {
+    let dir;
+    let dbPath;
+
+    before(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'coffee-old-schema-'));
+        dbPath = path.join(dir, 'coffee.db');
+        await createOldDatabase(dbPath);
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('merges sizes into one product and keeps the data of the merged rows', async () => {
+        const database = new Database(dbPath);
+        await database.initialize();
+        try {
+            const products = await database.all('SELECT * FROM products ORDER BY id');
+            assert.deepEqual(products.map(product => product.name), ['Etiopia Guji', 'Kenya Kiambu']);
+
+            const guji = products[0];
+            assert.equal(guji.id, 1);
+            assert.equal(guji.description, 'Blomstrete og lett');
+            assert.equal(guji.deep_scanned, 1);
+            assert.equal(guji.full_description, 'Lang omtale frå produktsida');
+            assert.equal(guji.processing_method, 'Vaska');
+            assert.equal(guji.ai_country_of_origin, 'Etiopia');
+            assert.equal(guji.ai_flavor_notes, '["bergamott","fersken"]');
+            assert.equal(guji.ai_is_organic, 1);
+            assert.equal(guji.ai_tagged_at, '2025-06-01 10:00:00');
+            assert.equal(guji.product_group_id, 'etiopia-guji');
+
+            const variants = await database.all('SELECT variant_key, price, available FROM product_variants WHERE product_id = 1 ORDER BY id');
+            assert.deepEqual(variants.map(variant => [variant.price, variant.available]), [[189, 1], [649, 0]]);
+
+            const history = await database.all('SELECT product_id, variant_id FROM availability_history WHERE variant_id IS NOT NULL');
+            assert.equal(history.length, 3);
+            const sent = await database.get('SELECT product_id, group_key FROM notifications_sent');
+            assert.deepEqual({ ...sent }, { product_id: 1, group_key: 'group:etiopia-guji' });
+        } finally {
+            await database.close();
+        }
+    });
+
+    it('runs only once', async () => {
+        let database = new Database(dbPath);
+        await database.initialize();
+        // A product saved without variants, e.g. by a check that stopped halfway
+        await database.run("INSERT INTO products (name, roastery_name) VALUES ('Colombia Huila 250g', 'Testbrenneriet')");
+        await database.close();
+
+        database = new Database(dbPath);
+        await database.initialize();
+        try {
+            const product = await database.get("SELECT id FROM products WHERE name = 'Colombia Huila 250g'");
+            assert.ok(product);
+            assert.equal((await database.get('SELECT COUNT(*) AS count FROM product_variants WHERE product_id = ?', [product.id])).count, 0);
+            assert.equal((await database.get('PRAGMA user_version')).user_version, 1);
+        } finally {
+            await database.close();
+        }
+    });
+});
@@ -0,0 +1,88 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const cheerio = require('cheerio');
+const DeepScanner = require('../src/processors/deep-scanner');
+const Database = require('../src/database/database');
+const { readFixture, startFixtureServer } = require('./helpers/fixture-server');
+
+describe('DeepScanner extractors', () => {
+    const scanner = new DeepScanner(null, null, () => {});
+    const $ = cheerio.load(readFixture('product.html'));
+
+    it('prefers the schema.org description', () => {
+        assert.equal(
+            scanner.extractStructuredDescription($, 'https://testbrenneriet.no/produkt/etiopia-guji'),
+            'Etiopia Guji frå småbønder i Shakiso. Bærtørket, med smak av jordbær og jasmin. Økologisk og direkte handel.'
+        );
+    });
+
+    it('returns null without structured data', () => {
+        assert.equal(scanner.extractStructuredDescription(cheerio.load(readFixture('listing.html')), null), null);
+    });
+
+    it('reads the description block of the page', () => {
+        const description = scanner.extractFullDescription($);
+        assert.match(description, /^Vasket kaffe frå Guji-regionen\./);
+        assert.match(description, /Fairtrade-sertifisert\.$/);
+    });
+
+    it('finds the processing method in the description', () => {
+        assert.equal(scanner.extractProcessingMethod($, 'Bærtørket, med smak av jordbær.'), 'bærtørket');
+        assert.equal(scanner.extractProcessingMethod($, scanner.extractFullDescription($)), 'vasket');
+        assert.equal(scanner.extractProcessingMethod($, 'Sjokolade og karamell.'), null);
+        assert.equal(scanner.extractProcessingMethod($, null), null);
+    });
+
+    it('lists sustainability keywords in the description', () => {
+        assert.equal(scanner.extractSustainabilityInfo($, 'Økologisk og direkte handel.'), 'økologisk, direkte handel');
+        assert.equal(scanner.extractSustainabilityInfo($, scanner.extractFullDescription($)), 'fairtrade');
+        assert.equal(scanner.extractSustainabilityInfo($, 'Sjokolade og karamell.'), null);
+    });
+});
+
+describe('DeepScanner.performDeepScan', () => {
+    let server;
+    let database;
+    let dir;
+
+    before(async () => {
+        server = await startFixtureServer({ '/produkt/etiopia-guji': 'product.html' });
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'coffee-monitor-test-'));
+        database = new Database(path.join(dir, 'coffee.db'));
+        await database.initialize();
+    });
+
+    after(async () => {
+        await database.close();
+        await server.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('stores the details read from the product page', async () => {
+        const product = {
+            name: 'Etiopia Guji',
+            url: `${server.url}/produkt/etiopia-guji`,
+            roastery_name: 'Testbrenneriet'
+        };
+        await database.saveProduct(product);
+
+        // Stands in for a Puppeteer page by fetching the fixture over HTTP
+        let html = '';
+        const page = {
+            goto: async (url) => { html = await (await fetch(url)).text(); },
+            content: async () => html
+        };
+        const scanner = new DeepScanner({ getPage: async () => page }, database, () => {});
+
+        await scanner.performDeepScan([product]);
+
+        const row = await database.get('SELECT * FROM products WHERE name = ?', ['Etiopia Guji']);
+        assert.equal(row.deep_scanned, 1);
+        assert.match(row.full_description, /^Etiopia Guji frå småbønder/);
+        assert.equal(row.processing_method, 'bærtørket');
+        assert.equal(row.sustainability_info, 'økologisk, direkte handel');
+    });
+});
@@ -0,0 +1,220 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const Notifier = require('../src/notifications/notifier');
+const { summarizeDigest, getDigestSchedule, serializeEvent } = require('../src/notifications/digest');
+const { validateChannelConfig } = require('../src/notifications/channels');
+const { buildMessage } = require('../src/notifications/message');
+const { startFixtureServer } = require('./helpers/fixture-server');
+const { createTestMonitor, buildTestConfig } = require('./helpers/test-monitor');
+
+const guji = { id: 1, name: 'Etiopia Guji', roastery_name: 'Testbrenneriet', url: 'https://example.test/etiopia-guji' };
+const kiambu = { id: 2, name: 'Kenya Kiambu', roastery_name: 'Andre brenneriet', url: 'https://example.test/kenya-kiambu' };
+
+const queued = (eventType, data, createdAt = '2026-01-01 08:00:00') => ({
+    event_type: eventType,
+    payload: serializeEvent(data),
+    created_at: createdAt
+});
+
+describe('digest summary', () => {
+    it('lists each favorite once by its latest state and merges repeated price changes', () => {
+        const variant = { id: 7, name: 'Kenya Kiambu 250g', size: '250g' };
+        const summary = summarizeDigest([
+            queued('favorites_newly_available', { favorites: [{ product: guji, favoriteName: 'Etiopia' }, { product: kiambu, favoriteName: 'Kenya' }] }),
+            queued('favorites_newly_unavailable', { favorites: [{ product: guji, favoriteName: 'Etiopia' }] }),
+            queued('price_drop', { drops: [{ product: kiambu, variant, event: { old_price: 240, new_price: 220 }, reasons: ['amount'] }] }),
+            queued('price_drop', { drops: [{ product: kiambu, variant, event: { old_price: 220, new_price: 200 }, reasons: ['amount'] }] }),
+            queued('new_products', { products: [guji, kiambu, { ...guji, id: 3, name: 'Etiopia Yirgacheffe' }] }),
+            queued('error', { error: new Error('1 of 2 sources failed'), failedSources: [{ roastery: 'Testbrenneriet', url: 'https://example.test/kaffe', error: 'HTTP 503' }] }),
+            queued('error', { error: new Error('1 of 2 sources failed'), failedSources: [{ roastery: 'Testbrenneriet', url: 'https://example.test/kaffe', error: 'HTTP 500' }] })
+        ]);
+
+        assert.equal(summary.since, '2026-01-01 08:00:00');
+        assert.deepEqual(summary.backInStock.map(entry => entry.product.name), ['Kenya Kiambu']);
+        assert.deepEqual(summary.soldOut.map(entry => entry.product.name), ['Etiopia Guji']);
+        assert.equal(summary.priceChanges.length, 1);
+        assert.deepEqual(summary.priceChanges[0].event, { direction: 'down', old_price: 240, new_price: 200, change_percent: -16.7 });
+        assert.deepEqual(summary.newProducts.map(group => [group.roastery, group.products.length]), [
+            ['Testbrenneriet', 2],
+            ['Andre brenneriet', 1]
+        ]);
+        assert.deepEqual(summary.failures, [
+            { roastery: 'Testbrenneriet', url: 'https://example.test/kaffe', description: null, error: 'HTTP 500', count: 2 }
+        ]);
+    });
+
+    it('lists price increases with the drops and leaves out prices back where they started', () => {
+        const variant = { id: 7, name: 'Kenya Kiambu 250g', size: '250g' };
+        const other = { id: 8, name: 'Etiopia Guji 250g', size: '250g' };
+        const summary = summarizeDigest([
+            queued('price_increase', { increases: [{ product: kiambu, variant, event: { old_price: 200, new_price: 240 }, reasons: ['percent'] }] }),
+            queued('price_drop', { drops: [{ product: guji, variant: other, event: { old_price: 189, new_price: 159 }, reasons: ['percent'] }] }),
+            queued('price_increase', { increases: [{ product: guji, variant: other, event: { old_price: 159, new_price: 189 }, reasons: ['percent'] }] })
+        ]);
+
+        assert.deepEqual(summary.priceChanges.map(change => [change.product.name, change.event.direction, change.event.change_percent]), [
+            ['Kenya Kiambu', 'up', 20]
+        ]);
+        const message = buildMessage('digest', summary);
+        assert.equal(message.sections[0].heading, '💸 Prisendringar (1)');
+        assert.equal(message.sections[0].items[0].icon, '📈');
+    });
+
+    it('accepts daily, weekly and cron schedules', () => {
+        assert.equal(getDigestSchedule('daily'), '0 8 * * *');
+        assert.equal(getDigestSchedule('weekly'), '0 8 * * 1');
+        assert.equal(getDigestSchedule('30 18 * * 5'), '30 18 * * 5');
+        assert.equal(getDigestSchedule(undefined), null);
+
+        assert.deepEqual(validateChannelConfig('webhook', { urls: ['https://example.test'], digest: 'weekly' }), []);
+        assert.deepEqual(validateChannelConfig('webhook', { urls: ['https://example.test'], digest: 'monthly' }), [
+            'notifications.webhook.digest must be "daily", "weekly" or a cron expression'
+        ]);
+    });
+});
+
+describe('Notifier.queue', () => {
+    it('queues for digest channels only', async () => {
+        const rows = [];
+        const notifier = new Notifier({
+            webhook: { enabled: true, urls: ['https://example.test/hook'], digest: 'weekly' },
+            slack: { enabled: true, webhookUrl: 'https://example.test/slack' }
+        }, {
+            digestQueue: { async queueDigestEvent(channel, type, payload) { rows.push({ channel, type, payload }); } }
+        });
+
+        const products = Array.from({ length: 12 }, (_, index) => ({ ...guji, id: index + 1, name: `Kaffi ${index + 1}` }));
+        const results = await notifier.queue('new_products', { products });
+
+        assert.deepEqual(results, [{ type: 'webhook', success: true, message: 'new_products queued for digest' }]);
+        assert.deepEqual(rows.map(row => [row.channel, row.type]), [['webhook', 'new_products']]);
+        assert.equal(JSON.parse(rows[0].payload).products.length, 12);
+        assert.deepEqual(await notifier.queue('new_products', { products: [] }), []);
+    });
+});
+
+describe('digest mode', () => {
+    let shop;
+    let hooks;
+    let hooksUrl;
+    let context;
+    let monitor;
+    const received = [];
+    let failNext = false;
+
+    before(async () => {
+        shop = await startFixtureServer({ '/kaffe': 'listing.html' });
+        hooks = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                res.statusCode = failNext ? 400 : 200;
+                if (!failNext) received.push({ path: req.url, body: JSON.parse(body) });
+                res.end();
+            });
+        });
+        await new Promise(resolve => hooks.listen(0, '127.0.0.1', resolve));
+        hooksUrl = `http://127.0.0.1:${hooks.address().port}`;
+
+        context = await createTestMonitor(shop.url);
+        monitor = context.monitor;
+        monitor.notifier = new Notifier({
+            webhook: {
+                enabled: true,
+                urls: [`${hooksUrl}/digest`],
+                digest: 'daily',
+                maxRetries: 0,
+                deadLetterFile: path.join(context.dir, 'dead-letters.jsonl')
+            },
+            slack: { enabled: true, webhookUrl: `${hooksUrl}/slack` }
+        }, { digestQueue: monitor.database });
+    });
+
+    after(async () => {
+        await shop.close();
+        await new Promise(resolve => hooks.close(resolve));
+        await context.cleanup();
+    });
+
+    it('queues notifications for digest channels and still sends the others', async () => {
+        await monitor.checkProducts();
+        shop.route('/kaffe', 'listing-sold-out.html');
+        await monitor.checkProducts();
+
+        const events = await monitor.database.getDigestEvents('webhook');
+        assert.ok(events.some(event => event.event_type === 'favorites_newly_unavailable'));
+        assert.ok(received.every(request => request.path === '/slack'));
+        assert.ok(received.some(request => request.path === '/slack'));
+        assert.deepEqual(monitor.notifier.getDigestChannels(), [{ name: 'webhook', schedule: '0 8 * * *' }]);
+    });
+
+    it('keeps the queue when the digest cannot be delivered', async () => {
+        failNext = true;
+        const [result] = await monitor.sendDigests();
+        failNext = false;
+
+        assert.equal(result.success, false);
+        assert.ok((await monitor.database.getDigestEvents('webhook')).length > 0);
+    });
+
+    it('sends one summary per channel and clears its queue', async () => {
+        received.length = 0;
+        const [result] = await monitor.sendDigests('webhook');
+
+        assert.equal(result.success, true);
+        assert.equal(result.message, 'Digest sent');
+        assert.equal(received.length, 1);
+
+        const { event, title, data } = received[0].body;
+        assert.equal(event, 'digest');
+        assert.equal(title, '📬 Kaffioversikt');
+        assert.deepEqual(data.soldOut.map(entry => entry.product.name), ['Etiopia Guji']);
+        assert.deepEqual(data.backInStock, []);
+        assert.equal((await monitor.database.getDigestEvents('webhook')).length, 0);
+
+        const [empty] = await monitor.sendDigests('webhook');
+        assert.equal(empty.message, 'Nothing to send');
+        assert.equal(received.length, 1);
+    });
+
+    it('rejects channels without a digest schedule', async () => {
+        await assert.rejects(monitor.sendDigests('slack'), /not an enabled notification channel with a digest schedule/);
+    });
+});
+
+describe('digest command', () => {
+    let dir;
+    let configPath;
+
+    const run = args => new Promise(resolve => {
+        execFile(process.execPath, [path.join(__dirname, '..', 'src', 'index.js'), ...args], { timeout: 30000 }, (error, stdout, stderr) => {
+            resolve({ code: error ? error.code : 0, output: stdout + stderr });
+        });
+    });
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'coffee-digest-cli-'));
+        configPath = path.join(dir, 'config.json');
+        fs.writeFileSync(configPath, JSON.stringify(buildTestConfig('http://127.0.0.1:1', dir)));
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('keeps -c for the config file next to --channel', async () => {
+        const all = await run(['digest', '-c', configPath]);
+        assert.equal(all.code, 0, all.output);
+        assert.match(all.output, /No notification channels have a digest schedule/);
+
+        const one = await run(['digest', '--channel', 'telegram', '-c', configPath]);
+        assert.equal(one.code, 1);
+        assert.match(one.output, /telegram is not an enabled notification channel with a digest schedule/);
+        assert.doesNotMatch(one.output, /Config file not found/);
+    });
+});
@@ -0,0 +1,69 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const cheerio = require('cheerio');
+const RoasteryDiscovery = require('../src/discovery/roastery-discovery');
+const { detectSelectorDrift } = require('../src/discovery/selector-repair');
+const { startFixtureServer } = require('./helpers/fixture-server');
+
+describe('RoasteryDiscovery.findShopUrls', () => {
+    let server;
+    let $;
+    const discovery = new RoasteryDiscovery();
+
+    before(async () => {
+        server = await startFixtureServer({ '/': 'homepage.html' });
+        const response = await fetch(`${server.url}/`);
+        $ = cheerio.load(await response.text());
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    it('finds category pages on the shop\'s own host', async () => {
+        const shopUrls = await discovery.findShopUrls($, `${server.url}/`);
+
+        assert.deepEqual(shopUrls.map(shopUrl => shopUrl.url), [
+            `${server.url}/kategori/kaffe`,
+            `${server.url}/sortiment`,
+            `${server.url}/nettbutikk`
+        ]);
+        assert.deepEqual(shopUrls[0].metadata, {
+            category: 'all_sizes',
+            description: 'Auto-discovered shop URL'
+        });
+    });
+
+    it('skips equipment, single products, filtered lists, content pages and other hosts', async () => {
+        const $links = cheerio.load(`
+            <a href="/kategori/kaffeutstyr">Kaffeutstyr</a>
+            <a href="/produkt/etiopia-guji">Etiopia Guji</a>
+            <a href="/kategori/kaffe?sort=price">Kaffe etter pris</a>
+            <a href="/blog/ny-avling">Ny kaffe</a>
+            <a href="/om-oss">Om kaffen vår</a>
+            <a href="https://www.instagram.com/testbrenneriet">Kaffe på Instagram</a>
+            <a href="https://andre-butikk.no/shop">Shop</a>
+        `);
+
+        assert.deepEqual(await discovery.findShopUrls($links, `${server.url}/`), []);
+    });
+
+    it('extracts the site name', () => {
+        assert.equal(discovery.extractSiteName($), 'Testbrenneriet');
+    });
+});
+
+describe('detectSelectorDrift', () => {
+    it('flags empty pages and missing names only for sources that listed products', () => {
+        assert.deepEqual(detectSelectorDrift({ containers: 0, named: 0, priced: 0 }, 0), []);
+        assert.deepEqual(detectSelectorDrift({ containers: 0, named: 0, priced: 0 }, 12), ['Product container selector matched nothing']);
+        assert.deepEqual(detectSelectorDrift({ containers: 5, named: 0, priced: 0 }, 12), ['Found 5 product elements, but no names matched']);
+    });
+
+    it('flags missing prices only for sources that have had prices', () => {
+        const stats = { containers: 5, named: 5, priced: 0 };
+        assert.deepEqual(detectSelectorDrift(stats, 5, false), []);
+        assert.deepEqual(detectSelectorDrift(stats, 5, true), ['All 5 products are missing a price']);
+        assert.deepEqual(detectSelectorDrift({ containers: 5, named: 5, priced: 3 }, 5, true), []);
+    });
+});
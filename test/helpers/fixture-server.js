@@ -0,0 +1,60 @@
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+function readFixture(name) {
+    return fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+}
+
+/**
+ * Local HTTP server that serves saved HTML fixtures in place of a real shop.
+ *
+ * Routes map a path (with query string, if any) to a fixture file name, or to
+ * `{ status, body }` for error responses. Routes can be changed between checks
+ * with `route()` to simulate the shop changing. Unknown paths return 404.
+ *
+ * @param {Object} routes - e.g. { '/kaffe': 'listing.html' }
+ * @returns {Promise<{ url: string, requests: string[], route: Function, close: Function }>}
+ */
+async function startFixtureServer(routes = {}) {
+    const table = new Map(Object.entries(routes));
+    const requests = [];
+
+    const server = http.createServer((req, res) => {
+        requests.push(req.url);
+
+        const target = table.get(req.url) ?? table.get(req.url.split('?')[0]);
+        if (!target) {
+            res.writeHead(404, { 'Content-Type': 'text/html; charset=utf-8' });
+            res.end('<html><body><h1>Not found</h1></body></html>');
+            return;
+        }
+
+        const { status = 200, body = '' } = typeof target === 'string'
+            ? { body: readFixture(target) }
+            : target;
+        res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(body);
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        route(pathname, target) {
+            table.set(pathname, target);
+        },
+        close() {
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+module.exports = {
+    FIXTURES_DIR,
+    readFixture,
+    startFixtureServer
+};
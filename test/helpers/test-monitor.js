@@ -0,0 +1,107 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CoffeeMonitor = require('../../src/monitor');
+
+const TEST_SELECTORS = {
+    productContainer: '.product',
+    name: '.title',
+    price: '.price',
+    description: '.description',
+    link: 'a',
+    availability: '.stock'
+};
+
+/**
+ * Notifier stand-in that records every notification instead of sending it.
+ */
+function createStubNotifier() {
+    const calls = [];
+
+    return {
+        calls,
+        async notify(type, data) {
+            calls.push({ type, data });
+            return [];
+        },
+        ofType(type) {
+            return calls.filter(call => call.type === type);
+        },
+        clear() {
+            calls.length = 0;
+        },
+        async close() {}
+    };
+}
+
+/**
+ * Config for one roastery served by the fixture server, fetched over plain HTTP
+ * so no browser is needed. Retries and politeness delays are turned off.
+ */
+function buildTestConfig(baseUrl, dir, overrides = {}) {
+    return {
+        roasteries: [{
+            name: 'Testbrenneriet',
+            baseUrl,
+            platform: 'selectors',
+            fetchMode: 'http',
+            shopUrls: [{
+                url: `${baseUrl}/kaffe`,
+                metadata: { organic: false, category: 'all_sizes', description: 'All coffee' }
+            }],
+            selectors: TEST_SELECTORS
+        }],
+        favorites: [{ pattern: 'Etiopia', description: 'Ethiopian coffees' }],
+        notifications: {
+            email: { enabled: false },
+            telegram: { enabled: false }
+        },
+        monitoring: {
+            maxRetries: 0,
+            retryDelay: 0,
+            requestTimeout: 5000,
+            screenshotOnError: false,
+            suggestSelectorRepairs: false,
+            scraping: { concurrency: 1, politenessDelay: 0 }
+        },
+        database: { path: path.join(dir, 'coffee.db') },
+        logging: { level: 'info', file: path.join(dir, 'logs', 'coffee-monitor.log') },
+        ...overrides
+    };
+}
+
+/**
+ * A CoffeeMonitor on a temporary config, SQLite database and log directory,
+ * with a stub notifier and AI tagging disabled.
+ *
+ * @returns {Promise<{ monitor: CoffeeMonitor, notifier: Object, dir: string, cleanup: Function }>}
+ */
+async function createTestMonitor(baseUrl, overrides = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'coffee-monitor-test-'));
+    const configPath = path.join(dir, 'config.json');
+    fs.writeFileSync(configPath, JSON.stringify(buildTestConfig(baseUrl, dir, overrides), null, 2));
+
+    const monitor = new CoffeeMonitor(configPath);
+    const notifier = createStubNotifier();
+    monitor.notifier = notifier;
+    monitor.aiTagger.enabled = false;
+    monitor.log = () => {};
+    await monitor.initialize();
+
+    return {
+        monitor,
+        notifier,
+        dir,
+        async cleanup() {
+            await monitor.close();
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    };
+}
+
+module.exports = {
+    TEST_SELECTORS,
+    buildTestConfig,
+    createStubNotifier,
+    createTestMonitor
+};
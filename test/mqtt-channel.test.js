@@ -0,0 +1,119 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mqtt = require('mqtt');
+const Notifier = require('../src/notifications/notifier');
+const { startFixtureServer } = require('./helpers/fixture-server');
+const { createTestMonitor } = require('./helpers/test-monitor');
+
+/**
+ * Records publishes, keeping the last retained payload per topic like a broker.
+ */
+function createRecordingClient() {
+    return {
+        published: [],
+        retained: new Map(),
+        async publishAsync(topic, payload, options) {
+            this.published.push({ topic, payload, retain: options.retain });
+            if (options.retain) this.retained.set(topic, payload);
+        },
+        async endAsync() {}
+    };
+}
+
+describe('MQTT channel', () => {
+    let shop;
+    let context;
+    let monitor;
+    let client;
+
+    before(async () => {
+        shop = await startFixtureServer({ '/kaffe': 'listing.html' });
+        context = await createTestMonitor(shop.url);
+        monitor = context.monitor;
+
+        monitor.notifier = new Notifier({
+            mqtt: { enabled: true, url: 'mqtt://broker.test', homeAssistant: true }
+        });
+        client = createRecordingClient();
+        monitor.notifier.channels[0].client = client;
+    });
+
+    after(async () => {
+        await shop.close();
+        await context.cleanup();
+    });
+
+    it('publishes retained state per product and favorite after a check', async () => {
+        await monitor.checkProducts();
+
+        assert.equal(client.retained.get('coffee/testbrenneriet/etiopia-guji/available'), 'true');
+        assert.equal(client.retained.get('coffee/testbrenneriet/etiopia-guji/price'), '189');
+        assert.equal(client.retained.get('coffee/testbrenneriet/kenya-kiambu/price'), '219');
+
+        const state = JSON.parse(client.retained.get('coffee/testbrenneriet/etiopia-guji/state'));
+        assert.equal(state.name, 'Etiopia Guji');
+        assert.equal(state.roastery, 'Testbrenneriet');
+        assert.match(state.url, /\/produkt\//);
+
+        assert.equal(client.retained.get('coffee/favorites/etiopia/available'), 'true');
+        assert.equal(client.retained.get('coffee/favorites/etiopia/price'), '189');
+        const favorite = JSON.parse(client.retained.get('coffee/favorites/etiopia/state'));
+        assert.deepEqual(favorite.products.map(product => product.name), ['Etiopia Guji']);
+    });
+
+    it('publishes Home Assistant discovery configs once per entity', async () => {
+        const sensor = JSON.parse(client.retained.get('homeassistant/binary_sensor/coffee_monitor_testbrenneriet_etiopia-guji/available/config'));
+        assert.equal(sensor.state_topic, 'coffee/testbrenneriet/etiopia-guji/available');
+        assert.equal(sensor.json_attributes_topic, 'coffee/testbrenneriet/etiopia-guji/state');
+        assert.equal(sensor.availability_topic, 'coffee/status');
+        assert.equal(sensor.unique_id, 'coffee_monitor_testbrenneriet_etiopia-guji_available');
+        assert.deepEqual(sensor.device.identifiers, ['coffee_monitor_testbrenneriet']);
+
+        const price = JSON.parse(client.retained.get('homeassistant/sensor/coffee_monitor_favorite_etiopia/price/config'));
+        assert.equal(price.state_topic, 'coffee/favorites/etiopia/price');
+        assert.equal(price.unit_of_measurement, 'kr');
+
+        client.published.length = 0;
+        await monitor.checkProducts();
+        assert.ok(!client.published.some(message => message.topic.startsWith('homeassistant/')));
+    });
+
+    it('publishes notifications as event topics and updates state when sold out', async () => {
+        client.published.length = 0;
+        shop.route('/kaffe', 'listing-sold-out.html');
+        await monitor.checkProducts();
+
+        assert.equal(client.retained.get('coffee/testbrenneriet/etiopia-guji/available'), 'false');
+        assert.equal(client.retained.get('coffee/favorites/etiopia/available'), 'false');
+
+        const event = client.published.find(message => message.topic === 'coffee/events/favorites_newly_unavailable');
+        assert.equal(event.retain, false);
+        const payload = JSON.parse(event.payload);
+        assert.equal(payload.event, 'favorites_newly_unavailable');
+        assert.equal(payload.data.favorites[0].product.name, 'Etiopia Guji');
+    });
+
+    it('reaches a real broker', { skip: !process.env.MQTT_TEST_URL && 'set MQTT_TEST_URL (e.g. mqtt://localhost:1883) to run against a local Mosquitto' }, async () => {
+        const prefix = `coffee-test-${process.pid}`;
+        const notifier = new Notifier({ mqtt: { enabled: true, url: process.env.MQTT_TEST_URL, topicPrefix: prefix } });
+        const subscriber = await mqtt.connectAsync(process.env.MQTT_TEST_URL);
+        const received = new Map();
+        subscriber.on('message', (topic, payload) => received.set(topic, payload.toString()));
+
+        try {
+            await notifier.publishResults({
+                products: [{ name: 'Etiopia Guji', roastery_name: 'Testbrenneriet', available: true, current_price: 189, variants: [] }],
+                favoriteStatus: []
+            });
+            await subscriber.subscribeAsync(`${prefix}/#`);
+            await new Promise(resolve => setTimeout(resolve, 500));
+
+            assert.equal(received.get(`${prefix}/status`), 'online');
+            assert.equal(received.get(`${prefix}/testbrenneriet/etiopia-guji/available`), 'true');
+            assert.equal(received.get(`${prefix}/testbrenneriet/etiopia-guji/price`), '189');
+        } finally {
+            await notifier.close();
+            await subscriber.endAsync();
+        }
+    });
+});
@@ -0,0 +1,224 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Notifier = require('../src/notifications/notifier');
+const { buildMessage, getMessageTypes } = require('../src/notifications/message');
+const {
+    NotificationChannel,
+    registerChannel,
+    getChannel,
+    validateChannelConfig
+} = require('../src/notifications/channels');
+
+const etiopia = {
+    id: 1,
+    name: 'Etiopia Guji 250g',
+    roastery_name: 'Testbrenneriet',
+    url: 'https://example.test/produkt/etiopia-guji',
+    current_price: 189
+};
+
+const SAMPLE_DATA = {
+    favorite_available: { product: etiopia, favoritePattern: 'Etiopia' },
+    favorites_available_grouped: { favorites: [{ product: etiopia, favoriteName: 'Etiopia' }] },
+    favorites_newly_available: {
+        favorites: [{ product: etiopia, favoriteName: 'Etiopia', variants: [{ size: '250g', grind: 'whole_bean', price: 189, available: true }] }],
+        overBudget: [{ product: { ...etiopia, name: 'Kenya Kiambu' }, variants: [{ price: 219, available: true }], maxPrice: 200 }]
+    },
+    favorites_newly_unavailable: { favorites: [{ product: etiopia, favoriteName: 'Etiopia' }] },
+    new_products: { products: [etiopia] },
+    price_drop: {
+        drops: [{
+            product: etiopia,
+            variant: { name: 'Etiopia Guji 250g', size: '250g' },
+            event: { old_price: 189, new_price: 159, change_percent: -15.9, new_price_per_kg: 636 },
+            favoriteName: 'Etiopia',
+            targetPrice: 170,
+            reasons: ['percent', 'target_price']
+        }]
+    },
+    error: {
+        error: new Error('1 source failed'),
+        context: 'Scrape failures',
+        failedSources: [{
+            roastery: 'Testbrenneriet',
+            url: 'https://example.test/kaffe',
+            error: 'HTTP 503',
+            attempts: 3,
+            selectorRepair: { confidence: 'high', changes: [{ key: 'price', from: '.price', to: '.amount' }], command: 'npm run repair' }
+        }]
+    },
+    digest: {
+        since: '2026-01-01 08:00:00',
+        backInStock: [{ product: etiopia, favoriteName: 'Etiopia' }],
+        soldOut: [],
+        newProducts: [{ roastery: 'Testbrenneriet', products: [etiopia] }],
+        priceChanges: [],
+        failures: [{ roastery: 'Testbrenneriet', url: 'https://example.test/kaffe', error: 'HTTP 503', count: 2 }]
+    }
+};
+
+class RecordingChannel extends NotificationChannel {
+    static channelName = 'recording';
+    static configSchema = { target: { type: 'string', required: true } };
+    static sent = [];
+
+    async send(message) {
+        if (this.config.fail) throw new Error('unreachable');
+        RecordingChannel.sent.push(message);
+    }
+}
+registerChannel(RecordingChannel);
+
+describe('notification messages', () => {
+    it('builds the same structure for every notification type', () => {
+        for (const type of getMessageTypes()) {
+            const message = buildMessage(type, SAMPLE_DATA[type]);
+
+            assert.equal(message.type, type);
+            for (const field of ['title', 'summary', 'intro']) {
+                assert.equal(typeof message[field], 'string', `${type}.${field}`);
+            }
+            assert.ok(['good', 'bad', 'info'].includes(message.tone), type);
+            assert.ok(message.sections.length > 0, type);
+            for (const item of message.sections.flatMap(section => section.items)) {
+                assert.equal(typeof item.title, 'string', type);
+                assert.ok(item.lines.every(line => typeof line.text === 'string'), type);
+            }
+        }
+    });
+
+    it('formats prices, budgets and price drops', () => {
+        const available = buildMessage('favorites_newly_available', SAMPLE_DATA.favorites_newly_available);
+        assert.deepEqual(available.sections[0].items[0].lines.map(line => line.text), [
+            'Testbrenneriet',
+            '250g, heile bønner: 189 kr (189 kr/250g)',
+            'Favoritt: Etiopia'
+        ]);
+        assert.equal(available.sections[1].heading, '💸 Tilbake på lager, men over budsjettet ditt');
+        assert.equal(available.sections[1].items[0].lines[0].text, 'frå 219 kr, maks 200 kr');
+
+        const drop = buildMessage('price_drop', SAMPLE_DATA.price_drop).sections[0].items[0];
+        assert.equal(drop.title, 'Etiopia Guji 250g (250g)');
+        assert.ok(drop.lines.some(line => line.text === '189 kr → 159 kr (-15.9%)'));
+        assert.ok(drop.lines.some(line => line.text === 'Under målprisen din på 170 kr'));
+    });
+
+    it('reports favorites that are back only over budget', () => {
+        const message = buildMessage('favorites_newly_available', {
+            favorites: [],
+            overBudget: SAMPLE_DATA.favorites_newly_available.overBudget
+        });
+
+        assert.equal(message.title, '💸 1 Favorittkaffiar tilbake over budsjettet');
+        assert.equal(message.tone, 'info');
+        assert.deepEqual(message.sections.map(section => section.heading), ['💸 Tilbake på lager, men over budsjettet ditt']);
+        assert.equal(message.sections[0].items[0].lines[0].text, 'frå 219 kr, maks 200 kr');
+    });
+
+    it('summarizes large batches of new products per roastery', () => {
+        const products = Array.from({ length: 7 }, (_, index) => ({
+            ...etiopia,
+            id: index + 1,
+            name: `Kaffi ${index + 1}`,
+            roastery_name: index < 5 ? 'Testbrenneriet' : 'Andre brenneriet'
+        }));
+        const message = buildMessage('new_products', { products, summarized: true });
+
+        assert.equal(message.title, '☕ 7 nye produkt tilgjengelege!');
+        assert.deepEqual(message.sections[0].items.map(item => [item.title, item.lines[0].text]), [
+            ['Testbrenneriet: 5 nye produkt', 'Kaffi 1, Kaffi 2, Kaffi 3 og 2 fleire'],
+            ['Andre brenneriet: 2 nye produkt', 'Kaffi 6, Kaffi 7']
+        ]);
+        assert.equal(message.data.products.length, 7);
+    });
+
+    it('returns null when there is nothing to notify and throws for unknown types', () => {
+        assert.equal(buildMessage('new_products', { products: [] }), null);
+        assert.throws(() => buildMessage('carrier_pigeon', {}), /Unknown notification type/);
+    });
+});
+
+describe('notification channel rendering', () => {
+    it('renders the same items by email and Telegram', () => {
+        const message = buildMessage('error', SAMPLE_DATA.error);
+        const email = new (getChannel('email'))({}).render(message);
+        const telegram = new (getChannel('telegram'))({}).render(message);
+
+        assert.equal(email.subject, '⚠️ Coffee Monitor Error');
+        for (const expected of ['🚫 Kjelder som feila (1)', 'HTTP 503 (3 forsøk)', 'price: .price → .amount', 'Ta i bruk med: npm run repair']) {
+            assert.ok(email.html.includes(expected), `email html: ${expected}`);
+            assert.ok(email.text.includes(expected), `email text: ${expected}`);
+            assert.ok(telegram.includes(expected), `telegram: ${expected}`);
+        }
+    });
+
+    it('escapes HTML in email and summarizes long Telegram lists', () => {
+        const products = Array.from({ length: 12 }, (_, index) => ({ ...etiopia, name: `<b>Kaffi ${index + 1}</b>` }));
+        const message = buildMessage('new_products', { products });
+
+        const email = new (getChannel('email'))({}).render(message);
+        assert.ok(email.html.includes('&lt;b&gt;Kaffi 1&lt;/b&gt;'));
+        assert.ok(!email.html.includes('<b>Kaffi 1</b>'));
+
+        const telegram = new (getChannel('telegram'))({}).render(message);
+        assert.ok(telegram.includes('10. ☕ <b>Kaffi 10</b>'));
+        assert.ok(!telegram.includes('Kaffi 11'));
+        assert.ok(telegram.includes('... og 2 fleire!'));
+    });
+});
+
+describe('notification channel registry', () => {
+    it('validates channel config against the channel schema', () => {
+        assert.deepEqual(validateChannelConfig('email', {
+            enabled: true,
+            smtp: { host: 'smtp.example.test', port: 587, auth: { user: 'kaffi' } },
+            from: 'kaffi@example.test',
+            to: ['meg@example.test']
+        }), []);
+
+        assert.deepEqual(validateChannelConfig('telegram', { enabled: 'yes', chatId: 42, types: ['price_drop', 'fax'] }), [
+            'notifications.telegram.enabled must be boolean',
+            'notifications.telegram.botToken is required',
+            'notifications.telegram.types has unknown notification types: fax'
+        ]);
+        assert.match(validateChannelConfig('pager', {})[0], /not a known notification channel/);
+    });
+
+    it('rejects channels without a name or with a taken name', () => {
+        class Nameless extends NotificationChannel {}
+        class OtherEmail extends NotificationChannel {
+            static channelName = 'email';
+        }
+
+        assert.throws(() => registerChannel(Nameless), /channelName/);
+        assert.throws(() => registerChannel(OtherEmail), /already registered/);
+    });
+});
+
+describe('Notifier', () => {
+    it('sends each notification to the enabled channels that accept its type', async () => {
+        RecordingChannel.sent = [];
+        const notifier = new Notifier({
+            recording: { enabled: true, target: 'test', types: ['price_drop'] },
+            email: { enabled: false }
+        });
+
+        assert.deepEqual(notifier.channels.map(channel => channel.name), ['recording']);
+        assert.deepEqual(await notifier.notify('new_products', SAMPLE_DATA.new_products), []);
+
+        const results = await notifier.notify('price_drop', SAMPLE_DATA.price_drop);
+        assert.deepEqual(results, [{ type: 'recording', success: true, message: 'price_drop sent' }]);
+        assert.equal(RecordingChannel.sent.length, 1);
+        assert.equal(RecordingChannel.sent[0].title, '💸 Prisfall på 1 kaffi!');
+    });
+
+    it('reports failed channels and ignores unknown notification types', async () => {
+        const notifier = new Notifier({ recording: { enabled: true, fail: true } });
+
+        assert.deepEqual(await notifier.notify('new_products', SAMPLE_DATA.new_products), [
+            { type: 'recording', success: false, error: 'unreachable' }
+        ]);
+        assert.deepEqual(await notifier.notify('carrier_pigeon', {}), []);
+        await notifier.close();
+    });
+});
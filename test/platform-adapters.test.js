@@ -0,0 +1,192 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const ShopifyAdapter = require('../src/scrapers/adapters/shopify-adapter');
+const WooCommerceAdapter = require('../src/scrapers/adapters/woocommerce-adapter');
+const { readFixture, startFixtureServer } = require('./helpers/fixture-server');
+
+const STORE_API = '/wp-json/wc/store/v1/products';
+
+// A full feed page of simple products, so the adapter asks for the next page
+function fullPage(count, makeProduct) {
+    return JSON.stringify(Array.from({ length: count }, (_, index) => makeProduct(index + 1)));
+}
+
+describe('ShopifyAdapter', () => {
+    let server;
+
+    before(async () => {
+        server = await startFixtureServer({
+            '/products.json?limit=250&page=1': 'shopify-products.json',
+            '/collections/kaffe/products.json?limit=250&page=1': {
+                status: 200,
+                body: JSON.stringify({
+                    products: JSON.parse(fullPage(250, index => ({
+                        id: index,
+                        title: `Kaffi ${index}`,
+                        handle: `kaffi-${index}`,
+                        variants: [{ id: 50000 + index, title: 'Default Title', available: true, price: '99.00' }]
+                    })))
+                })
+            },
+            '/collections/kaffe/products.json?limit=250&page=2': 'shopify-products.json'
+        });
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    it('reports every variant with its own price, SKU and availability', async () => {
+        const { products, httpStatus } = await new ShopifyAdapter().fetchProducts(`${server.url}/`, {});
+
+        assert.equal(httpStatus, 200);
+        assert.deepEqual(products.map(product => ({
+            name: product.name,
+            price: product.price,
+            available: product.available,
+            sku: product.sku,
+            variant: product.variant
+        })), [
+            {
+                name: 'Etiopia Guji - 250g / Hele bønner',
+                price: 189,
+                available: true,
+                sku: 'GUJI-250-HB',
+                variant: { id: 41001, title: '250g / Hele bønner', options: ['250g', 'Hele bønner'] }
+            },
+            {
+                name: 'Etiopia Guji - 1kg / Hele bønner',
+                price: 649,
+                available: false,
+                sku: 'GUJI-1000-HB',
+                variant: { id: 41002, title: '1kg / Hele bønner', options: ['1kg', 'Hele bønner'] }
+            },
+            {
+                name: 'Kenya Kiambu',
+                price: 219.5,
+                available: true,
+                sku: null,
+                variant: { id: 41003, title: null, options: ['Default Title'] }
+            }
+        ]);
+        assert.equal(products[0].url, `${server.url}/products/etiopia-guji?variant=41001`);
+        assert.equal(products[0].baseName, 'Etiopia Guji');
+        assert.equal(products[0].description, 'Blomstrete og lett, bærtørket.');
+        assert.equal(products[2].description, null);
+    });
+
+    it('reads the collection feed page by page until a page is not full', async () => {
+        server.requests.length = 0;
+        const { products } = await new ShopifyAdapter().fetchProducts(`${server.url}/collections/kaffe`, {});
+
+        assert.equal(products.length, 253);
+        assert.equal(products[250].name, 'Etiopia Guji - 250g / Hele bønner');
+        assert.deepEqual(server.requests, [
+            '/collections/kaffe/products.json?limit=250&page=1',
+            '/collections/kaffe/products.json?limit=250&page=2'
+        ]);
+    });
+});
+
+describe('WooCommerceAdapter', () => {
+    let server;
+
+    before(async () => {
+        server = await startFixtureServer({
+            [`${STORE_API}?per_page=100&page=1`]: 'woocommerce-products.json',
+            [`${STORE_API}/303`]: 'woocommerce-variation-303.json',
+            [`${STORE_API}/304`]: 'woocommerce-variation-304.json',
+            [`${STORE_API}?per_page=100&page=1&category=kaffe`]: {
+                status: 200,
+                body: fullPage(100, index => ({
+                    id: 1000 + index,
+                    name: `Kaffi ${index}`,
+                    type: 'simple',
+                    prices: { price: '99', currency_minor_unit: 0 },
+                    is_in_stock: true
+                }))
+            },
+            [`${STORE_API}?per_page=100&page=2&category=kaffe`]: {
+                status: 200,
+                body: JSON.stringify([{
+                    id: 2000,
+                    name: 'Panama Geisha',
+                    type: 'variable',
+                    prices: { price: '45000', currency_minor_unit: 2 },
+                    is_in_stock: true,
+                    variations: [{
+                        id: 2001,
+                        attributes: [{ name: 'Storleik', value: '100g' }],
+                        prices: { price: '39900', currency_minor_unit: 2 },
+                        is_in_stock: false
+                    }]
+                }])
+            }
+        });
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    it('expands variable products into variations with prices converted from minor units', async () => {
+        server.requests.length = 0;
+        const { products } = await new WooCommerceAdapter().fetchProducts(`${server.url}/butikk`, {}, { politenessDelay: 0 });
+
+        assert.deepEqual(products.map(product => ({
+            name: product.name,
+            price: product.price,
+            available: product.available,
+            sku: product.sku,
+            variant: product.variant
+        })), [
+            {
+                name: 'Colombia Huila & Nariño',
+                price: 179,
+                available: true,
+                sku: 'HUILA-250',
+                variant: { id: 301, title: null, options: [] }
+            },
+            {
+                name: 'Etiopia Guji - 250g',
+                price: 189,
+                available: true,
+                sku: 'GUJI-250',
+                variant: { id: 303, title: '250g', options: ['250g'] }
+            },
+            {
+                name: 'Etiopia Guji - 1kg',
+                price: 649,
+                available: false,
+                sku: 'GUJI-1000',
+                variant: { id: 304, title: '1kg', options: ['1kg'] }
+            }
+        ]);
+        assert.equal(products[0].description, 'Sjokolade og raud frukt.');
+        assert.equal(products[2].url, 'https://testbrenneriet.no/produkt/etiopia-guji/?attribute_storleik=1kg');
+        assert.deepEqual(server.requests, [`${STORE_API}?per_page=100&page=1`, `${STORE_API}/303`, `${STORE_API}/304`]);
+    });
+
+    it('spaces variation requests by the politeness delay', async () => {
+        const started = Date.now();
+        await new WooCommerceAdapter().fetchProducts(`${server.url}/butikk`, {}, { politenessDelay: 100 });
+
+        assert.ok(Date.now() - started >= 200);
+    });
+
+    it('pages through a category and uses variation data embedded in the listing', async () => {
+        server.requests.length = 0;
+        const { products } = await new WooCommerceAdapter().fetchProducts(`${server.url}/product-category/kaffe/`, {});
+
+        assert.equal(products.length, 101);
+        assert.equal(products[0].price, 99);
+        assert.deepEqual(
+            { name: products[100].name, price: products[100].price, available: products[100].available },
+            { name: 'Panama Geisha - 100g', price: 399, available: false }
+        );
+        assert.deepEqual(server.requests, [
+            `${STORE_API}?per_page=100&page=1&category=kaffe`,
+            `${STORE_API}?per_page=100&page=2&category=kaffe`
+        ]);
+    });
+});
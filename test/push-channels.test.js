@@ -0,0 +1,181 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const Config = require('../src/utils/config');
+const Notifier = require('../src/notifications/notifier');
+const { buildMessage } = require('../src/notifications/message');
+const { getChannel, validateChannelConfig } = require('../src/notifications/channels');
+
+const guji = {
+    id: 1,
+    name: 'Etiopia Guji',
+    roastery_name: 'Testbrenneriet',
+    url: 'https://example.test/produkt/etiopia-guji',
+    ai_tagged_at: '2026-01-01 10:00:00',
+    ai_country_of_origin: 'Etiopia',
+    ai_process_method: 'Natural',
+    ai_roast_level: 'Lys',
+    ai_flavor_notes: '["Blåbær","jasmin"]'
+};
+
+const backInStock = buildMessage('favorites_newly_available', {
+    favorites: [{
+        product: guji,
+        favoriteName: 'Etiopia',
+        variants: [{ size: '250g', grind: 'whole_bean', price: 189, available: true }]
+    }]
+});
+
+const newProducts = buildMessage('new_products', {
+    products: Array.from({ length: 8 }, (_, index) => ({ ...guji, id: index + 1, name: `Kaffi ${index + 1}`, current_price: 150 }))
+});
+
+const failure = buildMessage('error', { error: new Error('Tidsavbrot'), context: 'produktsjekk' });
+
+describe('ntfy channel', () => {
+    const ntfy = new (getChannel('ntfy'))({ url: 'https://ntfy.example.test/', topic: 'kaffi' });
+
+    it('maps notification types to priorities, click URL and AI tags', () => {
+        const payload = ntfy.render(backInStock);
+
+        assert.equal(payload.topic, 'kaffi');
+        assert.equal(payload.title, backInStock.title);
+        assert.equal(payload.priority, 4);
+        assert.equal(payload.click, guji.url);
+        assert.deepEqual(payload.tags, ['etiopia', 'natural', 'lys', 'blåbær', 'jasmin']);
+        assert.match(payload.message, /Etiopia Guji\n {3}🏪 Testbrenneriet\n {3}💰 250g, heile bønner: 189 kr/);
+
+        assert.equal(ntfy.render(newProducts).priority, 3);
+        assert.equal(ntfy.render(failure).priority, 2);
+        assert.equal(ntfy.render(failure).click, undefined);
+    });
+
+    it('shortens long messages and honours configured priorities', () => {
+        const loud = new (getChannel('ntfy'))({ topic: 'kaffi', priorities: { new_products: 'max' } });
+        const payload = loud.render(newProducts);
+
+        assert.equal(payload.priority, 5);
+        assert.equal(loud.serverUrl, 'https://ntfy.sh');
+        assert.match(payload.message, /Kaffi 5\n/);
+        assert.doesNotMatch(payload.message, /Kaffi 6\n/);
+        assert.match(payload.message, /\.\.\. og 3 fleire!$/);
+    });
+
+    it('validates topic and priorities', () => {
+        assert.deepEqual(validateChannelConfig('ntfy', { enabled: true }), ['notifications.ntfy.topic is required']);
+        assert.deepEqual(validateChannelConfig('ntfy', { enabled: true, topic: 'kaffi', priorities: { price_drop: 'urgent', fax: 'low' } }), [
+            'notifications.ntfy.priorities.price_drop must be one of: min, low, default, high, max',
+            'notifications.ntfy.priorities.fax is not a notification type'
+        ]);
+    });
+});
+
+describe('Gotify channel', () => {
+    const gotify = new (getChannel('gotify'))({ url: 'https://gotify.example.test', token: 'app-token' });
+
+    it('maps priorities to Gotify levels and sets the click URL', () => {
+        const payload = gotify.render(backInStock);
+
+        assert.equal(payload.priority, 8);
+        assert.equal(gotify.render(newProducts).priority, 5);
+        assert.equal(gotify.render(failure).priority, 2);
+        assert.deepEqual(payload.extras['client::notification'], { click: { url: guji.url } });
+        assert.match(payload.message, /\n\n🏷️ etiopia, natural, lys, blåbær, jasmin$/);
+    });
+
+    it('requires the server URL and application token', () => {
+        assert.deepEqual(validateChannelConfig('gotify', { enabled: true }), [
+            'notifications.gotify.url is required',
+            'notifications.gotify.token is required'
+        ]);
+    });
+});
+
+describe('push delivery', () => {
+    let server;
+    let baseUrl;
+    const received = [];
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                received.push({ path: req.url, headers: req.headers, body: JSON.parse(body) });
+                res.setHeader('Content-Type', 'application/json');
+                res.end('{}');
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    it('publishes to ntfy and Gotify with their authentication', async () => {
+        const notifier = new Notifier({
+            ntfy: { enabled: true, url: `${baseUrl}/`, topic: 'kaffi', token: 'tk_secret' },
+            gotify: { enabled: true, url: `${baseUrl}/gotify`, token: 'app-token' }
+        });
+
+        const results = await notifier.notify('favorites_newly_available', {
+            favorites: [{ product: guji, favoriteName: 'Etiopia', variants: [] }]
+        });
+
+        assert.deepEqual(results.map(result => [result.type, result.success]), [['ntfy', true], ['gotify', true]]);
+
+        const ntfy = received.find(request => request.path === '/');
+        assert.equal(ntfy.headers.authorization, 'Bearer tk_secret');
+        assert.equal(ntfy.body.topic, 'kaffi');
+
+        const gotify = received.find(request => request.path === '/gotify/message');
+        assert.equal(gotify.headers['x-gotify-key'], 'app-token');
+        assert.equal(gotify.body.priority, 8);
+    });
+});
+
+describe('push config from the environment', () => {
+    const variables = ['NTFY_URL', 'NTFY_TOPIC', 'NTFY_TOKEN', 'NTFY_ENABLED', 'GOTIFY_URL', 'GOTIFY_TOKEN', 'GOTIFY_ENABLED'];
+    let dir;
+    let saved;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'coffee-push-'));
+        saved = Object.fromEntries(variables.map(name => [name, process.env[name]]));
+        variables.forEach(name => delete process.env[name]);
+    });
+
+    after(() => {
+        for (const [name, value] of Object.entries(saved)) {
+            if (value === undefined) delete process.env[name];
+            else process.env[name] = value;
+        }
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('overrides notifications.ntfy and notifications.gotify', () => {
+        const configPath = path.join(dir, 'config.json');
+        fs.writeFileSync(configPath, JSON.stringify({
+            roasteries: [{ name: 'Testbrenneriet', baseUrl: 'https://example.test', shopUrls: [{ url: 'https://example.test/kaffe' }] }],
+            notifications: { ntfy: { enabled: false, topic: 'kaffi' } }
+        }));
+        Object.assign(process.env, {
+            NTFY_URL: 'https://ntfy.example.test',
+            NTFY_TOKEN: 'tk_env',
+            NTFY_ENABLED: 'true',
+            GOTIFY_URL: 'https://gotify.example.test',
+            GOTIFY_TOKEN: 'env-token',
+            GOTIFY_ENABLED: 'true'
+        });
+
+        const config = new Config(configPath);
+
+        assert.deepEqual(config.get('notifications.ntfy'), { enabled: true, topic: 'kaffi', url: 'https://ntfy.example.test', token: 'tk_env' });
+        assert.deepEqual(config.get('notifications.gotify'), { url: 'https://gotify.example.test', token: 'env-token', enabled: true });
+    });
+});
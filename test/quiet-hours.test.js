@@ -0,0 +1,155 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const Notifier = require('../src/notifications/notifier');
+const {
+    resolveQuietHours,
+    getQuietUntil,
+    bypassesQuietHours,
+    validateQuietHours
+} = require('../src/notifications/quiet-hours');
+const { validateChannelConfig } = require('../src/notifications/channels');
+const { createTestMonitor } = require('./helpers/test-monitor');
+
+const guji = { id: 1, name: 'Etiopia Guji', roastery_name: 'Testbrenneriet', url: 'https://example.test/etiopia-guji' };
+const geisha = { id: 2, name: 'Panama Geisha', roastery_name: 'Testbrenneriet', url: 'https://example.test/panama-geisha' };
+
+// HH:MM in UTC, `minutes` from now
+function utcTime(minutes) {
+    return new Date(Date.now() + minutes * 60 * 1000).toISOString().slice(11, 16);
+}
+
+describe('quiet hours', () => {
+    it('finds when quiet hours spanning midnight end', () => {
+        const quietHours = { start: '22:00', end: '07:00', timezone: 'UTC' };
+
+        assert.equal(getQuietUntil(quietHours, new Date('2026-01-10T23:30:00Z')).toISOString(), '2026-01-11T07:00:00.000Z');
+        assert.equal(getQuietUntil(quietHours, new Date('2026-01-11T06:59:30Z')).toISOString(), '2026-01-11T07:00:00.000Z');
+        assert.equal(getQuietUntil(quietHours, new Date('2026-01-11T06:59:59Z')).toISOString(), '2026-01-11T07:00:00.000Z');
+        assert.equal(getQuietUntil(quietHours, new Date('2026-01-11T07:00:00Z')), null);
+        assert.equal(getQuietUntil(quietHours, new Date('2026-01-10T12:00:00Z')), null);
+
+        // 22:30 in Oslo (UTC+1 in winter) is quiet until 07:00 Oslo time
+        const oslo = { start: '22:00', end: '07:00' };
+        assert.equal(getQuietUntil(oslo, new Date('2026-01-10T21:30:00Z')).toISOString(), '2026-01-11T06:00:00.000Z');
+        assert.equal(getQuietUntil({ start: '13:00', end: '15:00', timezone: 'UTC' }, new Date('2026-01-10T14:15:00Z')).toISOString(), '2026-01-10T15:00:00.000Z');
+    });
+
+    it('ends quiet hours at the local end time when the clocks change overnight', () => {
+        const oslo = { start: '22:00', end: '07:00', timezone: 'Europe/Oslo' };
+
+        // 23:30 CET before the clocks go forward on 29 March: 07:00 CEST is 05:00 UTC
+        assert.equal(getQuietUntil(oslo, new Date('2026-03-28T22:30:00Z')).toISOString(), '2026-03-29T05:00:00.000Z');
+        // 23:30 CEST before the clocks go back on 25 October: 07:00 CET is 06:00 UTC
+        assert.equal(getQuietUntil(oslo, new Date('2026-10-24T21:30:00Z')).toISOString(), '2026-10-25T06:00:00.000Z');
+        // 02:30 does not exist on 29 March, so quiet hours end at 03:30 CEST
+        assert.equal(getQuietUntil({ ...oslo, end: '02:30' }, new Date('2026-03-28T22:30:00Z')).toISOString(), '2026-03-29T01:30:00.000Z');
+    });
+
+    it('merges channel settings over the global ones', () => {
+        const global = { start: '22:00', end: '07:00', bypass: ['error'] };
+
+        assert.deepEqual(resolveQuietHours(global, { start: '23:00' }), { start: '23:00', end: '07:00', bypass: ['error'] });
+        assert.equal(resolveQuietHours(global, false), null);
+        assert.equal(resolveQuietHours({ ...global, enabled: false }, undefined), null);
+        assert.equal(resolveQuietHours(undefined, undefined), null);
+    });
+
+    it('lets listed types and favorites through', () => {
+        const quietHours = { start: '22:00', end: '07:00', bypass: ['price_drop'], bypassFavorites: ['Geisha'] };
+
+        assert.equal(bypassesQuietHours(quietHours, 'price_drop', { drops: [] }), true);
+        assert.equal(bypassesQuietHours(quietHours, 'favorites_newly_available', {
+            favorites: [{ product: guji, favoriteName: 'Etiopia' }, { product: geisha, favoriteName: 'geisha' }]
+        }), true);
+        assert.equal(bypassesQuietHours(quietHours, 'favorite_available', { product: geisha, favoritePattern: 'Geisha' }), true);
+        assert.equal(bypassesQuietHours(quietHours, 'favorites_newly_available', {
+            favorites: [{ product: guji, favoriteName: 'Etiopia' }]
+        }), false);
+    });
+
+    it('validates times, time zones and bypass types', () => {
+        assert.deepEqual(validateQuietHours({ start: '22:00', end: '7:00', timezone: 'Europe/Oslo' }, 'notifications.quietHours'), []);
+        assert.deepEqual(validateQuietHours({ start: '25:00', timezone: 'Mars/Olympus', bypass: ['fax'] }, 'notifications.quietHours'), [
+            'notifications.quietHours.start must be a time like "22:00"',
+            'notifications.quietHours.timezone is not a known time zone: Mars/Olympus',
+            'notifications.quietHours.bypass has unknown notification types: fax'
+        ]);
+        assert.deepEqual(validateChannelConfig('slack', { webhookUrl: 'https://example.test', quietHours: false }), []);
+        assert.deepEqual(validateChannelConfig('slack', { webhookUrl: 'https://example.test', quietHours: { end: 'morgon' } }), [
+            'notifications.slack.quietHours.end must be a time like "22:00"'
+        ]);
+    });
+});
+
+describe('notification outbox', () => {
+    let hooks;
+    let hooksUrl;
+    let context;
+    const received = [];
+    let failNext = false;
+
+    const createNotifier = (quietHours) => new Notifier({
+        quietHours,
+        slack: { enabled: true, webhookUrl: `${hooksUrl}/slack` },
+        discord: { enabled: true, webhookUrl: `${hooksUrl}/discord`, quietHours: false }
+    }, { outbox: context.monitor.database });
+
+    before(async () => {
+        hooks = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                res.statusCode = failNext ? 500 : 200;
+                if (!failNext) received.push({ path: req.url, body: JSON.parse(body) });
+                res.end();
+            });
+        });
+        await new Promise(resolve => hooks.listen(0, '127.0.0.1', resolve));
+        hooksUrl = `http://127.0.0.1:${hooks.address().port}`;
+        context = await createTestMonitor('http://127.0.0.1:1');
+    });
+
+    after(async () => {
+        await new Promise(resolve => hooks.close(resolve));
+        await context.cleanup();
+    });
+
+    it('holds notifications in quiet hours and sends urgent ones right away', async () => {
+        const notifier = createNotifier({ start: utcTime(-60), end: utcTime(60), timezone: 'UTC', bypassFavorites: ['Geisha'] });
+
+        const held = await notifier.notify('favorites_newly_available', { favorites: [{ product: guji, favoriteName: 'Etiopia' }] });
+        assert.deepEqual(held.map(result => result.type), ['slack', 'discord']);
+        assert.match(held[0].message, /^favorites_newly_available held until /);
+        assert.deepEqual(received.map(request => request.path), ['/discord']);
+        assert.equal(await context.monitor.database.getHeldNotificationCount(), 1);
+
+        received.length = 0;
+        await notifier.notify('favorites_newly_available', { favorites: [{ product: geisha, favoriteName: 'Geisha' }] });
+        assert.deepEqual(received.map(request => request.path).sort(), ['/discord', '/slack']);
+        assert.equal(await context.monitor.database.getHeldNotificationCount(), 1);
+    });
+
+    it('keeps held notifications until they can be delivered', async () => {
+        const notifier = createNotifier(undefined);
+        assert.deepEqual(await notifier.releaseHeld(), []);
+
+        failNext = true;
+        const [failed] = await notifier.releaseHeld(new Date(Date.now() + 2 * 60 * 60 * 1000));
+        failNext = false;
+        assert.equal(failed.success, false);
+        assert.equal(await context.monitor.database.getHeldNotificationCount(), 1);
+    });
+
+    it('sends held notifications once quiet hours end, also after a restart', async () => {
+        received.length = 0;
+        // A new notifier, as after restarting the daemon
+        const notifier = createNotifier(undefined);
+        const results = await notifier.releaseHeld(new Date(Date.now() + 2 * 60 * 60 * 1000));
+
+        assert.deepEqual(results, [{ type: 'slack', success: true, message: 'Held favorites_newly_available sent' }]);
+        assert.deepEqual(received.map(request => request.path), ['/slack']);
+        assert.ok(JSON.stringify(received[0].body).includes('Etiopia Guji'));
+        assert.equal(await context.monitor.database.getHeldNotificationCount(), 0);
+    });
+});
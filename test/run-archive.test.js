@@ -0,0 +1,90 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startFixtureServer } = require('./helpers/fixture-server');
+const { createTestMonitor } = require('./helpers/test-monitor');
+
+describe('check --record / --replay', () => {
+    let server;
+    let context;
+    let monitor;
+    let notifier;
+    let shopUrl;
+
+    before(async () => {
+        server = await startFixtureServer({ '/kaffe': 'listing.html' });
+        shopUrl = `${server.url}/kaffe`;
+        context = await createTestMonitor(server.url);
+        ({ monitor, notifier } = context);
+
+        await monitor.checkProducts({ record: true });
+        server.route('/kaffe', 'listing-sold-out.html');
+        await monitor.checkProducts({ record: true });
+
+        // Replays must work without the shop
+        await server.close();
+    });
+
+    after(async () => {
+        await context.cleanup();
+    });
+
+    it('archives pages, products, notifications and a database snapshot per run', () => {
+        const runDir = path.join(monitor.getRunsDir(), '2');
+        const manifest = JSON.parse(fs.readFileSync(path.join(runDir, 'manifest.json'), 'utf8'));
+
+        assert.equal(manifest.runId, 2);
+        assert.equal(manifest.sources.length, 1);
+        assert.equal(manifest.sources[0].url, shopUrl);
+        assert.deepEqual(manifest.sources[0].pages, [{ url: shopUrl, status: 200, file: 'page-1.html' }]);
+        assert.equal(manifest.sources[0].products, 4);
+        assert.deepEqual(manifest.notifications, ['favorites_newly_unavailable: Etiopia Guji']);
+
+        const page = fs.readFileSync(path.join(runDir, manifest.sources[0].dir, 'page-1.html'), 'utf8');
+        assert.match(page, /Sold out/);
+        assert.ok(fs.existsSync(path.join(runDir, 'database.sqlite')));
+    });
+
+    it('replays a run offline with the same outcome', async () => {
+        notifier.clear();
+        const report = await monitor.replayRun(2);
+
+        assert.equal(report.runId, 2);
+        assert.deepEqual(report.sources[0].added, []);
+        assert.deepEqual(report.sources[0].removed, []);
+        assert.deepEqual(report.sources[0].changed, []);
+        assert.equal(report.sources[0].replayedCount, 4);
+        assert.deepEqual(report.notifications.replayed, ['favorites_newly_unavailable: Etiopia Guji']);
+        assert.deepEqual(report.notifications.added, []);
+        assert.deepEqual(report.notifications.removed, []);
+
+        // Nothing is sent and the live database is untouched
+        assert.deepEqual(notifier.calls, []);
+        assert.equal((await monitor.database.getRecentScrapeRuns(10)).length, 2);
+    });
+
+    it('shows what a config change would have changed', async () => {
+        monitor.config.config.roasteries[0].selectors = {
+            ...monitor.config.config.roasteries[0].selectors,
+            availability: ''
+        };
+        const report = await monitor.replayRun(1);
+
+        assert.deepEqual(report.sources[0].changed, []);
+        assert.deepEqual(report.notifications.removed, []);
+
+        monitor.config.config.roasteries[0].selectors.productContainer = '.product + .product';
+        const changed = await monitor.replayRun(1);
+
+        assert.deepEqual(changed.sources[0].removed, ['Etiopia Guji']);
+        assert.deepEqual(changed.notifications.removed, [
+            'favorites_newly_available: Etiopia Guji (189 kr)',
+            'new_products: Etiopia Guji (189 kr)'
+        ]);
+    });
+
+    it('lists the recorded runs when the run id is unknown', async () => {
+        await assert.rejects(monitor.replayRun(7), /No recorded run 7 .*\(recorded runs: 1, 2\)/);
+    });
+});
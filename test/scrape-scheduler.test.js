@@ -0,0 +1,161 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const ScrapeScheduler = require('../src/scrapers/scrape-scheduler');
+
+const START = Date.parse('2026-01-10T09:00:00Z');
+
+// Let pending promise callbacks run; setImmediate is not faked
+const flush = async () => {
+    for (let i = 0; i < 5; i++) {
+        await new Promise(resolve => setImmediate(resolve));
+    }
+};
+
+// Scraper stand-in whose pages are plain objects that never close by themselves
+function createStubScraper() {
+    const scraper = {
+        pagesCreated: 0,
+        contextsClosed: 0,
+        async ensureBrowser() {},
+        browser: {
+            async createBrowserContext() {
+                return { close: async () => { scraper.contextsClosed++; } };
+            }
+        },
+        async createPage() {
+            scraper.pagesCreated++;
+            return { id: scraper.pagesCreated, isClosed: () => false };
+        }
+    };
+    return scraper;
+}
+
+// Tasks that record when they start and finish only when released
+function createControlledTask() {
+    const started = [];
+    const releases = new Map();
+    const task = (source) => {
+        started.push({ url: source.url, at: Date.now() });
+        return new Promise((resolve, reject) => releases.set(source.url, { resolve, reject }));
+    };
+    return { task, started, release: (url, value = url) => releases.get(url).resolve(value) };
+}
+
+describe('ScrapeScheduler', () => {
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['setTimeout', 'Date'], now: START });
+    });
+
+    afterEach(() => {
+        mock.timers.reset();
+    });
+
+    it('waits the politeness delay between two sources on the same host', async () => {
+        const scheduler = new ScrapeScheduler(createStubScraper(), { concurrency: 3, politenessDelay: 1000 });
+        const { task, started, release } = createControlledTask();
+        const run = scheduler.run([{ url: 'https://a.test/kaffe' }, { url: 'https://a.test/te' }], task);
+
+        await flush();
+        release('https://a.test/kaffe');
+        await flush();
+        mock.timers.tick(999);
+        await flush();
+        assert.deepEqual(started.map(entry => entry.url), ['https://a.test/kaffe']);
+
+        mock.timers.tick(1);
+        await flush();
+        assert.deepEqual(started.map(entry => entry.at - START), [0, 1000]);
+
+        release('https://a.test/te');
+        const results = await run;
+        assert.deepEqual(results.map(entry => entry.result), ['https://a.test/kaffe', 'https://a.test/te']);
+    });
+
+    it('never runs more sources on one host than perHostConcurrency', async () => {
+        const scheduler = new ScrapeScheduler(createStubScraper(), { concurrency: 3, perHostConcurrency: 1, politenessDelay: 0 });
+        const { task, started, release } = createControlledTask();
+        const run = scheduler.run([
+            { url: 'https://a.test/kaffe' },
+            { url: 'https://a.test/te' },
+            { url: 'https://b.test/kaffe' }
+        ], task);
+
+        await flush();
+        // The second a.test source is skipped while the first is still running
+        assert.deepEqual(started.map(entry => entry.url), ['https://a.test/kaffe', 'https://b.test/kaffe']);
+        mock.timers.tick(500);
+        await flush();
+        assert.equal(started.length, 2);
+
+        release('https://a.test/kaffe');
+        await flush();
+        // Idle workers poll again after 100 ms when no delay is configured
+        mock.timers.tick(100);
+        await flush();
+        assert.deepEqual(started.map(entry => entry.url), ['https://a.test/kaffe', 'https://b.test/kaffe', 'https://a.test/te']);
+
+        release('https://b.test/kaffe');
+        release('https://a.test/te');
+        await run;
+    });
+
+    it('limits the number of sources scraped at the same time', async () => {
+        const scheduler = new ScrapeScheduler(createStubScraper(), { concurrency: 2, politenessDelay: 0 });
+        const { task, started, release } = createControlledTask();
+        const run = scheduler.run([
+            { url: 'https://a.test/' },
+            { url: 'https://b.test/' },
+            { url: 'https://c.test/' }
+        ], task);
+
+        await flush();
+        assert.equal(started.length, 2);
+
+        release('https://b.test/');
+        await flush();
+        assert.deepEqual(started.map(entry => entry.url), ['https://a.test/', 'https://b.test/', 'https://c.test/']);
+
+        release('https://a.test/');
+        release('https://c.test/');
+        const results = await run;
+        assert.deepEqual(results.map(entry => entry.source.url), ['https://a.test/', 'https://b.test/', 'https://c.test/']);
+    });
+
+    it('waits only until the first busy host is free again', () => {
+        const scheduler = new ScrapeScheduler(createStubScraper(), { politenessDelay: 1000 });
+        scheduler.lastStartByHost.set('a.test', START - 400);
+        scheduler.lastStartByHost.set('b.test', START - 900);
+
+        assert.equal(scheduler.getWaitTime([{ host: 'a.test' }, { host: 'b.test' }]), 100);
+        assert.equal(scheduler.getWaitTime([{ host: 'a.test' }]), 600);
+
+        // Never polls more often than every 50 ms
+        scheduler.lastStartByHost.set('b.test', START - 990);
+        assert.equal(scheduler.getWaitTime([{ host: 'b.test' }]), 50);
+    });
+
+    it('reports failures in place and replaces a crashed page', async () => {
+        const scraper = createStubScraper();
+        const scheduler = new ScrapeScheduler(scraper, { concurrency: 1, politenessDelay: 0 });
+        const pagesUsed = [];
+
+        const results = await scheduler.run([
+            { url: 'https://a.test/' },
+            { url: 'https://b.test/' },
+            { url: 'https://c.test/' }
+        ], async (source, { getPage }) => {
+            const page = await getPage();
+            pagesUsed.push(page.id);
+            if (source.url === 'https://a.test/') {
+                throw new Error('Protocol error: Target closed');
+            }
+            return source.url;
+        });
+
+        assert.equal(results[0].error.message, 'Protocol error: Target closed');
+        assert.deepEqual(results.slice(1).map(entry => entry.result), ['https://b.test/', 'https://c.test/']);
+        // The crashed page is thrown away; the healthy one is reused
+        assert.deepEqual(pagesUsed, [1, 2, 2]);
+        assert.equal(scraper.contextsClosed, 2);
+    });
+});
@@ -0,0 +1,174 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const cheerio = require('cheerio');
+const CoffeeScraper = require('../src/scrapers/scraper');
+const { readFixture, startFixtureServer } = require('./helpers/fixture-server');
+const { TEST_SELECTORS } = require('./helpers/test-monitor');
+
+const PAGE_URL = 'https://testbrenneriet.no/kaffe';
+
+describe('CoffeeScraper.parseProductElement', () => {
+    const scraper = new CoffeeScraper();
+    const config = { baseUrl: 'https://testbrenneriet.no/', selectors: TEST_SELECTORS };
+
+    it('reads name, price, description, link and availability from a product card', () => {
+        const $ = cheerio.load(readFixture('listing.html'));
+        const product = scraper.parseProductElement($, $('.product').first(), config, PAGE_URL);
+
+        assert.equal(product.name, 'Etiopia Guji');
+        assert.equal(product.price, 189);
+        assert.equal(product.description, 'Blomstrete og lett, bærtørket.');
+        assert.equal(product.url, 'https://testbrenneriet.no/produkt/etiopia-guji');
+        assert.equal(product.available, true);
+    });
+
+    it('marks a sold out card as unavailable', () => {
+        const $ = cheerio.load(readFixture('listing-sold-out.html'));
+        const product = scraper.parseProductElement($, $('.product').first(), config, PAGE_URL);
+
+        assert.equal(product.name, 'Etiopia Guji');
+        assert.equal(product.available, false);
+    });
+
+    it('falls back to common selectors and resolves links against the page URL', () => {
+        const $ = cheerio.load(readFixture('listing-page-1.html'));
+        const product = scraper.parseProductElement($, $('.product').eq(1), null, PAGE_URL);
+
+        assert.equal(product.name, 'Kenya Kiambu');
+        assert.equal(product.price, 219);
+        assert.equal(product.url, 'https://testbrenneriet.no/produkt/kenya-kiambu');
+        assert.equal(product.available, true);
+    });
+
+    it('returns null for an element without a name', () => {
+        const $ = cheerio.load('<div class="product"><span class="price">99 kr</span></div>');
+        assert.equal(scraper.parseProductElement($, $('.product').first(), config, PAGE_URL), null);
+    });
+});
+
+describe('CoffeeScraper.extractProducts', () => {
+    const scraper = new CoffeeScraper();
+    const config = { baseUrl: 'https://testbrenneriet.no/', selectors: TEST_SELECTORS };
+
+    it('reports selector stats for a listing page', () => {
+        const $ = cheerio.load(readFixture('listing.html'));
+        const { products, selectorStats } = scraper.extractProducts($, config, PAGE_URL);
+
+        assert.deepEqual(products.map(product => product.name), ['Etiopia Guji', 'Kenya Kiambu', 'Colombia Huila', 'Handkvern']);
+        assert.deepEqual(selectorStats, { containers: 4, named: 4, priced: 4 });
+    });
+
+    it('matches nothing when the markup no longer fits the selectors', () => {
+        const $ = cheerio.load(readFixture('listing-redesigned.html'));
+        const { products, selectorStats } = scraper.extractProducts($, config, PAGE_URL);
+
+        assert.equal(products.length, 0);
+        assert.equal(selectorStats.containers, 0);
+    });
+
+    it('prefers JSON-LD prices and availability over the product cards', () => {
+        const $ = cheerio.load(readFixture('listing-jsonld.html'));
+        const { products } = scraper.extractProducts($, config, PAGE_URL);
+        const byName = Object.fromEntries(products.map(product => [product.name, product]));
+
+        assert.deepEqual(Object.keys(byName), ['Etiopia Guji - 250g', 'Etiopia Guji - 1kg', 'Kenya Kiambu']);
+        assert.equal(byName['Etiopia Guji - 250g'].price, 189);
+        assert.equal(byName['Etiopia Guji - 250g'].available, true);
+        assert.equal(byName['Etiopia Guji - 1kg'].available, false);
+        assert.equal(byName['Etiopia Guji - 1kg'].sku, 'GUJI-1000');
+        assert.equal(byName['Kenya Kiambu'].price, 219);
+        assert.equal(byName['Kenya Kiambu'].available, false);
+        assert.equal(byName['Kenya Kiambu'].url, 'https://testbrenneriet.no/produkt/kenya-kiambu');
+    });
+
+    it('ignores structured data with extraction: "selectors"', () => {
+        const $ = cheerio.load(readFixture('listing-jsonld.html'));
+        const { products } = scraper.extractProducts($, { ...config, extraction: 'selectors' }, PAGE_URL);
+
+        assert.equal(products.length, 1);
+        assert.equal(products[0].price, 199);
+        assert.equal(products[0].available, true);
+    });
+});
+
+describe('CoffeeScraper.scrapeSource over HTTP', () => {
+    let server;
+    const scraper = new CoffeeScraper();
+
+    before(async () => {
+        server = await startFixtureServer({
+            '/kaffe': 'listing-page-1.html',
+            '/kaffe/side-2': 'listing-page-2.html',
+            '/feil': { status: 503, body: 'Service Unavailable' }
+        });
+    });
+
+    after(async () => {
+        await scraper.close();
+        await server.close();
+    });
+
+    const roastery = () => ({
+        name: 'Testbrenneriet',
+        baseUrl: server.url,
+        fetchMode: 'http',
+        selectors: TEST_SELECTORS
+    });
+
+    it('follows next links when pagination is configured', async () => {
+        const result = await scraper.scrapeSource(`${server.url}/kaffe`, roastery(), {
+            pagination: { type: 'nextLink', delay: 0 }
+        });
+
+        assert.equal(result.adapter, 'selectors');
+        assert.equal(result.httpStatus, 200);
+        assert.deepEqual(result.products.map(product => product.name),
+            ['Etiopia Guji', 'Kenya Kiambu', 'Colombia Huila', 'Brasil Cerrado']);
+        assert.equal(scraper.browser, null, 'http fetch mode must not launch a browser');
+    });
+
+    it('reads only the first page without pagination', async () => {
+        const result = await scraper.scrapeSource(`${server.url}/kaffe`, roastery());
+        assert.equal(result.products.length, 2);
+    });
+
+    it('gives up after the configured retries and reports the attempts', async () => {
+        await assert.rejects(
+            scraper.scrapeSourceWithRetry(`${server.url}/feil`, roastery(), {
+                maxRetries: 1,
+                retryDelay: 0,
+                screenshotOnError: false
+            }),
+            error => {
+                assert.equal(error.status, 503);
+                assert.equal(error.attempts, 2);
+                return true;
+            }
+        );
+    });
+
+    it('saves the error instead of a browser screenshot when an http source is unreachable', async () => {
+        const snapshotDir = fs.mkdtempSync(path.join(os.tmpdir(), 'coffee-snapshots-'));
+        try {
+            await assert.rejects(
+                scraper.scrapeSourceWithRetry('http://127.0.0.1:1/kaffe', roastery(), {
+                    maxRetries: 0,
+                    screenshotOnError: true,
+                    snapshotDir,
+                    getPage: async () => assert.fail('no browser page for http fetch mode')
+                }),
+                error => {
+                    assert.equal(error.snapshot.screenshot, null);
+                    assert.match(fs.readFileSync(error.snapshot.text, 'utf8'), /^URL: http:\/\/127\.0\.0\.1:1\/kaffe/);
+                    return true;
+                }
+            );
+            assert.equal(scraper.browser, null);
+        } finally {
+            fs.rmSync(snapshotDir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,164 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const TelegramBot = require('../src/bot/telegram-bot');
+const { startFixtureServer } = require('./helpers/fixture-server');
+const { createTestMonitor } = require('./helpers/test-monitor');
+
+const TOKEN = '123456:test-token';
+const CHAT_ID = 42;
+
+/**
+ * Minimal Telegram Bot API: queued updates are handed out by getUpdates,
+ * sendMessage calls are collected per chat.
+ */
+async function startFakeTelegram() {
+    const updates = [];
+    const sent = [];
+    const waiters = [];
+    let updateId = 0;
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const params = body ? JSON.parse(body) : {};
+            const method = req.url.split('/').pop();
+            const respond = (result) => {
+                res.setHeader('Content-Type', 'application/json');
+                res.end(JSON.stringify({ ok: true, result }));
+            };
+
+            if (!req.url.startsWith(`/bot${TOKEN}/`)) {
+                res.statusCode = 401;
+                res.end(JSON.stringify({ ok: false, description: 'Unauthorized' }));
+            } else if (method === 'getMe') {
+                respond({ id: 1, is_bot: true, username: 'kaffibot' });
+            } else if (method === 'getUpdates') {
+                // Hold the long poll briefly when there is nothing to hand out
+                setTimeout(() => respond(updates.splice(0).filter(update => update.update_id >= params.offset)), updates.length > 0 ? 0 : 50);
+            } else if (method === 'sendMessage') {
+                sent.push(params);
+                waiters.splice(0).forEach(resolve => resolve());
+                respond({ message_id: sent.length });
+            } else {
+                respond(true);
+            }
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        sent,
+        /**
+         * Send a message as a user and resolve with the bot's next `count` replies.
+         */
+        async say(text, chatId = CHAT_ID, count = 1) {
+            const before = sent.filter(message => message.chat_id === String(chatId)).length;
+            updates.push({ update_id: ++updateId, message: { message_id: updateId, chat: { id: chatId }, text } });
+
+            while (sent.filter(message => message.chat_id === String(chatId)).length < before + count) {
+                await new Promise(resolve => waiters.push(resolve));
+            }
+            return sent.filter(message => message.chat_id === String(chatId)).slice(before).map(message => message.text);
+        },
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+describe('Telegram bot', () => {
+    let shop;
+    let telegram;
+    let context;
+    let bot;
+
+    before(async () => {
+        shop = await startFixtureServer({ '/kaffe': 'listing.html' });
+        telegram = await startFakeTelegram();
+        context = await createTestMonitor(shop.url);
+        await context.monitor.checkProducts();
+
+        bot = new TelegramBot(context.monitor, {
+            botToken: TOKEN,
+            allowedChatIds: [String(CHAT_ID)],
+            apiUrl: telegram.url,
+            pollTimeout: 0,
+            retryDelay: 10
+        });
+        const me = await bot.start();
+        assert.equal(me.username, 'kaffibot');
+    });
+
+    after(async () => {
+        await bot.stop();
+        await telegram.close();
+        await shop.close();
+        await context.cleanup();
+    });
+
+    it('only answers whitelisted chats', async () => {
+        const [reply] = await telegram.say('/favorites', 666);
+        assert.match(reply, /⛔ Denne chatten har ikkje tilgang/);
+        assert.match(reply, /chat-ID 666/);
+        assert.equal(await context.monitor.database.getFavoriteByName('Kenya'), undefined);
+    });
+
+    it('adds, updates, lists and removes favorites', async () => {
+        assert.deepEqual(await telegram.say('/add Kenya kiambu, kenia'), ['✅ La til «Kenya»\nSøkeord: Kenya, kiambu, kenia']);
+        assert.deepEqual(await telegram.say('/add@kaffibot kenya'), ['⚠️ «Kenya» er allereie ein favoritt (søkeord: Kenya, kiambu, kenia).']);
+        assert.deepEqual(await telegram.say('/add "Costa Rica" tarrazu'), ['✅ La til «Costa Rica»\nSøkeord: Costa Rica, tarrazu']);
+        assert.deepEqual(await telegram.say('/add kenya nyeri'), ['✅ Oppdaterte «Kenya»\nSøkeord: kenya, nyeri']);
+
+        const [favorites] = await telegram.say('/favorites');
+        assert.match(favorites, /⭐ Favorittane dine \(3\):/);
+        assert.match(favorites, /1\. Etiopia – søkeord: Etiopia/);
+        assert.match(favorites, /Kenya – søkeord: kenya, nyeri/);
+
+        assert.deepEqual(await telegram.say('/remove "costa rica"'), ['✅ Fjerna «Costa Rica»']);
+        assert.deepEqual(await telegram.say('/remove Brasil'), ['⚠️ Fann ingen favoritt som heiter «Brasil». Sjå /favorites.']);
+        assert.equal((await context.monitor.database.getFavorites()).length, 2);
+    });
+
+    it('shows favorites in stock and searches all products', async () => {
+        const [stock] = await telegram.say('/stock');
+        assert.match(stock, /☕ 3 kaffiar på lager/);
+        assert.match(stock, /⭐ Favorittar på lager \(2\):\n• Etiopia Guji – Testbrenneriet\n   💰 189 kr\n• Kenya Kiambu/);
+
+        const [search] = await telegram.say('/stock kiambu');
+        assert.equal(search, '☕ 1 på lager som passar «kiambu»:\n• Kenya Kiambu – Testbrenneriet\n   💰 219 kr');
+        assert.deepEqual(await telegram.say('/stock geisha'), ['Ingen kaffi på lager passar «geisha».']);
+    });
+
+    it('runs a check and reports what changed', async () => {
+        shop.route('/kaffe', 'listing-price-drop.html');
+
+        const [started, done] = await telegram.say('/check', CHAT_ID, 2);
+        assert.equal(started, '🔍 Sjekkar butikkane no – eg svarar når eg er ferdig.');
+        assert.match(done, /✅ Sjekk ferdig – 3 produkt sjekka/);
+        assert.match(done, /💸 Prisfall: Etiopia Guji/);
+        assert.ok(context.notifier.ofType('price_drop').length > 0);
+    });
+
+    it('shows price and availability history of a product', async () => {
+        const [history] = await telegram.say('/history etiopia');
+
+        assert.match(history, /📈 Etiopia Guji – Testbrenneriet\nNo: ✅ på lager\n💰 159 kr/);
+        assert.match(history, /Prisendringar siste 90 dagar:\n• \d{4}-\d{2}-\d{2} \d{2}:\d{2}: 189 → 159 kr \(-15\.9%\)/);
+        assert.match(history, /Lagerstatus siste 30 dagar:\n• .*: ✅ på lager$/);
+    });
+
+    it('explains usage and unknown commands', async () => {
+        assert.deepEqual(await telegram.say('/history'), ['Bruk: /history <produkt>']);
+        assert.deepEqual(await telegram.say('/brew'), ['Ukjend kommando /brew. Skriv /help for å sjå kommandoane.']);
+
+        const [help] = await telegram.say('/start');
+        assert.match(help, /\/add <namn> \[søkeord, \.\.\.\] – legg til eller oppdater ein favoritt/);
+        assert.doesNotMatch(help, /\/start/);
+    });
+
+    it('refuses to start without a token or allowed chats', async () => {
+        await assert.rejects(new TelegramBot(context.monitor, { allowedChatIds: ['1'] }).start(), /botToken/);
+        await assert.rejects(new TelegramBot(context.monitor, { botToken: TOKEN }).start(), /allowedChatIds/);
+    });
+});
@@ -0,0 +1,192 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('../src/database/database');
+const { buildMessage } = require('../src/notifications/message');
+const { summarizeDigest } = require('../src/notifications/digest');
+const { startFixtureServer } = require('./helpers/fixture-server');
+const { createTestMonitor } = require('./helpers/test-monitor');
+
+const notifications = (throttle) => ({
+    email: { enabled: false },
+    telegram: { enabled: false },
+    throttle
+});
+
+describe('notification throttle', () => {
+    let shop;
+
+    before(async () => {
+        shop = await startFixtureServer({ '/kaffe': 'listing.html' });
+    });
+
+    after(async () => {
+        await shop.close();
+    });
+
+    it('announces availability changes only after confirmChecks checks and drops flaps', async () => {
+        shop.route('/kaffe', 'listing.html');
+        const { monitor, notifier, cleanup } = await createTestMonitor(shop.url, {
+            notifications: notifications({ confirmChecks: 2 })
+        });
+
+        try {
+            const check = async (fixture) => {
+                shop.route('/kaffe', fixture);
+                notifier.clear();
+                return monitor.checkProducts();
+            };
+            const favoriteNames = (type) => notifier.ofType(type).flatMap(call => call.data.favorites.map(f => f.product.name));
+
+            await check('listing.html');
+            assert.deepEqual(favoriteNames('favorites_newly_available'), []);
+
+            await check('listing.html');
+            assert.deepEqual(favoriteNames('favorites_newly_available'), ['Etiopia Guji']);
+
+            // Sold out for one check only, then back: not a change at all
+            await check('listing-sold-out.html');
+            assert.deepEqual(favoriteNames('favorites_newly_unavailable'), []);
+            await check('listing.html');
+            const results = await check('listing.html');
+            assert.deepEqual(favoriteNames('favorites_newly_available'), []);
+            assert.deepEqual(results.suppressed, []);
+
+            await check('listing-sold-out.html');
+            assert.deepEqual(favoriteNames('favorites_newly_unavailable'), []);
+            await check('listing-sold-out.html');
+            assert.deepEqual(favoriteNames('favorites_newly_unavailable'), ['Etiopia Guji']);
+        } finally {
+            await cleanup();
+        }
+    });
+
+    it('measures a confirmed change against the last confirmed state', async () => {
+        const { monitor, cleanup } = await createTestMonitor(shop.url);
+        const { database } = monitor;
+
+        // Availability per check, oldest first
+        const changeAfter = async (name, checks) => {
+            const { id } = await database.run("INSERT INTO products (name, roastery_name) VALUES (?, 'Testbrenneriet')", [name]);
+            for (const available of checks) {
+                await database.recordAvailability(id, available, 189);
+            }
+            const { isNewlyAvailable, isNewlyUnavailable } = await database.getProductAvailabilityChange(id, 2);
+            return { isNewlyAvailable, isNewlyUnavailable };
+        };
+
+        try {
+            assert.deepEqual(await changeAfter('Flap', [1, 1, 0, 1]), { isNewlyAvailable: false, isNewlyUnavailable: false });
+            assert.deepEqual(await changeAfter('Flap back', [1, 1, 0, 1, 1]), { isNewlyAvailable: false, isNewlyUnavailable: false });
+            assert.deepEqual(await changeAfter('Back', [1, 1, 0, 0, 1, 1]), { isNewlyAvailable: true, isNewlyUnavailable: false });
+            assert.deepEqual(await changeAfter('Sold out after a flap', [1, 1, 0, 1, 0, 0]), { isNewlyAvailable: false, isNewlyUnavailable: true });
+            assert.deepEqual(await changeAfter('Late start', [0, 1, 1]), { isNewlyAvailable: true, isNewlyUnavailable: false });
+        } finally {
+            await cleanup();
+        }
+    });
+
+    it('confirms products that disappeared from the listing', async () => {
+        shop.route('/kaffe', 'listing.html');
+        const { monitor, notifier, cleanup } = await createTestMonitor(shop.url, {
+            favorites: [{ pattern: 'Kenya', description: 'Kenyan coffees' }],
+            notifications: notifications({ confirmChecks: 2 })
+        });
+
+        try {
+            await monitor.checkProducts();
+            await monitor.checkProducts();
+            shop.route('/kaffe', 'listing-removed.html');
+
+            notifier.clear();
+            await monitor.checkProducts();
+            assert.equal(notifier.ofType('favorites_newly_unavailable').length, 0);
+
+            await monitor.checkProducts();
+            const [call] = notifier.ofType('favorites_newly_unavailable');
+            assert.deepEqual(call.data.favorites.map(f => f.product.name), ['Kenya Kiambu']);
+        } finally {
+            await cleanup();
+        }
+    });
+
+    it('holds back repeats within the cooldown of their type', async () => {
+        shop.route('/kaffe', 'listing.html');
+        const { monitor, notifier, cleanup } = await createTestMonitor(shop.url, {
+            notifications: notifications({ cooldownHours: { favorites_newly_available: 24 } })
+        });
+
+        try {
+            await monitor.checkProducts();
+            assert.equal(notifier.ofType('favorites_newly_available').length, 1);
+
+            shop.route('/kaffe', 'listing-sold-out.html');
+            await monitor.checkProducts();
+            assert.equal(notifier.ofType('favorites_newly_unavailable').length, 1);
+
+            shop.route('/kaffe', 'listing.html');
+            const results = await monitor.checkProducts();
+            assert.equal(notifier.ofType('favorites_newly_available').length, 1);
+            assert.deepEqual(results.suppressed.map(entry => entry.reason), ['cooldown']);
+
+            const sent = await monitor.database.all('SELECT notification_type, group_key FROM notifications_sent ORDER BY id');
+            assert.deepEqual(sent.map(row => row.notification_type), ['favorite_newly_available', 'favorite_newly_unavailable']);
+            assert.match(sent[0].group_key, /^product:\d+$/);
+        } finally {
+            await cleanup();
+        }
+    });
+
+    it('keys notifications of merged legacy products by the product they were merged into', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'coffee-migrate-'));
+        const dbPath = path.join(dir, 'coffee.db');
+        try {
+            let database = new Database(dbPath);
+            await database.initialize();
+            // One product row per size, as before variants, with notifications sent for both
+            const insert = name => database.run(
+                "INSERT INTO products (name, url, price, roastery_name) VALUES (?, ?, 189, 'Testbrenneriet')",
+                [name, `https://example.test/${encodeURIComponent(name)}`]
+            );
+            const small = (await insert('Etiopia Guji 250g')).id;
+            const large = (await insert('Etiopia Guji 1kg')).id;
+            await database.run("INSERT INTO notifications_sent (product_id, notification_type) VALUES (?, 'favorite_available')", [small]);
+            await database.run("INSERT INTO notifications_sent (product_id, notification_type) VALUES (?, 'favorite_available')", [large]);
+            await database.run("INSERT INTO notifications_sent (product_id, notification_type, group_key) VALUES (?, 'price_drop', ?)", [small, `product:${large}`]);
+            // Mark the database as one from before the variant migration
+            await database.run('PRAGMA user_version = 0');
+            await database.close();
+
+            database = new Database(dbPath);
+            await database.initialize();
+            const rows = await database.all('SELECT product_id, group_key FROM notifications_sent');
+            await database.close();
+
+            assert.equal(rows.length, 3);
+            assert.ok(rows.every(row => row.product_id === small && row.group_key === `product:${small}`));
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('summarizes held back notifications in the digest', () => {
+        const message = buildMessage('digest', summarizeDigest([{
+            event_type: 'suppressed',
+            created_at: '2026-01-01 08:00:00',
+            payload: JSON.stringify({
+                events: [
+                    { type: 'favorites_newly_available', reason: 'cooldown', product: 'Etiopia Guji' },
+                    { type: 'favorites_newly_available', reason: 'flapping', product: 'Etiopia Guji' },
+                    { type: 'price_drop', reason: 'cooldown', product: 'Kenya Kiambu 250g' }
+                ]
+            })
+        }]));
+
+        const section = message.sections.find(entry => entry.heading === '🔕 Haldne tilbake');
+        assert.equal(section.items[0].title, '3 varsel vart haldne tilbake (nedkjøling: 2, ustabil lagerstatus: 1)');
+        assert.equal(section.items[0].lines[0].text, 'Etiopia Guji, Kenya Kiambu 250g');
+        assert.equal(message.summary, 'Kaffioversikt: 3 haldne tilbake');
+    });
+});
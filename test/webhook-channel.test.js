@@ -0,0 +1,133 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const Notifier = require('../src/notifications/notifier');
+const { validateChannelConfig } = require('../src/notifications/channels');
+
+const drop = {
+    product: { id: 1, name: 'Etiopia Guji 250g', roastery_name: 'Testbrenneriet', url: 'https://example.test/etiopia' },
+    variant: { name: 'Etiopia Guji 250g', size: '250g', price: 159, available: true },
+    event: { old_price: 189, new_price: 159, change_percent: -15.9, new_price_per_kg: 636 },
+    favoriteName: 'Etiopia',
+    targetPrice: null,
+    reasons: ['percent']
+};
+
+describe('webhook channel', () => {
+    let server;
+    let baseUrl;
+    let dir;
+    const received = [];
+    // Responses to give per path, in order; 200 once they run out
+    const responses = {};
+
+    before(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'coffee-webhook-'));
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                received.push({ path: req.url, headers: req.headers, body });
+                res.statusCode = responses[req.url]?.shift() || 200;
+                res.end();
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const createNotifier = (config) => new Notifier({
+        webhook: { enabled: true, retryDelay: 1, deadLetterFile: path.join(dir, 'dead-letters.jsonl'), ...config }
+    });
+
+    it('POSTs a signed JSON event to every URL', async () => {
+        received.length = 0;
+        const notifier = createNotifier({
+            urls: [`${baseUrl}/ha`, { url: `${baseUrl}/n8n`, secret: 'n8n-secret', headers: { 'X-Team': 'kaffi' } }],
+            secret: 'shared-secret',
+            headers: { Authorization: 'Bearer abc' }
+        });
+
+        const results = await notifier.notify('price_drop', { drops: [drop] });
+        assert.deepEqual(results, [{ type: 'webhook', success: true, message: 'price_drop sent' }]);
+        assert.equal(received.length, 2);
+
+        const ha = received.find(request => request.path === '/ha');
+        const n8n = received.find(request => request.path === '/n8n');
+        const payload = JSON.parse(ha.body);
+
+        assert.equal(payload.event, 'price_drop');
+        assert.equal(payload.title, '💸 Prisfall på 1 kaffi!');
+        assert.deepEqual(payload.data.drops[0], {
+            product: { id: 1, name: 'Etiopia Guji 250g', roastery: 'Testbrenneriet', url: 'https://example.test/etiopia', price: null, available: null, organic: false, variants: [], tags: null },
+            variant: { name: 'Etiopia Guji 250g', size: '250g', grind: null, price: 159, available: true, url: null },
+            oldPrice: 189,
+            newPrice: 159,
+            changePercent: -15.9,
+            newPricePerKg: 636,
+            favorite: 'Etiopia',
+            targetPrice: null,
+            reasons: ['percent']
+        });
+
+        assert.equal(ha.headers['x-coffee-monitor-event'], 'price_drop');
+        assert.equal(ha.headers['x-coffee-monitor-delivery'], payload.id);
+        assert.equal(ha.headers.authorization, 'Bearer abc');
+        assert.equal(ha.headers['x-coffee-monitor-signature'],
+            `sha256=${crypto.createHmac('sha256', 'shared-secret').update(ha.body).digest('hex')}`);
+        assert.equal(n8n.headers['x-coffee-monitor-signature'],
+            `sha256=${crypto.createHmac('sha256', 'n8n-secret').update(n8n.body).digest('hex')}`);
+        assert.equal(n8n.headers['x-team'], 'kaffi');
+        assert.equal(n8n.headers.authorization, 'Bearer abc');
+    });
+
+    it('retries server errors with backoff', async () => {
+        received.length = 0;
+        responses['/flaky'] = [503, 500];
+        const notifier = createNotifier({ urls: [`${baseUrl}/flaky`], maxRetries: 3 });
+
+        const [result] = await notifier.notify('new_products', { products: [drop.product] });
+        assert.equal(result.success, true);
+        assert.equal(received.length, 3);
+        assert.equal(new Set(received.map(request => JSON.parse(request.body).id)).size, 1);
+    });
+
+    it('dead-letters deliveries that keep failing and does not retry client errors', async () => {
+        received.length = 0;
+        responses['/down'] = [500, 500, 500];
+        responses['/gone'] = [410];
+        const notifier = createNotifier({ urls: [`${baseUrl}/down`, `${baseUrl}/gone`, `${baseUrl}/ok`], maxRetries: 2 });
+
+        const [result] = await notifier.notify('error', { error: new Error('Shop down'), context: 'Scrape failures' });
+        assert.equal(result.success, false);
+        assert.match(result.error, /2 of 3 webhook deliveries failed/);
+        assert.equal(received.filter(request => request.path === '/down').length, 3);
+        assert.equal(received.filter(request => request.path === '/gone').length, 1);
+
+        const deadLetters = fs.readFileSync(path.join(dir, 'dead-letters.jsonl'), 'utf8')
+            .trim().split('\n').map(line => JSON.parse(line));
+        assert.deepEqual(deadLetters.map(entry => [entry.url, entry.attempts, entry.error]).sort(), [
+            [`${baseUrl}/down`, 3, `HTTP 500 for ${baseUrl}/down`],
+            [`${baseUrl}/gone`, 1, `HTTP 410 for ${baseUrl}/gone`]
+        ]);
+        assert.equal(deadLetters[0].payload.event, 'error');
+        assert.equal(deadLetters[0].payload.data.error, 'Shop down');
+    });
+
+    it('validates the configured URLs', () => {
+        assert.deepEqual(validateChannelConfig('webhook', { enabled: true }), ['notifications.webhook.urls is required']);
+        assert.deepEqual(validateChannelConfig('webhook', { enabled: true, urls: ['ftp://example.test', { secret: 'x' }] }), [
+            'notifications.webhook.urls[0] must be an http(s) URL or { url, secret, headers }',
+            'notifications.webhook.urls[1] must be an http(s) URL or { url, secret, headers }'
+        ]);
+    });
+});